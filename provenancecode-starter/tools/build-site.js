@@ -0,0 +1,718 @@
+#!/usr/bin/env node
+
+/**
+ * ProvenanceCode: Build a static HTML site from the decision records
+ * Usage: node tools/build-site.js [--out <dir>] [--title <title>]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { escapeHtml, slugify, renderMarkdown } = require('./lib/markdown');
+const { buildDecisionGraph } = require('./lib/decision-graph');
+
+// Configuration
+const DECISIONS_DIR = 'provenance/decisions';
+const DEFAULT_OUT_DIR = 'site';
+const DEFAULT_TITLE = 'Decision Log';
+const SITE_MARKER = '.provenancecode-site';
+
+// Colors
+const colors = {
+  reset: '\x1b[0m',
+  red: '\x1b[31m',
+  green: '\x1b[32m',
+  yellow: '\x1b[33m',
+  blue: '\x1b[34m',
+  dim: '\x1b[2m',
+};
+
+function colorize(text, color) {
+  return `${colors[color]}${text}${colors.reset}`;
+}
+
+const STATUS_ORDER = ['proposed', 'accepted', 'implemented', 'deprecated', 'superseded', 'rejected'];
+const PRIORITY_ORDER = ['critical', 'high', 'medium', 'low'];
+
+function printUsage() {
+  console.log('Usage: node tools/build-site.js [options]');
+  console.log('');
+  console.log('Builds a static HTML decision log that opens straight from disk (no server).');
+  console.log('');
+  console.log('Examples:');
+  console.log('  node tools/build-site.js');
+  console.log('  node tools/build-site.js --out public/decisions --title "Platform Decisions"');
+  console.log('');
+  console.log('Options:');
+  console.log(`  --out <dir>      Output directory (default: ${DEFAULT_OUT_DIR})`);
+  console.log(`  --title <title>  Site title (default: "${DEFAULT_TITLE}")`);
+  console.log('  --help, -h       Show this help message');
+}
+
+function getOptionValue(args, name) {
+  const index = args.indexOf(name);
+  return index !== -1 ? args[index + 1] : undefined;
+}
+
+// Loading
+
+function readJson(filePath, warnings) {
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (e) {
+    warnings.push(`${filePath}: ${e.message}`);
+    return null;
+  }
+}
+
+function markdownTitle(markdown) {
+  const match = markdown.match(/^#\s+(?:Decision:\s*)?(.+?)\s*$/m);
+  return match ? match[1] : null;
+}
+
+function markdownStatus(markdown) {
+  const match = markdown.match(/^##\s+Status\s*\n+\s*\**([a-z]+)/im);
+  return match && STATUS_ORDER.includes(match[1].toLowerCase()) ? match[1].toLowerCase() : null;
+}
+
+function loadSiteDecisions(warnings) {
+  const decisions = [];
+  
+  for (const entry of fs.readdirSync(DECISIONS_DIR, { withFileTypes: true })) {
+    if (!entry.isDirectory() || entry.name === 'TEMPLATE') {
+      continue;
+    }
+    
+    const decisionPath = path.join(DECISIONS_DIR, entry.name);
+    const jsonPath = path.join(decisionPath, 'decision.json');
+    const mdPath = path.join(decisionPath, 'decision.md');
+    const json = fs.existsSync(jsonPath) ? readJson(jsonPath, warnings) : null;
+    const markdown = fs.existsSync(mdPath) ? fs.readFileSync(mdPath, 'utf8') : '';
+    
+    if (!json && !markdown) {
+      warnings.push(`${decisionPath}: no decision.md or decision.json, skipped`);
+      continue;
+    }
+    
+    const data = json || {};
+    const metadata = data.metadata || {};
+    decisions.push({
+      dir: entry.name,
+      path: decisionPath,
+      id: data.id || entry.name,
+      number: (entry.name.match(/^(\d+)/) || [])[1] || '',
+      title: data.title || markdownTitle(markdown) || entry.name,
+      status: data.status || markdownStatus(markdown) || 'unknown',
+      date: data.date || '',
+      owner: metadata.owner || '',
+      priority: metadata.priority || '',
+      tags: Array.isArray(metadata.tags) ? Array.from(new Set(metadata.tags.map(String))) : [],
+      json,
+      markdown,
+    });
+  }
+  
+  return decisions.sort((a, b) => a.dir.localeCompare(b.dir));
+}
+
+// Text for client-side search: markdown prose plus every string in decision.json
+function collectSearchText(decision) {
+  const strings = [];
+  const walk = value => {
+    if (typeof value === 'string') {
+      strings.push(value);
+    } else if (Array.isArray(value)) {
+      value.forEach(walk);
+    } else if (value && typeof value === 'object') {
+      Object.values(value).forEach(walk);
+    }
+  };
+  walk(decision.json);
+  
+  const prose = decision.markdown
+    .replace(/```[\s\S]*?```/g, ' ')
+    .replace(/[#>*_`|[\]()-]+/g, ' ');
+  
+  return `${decision.id} ${decision.title} ${prose} ${strings.join(' ')}`.replace(/\s+/g, ' ').trim().toLowerCase();
+}
+
+// Rendering helpers
+
+function decisionPage(decision) {
+  return `decisions/${decision.dir}.html`;
+}
+
+function tagPage(site, tag) {
+  return site.tagPages.get(tag);
+}
+
+// One page per tag. Tags that slugify alike ("C++" and "C#", "API" and "api")
+// get numbered slugs so their pages do not overwrite each other.
+function assignTagPages(tags) {
+  const pages = new Map();
+  // tags/index.html is the tag list itself
+  const used = new Set(['index']);
+  for (const tag of Array.from(tags).sort()) {
+    const base = slugify(tag) || 'tag';
+    let slug = base === 'index' ? 'index-tag' : base;
+    for (let n = 2; used.has(slug); n++) {
+      slug = `${base}-${n}`;
+    }
+    used.add(slug);
+    pages.set(tag, `tags/${slug}.html`);
+  }
+  return pages;
+}
+
+function statusBadge(status) {
+  return `<span class="status status-${escapeHtml(status)}">${escapeHtml(status)}</span>`;
+}
+
+function list(items) {
+  return items.length > 0 ? `<ul>${items.map(item => `<li>${escapeHtml(item)}</li>`).join('')}</ul>` : '';
+}
+
+function layout(site, page) {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(page.title ? `${page.title} · ${site.title}` : site.title)}</title>
+<link rel="stylesheet" href="${page.root}assets/style.css">
+</head>
+<body>
+<header class="site-header">
+  <a class="site-title" href="${page.root}index.html">${escapeHtml(site.title)}</a>
+  <nav>
+    <a href="${page.root}index.html">Decisions</a>
+    <a href="${page.root}tags/index.html">Tags</a>
+  </nav>
+  <form class="search" action="${page.root}index.html" method="get">
+    <input type="search" name="q" id="search" placeholder="Search decisions…" aria-label="Search decisions">
+  </form>
+</header>
+<main>
+${page.body}
+</main>
+<footer>Generated by ProvenanceCode on ${escapeHtml(site.generated)}</footer>
+<script src="${page.root}assets/search-index.js"></script>
+<script src="${page.root}assets/site.js"></script>
+</body>
+</html>
+`;
+}
+
+function renderDecisionTable(site, decisions, root) {
+  const rows = decisions.map(decision => {
+    const tags = decision.tags.map(tag => `<a class="tag" href="${root}${tagPage(site, tag)}">${escapeHtml(tag)}</a>`).join(' ');
+    const statusRank = STATUS_ORDER.indexOf(decision.status);
+    const priorityRank = PRIORITY_ORDER.indexOf(decision.priority);
+    return `<tr data-id="${escapeHtml(decision.id)}">
+  <td data-value="${decision.number ? parseInt(decision.number, 10) : ''}">${escapeHtml(decision.number)}</td>
+  <td><a href="${root}${decisionPage(decision)}">${escapeHtml(decision.title)}</a></td>
+  <td data-value="${statusRank === -1 ? '' : statusRank}">${statusBadge(decision.status)}</td>
+  <td data-value="${escapeHtml(decision.date)}">${escapeHtml(decision.date)}</td>
+  <td>${escapeHtml(decision.owner)}</td>
+  <td data-value="${priorityRank === -1 ? '' : priorityRank}">${escapeHtml(decision.priority)}</td>
+  <td>${tags}</td>
+</tr>`;
+  });
+  
+  return `<table class="decisions sortable">
+<thead><tr>
+  <th data-sort>#</th>
+  <th data-sort>Title</th>
+  <th data-sort>Status</th>
+  <th data-sort>Date</th>
+  <th data-sort>Owner</th>
+  <th data-sort>Priority</th>
+  <th>Tags</th>
+</tr></thead>
+<tbody>
+${rows.join('\n')}
+</tbody>
+</table>`;
+}
+
+function renderIndex(site) {
+  const counts = STATUS_ORDER
+    .map(status => [status, site.decisions.filter(decision => decision.status === status).length])
+    .filter(([, count]) => count > 0)
+    .map(([status, count]) => `${statusBadge(status)} ${count}`)
+    .join(' ');
+  
+  return layout(site, {
+    root: '',
+    title: null,
+    body: `<h1>${escapeHtml(site.title)}</h1>
+<p class="summary">${site.decisions.length} decisions ${counts}</p>
+<p id="search-status" class="search-status" hidden></p>
+${renderDecisionTable(site, site.decisions, '')}`,
+  });
+}
+
+function renderTagIndex(site) {
+  const items = Array.from(site.tags.keys()).sort().map(tag =>
+    `<li><a class="tag" href="../${tagPage(site, tag)}">${escapeHtml(tag)}</a> <span class="count">${site.tags.get(tag).length}</span></li>`
+  );
+  
+  return layout(site, {
+    root: '../',
+    title: 'Tags',
+    body: `<h1>Tags</h1>
+${items.length > 0 ? `<ul class="tag-list">${items.join('\n')}</ul>` : '<p>No decisions are tagged yet.</p>'}`,
+  });
+}
+
+function renderTagPage(site, tag) {
+  return layout(site, {
+    root: '../',
+    title: `Tag: ${tag}`,
+    body: `<p class="breadcrumb"><a href="index.html">Tags</a> / ${escapeHtml(tag)}</p>
+<h1>Tagged “${escapeHtml(tag)}”</h1>
+${renderDecisionTable(site, site.tags.get(tag), '../')}`,
+  });
+}
+
+// Structured sections from decision.json
+
+function renderRisks(data) {
+  const risks = ((data.consequences || {}).risks || []);
+  if (risks.length === 0) {
+    return '';
+  }
+  
+  const rows = risks.map(risk => `<tr>
+  <td>${escapeHtml(risk.description || '')}</td>
+  <td class="level level-${escapeHtml(risk.likelihood || '')}">${escapeHtml(risk.likelihood || '')}</td>
+  <td class="level level-${escapeHtml(risk.impact || '')}">${escapeHtml(risk.impact || '')}</td>
+  <td>${escapeHtml(risk.mitigation || '')}</td>
+</tr>`);
+
+  return `<h3>Risks</h3>
+<table class="risks">
+<thead><tr><th>Risk</th><th>Likelihood</th><th>Impact</th><th>Mitigation</th></tr></thead>
+<tbody>
+${rows.join('\n')}
+</tbody>
+</table>`;
+}
+
+function renderAlternatives(data) {
+  const alternatives = data.alternatives || [];
+  if (alternatives.length === 0) {
+    return '';
+  }
+  
+  const cards = alternatives.map(alternative => `<div class="alternative">
+  <h4>${escapeHtml(alternative.name || 'Unnamed alternative')}</h4>
+  ${alternative.description ? `<p>${escapeHtml(alternative.description)}</p>` : ''}
+  <div class="pros-cons">
+    <div><strong>Pros</strong>${list(alternative.pros || []) || '<p>—</p>'}</div>
+    <div><strong>Cons</strong>${list(alternative.cons || []) || '<p>—</p>'}</div>
+  </div>
+  ${alternative.rejectionReason ? `<p><strong>Why rejected:</strong> ${escapeHtml(alternative.rejectionReason)}</p>` : ''}
+</div>`);
+
+  return `<h3>Alternatives</h3>
+${cards.join('\n')}`;
+}
+
+function renderApproval(data) {
+  const approval = data.approval;
+  if (!approval) {
+    return '';
+  }
+  
+  const person = entry => [entry.name, entry.role ? `(${entry.role})` : ''].filter(Boolean).join(' ');
+  const steps = [];
+  if (approval.proposedBy) {
+    steps.push({ date: approval.proposedBy.date, label: 'Proposed', who: person(approval.proposedBy) });
+  }
+  for (const approver of approval.approvedBy || []) {
+    steps.push({ date: approver.date, label: 'Approved', who: person(approver) });
+  }
+  if (approval.implementationStarted) {
+    steps.push({ date: approval.implementationStarted, label: 'Implementation started', who: '' });
+  }
+  if (approval.implementationCompleted) {
+    steps.push({ date: approval.implementationCompleted, label: 'Implementation completed', who: '' });
+  }
+  if (steps.length === 0) {
+    return '';
+  }
+  
+  const items = steps.map(step =>
+    `<li><time>${escapeHtml(step.date || '')}</time> <strong>${escapeHtml(step.label)}</strong>${step.who ? ` by ${escapeHtml(step.who)}` : ''}</li>`
+  );
+  
+  return `<h3>Approval trail</h3>
+<ol class="timeline">
+${items.join('\n')}
+</ol>`;
+}
+
+function renderUpdates(data) {
+  const updates = (data.updates || []).slice().sort((a, b) => String(a.date || '').localeCompare(String(b.date || '')));
+  if (updates.length === 0) {
+    return '';
+  }
+  
+  const items = updates.map(update => `<li>
+  <time>${escapeHtml(update.date || '')}</time> <strong>${escapeHtml(update.description || '')}</strong>${update.author ? ` <span class="author">by ${escapeHtml(update.author)}</span>` : ''}
+  ${list(update.changes || [])}
+</li>`);
+
+  return `<h3>Updates</h3>
+<ol class="timeline">
+${items.join('\n')}
+</ol>`;
+}
+
+function renderRelated(site, decision) {
+  const related = (decision.json || {}).relatedDecisions || {};
+  const labels = {
+    dependsOn: 'Depends on',
+    relatedTo: 'Related to',
+    supersedes: 'Supersedes',
+    supersededBy: 'Superseded by',
+  };
+  
+  const rows = Object.keys(labels).map(type => {
+    const references = [].concat(related[type] || []).filter(Boolean);
+    if (references.length === 0) {
+      return '';
+    }
+    const links = references.map(reference => {
+      const target = site.byId.get(site.graph.resolve(String(reference)));
+      return target
+        ? `<a href="${target.dir}.html">${escapeHtml(target.id)}</a> ${escapeHtml(target.title)}`
+        : `${escapeHtml(reference)} <span class="missing">(not found)</span>`;
+    });
+    return `<dt>${labels[type]}</dt>${links.map(link => `<dd>${link}</dd>`).join('')}`;
+  }).filter(Boolean);
+  
+  return rows.length > 0 ? `<h3>Related decisions</h3>\n<dl class="related">${rows.join('')}</dl>` : '';
+}
+
+// Rewrite links in decision.md so they work inside the site
+function siteLinkResolver(site, decision) {
+  return url => {
+    if (/^[a-z][a-z0-9+.-]*:|^#|^\//i.test(url)) {
+      return url;
+    }
+    
+    const sibling = url.match(/^\.\.\/([^/]+)\/?(?:decision\.(?:md|json))?(#.*)?$/);
+    if (sibling) {
+      return `${sibling[1]}.html${sibling[2] || ''}`;
+    }
+    
+    // Everything else is relative to the decision folder, which is copied alongside
+    return `${decision.dir}/${url.replace(/^\.\//, '')}`;
+  };
+}
+
+function renderDecisionPage(site, decision) {
+  const data = decision.json || {};
+  const meta = [
+    ['ID', escapeHtml(decision.id)],
+    ['Status', statusBadge(decision.status)],
+    ['Date', escapeHtml(decision.date)],
+    ['Last updated', escapeHtml(data.lastUpdated || '')],
+    ['Deciders', escapeHtml((data.deciders || []).join(', '))],
+    ['Owner', escapeHtml(decision.owner)],
+    ['Priority', escapeHtml(decision.priority)],
+    ['Tags', decision.tags.map(tag => `<a class="tag" href="../${tagPage(site, tag)}">${escapeHtml(tag)}</a>`).join(' ')],
+  ].filter(([, value]) => value);
+  
+  // The page heading replaces the markdown's own title
+  const markdown = decision.markdown.replace(/^\s*#\s+.*\n/, '');
+  const prose = markdown.trim()
+    ? renderMarkdown(markdown, { resolveLink: siteLinkResolver(site, decision) })
+    : '<p class="missing">No decision.md in this record.</p>';
+  
+  const structured = [
+    renderRisks(data),
+    renderAlternatives(data),
+    renderApproval(data),
+    renderUpdates(data),
+    renderRelated(site, decision),
+  ].filter(Boolean);
+  
+  return layout(site, {
+    root: '../',
+    title: decision.title,
+    body: `<p class="breadcrumb"><a href="../index.html">Decisions</a> / ${escapeHtml(decision.id)}</p>
+<h1>${escapeHtml(decision.title)}</h1>
+<dl class="meta">${meta.map(([label, value]) => `<dt>${label}</dt><dd>${value}</dd>`).join('')}</dl>
+<div class="layout">
+<article class="record">
+${prose}
+</article>
+${structured.length > 0 ? `<aside class="structured">\n<h2>From decision.json</h2>\n${structured.join('\n')}\n</aside>` : ''}
+</div>`,
+  });
+}
+
+// Static assets
+
+const STYLESHEET = `:root { --fg: #1f2937; --muted: #6b7280; --border: #e5e7eb; --accent: #2563eb; --bg-soft: #f9fafb; }
+* { box-sizing: border-box; }
+body { margin: 0; font: 15px/1.6 -apple-system, BlinkMacSystemFont, "Segoe UI", Helvetica, Arial, sans-serif; color: var(--fg); }
+a { color: var(--accent); text-decoration: none; }
+a:hover { text-decoration: underline; }
+.site-header { display: flex; flex-wrap: wrap; align-items: center; gap: 1.5rem; padding: 0.75rem 2rem; border-bottom: 1px solid var(--border); background: var(--bg-soft); }
+.site-title { font-weight: 600; font-size: 1.1rem; color: var(--fg); }
+.site-header nav { display: flex; gap: 1rem; }
+.search { margin-left: auto; }
+.search input { padding: 0.4rem 0.7rem; width: 18rem; border: 1px solid var(--border); border-radius: 6px; font: inherit; }
+main { max-width: 1200px; margin: 0 auto; padding: 1.5rem 2rem 3rem; }
+footer { padding: 1rem 2rem; color: var(--muted); font-size: 0.85rem; border-top: 1px solid var(--border); }
+table { border-collapse: collapse; width: 100%; margin: 1rem 0; }
+th, td { text-align: left; padding: 0.5rem 0.6rem; border-bottom: 1px solid var(--border); vertical-align: top; }
+th[data-sort] { cursor: pointer; user-select: none; white-space: nowrap; }
+th[data-sort]::after { content: " ↕"; color: var(--muted); font-size: 0.8em; }
+th[aria-sort="ascending"]::after { content: " ↑"; color: var(--fg); }
+th[aria-sort="descending"]::after { content: " ↓"; color: var(--fg); }
+.status { display: inline-block; padding: 0.05rem 0.5rem; border-radius: 999px; font-size: 0.8rem; font-weight: 600; text-transform: capitalize; background: #f3f4f6; color: #374151; }
+.status-proposed { background: #fef3c7; color: #78350f; }
+.status-accepted { background: #dcfce7; color: #14532d; }
+.status-implemented { background: #dbeafe; color: #1e3a8a; }
+.status-superseded { background: #ede9fe; color: #4c1d95; }
+.status-rejected { background: #fee2e2; color: #7f1d1d; }
+.tag { display: inline-block; padding: 0 0.45rem; margin: 0 0.15rem 0.15rem 0; border: 1px solid var(--border); border-radius: 4px; font-size: 0.8rem; }
+.tag-list { list-style: none; padding: 0; columns: 3; }
+.count, .author, .breadcrumb, .summary, .search-status { color: var(--muted); }
+.meta { display: grid; grid-template-columns: max-content 1fr; gap: 0.25rem 1rem; padding: 1rem; background: var(--bg-soft); border: 1px solid var(--border); border-radius: 8px; }
+.meta dt { font-weight: 600; }
+.meta dd { margin: 0; }
+.layout { display: grid; grid-template-columns: minmax(0, 1fr) 22rem; gap: 2rem; margin-top: 1.5rem; }
+.structured { font-size: 0.92rem; }
+.structured table { font-size: 0.85rem; }
+.alternative { padding: 0.5rem 0.75rem; margin-bottom: 0.75rem; border: 1px solid var(--border); border-radius: 6px; }
+.alternative h4 { margin: 0.25rem 0; }
+.pros-cons { display: grid; grid-template-columns: 1fr 1fr; gap: 0.5rem; }
+.pros-cons ul { margin: 0.25rem 0; padding-left: 1.1rem; }
+.timeline { list-style: none; padding-left: 1rem; border-left: 2px solid var(--border); }
+.timeline li { margin-bottom: 0.6rem; }
+.timeline time { color: var(--muted); font-variant-numeric: tabular-nums; }
+.level-high { color: #b91c1c; font-weight: 600; }
+.level-medium { color: #b45309; }
+.related dt { font-weight: 600; margin-top: 0.5rem; }
+.related dd { margin-left: 0; }
+.missing { color: var(--muted); font-style: italic; }
+.record pre { background: var(--bg-soft); padding: 0.75rem; border-radius: 6px; overflow-x: auto; }
+.record code { font-size: 0.9em; }
+.record blockquote { margin-left: 0; padding-left: 1rem; border-left: 3px solid var(--border); color: var(--muted); }
+li.task { list-style: none; margin-left: -1.3rem; }
+tr[hidden] { display: none; }
+@media (max-width: 900px) {
+  .layout { grid-template-columns: 1fr; }
+  .search { margin-left: 0; width: 100%; }
+  .search input { width: 100%; }
+}
+`;
+
+const SITE_SCRIPT = `(function () {
+  // Sortable tables: cells may carry data-value with a sort key
+  function sortKey(cell) {
+    var value = cell.hasAttribute('data-value') ? cell.getAttribute('data-value') : cell.textContent.trim();
+    return value === '' ? null : (isNaN(value) ? value.toLowerCase() : Number(value));
+  }
+
+  document.querySelectorAll('table.sortable').forEach(function (table) {
+    var headers = table.querySelectorAll('th');
+    headers.forEach(function (th, index) {
+      if (!th.hasAttribute('data-sort')) {
+        return;
+      }
+      th.addEventListener('click', function () {
+        var ascending = th.getAttribute('aria-sort') !== 'ascending';
+        headers.forEach(function (other) { other.removeAttribute('aria-sort'); });
+        th.setAttribute('aria-sort', ascending ? 'ascending' : 'descending');
+
+        var body = table.tBodies[0];
+        var rows = Array.prototype.slice.call(body.rows);
+        rows.sort(function (a, b) {
+          var x = sortKey(a.cells[index]);
+          var y = sortKey(b.cells[index]);
+          // Empty values always go last
+          if (x === null || y === null) {
+            return x === y ? 0 : (x === null ? 1 : -1);
+          }
+          var result = typeof x === 'number' && typeof y === 'number' ? x - y : String(x).localeCompare(String(y));
+          return ascending ? result : -result;
+        });
+        rows.forEach(function (row) { body.appendChild(row); });
+      });
+    });
+  });
+
+  // Full-text search over window.PROVENANCECODE_SEARCH_INDEX
+  var input = document.getElementById('search');
+  var status = document.getElementById('search-status');
+  var table = document.querySelector('table.decisions');
+  var index = window.PROVENANCECODE_SEARCH_INDEX || [];
+  var query = new URLSearchParams(window.location.search).get('q') || '';
+  input.value = query;
+
+  // Only the index page filters in place; other pages submit to it
+  if (!status || !table) {
+    return;
+  }
+
+  function search(text) {
+    var terms = text.toLowerCase().split(/\\s+/).filter(Boolean);
+    var matches = {};
+    index.forEach(function (entry) {
+      if (terms.every(function (term) { return entry.text.indexOf(term) !== -1; })) {
+        matches[entry.id] = true;
+      }
+    });
+
+    var shown = 0;
+    Array.prototype.forEach.call(table.tBodies[0].rows, function (row) {
+      var visible = terms.length === 0 || matches[row.getAttribute('data-id')] === true;
+      row.hidden = !visible;
+      shown += visible ? 1 : 0;
+    });
+
+    status.hidden = terms.length === 0;
+    status.textContent = shown + (shown === 1 ? ' decision matches' : ' decisions match') + ' “' + text.trim() + '”';
+  }
+
+  input.form.addEventListener('submit', function (event) {
+    event.preventDefault();
+    search(input.value);
+  });
+  input.addEventListener('input', function () {
+    search(input.value);
+  });
+  search(query);
+})();
+`;
+
+// Output
+
+function copyDirectory(src, dest) {
+  fs.mkdirSync(dest, { recursive: true });
+  for (const entry of fs.readdirSync(src, { withFileTypes: true })) {
+    const srcPath = path.join(src, entry.name);
+    const destPath = path.join(dest, entry.name);
+    if (entry.isDirectory()) {
+      copyDirectory(srcPath, destPath);
+    } else {
+      fs.copyFileSync(srcPath, destPath);
+    }
+  }
+}
+
+// Refuse to clear a directory this tool did not create
+function prepareOutputDir(outDir) {
+  if (fs.existsSync(outDir) && fs.readdirSync(outDir).length > 0) {
+    if (!fs.existsSync(path.join(outDir, SITE_MARKER))) {
+      throw new Error(`${outDir} exists and was not generated by build-site.js; choose another --out`);
+    }
+    fs.rmSync(outDir, { recursive: true, force: true });
+  }
+  
+  fs.mkdirSync(path.join(outDir, 'assets'), { recursive: true });
+  fs.mkdirSync(path.join(outDir, 'decisions'), { recursive: true });
+  fs.mkdirSync(path.join(outDir, 'tags'), { recursive: true });
+  fs.writeFileSync(path.join(outDir, SITE_MARKER), 'Generated by tools/build-site.js; safe to delete.\n');
+}
+
+function buildSite(options) {
+  const warnings = [];
+  const decisions = loadSiteDecisions(warnings);
+  const graph = buildDecisionGraph(decisions.map(decision => ({ dir: decision.dir, path: decision.path, data: decision.json || {} })));
+  
+  const tags = new Map();
+  for (const decision of decisions) {
+    for (const tag of decision.tags) {
+      tags.set(tag, (tags.get(tag) || []).concat(decision));
+    }
+  }
+  
+  const site = {
+    title: options.title,
+    generated: new Date().toISOString().slice(0, 10),
+    decisions,
+    tags,
+    tagPages: assignTagPages(tags.keys()),
+    graph,
+    byId: new Map(decisions.map(decision => [decision.id, decision])),
+  };
+  
+  const out = options.out;
+  prepareOutputDir(out);
+  
+  const searchIndex = decisions.map(decision => ({
+    id: decision.id,
+    title: decision.title,
+    url: decisionPage(decision),
+    text: collectSearchText(decision),
+  }));
+  
+  fs.writeFileSync(path.join(out, 'assets', 'style.css'), STYLESHEET);
+  fs.writeFileSync(path.join(out, 'assets', 'site.js'), SITE_SCRIPT);
+  // A script rather than JSON so search works from file:// without fetch()
+  fs.writeFileSync(path.join(out, 'assets', 'search-index.js'), `window.PROVENANCECODE_SEARCH_INDEX = ${JSON.stringify(searchIndex)};\n`);
+  
+  fs.writeFileSync(path.join(out, 'index.html'), renderIndex(site));
+  fs.writeFileSync(path.join(out, 'tags', 'index.html'), renderTagIndex(site));
+  
+  for (const tag of tags.keys()) {
+    fs.writeFileSync(path.join(out, tagPage(site, tag)), renderTagPage(site, tag));
+  }
+  
+  for (const decision of decisions) {
+    fs.writeFileSync(path.join(out, decisionPage(decision)), renderDecisionPage(site, decision));
+    
+    // Keep evidence and other linked files reachable from the page
+    const evidenceDir = path.join(decision.path, 'evidence');
+    if (fs.existsSync(evidenceDir)) {
+      copyDirectory(evidenceDir, path.join(out, 'decisions', decision.dir, 'evidence'));
+    }
+  }
+  
+  return { decisions, tags, warnings };
+}
+
+function main() {
+  const args = process.argv.slice(2);
+  
+  // Parse options
+  const options = {
+    help: args.includes('--help') || args.includes('-h'),
+    out: getOptionValue(args, '--out') || DEFAULT_OUT_DIR,
+    title: getOptionValue(args, '--title') || DEFAULT_TITLE,
+  };
+  
+  if (options.help) {
+    printUsage();
+    process.exit(0);
+  }
+  
+  if (!fs.existsSync(DECISIONS_DIR)) {
+    console.error(colorize(`❌ Decisions directory not found: ${DECISIONS_DIR}`, 'red'));
+    process.exit(1);
+  }
+  
+  console.log(colorize('🏗️  Building decision log site...', 'blue'));
+  
+  let result;
+  try {
+    result = buildSite(options);
+  } catch (e) {
+    console.error(colorize(`❌ ${e.message}`, 'red'));
+    process.exit(1);
+  }
+  
+  result.warnings.forEach(warning => console.log(colorize(`  ⚠️  ${warning}`, 'yellow')));
+  console.log(`  Decisions: ${result.decisions.length}`);
+  console.log(`  Tags: ${result.tags.size}`);
+  console.log(colorize(`\n✅ Site written to ${options.out}/index.html`, 'green'));
+}
+
+main();
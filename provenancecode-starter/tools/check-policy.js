@@ -0,0 +1,646 @@
+#!/usr/bin/env node
+
+/**
+ * ProvenanceCode: Check changed files against the decision path policy
+ * Usage: node tools/check-policy.js [files...] [--diff <range>] [--title <text>] [--body <text>]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { loadYamlFile } = require('./lib/yaml');
+const { matchesGlob, matchesAny, normalizePath } = require('./lib/glob');
+
+// Configuration
+const DECISIONS_DIR = 'provenance/decisions';
+const POLICY_PATH = 'provenance/policies/require-decision-on-paths.yml';
+
+// Colors
+const colors = {
+  reset: '\x1b[0m',
+  red: '\x1b[31m',
+  green: '\x1b[32m',
+  yellow: '\x1b[33m',
+  blue: '\x1b[34m',
+  dim: '\x1b[2m',
+};
+
+function colorize(text, color) {
+  return `${colors[color]}${text}${colors.reset}`;
+}
+
+function printUsage() {
+  console.log('Usage: node tools/check-policy.js [files...] [options]');
+  console.log('');
+  console.log('Checks whether changed files require a decision record under');
+  console.log('provenance/policies/require-decision-on-paths.yml, and whether the');
+  console.log('decisions referenced by the PR or commits satisfy the policy.');
+  console.log('');
+  console.log('Examples:');
+  console.log('  node tools/check-policy.js src/api/users.js --body "Decision: #004"');
+  console.log('  node tools/check-policy.js --diff origin/main...HEAD --title "feat: auth (#004)"');
+  console.log('  git diff --cached --name-only | node tools/check-policy.js --files - --format json');
+  console.log('');
+  console.log('Options:');
+  console.log('  --diff <range>       Read changed files (and commit messages) from git');
+  console.log('  --files <file>       Read changed files from a file, one per line (- for stdin)');
+  console.log('  --title <text>       PR title');
+  console.log('  --body <text>        PR description');
+  console.log('  --body-file <file>   Read the PR description from a file');
+  console.log('  --branch <name>      Source branch name (for exempt_branches)');
+  console.log('  --labels <a,b>       Comma-separated PR labels (for exempt_labels)');
+  console.log('  --author <login>     PR author (for exempt_authors)');
+  console.log('  --policy <path>      Use a different policy file');
+  console.log('  --format <format>    Output format: text (default), json, markdown');
+  console.log('  --help, -h           Show this help message');
+  console.log('');
+  console.log('Exit codes:');
+  console.log('  0  Policy satisfied, not applicable, or exempt');
+  console.log('  1  Policy violated and enforcement.block_merge is true');
+}
+
+function parseArgs(args) {
+  const valueOptions = {
+    '--diff': 'diff',
+    '--files': 'filesFrom',
+    '--title': 'title',
+    '--body': 'body',
+    '--body-file': 'bodyFile',
+    '--branch': 'branch',
+    '--labels': 'labels',
+    '--author': 'author',
+    '--policy': 'policy',
+    '--format': 'format',
+  };
+  const options = { files: [], help: false };
+  
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    
+    if (arg === '--help' || arg === '-h') {
+      options.help = true;
+    } else if (arg in valueOptions) {
+      if (i + 1 >= args.length) {
+        throw new Error(`Missing value for ${arg}`);
+      }
+      options[valueOptions[arg]] = args[++i];
+    } else if (arg.startsWith('-') && arg !== '-') {
+      throw new Error(`Unknown option: ${arg}`);
+    } else {
+      options.files.push(arg);
+    }
+  }
+  
+  return options;
+}
+
+function git(args) {
+  return execFileSync('git', args, { encoding: 'utf8', stdio: ['ignore', 'pipe', 'pipe'] });
+}
+
+function readLines(text) {
+  return text.split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+}
+
+// Gather everything the policy is evaluated against
+function collectInput(options) {
+  const input = {
+    files: options.files.map(normalizePath),
+    texts: [],
+    branch: options.branch || '',
+    labels: options.labels ? options.labels.split(',').map(label => label.trim()).filter(Boolean) : [],
+    author: options.author || '',
+  };
+  
+  if (options.filesFrom) {
+    const content = options.filesFrom === '-'
+      ? fs.readFileSync(0, 'utf8')
+      : fs.readFileSync(options.filesFrom, 'utf8');
+    input.files.push(...readLines(content).map(normalizePath));
+  }
+  
+  if (options.diff) {
+    input.files.push(...readLines(git(['diff', '--name-only', options.diff])).map(normalizePath));
+    
+    // Commit messages in the range count as decision references too
+    const logRange = options.diff.replace('...', '..');
+    input.texts.push(git(['log', '--format=%B', logRange]));
+  }
+  
+  if (options.title) {
+    input.texts.push(options.title);
+  }
+  if (options.body) {
+    input.texts.push(options.body);
+  }
+  if (options.bodyFile) {
+    input.texts.push(fs.readFileSync(options.bodyFile, 'utf8'));
+  }
+  
+  input.files = Array.from(new Set(input.files));
+  return input;
+}
+
+// Extract decision numbers (e.g. "004") from text using the policy patterns
+function findDecisionReferences(texts, patterns) {
+  const references = [];
+  
+  for (const text of texts) {
+    for (const entry of patterns) {
+      const source = typeof entry === 'string' ? entry : entry.pattern;
+      if (!source) {
+        continue;
+      }
+      
+      for (const match of text.matchAll(new RegExp(source, 'g'))) {
+        const number = match[0].match(/\d+/);
+        if (number && !references.includes(number[0])) {
+          references.push(number[0]);
+        }
+      }
+    }
+  }
+  
+  return references;
+}
+
+function findDecisionDirs(reference) {
+  if (!fs.existsSync(DECISIONS_DIR)) {
+    return [];
+  }
+  
+  const number = parseInt(reference, 10);
+  return fs.readdirSync(DECISIONS_DIR, { withFileTypes: true })
+    .filter(dir => dir.isDirectory() && dir.name !== 'TEMPLATE')
+    .map(dir => dir.name)
+    .filter(name => {
+      const match = name.match(/^(\d+)-/);
+      return (match && parseInt(match[1], 10) === number) || name === reference;
+    })
+    .sort();
+}
+
+function daysSince(date, now) {
+  const then = new Date(`${date}T00:00:00Z`);
+  if (isNaN(then.getTime())) {
+    return null;
+  }
+  return Math.floor((now.getTime() - then.getTime()) / (24 * 60 * 60 * 1000));
+}
+
+function hasEvidence(decisionPath, data) {
+  const evidenceDir = path.join(decisionPath, 'evidence');
+  const files = fs.existsSync(evidenceDir)
+    ? fs.readdirSync(evidenceDir).filter(name => name !== 'README.md')
+    : [];
+  return files.length > 0 || Boolean(data.evidence && Object.keys(data.evidence).length > 0);
+}
+
+// Check one referenced decision against the validation block
+function checkDecision(reference, validation, now) {
+  const result = { reference, id: null, path: null, status: null, data: null, valid: false, problems: [] };
+  const dirs = findDecisionDirs(reference);
+  
+  if (dirs.length === 0) {
+    if (validation.verify_decision_exists !== false) {
+      result.problems.push(`Decision #${reference} not found in ${DECISIONS_DIR}`);
+    } else {
+      result.valid = true;
+    }
+    return result;
+  }
+  
+  if (dirs.length > 1) {
+    result.problems.push(`Decision #${reference} is ambiguous: ${dirs.join(', ')}`);
+  }
+  
+  result.id = dirs[0];
+  result.path = path.join(DECISIONS_DIR, dirs[0]);
+  
+  const jsonPath = path.join(result.path, 'decision.json');
+  if (!fs.existsSync(jsonPath)) {
+    result.problems.push(`${result.id} is missing decision.json`);
+    return result;
+  }
+  
+  try {
+    result.data = JSON.parse(fs.readFileSync(jsonPath, 'utf8'));
+  } catch (e) {
+    result.problems.push(`${result.id} has invalid decision.json: ${e.message}`);
+    return result;
+  }
+  
+  const data = result.data;
+  result.status = data.status || null;
+  
+  const disallowed = validation.disallow_status || [];
+  const required = validation.required_status || [];
+  if (disallowed.includes(data.status)) {
+    result.problems.push(`${result.id} has disallowed status "${data.status}"`);
+  } else if (required.length > 0 && !required.includes(data.status)) {
+    result.problems.push(`${result.id} has status "${data.status}", expected ${required.join(' or ')}`);
+  }
+  
+  const maxAge = Number(validation.max_decision_age_days) || 0;
+  if (maxAge > 0) {
+    const age = daysSince(data.date, now);
+    if (age === null) {
+      result.problems.push(`${result.id} has no valid date to check its age`);
+    } else if (age > maxAge) {
+      result.problems.push(`${result.id} is ${age} days old (max ${maxAge})`);
+    }
+  }
+  
+  if (validation.require_evidence && !hasEvidence(result.path, data)) {
+    result.problems.push(`${result.id} has no evidence`);
+  }
+  
+  result.valid = result.problems.length === 0;
+  return result;
+}
+
+function listEvidenceFiles(decisionPath, dir = path.join(decisionPath, 'evidence')) {
+  if (!fs.existsSync(dir)) {
+    return [];
+  }
+  
+  const files = [];
+  for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+    const entryPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      files.push(...listEvidenceFiles(decisionPath, entryPath));
+    } else {
+      files.push(normalizePath(path.relative(path.join(decisionPath, 'evidence'), entryPath)));
+    }
+  }
+  return files;
+}
+
+function isFilled(value) {
+  if (Array.isArray(value)) {
+    return value.length > 0;
+  }
+  if (value && typeof value === 'object') {
+    return Object.keys(value).length > 0;
+  }
+  return value !== undefined && value !== null && String(value).trim() !== '';
+}
+
+// Sections with fields that must be filled in for the section to count
+const SECTION_REQUIREMENTS = {
+  migration: { path: ['implementation', 'migration'], fields: ['steps', 'rollback'] },
+};
+
+function findSection(data, name) {
+  const known = SECTION_REQUIREMENTS[name];
+  if (known) {
+    return known.path.reduce((value, key) => (value && typeof value === 'object' ? value[key] : undefined), data);
+  }
+  if (data.implementation && name in data.implementation) {
+    return data.implementation[name];
+  }
+  return data[name];
+}
+
+// Return the reasons a decision fails one custom rule's requirements
+function checkCustomRequirements(requirements, decision) {
+  const reasons = [];
+  const data = decision.data;
+  
+  const requiredTags = requirements.decision_tags_must_include || [];
+  const tags = (data.metadata && data.metadata.tags) || [];
+  const missingTags = requiredTags.filter(tag => !tags.includes(tag));
+  if (missingTags.length > 0) {
+    reasons.push(`metadata.tags is missing: ${missingTags.join(', ')}`);
+  }
+  
+  const sections = [].concat(requirements.decision_must_have_section || []);
+  for (const name of sections) {
+    const section = findSection(data, name);
+    const known = SECTION_REQUIREMENTS[name];
+    
+    if (!isFilled(section)) {
+      reasons.push(`missing section: ${known ? known.path.join('.') : name}`);
+    } else if (known) {
+      const missingFields = known.fields.filter(fieldName => !isFilled(section[fieldName]));
+      if (missingFields.length > 0) {
+        reasons.push(`${known.path.join('.')} is missing: ${missingFields.join(', ')}`);
+      }
+    }
+  }
+  
+  const requiredEvidence = requirements.evidence_must_include || [];
+  if (requiredEvidence.length > 0) {
+    const files = listEvidenceFiles(decision.path);
+    const missingEvidence = requiredEvidence.filter(required =>
+      !files.some(file => file === required || path.posix.basename(file) === required || matchesGlob(file, required))
+    );
+    if (missingEvidence.length > 0) {
+      reasons.push(`evidence/ is missing: ${missingEvidence.join(', ')}`);
+    }
+  }
+  
+  return reasons;
+}
+
+/**
+ * Evaluate custom_rules for the changed files. A rule passes when at least one
+ * referenced decision meets all of its requirements.
+ */
+function evaluateCustomRules(rules, files, decisions) {
+  const results = [];
+  
+  for (const rule of rules || []) {
+    const matchedFiles = files.filter(file => matchesAny(file, rule.paths));
+    if (matchedFiles.length === 0) {
+      continue;
+    }
+    
+    const result = { name: rule.name, files: matchedFiles, passed: false, satisfiedBy: null, failures: [] };
+    const candidates = decisions.filter(decision => decision.data);
+    
+    if (candidates.length === 0) {
+      result.failures.push({ decision: null, reasons: ['no referenced decision to check'] });
+    }
+    
+    for (const decision of candidates) {
+      const reasons = checkCustomRequirements(rule.requirements || {}, decision);
+      if (reasons.length === 0) {
+        result.passed = true;
+        result.satisfiedBy = decision.id;
+        result.failures = [];
+        break;
+      }
+      result.failures.push({ decision: decision.id, reasons });
+    }
+    
+    results.push(result);
+  }
+  
+  return results;
+}
+
+function findExemption(policy, input) {
+  const exemptions = policy.exemptions || {};
+  
+  if (input.branch && matchesAny(input.branch, exemptions.exempt_branches)) {
+    return `branch "${input.branch}" is exempt`;
+  }
+  
+  const label = input.labels.find(name => (exemptions.exempt_labels || []).includes(name));
+  if (label) {
+    return `label "${label}" is exempt`;
+  }
+  
+  if (input.author && (exemptions.exempt_authors || []).includes(input.author)) {
+    return `author "${input.author}" is exempt`;
+  }
+  
+  return null;
+}
+
+/**
+ * Evaluate the path policy against a set of changed files and PR metadata.
+ * Returns a verdict object; nothing is printed.
+ */
+function evaluatePolicy(policy, input, now = new Date()) {
+  const verdict = {
+    policy: policy.name || 'require-decision-on-paths',
+    enabled: policy.enabled !== false,
+    changedFiles: input.files,
+    exempt: false,
+    exemptReason: null,
+    exemptFiles: [],
+    protectedChanges: [],
+    customRules: [],
+    requiresDecision: false,
+    references: [],
+    decisions: [],
+    violations: [],
+    passed: true,
+    blocking: false,
+    comment: null,
+  };
+  
+  if (!verdict.enabled) {
+    return verdict;
+  }
+  
+  const alwaysExempt = (policy.exemptions || {}).always_exempt || [];
+  
+  for (const file of input.files) {
+    if (matchesAny(file, alwaysExempt)) {
+      verdict.exemptFiles.push(file);
+      continue;
+    }
+    
+    for (const rule of policy.protected_paths || []) {
+      if (!matchesGlob(file, rule.path)) {
+        continue;
+      }
+      if (matchesAny(file, rule.exemptions)) {
+        verdict.exemptFiles.push(file);
+        continue;
+      }
+      verdict.protectedChanges.push({ file, path: rule.path, reason: rule.reason || '' });
+    }
+  }
+  
+  // Paths covered by a custom rule need a decision even outside protected_paths
+  const candidateFiles = input.files.filter(file => !matchesAny(file, alwaysExempt));
+  const customRulePaths = (policy.custom_rules || []).flatMap(rule => rule.paths || []);
+  const customRuleChanges = candidateFiles.filter(file => matchesAny(file, customRulePaths));
+  
+  verdict.requiresDecision = verdict.protectedChanges.length > 0 || customRuleChanges.length > 0;
+  if (!verdict.requiresDecision) {
+    return verdict;
+  }
+  
+  verdict.exemptReason = findExemption(policy, input);
+  if (verdict.exemptReason) {
+    verdict.exempt = true;
+    return verdict;
+  }
+  
+  verdict.references = findDecisionReferences(input.texts, policy.decision_reference_patterns || []);
+  verdict.decisions = verdict.references.map(reference => checkDecision(reference, policy.validation || {}, now));
+  
+  // Stray "#123" issue links are common; one valid decision satisfies the policy
+  if (verdict.references.length === 0) {
+    verdict.violations.push('No decision record referenced');
+  } else if (!verdict.decisions.some(decision => decision.valid)) {
+    verdict.violations.push('No referenced decision satisfies the policy');
+  }
+  
+  verdict.customRules = evaluateCustomRules(policy.custom_rules, candidateFiles, verdict.decisions);
+  for (const rule of verdict.customRules.filter(result => !result.passed)) {
+    verdict.violations.push(`Custom rule "${rule.name}" failed`);
+  }
+  
+  verdict.passed = verdict.violations.length === 0;
+  verdict.blocking = !verdict.passed && (policy.enforcement || {}).block_merge !== false;
+  
+  if (!verdict.passed) {
+    verdict.comment = renderComment(policy, verdict);
+  }
+  
+  return verdict;
+}
+
+function renderTemplate(template, vars) {
+  return template.replace(/\{\{\s*([a-z0-9_]+)\s*\}\}/gi, (match, key) =>
+    key in vars ? String(vars[key]) : match
+  );
+}
+
+function renderComment(policy, verdict) {
+  const template = (policy.enforcement || {}).comment_template;
+  if (!template) {
+    return null;
+  }
+  
+  const reasons = new Map();
+  for (const change of verdict.protectedChanges) {
+    reasons.set(change.path, change.reason);
+  }
+  
+  const problems = verdict.decisions.flatMap(decision => decision.problems);
+  for (const rule of verdict.customRules.filter(result => !result.passed)) {
+    for (const failure of rule.failures) {
+      const subject = failure.decision ? `${rule.name} (${failure.decision})` : rule.name;
+      problems.push(`${subject}: ${failure.reasons.join('; ')}`);
+    }
+  }
+  
+  const modified = verdict.protectedChanges.map(change => `- \`${change.file}\` (${change.path})`);
+  const listed = new Set(verdict.protectedChanges.map(change => change.file));
+  for (const rule of verdict.customRules) {
+    rule.files.filter(file => !listed.has(file)).forEach(file => {
+      listed.add(file);
+      modified.push(`- \`${file}\` (custom rule: ${rule.name})`);
+    });
+  }
+  
+  const vars = {
+    modified_paths: modified.join('\n'),
+    path_reasons: Array.from(reasons).map(([pattern, reason]) => `- \`${pattern}\`: ${reason}`).join('\n'),
+    violations: verdict.violations.concat(problems).map(violation => `- ${violation}`).join('\n'),
+    references: verdict.references.map(reference => `#${reference}`).join(', ') || 'none',
+  };
+  
+  return renderTemplate(template, vars).trimEnd() + '\n';
+}
+
+function printVerdict(verdict) {
+  console.log(colorize(`🏛️  Policy: ${verdict.policy}`, 'blue'));
+  
+  if (!verdict.enabled) {
+    console.log(colorize('  ℹ️  Policy is disabled', 'dim'));
+    return;
+  }
+  
+  console.log(`  Changed files: ${verdict.changedFiles.length}, protected: ${verdict.protectedChanges.length}`);
+  
+  if (verdict.protectedChanges.length > 0) {
+    console.log(colorize('  Protected paths modified:', 'yellow'));
+    verdict.protectedChanges.forEach(change => console.log(`     - ${change.file} ${colorize(`(${change.path})`, 'dim')}`));
+  }
+  
+  if (verdict.exempt) {
+    console.log(colorize(`  ✅ Exempt: ${verdict.exemptReason}`, 'green'));
+    return;
+  }
+  
+  if (verdict.requiresDecision) {
+    const references = verdict.references.map(reference => `#${reference}`).join(', ');
+    console.log(`  Decision references: ${references || colorize('none', 'yellow')}`);
+    
+    for (const decision of verdict.decisions) {
+      if (decision.valid) {
+        console.log(colorize(`  ✅ ${decision.id || `#${decision.reference}`}${decision.status ? ` (${decision.status})` : ''}`, 'green'));
+      } else {
+        decision.problems.forEach(problem => console.log(colorize(`  ❌ ${problem}`, 'red')));
+      }
+    }
+  }
+  
+  for (const rule of verdict.customRules) {
+    if (rule.passed) {
+      console.log(colorize(`  ✅ Custom rule ${rule.name} (${rule.satisfiedBy})`, 'green'));
+      continue;
+    }
+    console.log(colorize(`  ❌ Custom rule ${rule.name}`, 'red'));
+    for (const failure of rule.failures) {
+      const prefix = failure.decision ? `${failure.decision}: ` : '';
+      failure.reasons.forEach(reason => console.log(colorize(`     - ${prefix}${reason}`, 'red')));
+    }
+  }
+  
+  if (verdict.passed) {
+    console.log(colorize(verdict.requiresDecision ? '\n✅ Decision policy satisfied' : '\n✅ No protected paths modified', 'green'));
+  } else {
+    verdict.violations.forEach(violation => console.log(colorize(`\n❌ ${violation}`, 'red')));
+    if (!verdict.blocking) {
+      console.log(colorize('⚠️  enforcement.block_merge is false, not blocking', 'yellow'));
+    }
+  }
+}
+
+function main() {
+  let options;
+  try {
+    options = parseArgs(process.argv.slice(2));
+  } catch (e) {
+    console.error(colorize(`❌ ${e.message}`, 'red'));
+    process.exit(1);
+  }
+  
+  if (options.help) {
+    printUsage();
+    process.exit(0);
+  }
+  
+  const format = options.format || 'text';
+  if (!['text', 'json', 'markdown'].includes(format)) {
+    console.error(colorize(`❌ Unknown format: ${format}`, 'red'));
+    process.exit(1);
+  }
+  
+  const policyPath = options.policy || POLICY_PATH;
+  if (!fs.existsSync(policyPath)) {
+    console.error(colorize(`❌ Policy not found: ${policyPath}`, 'red'));
+    process.exit(1);
+  }
+  
+  let policy;
+  let input;
+  try {
+    policy = loadYamlFile(policyPath);
+    input = collectInput(options);
+  } catch (e) {
+    console.error(colorize(`❌ ${e.message}`, 'red'));
+    process.exit(1);
+  }
+  
+  const verdict = evaluatePolicy(policy, input);
+  
+  if (format === 'json') {
+    const output = Object.assign({}, verdict, {
+      decisions: verdict.decisions.map(decision => {
+        const { data, ...rest } = decision;
+        return rest;
+      }),
+    });
+    console.log(JSON.stringify(output, null, 2));
+  } else if (format === 'markdown') {
+    if (verdict.comment) {
+      process.stdout.write(verdict.comment);
+    }
+  } else {
+    printVerdict(verdict);
+  }
+  
+  process.exit(verdict.blocking ? 1 : 0);
+}
+
+main();
@@ -0,0 +1,170 @@
+#!/usr/bin/env node
+
+/**
+ * ProvenanceCode: Compile accepted decisions into AI assistant rule files
+ * Usage: node tools/compile-ai-rules.js [--target cursor|copilot|claude] [--check] [--dry-run]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { loadYamlFile } = require('./lib/yaml');
+const { loadDecisionRecords } = require('./lib/decision-graph');
+const { TARGETS, planTarget } = require('./lib/ai-rules');
+
+// Configuration
+const DECISIONS_DIR = 'provenance/decisions';
+const CONFIG_PATH = 'provenance/config.yml';
+
+// Colors
+const colors = {
+  reset: '\x1b[0m',
+  red: '\x1b[31m',
+  green: '\x1b[32m',
+  yellow: '\x1b[33m',
+  blue: '\x1b[34m',
+  dim: '\x1b[2m',
+};
+
+function colorize(text, color) {
+  return `${colors[color]}${text}${colors.reset}`;
+}
+
+function printUsage() {
+  console.log('Usage: node tools/compile-ai-rules.js [options]');
+  console.log('');
+  console.log('Writes rule files for AI assistants from the accepted and implemented decisions:');
+  console.log('summary, constraints, scope and rejected alternatives ("Do not use X"), each');
+  console.log('cited by decision ID. Decisions whose implementation.components name paths get');
+  console.log('their own glob-scoped rule where the assistant supports it.');
+  console.log('');
+  console.log('  cursor   .cursor/rules/provenance-decisions.mdc, .cursor/rules/decision-<id>.mdc');
+  console.log('  copilot  .github/copilot-instructions.md, .github/instructions/decision-<id>.instructions.md');
+  console.log('  claude   CLAUDE.md');
+  console.log('');
+  console.log('In copilot-instructions.md and CLAUDE.md only the generated block is replaced.');
+  console.log('');
+  console.log('Examples:');
+  console.log('  node tools/compile-ai-rules.js');
+  console.log('  node tools/compile-ai-rules.js --target cursor --dry-run');
+  console.log('  node tools/compile-ai-rules.js --check');
+  console.log('');
+  console.log('Options:');
+  console.log('  --target <name>    Only this target (repeatable, or comma-separated; default: ai_rules.targets)');
+  console.log('  --check            Exit with status 1 if compiled files are out of date; write nothing');
+  console.log('  --dry-run          Show what would change without writing files');
+  console.log('  --help, -h         Show this help message');
+  console.log('');
+  console.log('--check skips targets that were never compiled, unless --target names them.');
+}
+
+function getOptionValues(args, name) {
+  const values = [];
+  args.forEach((arg, i) => {
+    if (arg === name && args[i + 1] !== undefined) {
+      values.push(args[i + 1]);
+    }
+  });
+  return values;
+}
+
+function loadTargets() {
+  const config = fs.existsSync(CONFIG_PATH) ? loadYamlFile(CONFIG_PATH) || {} : {};
+  const targets = (config.ai_rules || {}).targets;
+  return Array.isArray(targets) ? targets : TARGETS;
+}
+
+function describeChange(plan) {
+  return plan.writes.map(write => ({ path: write.path, state: write.state }))
+    .concat(plan.removes.map(file => ({ path: file, state: 'obsolete' })));
+}
+
+function main() {
+  const args = process.argv.slice(2);
+  
+  // Parse options
+  const options = {
+    help: args.includes('--help') || args.includes('-h'),
+    check: args.includes('--check'),
+    dryRun: args.includes('--dry-run'),
+    targets: getOptionValues(args, '--target').flatMap(value => value.split(',')).map(target => target.trim()).filter(Boolean),
+  };
+  
+  if (options.help) {
+    printUsage();
+    process.exit(0);
+  }
+  
+  if (!fs.existsSync(DECISIONS_DIR)) {
+    console.error(colorize(`❌ Decisions directory not found: ${DECISIONS_DIR}`, 'red'));
+    process.exit(1);
+  }
+  
+  let targets;
+  try {
+    targets = options.targets.length > 0 ? options.targets : loadTargets();
+  } catch (e) {
+    console.error(colorize(`❌ ${e.message}`, 'red'));
+    process.exit(1);
+  }
+  const unknown = targets.filter(target => !TARGETS.includes(target));
+  if (unknown.length > 0) {
+    console.error(colorize(`❌ Unknown target: ${unknown.join(', ')} (use ${TARGETS.join(', ')})`, 'red'));
+    process.exit(1);
+  }
+  
+  const records = loadDecisionRecords(DECISIONS_DIR);
+  const plans = targets.map(target => planTarget(target, records, '.'));
+  
+  if (options.check) {
+    let stale = false;
+    for (const plan of plans) {
+      if (!plan.compiled && options.targets.length === 0) {
+        console.log(colorize(`   ${plan.target}: not compiled, skipped`, 'dim'));
+        continue;
+      }
+      const changes = describeChange(plan);
+      if (changes.length === 0) {
+        console.log(colorize(`✅ ${plan.target}: up to date`, 'green'));
+        continue;
+      }
+      stale = true;
+      console.log(colorize(`❌ ${plan.target}: out of date with the decisions`, 'red'));
+      changes.forEach(change => console.log(colorize(`   - ${change.path} (${change.state})`, 'red')));
+    }
+    if (stale) {
+      console.log('');
+      console.log(colorize('Run node tools/compile-ai-rules.js and commit the result', 'yellow'));
+    }
+    process.exit(stale ? 1 : 0);
+  }
+  
+  let changed = 0;
+  for (const plan of plans) {
+    const changes = describeChange(plan);
+    console.log(colorize(`🤖 ${plan.target}${options.dryRun ? ' (dry run)' : ''}`, 'blue'));
+    if (changes.length === 0) {
+      console.log(colorize('  ✅ up to date', 'green'));
+      continue;
+    }
+    for (const write of plan.writes) {
+      if (!options.dryRun) {
+        fs.mkdirSync(path.dirname(write.path), { recursive: true });
+        fs.writeFileSync(write.path, write.content);
+      }
+      console.log(colorize(`  ✅ ${write.path}`, 'green') + colorize(` (${write.state === 'missing' ? 'created' : 'updated'})`, 'dim'));
+    }
+    for (const file of plan.removes) {
+      if (!options.dryRun) {
+        fs.unlinkSync(file);
+      }
+      console.log(colorize(`  🗑️  ${file}`, 'yellow') + colorize(' (no longer generated)', 'dim'));
+    }
+    changed += changes.length;
+  }
+  
+  if (options.dryRun && changed > 0) {
+    console.log(colorize('\nNo files written (--dry-run)', 'yellow'));
+  }
+}
+
+main();
@@ -0,0 +1,231 @@
+#!/usr/bin/env node
+
+/**
+ * ProvenanceCode: Export the decision graph as Mermaid or Graphviz DOT
+ * Usage: node tools/decision-graph.js [--format mermaid|dot] [--tag <tag>] [--owner <name>]
+ */
+
+const fs = require('fs');
+const { loadDecisionRecords, buildDecisionGraph } = require('./lib/decision-graph');
+
+// Configuration
+const DECISIONS_DIR = 'provenance/decisions';
+
+// Colors
+const colors = {
+  reset: '\x1b[0m',
+  red: '\x1b[31m',
+  green: '\x1b[32m',
+  yellow: '\x1b[33m',
+  blue: '\x1b[34m',
+  dim: '\x1b[2m',
+};
+
+function colorize(text, color) {
+  return `${colors[color]}${text}${colors.reset}`;
+}
+
+// Node colours per status: fill, border, text
+const STATUS_STYLES = {
+  proposed: { fill: '#fef3c7', stroke: '#d97706', color: '#78350f' },
+  accepted: { fill: '#dcfce7', stroke: '#16a34a', color: '#14532d' },
+  implemented: { fill: '#dbeafe', stroke: '#2563eb', color: '#1e3a8a' },
+  deprecated: { fill: '#f3f4f6', stroke: '#6b7280', color: '#374151' },
+  superseded: { fill: '#ede9fe', stroke: '#7c3aed', color: '#4c1d95' },
+  rejected: { fill: '#fee2e2', stroke: '#dc2626', color: '#7f1d1d' },
+  unknown: { fill: '#ffffff', stroke: '#9ca3af', color: '#111827' },
+};
+
+function printUsage() {
+  console.log('Usage: node tools/decision-graph.js [options]');
+  console.log('');
+  console.log('Renders decisions and their relatedDecisions links as a diagram.');
+  console.log('');
+  console.log('Examples:');
+  console.log('  node tools/decision-graph.js > decisions.mmd');
+  console.log('  node tools/decision-graph.js --format dot | dot -Tsvg > decisions.svg');
+  console.log('  node tools/decision-graph.js --tag database --tag api');
+  console.log('  node tools/decision-graph.js --owner "Platform Team" --output docs/decisions.mmd');
+  console.log('');
+  console.log('Options:');
+  console.log('  --format <format>  Output format: mermaid (default), dot');
+  console.log('  --tag <tag>        Only decisions with this metadata.tags entry (repeatable, or comma-separated)');
+  console.log('  --owner <name>     Only decisions whose metadata.owner matches (case-insensitive)');
+  console.log('  --output <file>    Write to a file instead of stdout');
+  console.log('  --help, -h         Show this help message');
+}
+
+function getOptionValues(args, name) {
+  const values = [];
+  args.forEach((arg, i) => {
+    if (arg === name && args[i + 1] !== undefined) {
+      values.push(args[i + 1]);
+    }
+  });
+  return values;
+}
+
+function filterNodes(graph, filters) {
+  const tags = filters.tags.map(tag => tag.toLowerCase());
+  const owner = filters.owner ? filters.owner.toLowerCase() : null;
+  
+  return Array.from(graph.nodes.values()).filter(node => {
+    if (tags.length > 0 && !node.tags.some(tag => tags.includes(String(tag).toLowerCase()))) {
+      return false;
+    }
+    if (owner && String(node.owner || '').toLowerCase() !== owner) {
+      return false;
+    }
+    return true;
+  });
+}
+
+/**
+ * Collect the edges to draw between the selected nodes. supersededBy is drawn
+ * as the matching supersedes edge, and relatedTo pairs are drawn once.
+ */
+function collectEdges(graph, ids) {
+  const edges = [];
+  const seen = new Set();
+  
+  const add = (from, to, kind) => {
+    const key = kind === 'related' ? `${kind}:${[from, to].sort().join('|')}` : `${kind}:${from}|${to}`;
+    if (!seen.has(key)) {
+      seen.add(key);
+      edges.push({ from, to, kind });
+    }
+  };
+  
+  for (const edge of graph.edges) {
+    if (!edge.to || edge.to === edge.from || !ids.has(edge.from) || !ids.has(edge.to)) {
+      continue;
+    }
+    
+    if (edge.type === 'dependsOn') {
+      add(edge.from, edge.to, 'depends-on');
+    } else if (edge.type === 'supersedes') {
+      add(edge.from, edge.to, 'supersedes');
+    } else if (edge.type === 'supersededBy') {
+      add(edge.to, edge.from, 'supersedes');
+    } else {
+      add(edge.from, edge.to, 'related');
+    }
+  }
+  
+  return edges;
+}
+
+function statusKey(node) {
+  return STATUS_STYLES[node.status] ? node.status : 'unknown';
+}
+
+function mermaidId(id) {
+  return 'd_' + id.replace(/[^A-Za-z0-9_]/g, '_');
+}
+
+function mermaidLabel(text) {
+  return String(text).replace(/"/g, '#quot;').replace(/</g, '#lt;').replace(/>/g, '#gt;');
+}
+
+function renderMermaid(nodes, edges) {
+  const arrows = {
+    'depends-on': '-->',
+    supersedes: '==>',
+    related: '-.-',
+  };
+  const lines = ['flowchart LR'];
+  
+  for (const node of nodes) {
+    lines.push(`  ${mermaidId(node.id)}["${mermaidLabel(node.id)}<br/>${mermaidLabel(node.title)}"]:::${statusKey(node)}`);
+  }
+  
+  for (const edge of edges) {
+    lines.push(`  ${mermaidId(edge.from)} ${arrows[edge.kind]}|${edge.kind}| ${mermaidId(edge.to)}`);
+  }
+  
+  const statuses = Array.from(new Set(nodes.map(statusKey)));
+  for (const status of statuses) {
+    const style = STATUS_STYLES[status];
+    lines.push(`  classDef ${status} fill:${style.fill},stroke:${style.stroke},color:${style.color}`);
+  }
+  
+  return lines.join('\n') + '\n';
+}
+
+function dotString(text) {
+  return `"${String(text).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`;
+}
+
+function renderDot(nodes, edges) {
+  const edgeStyles = {
+    'depends-on': '',
+    supersedes: ', style=bold',
+    related: ', style=dashed, dir=none',
+  };
+  const lines = [
+    'digraph decisions {',
+    '  rankdir=LR;',
+    '  node [shape=box, style="rounded,filled", fontname="Helvetica"];',
+    '  edge [fontname="Helvetica", fontsize=10];',
+  ];
+  
+  for (const node of nodes) {
+    const style = STATUS_STYLES[statusKey(node)];
+    const label = `${node.id}\n${node.title}${node.status ? `\n(${node.status})` : ''}`;
+    lines.push(`  ${dotString(node.id)} [label=${dotString(label)}, fillcolor="${style.fill}", color="${style.stroke}", fontcolor="${style.color}"];`);
+  }
+  
+  for (const edge of edges) {
+    lines.push(`  ${dotString(edge.from)} -> ${dotString(edge.to)} [label="${edge.kind}"${edgeStyles[edge.kind]}];`);
+  }
+  
+  lines.push('}');
+  return lines.join('\n') + '\n';
+}
+
+function main() {
+  const args = process.argv.slice(2);
+  
+  // Parse options
+  const options = {
+    help: args.includes('--help') || args.includes('-h'),
+    format: getOptionValues(args, '--format').pop() || 'mermaid',
+    tags: getOptionValues(args, '--tag').flatMap(value => value.split(',')).map(tag => tag.trim()).filter(Boolean),
+    owner: getOptionValues(args, '--owner').pop(),
+    output: getOptionValues(args, '--output').pop(),
+  };
+  
+  if (options.help) {
+    printUsage();
+    process.exit(0);
+  }
+  
+  if (!['mermaid', 'dot'].includes(options.format)) {
+    console.error(colorize(`❌ Unknown format: ${options.format}`, 'red'));
+    process.exit(1);
+  }
+  
+  if (!fs.existsSync(DECISIONS_DIR)) {
+    console.error(colorize(`❌ Decisions directory not found: ${DECISIONS_DIR}`, 'red'));
+    process.exit(1);
+  }
+  
+  const graph = buildDecisionGraph(loadDecisionRecords(DECISIONS_DIR));
+  const nodes = filterNodes(graph, options);
+  const edges = collectEdges(graph, new Set(nodes.map(node => node.id)));
+  
+  if (nodes.length === 0) {
+    console.error(colorize('⚠️  No decisions match the filters', 'yellow'));
+  }
+  
+  const output = options.format === 'dot' ? renderDot(nodes, edges) : renderMermaid(nodes, edges);
+  
+  if (options.output) {
+    fs.writeFileSync(options.output, output);
+    console.error(colorize(`✅ Wrote ${nodes.length} decisions and ${edges.length} links to ${options.output}`, 'green'));
+  } else {
+    process.stdout.write(output);
+  }
+}
+
+main();
@@ -0,0 +1,232 @@
+#!/usr/bin/env node
+
+/**
+ * ProvenanceCode: Show how a decision changed across git revisions
+ * Usage: node tools/decision-history.js <decision-id> [--from <rev>] [--to <rev>] [--format text|json] [--strict]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { loadYamlFile } = require('./lib/yaml');
+const { loadDecisionRecords, buildDecisionGraph } = require('./lib/decision-graph');
+const { SUBSTANTIVE_FIELDS, diffDecisions, unloggedFields, readFileHistory, readJsonAt, readJsonFile, repoPath } = require('./lib/decision-diff');
+
+// Configuration
+const DECISIONS_DIR = 'provenance/decisions';
+const CONFIG_PATH = 'provenance/config.yml';
+
+const WORKING_TREE = 'working tree';
+
+// Colors
+const colors = {
+  reset: '\x1b[0m',
+  red: '\x1b[31m',
+  green: '\x1b[32m',
+  yellow: '\x1b[33m',
+  blue: '\x1b[34m',
+  dim: '\x1b[2m',
+};
+
+function colorize(text, color) {
+  return `${colors[color]}${text}${colors.reset}`;
+}
+
+function printUsage() {
+  console.log('Usage: node tools/decision-history.js <decision-id> [options]');
+  console.log('');
+  console.log('Walks the git history of a decision\'s decision.json and shows what each');
+  console.log('revision changed, field by field: "status: proposed → accepted", "added risk:');
+  console.log('...", "removed alternative: ...", "approver added: ...". Uncommitted changes');
+  console.log('are shown as the working tree. Revisions that changed substantive fields');
+  console.log('without adding an updates[] entry are flagged.');
+  console.log('');
+  console.log('Examples:');
+  console.log('  node tools/decision-history.js 003-use-postgresql');
+  console.log('  node tools/decision-history.js 003 --from main');
+  console.log('  node tools/decision-history.js 003 --from v1.0 --to v2.0 --format json');
+  console.log('');
+  console.log('Options:');
+  console.log('  --from <rev>       Diff this revision against --to instead of listing the history');
+  console.log('  --to <rev>         End of the diff (default: the working tree)');
+  console.log('  --format <format>  Output format: text (default), json');
+  console.log('  --strict           Exit with status 1 if a change is missing its updates[] entry');
+  console.log('  --help, -h         Show this help message');
+  console.log('');
+  console.log(`Substantive fields are history.substantive_fields in ${CONFIG_PATH}.`);
+}
+
+function getOptionValue(args, name) {
+  const index = args.indexOf(name);
+  return index !== -1 ? args[index + 1] : undefined;
+}
+
+function loadSubstantiveFields() {
+  const config = fs.existsSync(CONFIG_PATH) ? loadYamlFile(CONFIG_PATH) || {} : {};
+  const fields = (config.history || {}).substantive_fields;
+  if (fields !== undefined && !Array.isArray(fields)) {
+    throw new Error(`${CONFIG_PATH}: history.substantive_fields must be a list`);
+  }
+  return fields || SUBSTANTIVE_FIELDS;
+}
+
+// The record's decision.json at a revision; a renumbered record is looked up under its older names too
+function readRevision(revision, names) {
+  if (revision === WORKING_TREE) {
+    return readJsonFile(names.current);
+  }
+  for (const name of [names.root, ...names.earlier]) {
+    const result = readJsonAt(revision, name);
+    if (result.error || result.data) {
+      return result;
+    }
+  }
+  return { data: null };
+}
+
+function buildHistory(names, fields) {
+  const commits = readFileHistory(names.current);
+  const revisions = commits.map(commit => Object.assign({}, commit, readJsonAt(commit.commit, commit.path || names.root)));
+  
+  // Uncommitted changes are the newest revision
+  const working = readJsonFile(names.current);
+  const last = revisions.length > 0 ? revisions[revisions.length - 1] : null;
+  if (!last || JSON.stringify(working.data) !== JSON.stringify(last.data) || working.error) {
+    revisions.push(Object.assign({ commit: null, author: null, date: null, subject: WORKING_TREE, path: names.root }, working));
+  }
+  
+  let previous = null;
+  return revisions.map(revision => {
+    const entry = { commit: revision.commit, author: revision.author, date: revision.date, subject: revision.subject, path: revision.path };
+    if (revision.error) {
+      return Object.assign(entry, { error: revision.error, changes: [], unlogged: [] });
+    }
+    const changes = diffDecisions(previous, revision.data);
+    const unlogged = unloggedFields(previous, revision.data, changes, fields);
+    previous = revision.data;
+    return Object.assign(entry, { changes, unlogged });
+  });
+}
+
+function printChanges(changes, unlogged) {
+  if (changes.length === 0) {
+    console.log(colorize('   no field changes (formatting only)', 'dim'));
+  }
+  changes.forEach(change => console.log(`   ${change.message}`));
+  if (unlogged.length > 0) {
+    console.log(colorize(`   ⚠️  ${unlogged.join(', ')} changed without an updates[] entry`, 'yellow'));
+  }
+}
+
+function printHistory(id, file, history) {
+  console.log(colorize(`📜 History of ${id}`, 'blue') + colorize(` (${file})`, 'dim'));
+  if (history.length === 0) {
+    console.log(colorize('   No revisions found', 'dim'));
+    return;
+  }
+  for (const revision of history) {
+    console.log('');
+    const heading = revision.commit
+      ? `${colorize(revision.commit.slice(0, 7), 'yellow')}  ${revision.date.split('T')[0]}  ${revision.author}  ${revision.subject}`
+      : colorize(WORKING_TREE, 'yellow') + colorize(' (uncommitted)', 'dim');
+    console.log(heading);
+    if (revision.error) {
+      console.log(colorize(`   ❌ ${revision.error}`, 'red'));
+      continue;
+    }
+    printChanges(revision.changes, revision.unlogged);
+  }
+  
+  const flagged = history.filter(revision => revision.unlogged.length > 0).length;
+  console.log('');
+  if (flagged > 0) {
+    console.log(colorize(`⚠️  ${flagged} revision${flagged === 1 ? '' : 's'} changed substantive fields without an updates[] entry`, 'yellow'));
+    console.log(colorize('   Record them with: node tools/decision-status.js, or add an updates[] entry by hand', 'dim'));
+  } else {
+    console.log(colorize(`✅ ${history.length} revision${history.length === 1 ? '' : 's'}, every substantive change logged in updates[]`, 'green'));
+  }
+}
+
+function main() {
+  const args = process.argv.slice(2);
+  
+  // Parse options
+  const options = {
+    help: args.includes('--help') || args.includes('-h'),
+    strict: args.includes('--strict'),
+    format: getOptionValue(args, '--format') || 'text',
+    from: getOptionValue(args, '--from'),
+    to: getOptionValue(args, '--to') || WORKING_TREE,
+  };
+  
+  const valueOptions = ['--from', '--to', '--format'];
+  const reference = args.find((arg, i) => !arg.startsWith('-') && !valueOptions.includes(args[i - 1]));
+  
+  if (options.help || !reference) {
+    printUsage();
+    process.exit(options.help ? 0 : 1);
+  }
+  
+  if (!['text', 'json'].includes(options.format)) {
+    console.error(colorize(`❌ Unknown format: ${options.format}`, 'red'));
+    process.exit(1);
+  }
+  
+  if (!fs.existsSync(DECISIONS_DIR)) {
+    console.error(colorize(`❌ Decisions directory not found: ${DECISIONS_DIR}`, 'red'));
+    process.exit(1);
+  }
+  
+  let fields;
+  try {
+    fields = loadSubstantiveFields();
+  } catch (e) {
+    console.error(colorize(`❌ ${e.message}`, 'red'));
+    process.exit(1);
+  }
+  
+  const graph = buildDecisionGraph(loadDecisionRecords(DECISIONS_DIR));
+  const id = graph.resolve(reference);
+  if (!id) {
+    console.error(colorize(`❌ Decision not found: ${reference}`, 'red'));
+    process.exit(1);
+  }
+  
+  const file = path.join(graph.nodes.get(id).path, 'decision.json');
+  const root = repoPath(file);
+  if (!root) {
+    console.error(colorize('❌ Not in a git work tree', 'red'));
+    process.exit(1);
+  }
+  
+  // Diff between two revisions
+  if (options.from !== undefined) {
+    const names = { current: file, root, earlier: readFileHistory(file).map(commit => commit.path).filter(Boolean).reverse() };
+    const before = readRevision(options.from, names);
+    const after = readRevision(options.to, names);
+    const error = before.error || after.error || (!before.data && !after.data ? `${id} has no decision.json at ${options.from} or ${options.to}` : null);
+    if (error) {
+      console.error(colorize(`❌ ${error}`, 'red'));
+      process.exit(1);
+    }
+    const changes = diffDecisions(before.data, after.data);
+    const unlogged = unloggedFields(before.data, after.data, changes, fields);
+    
+    if (options.format === 'json') {
+      console.log(JSON.stringify({ decision: id, file: root, from: options.from, to: options.to, changes, unlogged }, null, 2));
+    } else {
+      console.log(colorize(`📜 ${id}: ${options.from} → ${options.to}`, 'blue'));
+      printChanges(changes, unlogged);
+    }
+    process.exit(options.strict && unlogged.length > 0 ? 1 : 0);
+  }
+  
+  const history = buildHistory({ current: file, root }, fields);
+  if (options.format === 'json') {
+    console.log(JSON.stringify({ decision: id, file: root, revisions: history }, null, 2));
+  } else {
+    printHistory(id, root, history);
+  }
+  process.exit(options.strict && history.some(revision => revision.unlogged.length > 0) ? 1 : 0);
+}
+
+main();
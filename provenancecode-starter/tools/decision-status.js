@@ -0,0 +1,464 @@
+#!/usr/bin/env node
+
+/**
+ * ProvenanceCode: Change a decision's status
+ * Usage: node tools/decision-status.js <decision-id> <new-status> [--superseded-by <id>] [--message <text>]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { loadYamlFile } = require('./lib/yaml');
+const { applyJsonToMarkdown } = require('./lib/decision-markdown');
+const { loadDecisionRecords, buildDecisionGraph } = require('./lib/decision-graph');
+const { readGitHistory, buildProvDocument, isGenerated } = require('./lib/prov');
+const { BLOCKING_STATUSES, loadTemplateFingerprints, findTemplateContent } = require('./lib/template-content');
+
+// Configuration
+const DECISIONS_DIR = 'provenance/decisions';
+const POLICY_PATH = 'provenance/policies/status-transitions.yml';
+
+// Used when the policy file is absent
+const DEFAULT_POLICY = {
+  enabled: true,
+  transitions: {
+    proposed: ['accepted', 'rejected'],
+    accepted: ['implemented', 'deprecated', 'superseded'],
+    implemented: ['deprecated', 'superseded'],
+    rejected: [],
+    deprecated: [],
+    superseded: [],
+  },
+  require_successor: ['superseded'],
+};
+
+const STATUSES = ['proposed', 'accepted', 'implemented', 'deprecated', 'superseded', 'rejected'];
+
+// Colors
+const colors = {
+  reset: '\x1b[0m',
+  red: '\x1b[31m',
+  green: '\x1b[32m',
+  yellow: '\x1b[33m',
+  blue: '\x1b[34m',
+  dim: '\x1b[2m',
+};
+
+function colorize(text, color) {
+  return `${colors[color]}${text}${colors.reset}`;
+}
+
+function printUsage() {
+  console.log('Usage: node tools/decision-status.js <decision-id> <new-status> [options]');
+  console.log('');
+  console.log('Moves a decision to a new status, following the allowed transitions in');
+  console.log(`${POLICY_PATH}. Updates decision.json (status, lastUpdated, updates[]),`);
+  console.log('the Status section of decision.md and provenancecode:status in prov.jsonld.');
+  console.log('');
+  console.log('Examples:');
+  console.log('  node tools/decision-status.js 001-use-postgresql accepted');
+  console.log('  node tools/decision-status.js 001-use-postgresql implemented -m "Rolled out to production"');
+  console.log('  node tools/decision-status.js 001-use-postgresql superseded --superseded-by 007-use-cockroachdb');
+  console.log('  node tools/decision-status.js 001-use-postgresql --list');
+  console.log('');
+  console.log('Options:');
+  console.log('  --superseded-by <id>    Successor decision; both records are updated');
+  console.log('  --message, -m <text>    Description for the updates[] entry');
+  console.log('  --author <name>         Author for the updates[] entry (default: git config user.name)');
+  console.log(`  --policy <file>         Transition policy (default: ${POLICY_PATH})`);
+  console.log('  --list                  Show the current status and allowed next statuses');
+  console.log('  --dry-run               Show what would change without writing files');
+  console.log('  --help, -h              Show this help message');
+}
+
+function getOptionValue(args, ...names) {
+  for (const name of names) {
+    const index = args.indexOf(name);
+    if (index !== -1) {
+      return args[index + 1];
+    }
+  }
+  return undefined;
+}
+
+/**
+ * Load the transition policy. Every status named in it must be one of the
+ * schema's statuses, so a typo cannot silently open or close a transition.
+ */
+function loadPolicy(policyPath, explicit) {
+  if (!fs.existsSync(policyPath)) {
+    if (explicit) {
+      throw new Error(`Policy not found: ${policyPath}`);
+    }
+    return DEFAULT_POLICY;
+  }
+  
+  const policy = loadYamlFile(policyPath) || {};
+  const transitions = policy.transitions;
+  if (!transitions || typeof transitions !== 'object' || Array.isArray(transitions)) {
+    throw new Error(`${policyPath}: "transitions" must map each status to a list of statuses`);
+  }
+  
+  for (const [from, targets] of Object.entries(transitions)) {
+    if (!STATUSES.includes(from)) {
+      throw new Error(`${policyPath}: unknown status "${from}" in transitions`);
+    }
+    if (!Array.isArray(targets)) {
+      throw new Error(`${policyPath}: transitions.${from} must be a list`);
+    }
+    const unknown = targets.find(target => !STATUSES.includes(target));
+    if (unknown !== undefined) {
+      throw new Error(`${policyPath}: unknown status "${unknown}" in transitions.${from}`);
+    }
+  }
+  
+  return {
+    enabled: policy.enabled !== false,
+    transitions,
+    require_successor: Array.isArray(policy.require_successor) ? policy.require_successor : [],
+  };
+}
+
+function allowedTransitions(policy, from) {
+  if (!policy.enabled) {
+    return STATUSES.filter(status => status !== from);
+  }
+  return policy.transitions[from] || [];
+}
+
+function getGitAuthor() {
+  try {
+    const name = execFileSync('git', ['config', 'user.name'], { encoding: 'utf8', stdio: ['ignore', 'pipe', 'ignore'] }).trim();
+    return name || null;
+  } catch (e) {
+    return null;
+  }
+}
+
+function today() {
+  return new Date().toISOString().split('T')[0];
+}
+
+/**
+ * Record a change in decision.json: lastUpdated, provenanceCode.modified and
+ * a new updates[] entry.
+ */
+function recordUpdate(data, entry, timestamp) {
+  data.lastUpdated = entry.date;
+  if (data.provenanceCode && typeof data.provenanceCode === 'object') {
+    data.provenanceCode.modified = timestamp;
+  }
+  if (!Array.isArray(data.updates)) {
+    data.updates = [];
+  }
+  data.updates.push(entry);
+}
+
+/**
+ * Set provenancecode:status and dc:modified on the decision entity in
+ * prov.jsonld. Returns the new file content, or null if no decision entity
+ * was found.
+ */
+function updateProv(provText, decisionId, status, timestamp) {
+  const prov = JSON.parse(provText);
+  const graph = Array.isArray(prov['@graph']) ? prov['@graph'] : [prov];
+  const entity = graph.find(node => node['@id'] === `decision:${decisionId}` || node['provenancecode:decisionId'] === decisionId) ||
+    graph.find(node => node['provenancecode:status'] !== undefined);
+  
+  if (!entity) {
+    return null;
+  }
+  
+  if (status !== undefined) {
+    entity['provenancecode:status'] = status;
+  }
+  if (entity['dc:modified'] && typeof entity['dc:modified'] === 'object') {
+    entity['dc:modified']['@value'] = timestamp;
+  } else {
+    entity['dc:modified'] = { '@value': timestamp, '@type': 'xsd:dateTime' };
+  }
+  
+  return JSON.stringify(prov, null, 2) + '\n';
+}
+
+// Record the superseded decision in the successor's prov:wasRevisionOf
+function addRevision(provText, successorId, supersededId) {
+  const prov = JSON.parse(provText);
+  const graph = Array.isArray(prov['@graph']) ? prov['@graph'] : [prov];
+  const entity = graph.find(node => node['@id'] === `decision:${successorId}` || node['provenancecode:decisionId'] === successorId);
+  
+  if (!entity) {
+    return provText;
+  }
+  
+  const revisionOf = [].concat(entity['prov:wasRevisionOf'] || []);
+  if (!revisionOf.some(item => item && item['@id'] === `decision:${supersededId}`)) {
+    revisionOf.push({
+      '@id': `decision:${supersededId}`,
+      '@type': 'prov:Entity',
+      'provenancecode:decisionId': supersededId,
+    });
+  }
+  entity['prov:wasRevisionOf'] = revisionOf;
+  
+  return JSON.stringify(prov, null, 2) + '\n';
+}
+
+/**
+ * Regenerate prov.jsonld when it was produced by generate-prov.js. Returns
+ * null for hand-written files, which are patched in place instead.
+ */
+function regenerateProv(provPath, node, data, graph) {
+  try {
+    if (!isGenerated(JSON.parse(fs.readFileSync(provPath, 'utf8')))) {
+      return null;
+    }
+  } catch (e) {
+    return null;
+  }
+  
+  const titles = new Map(Array.from(graph.nodes.values()).map(other => [other.id, other.title]));
+  const doc = buildProvDocument(data, { commits: readGitHistory(node.path), resolve: graph.resolve, titles });
+  return JSON.stringify(doc, null, 2) + '\n';
+}
+
+/**
+ * Work out the new content of every file touched by the change, without
+ * writing anything. Returns [{path, content, summary}].
+ */
+function planChange(node, status, options, successor, graph) {
+  const writes = [];
+  const timestamp = new Date().toISOString();
+  const date = today();
+  const data = JSON.parse(JSON.stringify(node.data));
+  const previous = data.status;
+  const mdFields = ['status', 'lastUpdated'];
+  const changes = [`Status changed from ${previous} to ${status}`];
+  
+  data.status = status;
+  
+  if (status === 'implemented' && data.approval && typeof data.approval === 'object' && !data.approval.implementationCompleted) {
+    data.approval.implementationCompleted = date;
+    mdFields.push('approval.implementationCompleted');
+    changes.push(`Implementation completed ${date}`);
+  }
+  
+  if (successor) {
+    data.relatedDecisions = Object.assign({}, data.relatedDecisions);
+    data.relatedDecisions.supersededBy = successor.id;
+    changes.push(`Superseded by ${successor.id}`);
+  }
+  
+  recordUpdate(data, {
+    date,
+    author: options.author,
+    description: options.message || (successor ? `Superseded by ${successor.id}` : `Status changed to ${status}`),
+    changes,
+  }, timestamp);
+  
+  writes.push({
+    path: path.join(node.path, 'decision.json'),
+    content: JSON.stringify(data, null, 2) + '\n',
+    summary: `status ${previous} → ${status}, updates[] entry added`,
+  });
+  
+  const mdPath = path.join(node.path, 'decision.md');
+  if (fs.existsSync(mdPath)) {
+    writes.push({
+      path: mdPath,
+      content: applyJsonToMarkdown(data, fs.readFileSync(mdPath, 'utf8'), mdFields),
+      summary: 'Status section updated',
+    });
+  }
+  
+  const provPath = path.join(node.path, 'prov.jsonld');
+  if (fs.existsSync(provPath)) {
+    const regenerated = regenerateProv(provPath, node, data, graph);
+    const content = regenerated || updateProv(fs.readFileSync(provPath, 'utf8'), node.id, status, timestamp);
+    if (content === null) {
+      console.warn(colorize(`⚠️  ${provPath}: no decision entity found, provenancecode:status not updated`, 'yellow'));
+    } else {
+      writes.push({ path: provPath, content, summary: regenerated ? 'regenerated' : 'provenancecode:status updated' });
+    }
+  }
+  
+  if (successor) {
+    const successorData = JSON.parse(JSON.stringify(successor.data));
+    successorData.relatedDecisions = Object.assign({}, successorData.relatedDecisions);
+    const supersedes = Array.isArray(successorData.relatedDecisions.supersedes) ? successorData.relatedDecisions.supersedes.slice() : [];
+    if (!supersedes.includes(node.id)) {
+      supersedes.push(node.id);
+    }
+    successorData.relatedDecisions.supersedes = supersedes;
+    
+    recordUpdate(successorData, {
+      date,
+      author: options.author,
+      description: `Supersedes ${node.id}`,
+      changes: [`Added ${node.id} to relatedDecisions.supersedes`],
+    }, timestamp);
+    
+    writes.push({
+      path: path.join(successor.path, 'decision.json'),
+      content: JSON.stringify(successorData, null, 2) + '\n',
+      summary: `supersedes ${node.id}, updates[] entry added`,
+    });
+    
+    const successorMdPath = path.join(successor.path, 'decision.md');
+    if (fs.existsSync(successorMdPath)) {
+      writes.push({
+        path: successorMdPath,
+        content: applyJsonToMarkdown(successorData, fs.readFileSync(successorMdPath, 'utf8'), ['lastUpdated']),
+        summary: 'Last Updated set',
+      });
+    }
+    
+    const successorProvPath = path.join(successor.path, 'prov.jsonld');
+    if (fs.existsSync(successorProvPath)) {
+      const regenerated = regenerateProv(successorProvPath, successor, successorData, graph);
+      const updated = regenerated || updateProv(fs.readFileSync(successorProvPath, 'utf8'), successor.id, undefined, timestamp);
+      if (updated !== null) {
+        writes.push({
+          path: successorProvPath,
+          content: regenerated || addRevision(updated, successor.id, node.id),
+          summary: `prov:wasRevisionOf ${node.id}`,
+        });
+      }
+    }
+  }
+  
+  return writes;
+}
+
+function main() {
+  const args = process.argv.slice(2);
+  
+  // Parse options
+  const options = {
+    help: args.includes('--help') || args.includes('-h'),
+    list: args.includes('--list'),
+    dryRun: args.includes('--dry-run'),
+    supersededBy: getOptionValue(args, '--superseded-by'),
+    message: getOptionValue(args, '--message', '-m'),
+    author: getOptionValue(args, '--author'),
+    policy: getOptionValue(args, '--policy'),
+  };
+  
+  const valueOptions = ['--superseded-by', '--message', '-m', '--author', '--policy'];
+  const positional = args.filter((arg, i) => !arg.startsWith('-') && !valueOptions.includes(args[i - 1]));
+  const [decisionId, newStatus] = positional;
+  
+  if (options.help || !decisionId || (!newStatus && !options.list)) {
+    printUsage();
+    process.exit(options.help ? 0 : 1);
+  }
+  
+  let policy;
+  try {
+    policy = loadPolicy(options.policy || POLICY_PATH, Boolean(options.policy));
+  } catch (e) {
+    console.error(colorize(`❌ ${e.message}`, 'red'));
+    process.exit(1);
+  }
+  
+  if (!fs.existsSync(DECISIONS_DIR)) {
+    console.error(colorize(`❌ Decisions directory not found: ${DECISIONS_DIR}`, 'red'));
+    process.exit(1);
+  }
+  
+  const graph = buildDecisionGraph(loadDecisionRecords(DECISIONS_DIR));
+  const nodeId = graph.resolve(decisionId);
+  const node = nodeId ? graph.nodes.get(nodeId) : null;
+  if (!node) {
+    console.error(colorize(`❌ Decision not found: ${decisionId}`, 'red'));
+    process.exit(1);
+  }
+  
+  const current = node.status;
+  const allowed = allowedTransitions(policy, current);
+  
+  if (options.list) {
+    console.log(colorize(`📋 ${node.id}`, 'blue'));
+    console.log(`  Current status: ${current || '(none)'}`);
+    console.log(`  Allowed next:   ${allowed.length > 0 ? allowed.join(', ') : '(none, final status)'}`);
+    process.exit(0);
+  }
+  
+  if (!STATUSES.includes(newStatus)) {
+    console.error(colorize(`❌ Unknown status: ${newStatus}`, 'red'));
+    console.error(`   Valid statuses: ${STATUSES.join(', ')}`);
+    process.exit(1);
+  }
+  
+  if (current === newStatus) {
+    console.error(colorize(`❌ ${node.id} is already ${newStatus}`, 'red'));
+    process.exit(1);
+  }
+  
+  if (!allowed.includes(newStatus)) {
+    console.error(colorize(`❌ Illegal transition for ${node.id}: ${current} → ${newStatus}`, 'red'));
+    console.error(`   Allowed from ${current}: ${allowed.length > 0 ? allowed.join(', ') : '(none, final status)'}`);
+    process.exit(1);
+  }
+  
+  let successor = null;
+  if (options.supersededBy !== undefined) {
+    if (newStatus !== 'superseded') {
+      console.error(colorize('❌ --superseded-by can only be used with the "superseded" status', 'red'));
+      process.exit(1);
+    }
+    const successorId = graph.resolve(options.supersededBy);
+    successor = successorId ? graph.nodes.get(successorId) : null;
+    if (!successor) {
+      console.error(colorize(`❌ Successor decision not found: ${options.supersededBy}`, 'red'));
+      process.exit(1);
+    }
+    if (successor.id === node.id) {
+      console.error(colorize('❌ A decision cannot supersede itself', 'red'));
+      process.exit(1);
+    }
+  } else if (policy.require_successor.includes(newStatus)) {
+    console.error(colorize(`❌ Status "${newStatus}" needs a successor: pass --superseded-by <id>`, 'red'));
+    process.exit(1);
+  }
+  
+  // A decision is only accepted once every section has been written
+  if (BLOCKING_STATUSES.includes(newStatus)) {
+    const mdPath = path.join(node.path, 'decision.md');
+    const markdown = fs.existsSync(mdPath) ? fs.readFileSync(mdPath, 'utf8') : null;
+    const leftovers = findTemplateContent(markdown, node.data, loadTemplateFingerprints(path.join(DECISIONS_DIR, 'TEMPLATE')));
+    if (leftovers.length > 0) {
+      console.error(colorize(`❌ ${node.id} cannot become ${newStatus} while it holds template content:`, 'red'));
+      leftovers.forEach(leftover => console.error(`   - ${leftover.message}`));
+      process.exit(1);
+    }
+  }
+  
+  options.author = options.author || getGitAuthor();
+  if (!options.author) {
+    console.error(colorize('❌ Could not determine the author. Set git config user.name or pass --author', 'red'));
+    process.exit(1);
+  }
+  
+  let writes;
+  try {
+    writes = planChange(node, newStatus, options, successor, graph);
+  } catch (e) {
+    console.error(colorize(`❌ ${e.message}`, 'red'));
+    process.exit(1);
+  }
+  
+  console.log(colorize(`🔁 ${node.id}: ${current} → ${newStatus}${options.dryRun ? ' (dry run)' : ''}`, 'blue'));
+  for (const write of writes) {
+    if (!options.dryRun) {
+      fs.writeFileSync(write.path, write.content);
+    }
+    console.log(colorize(`  ✅ ${write.path}`, 'green') + colorize(` (${write.summary})`, 'dim'));
+  }
+  
+  if (options.dryRun) {
+    console.log(colorize('\nNo files written (--dry-run)', 'yellow'));
+  }
+}
+
+main();
@@ -0,0 +1,178 @@
+#!/usr/bin/env node
+
+/**
+ * ProvenanceCode: Write a manifest of each record's evidence files
+ * Usage: node tools/evidence-index.js [decision-id] [--all] [--check] [--dry-run]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { INDEX_FILE, buildEvidenceIndex, renderEvidenceIndex } = require('./lib/evidence');
+
+// Configuration
+const DECISIONS_DIR = 'provenance/decisions';
+
+// Colors
+const colors = {
+  reset: '\x1b[0m',
+  red: '\x1b[31m',
+  green: '\x1b[32m',
+  yellow: '\x1b[33m',
+  blue: '\x1b[34m',
+  dim: '\x1b[2m',
+};
+
+function colorize(text, color) {
+  return `${colors[color]}${text}${colors.reset}`;
+}
+
+function printUsage() {
+  console.log('Usage: node tools/evidence-index.js [decision-id] [options]');
+  console.log('');
+  console.log(`Writes ${INDEX_FILE} for a record: every file under evidence/ with its size,`);
+  console.log('media type, SHA-256 digest and where decision.json or decision.md references');
+  console.log('it, so auditors can see exactly what backs the decision.');
+  console.log('');
+  console.log('Examples:');
+  console.log('  node tools/evidence-index.js 001-use-postgresql');
+  console.log('  node tools/evidence-index.js --all --dry-run');
+  console.log('  node tools/evidence-index.js --all --check');
+  console.log('');
+  console.log('Options:');
+  console.log('  --all          Index all decisions that have evidence files');
+  console.log('  --check        Only compare existing indexes; exit 1 if any is out of date');
+  console.log('  --dry-run      Show what would be written without writing files');
+  console.log('  --help, -h     Show this help message');
+  console.log('');
+  console.log('The index is evidence, so write it before sealing: node tools/seal-decision.js');
+  console.log('Reference and policy checks run in node tools/validate-decision.js.');
+}
+
+function readRecord(decisionPath) {
+  const data = JSON.parse(fs.readFileSync(path.join(decisionPath, 'decision.json'), 'utf8'));
+  const markdownPath = path.join(decisionPath, 'decision.md');
+  const markdown = fs.existsSync(markdownPath) ? fs.readFileSync(markdownPath, 'utf8') : null;
+  return { data, markdown };
+}
+
+function formatSize(bytes) {
+  return bytes < 1024 ? `${bytes} B` : `${(bytes / 1024).toFixed(1)} KB`;
+}
+
+function checkIndex(decisionPath, named) {
+  const name = path.basename(decisionPath);
+  const indexPath = path.join(decisionPath, INDEX_FILE);
+  if (!fs.existsSync(indexPath)) {
+    // Only a record asked for by name must have an index
+    if (named) {
+      console.log(colorize(`❌ ${name}: no ${INDEX_FILE}`, 'red'));
+      return false;
+    }
+    console.log(colorize(`   ${name}: no index`, 'dim'));
+    return true;
+  }
+  
+  const { data, markdown } = readRecord(decisionPath);
+  if (fs.readFileSync(indexPath, 'utf8') !== renderEvidenceIndex(buildEvidenceIndex(decisionPath, data, markdown))) {
+    console.log(colorize(`❌ ${name}: ${INDEX_FILE} is out of date`, 'red'));
+    return false;
+  }
+  console.log(colorize(`✅ ${name}: ${INDEX_FILE} up to date`, 'green'));
+  return true;
+}
+
+function indexOne(decisionPath, dryRun) {
+  const name = path.basename(decisionPath);
+  const indexPath = path.join(decisionPath, INDEX_FILE);
+  const { data, markdown } = readRecord(decisionPath);
+  const index = buildEvidenceIndex(decisionPath, data, markdown);
+  const content = renderEvidenceIndex(index);
+  const current = fs.existsSync(indexPath) ? fs.readFileSync(indexPath, 'utf8') : null;
+  
+  if (current === content) {
+    console.log(colorize(`✅ ${name}: ${INDEX_FILE} up to date`, 'green'));
+    return false;
+  }
+  if (!dryRun) {
+    fs.mkdirSync(path.dirname(indexPath), { recursive: true });
+    fs.writeFileSync(indexPath, content, 'utf8');
+  }
+  
+  const total = index.files.reduce((sum, file) => sum + file.size, 0);
+  console.log(colorize(`📇 ${name}: ${current === null ? 'wrote' : 'updated'} ${INDEX_FILE}`, 'green') +
+    colorize(` (${index.files.length} file${index.files.length === 1 ? '' : 's'}, ${formatSize(total)})`, 'dim'));
+  for (const file of index.files) {
+    const referenced = file.referencedBy.length > 0 ? file.referencedBy.join(', ') : colorize('not referenced', 'dim');
+    console.log(colorize(`   ${file.path}  ${formatSize(file.size)}  ${file.type}  `, 'dim') + referenced);
+  }
+  return true;
+}
+
+function main() {
+  const args = process.argv.slice(2);
+  
+  // Parse options
+  const options = {
+    all: args.includes('--all'),
+    check: args.includes('--check'),
+    dryRun: args.includes('--dry-run'),
+    help: args.includes('--help') || args.includes('-h'),
+  };
+  
+  const decisionId = args.find(arg => !arg.startsWith('-'));
+  
+  if (options.help || (!decisionId && !options.all)) {
+    printUsage();
+    process.exit(options.help ? 0 : 1);
+  }
+  
+  let decisionPaths;
+  if (options.all) {
+    if (!fs.existsSync(DECISIONS_DIR)) {
+      console.error(colorize(`❌ Decisions directory not found: ${DECISIONS_DIR}`, 'red'));
+      process.exit(1);
+    }
+    decisionPaths = fs.readdirSync(DECISIONS_DIR, { withFileTypes: true })
+      .filter(dir => dir.isDirectory() && dir.name !== 'TEMPLATE')
+      .map(dir => path.join(DECISIONS_DIR, dir.name))
+      .filter(decisionPath => fs.existsSync(path.join(decisionPath, 'evidence')));
+  } else {
+    const decisionPath = path.join(DECISIONS_DIR, decisionId);
+    if (!fs.existsSync(decisionPath)) {
+      console.error(colorize(`❌ Decision not found: ${decisionId}`, 'red'));
+      process.exit(1);
+    }
+    decisionPaths = [decisionPath];
+  }
+  
+  let ok = true;
+  let written = 0;
+  for (const decisionPath of decisionPaths) {
+    if (!fs.existsSync(path.join(decisionPath, 'decision.json'))) {
+      console.error(colorize(`❌ ${path.basename(decisionPath)}: decision.json not found`, 'red'));
+      ok = false;
+      continue;
+    }
+    
+    try {
+      if (options.check) {
+        ok = checkIndex(decisionPath, !options.all) && ok;
+      } else if (indexOne(decisionPath, options.dryRun)) {
+        written++;
+      }
+    } catch (e) {
+      console.error(colorize(`❌ ${path.basename(decisionPath)}: ${e.message}`, 'red'));
+      ok = false;
+    }
+  }
+  
+  if (options.dryRun && written > 0) {
+    console.log(colorize('\nNo files written (--dry-run)', 'yellow'));
+  } else if (written > 0) {
+    console.log(colorize('\nRe-seal sealed records: node tools/seal-decision.js <id>', 'dim'));
+  }
+  
+  process.exit(ok ? 0 : 1);
+}
+
+main();
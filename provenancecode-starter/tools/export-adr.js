@@ -0,0 +1,131 @@
+#!/usr/bin/env node
+
+/**
+ * ProvenanceCode: Export decisions as MADR files
+ * Usage: node tools/export-adr.js [decision-id...] [--output-dir <dir>] [--dry-run]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { loadDecisionRecords, buildDecisionGraph } = require('./lib/decision-graph');
+const { decisionNumber } = require('./lib/numbering');
+const { renderMadr } = require('./lib/adr');
+
+// Configuration
+const DECISIONS_DIR = 'provenance/decisions';
+const OUTPUT_DIR = 'doc/adr';
+
+// Colors
+const colors = {
+  reset: '\x1b[0m',
+  red: '\x1b[31m',
+  green: '\x1b[32m',
+  yellow: '\x1b[33m',
+  blue: '\x1b[34m',
+  dim: '\x1b[2m',
+};
+
+function colorize(text, color) {
+  return `${colors[color]}${text}${colors.reset}`;
+}
+
+function printUsage() {
+  console.log('Usage: node tools/export-adr.js [decision-id...] [options]');
+  console.log('');
+  console.log('Writes decisions as MADR 4 markdown, for ADR tooling and sites (adr-tools,');
+  console.log('log4brains, Backstage) that read doc/adr. decision.json stays the source: fields');
+  console.log('MADR has no section for (risks, migration, evidence, approvals) go under');
+  console.log('"More Information", and links between decisions point at the exported files.');
+  console.log('Without decision IDs, every decision is exported.');
+  console.log('');
+  console.log('Examples:');
+  console.log('  node tools/export-adr.js');
+  console.log('  node tools/export-adr.js 001-use-postgresql --output-dir docs/decisions');
+  console.log('  node tools/export-adr.js --dry-run');
+  console.log('');
+  console.log('Options:');
+  console.log(`  --output-dir <dir>   Where to write the files (default: ${OUTPUT_DIR})`);
+  console.log('  --dry-run            Show what would be written without writing files');
+  console.log('  --help, -h           Show this help message');
+  console.log('');
+  console.log('Files are named NNNN-title.md, as adr-tools does; date and ULID ids keep their name.');
+}
+
+function getOptionValue(args, name) {
+  const index = args.indexOf(name);
+  return index !== -1 ? args[index + 1] : undefined;
+}
+
+// "007-use-postgresql" -> "0007-use-postgresql.md"
+function madrFileName(id) {
+  const number = decisionNumber(id);
+  return number === null ? `${id}.md` : `${String(number).padStart(4, '0')}-${id.replace(/^\d+-/, '')}.md`;
+}
+
+function main() {
+  const args = process.argv.slice(2);
+  
+  // Parse options
+  const options = {
+    help: args.includes('--help') || args.includes('-h'),
+    dryRun: args.includes('--dry-run'),
+    outputDir: getOptionValue(args, '--output-dir') || OUTPUT_DIR,
+  };
+  
+  const references = args.filter((arg, i) => !arg.startsWith('-') && args[i - 1] !== '--output-dir');
+  
+  if (options.help) {
+    printUsage();
+    process.exit(0);
+  }
+  
+  if (!fs.existsSync(DECISIONS_DIR)) {
+    console.error(colorize(`❌ Decisions directory not found: ${DECISIONS_DIR}`, 'red'));
+    process.exit(1);
+  }
+  
+  const records = loadDecisionRecords(DECISIONS_DIR);
+  const graph = buildDecisionGraph(records);
+  const ids = [];
+  for (const reference of references) {
+    const id = graph.resolve(reference);
+    if (!id) {
+      console.error(colorize(`❌ Decision not found: ${reference}`, 'red'));
+      process.exit(1);
+    }
+    ids.push(id);
+  }
+  
+  const selected = [...graph.nodes.values()].filter(node => ids.length === 0 || ids.includes(node.id));
+  if (selected.length === 0) {
+    console.log(colorize('No decisions to export', 'yellow'));
+    return;
+  }
+  
+  // Every decision has a file name, so links to ones not exported this time still resolve
+  const links = new Map([...graph.nodes.keys()].map(id => [id, madrFileName(id)]));
+  
+  console.log(colorize(`📤 Exporting ${selected.length} decision${selected.length === 1 ? '' : 's'} to ${options.outputDir}${options.dryRun ? ' (dry run)' : ''}`, 'blue'));
+  let written = 0;
+  for (const node of selected) {
+    const file = path.join(options.outputDir, links.get(node.id));
+    const content = renderMadr(Object.assign({}, node.data, { id: node.id }), links);
+    const current = fs.existsSync(file) ? fs.readFileSync(file, 'utf8') : null;
+    if (current === content) {
+      console.log(colorize(`  ✅ ${file}`, 'green') + colorize(' (unchanged)', 'dim'));
+      continue;
+    }
+    if (!options.dryRun) {
+      fs.mkdirSync(options.outputDir, { recursive: true });
+      fs.writeFileSync(file, content, 'utf8');
+    }
+    written++;
+    console.log(colorize(`  ✅ ${file}`, 'green') + colorize(` (${current === null ? 'created' : 'updated'})`, 'dim'));
+  }
+  
+  if (options.dryRun && written > 0) {
+    console.log(colorize('\nNo files written (--dry-run)', 'yellow'));
+  }
+}
+
+main();
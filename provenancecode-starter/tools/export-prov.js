@@ -0,0 +1,160 @@
+#!/usr/bin/env node
+
+/**
+ * ProvenanceCode: Export all decisions as one PROV-O graph
+ * Usage: node tools/export-prov.js [--format turtle|ntriples|jsonld] [--base <iri>] [--output <file>]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { loadDecisionRecords, buildDecisionGraph } = require('./lib/decision-graph');
+const { PROV_CONTEXT, readGitHistory, buildProvDocument } = require('./lib/prov');
+const { RDF_TYPE, toTriples, uniqueTriples, serializeNTriples, serializeTurtle, serializeJsonLd } = require('./lib/rdf');
+
+// Configuration
+const DECISIONS_DIR = 'provenance/decisions';
+const FORMATS = ['turtle', 'ntriples', 'jsonld'];
+
+// Compact IRI prefixes that name ProvenanceCode nodes; each gets a stable namespace
+const NODE_PREFIXES = ['decision', 'agent', 'activity', 'entity'];
+
+// Colors
+const colors = {
+  reset: '\x1b[0m',
+  red: '\x1b[31m',
+  green: '\x1b[32m',
+  yellow: '\x1b[33m',
+  blue: '\x1b[34m',
+  dim: '\x1b[2m',
+};
+
+function colorize(text, color) {
+  return `${colors[color]}${text}${colors.reset}`;
+}
+
+function printUsage() {
+  console.log('Usage: node tools/export-prov.js [options]');
+  console.log('');
+  console.log('Merges the prov.jsonld of every decision into one PROV-O graph with absolute');
+  console.log('IRIs, for loading into an RDF triple store. Records without prov.jsonld are');
+  console.log('built from decision.json and git history, as generate-prov.js would.');
+  console.log('');
+  console.log('Examples:');
+  console.log('  node tools/export-prov.js > decisions.ttl');
+  console.log('  node tools/export-prov.js --format ntriples --output decisions.nt');
+  console.log('  node tools/export-prov.js --format jsonld --base https://decisions.example.com/');
+  console.log('');
+  console.log('Options:');
+  console.log('  --format <format>  Output format: turtle (default), ntriples, jsonld');
+  console.log('  --base <iri>       Namespace for decisions, agents and activities');
+  console.log('                     (default: urn:provenancecode:, e.g. urn:provenancecode:decision:001)');
+  console.log('  --output <file>    Write to a file instead of stdout');
+  console.log('  --help, -h         Show this help message');
+}
+
+function getOptionValue(args, name) {
+  const index = args.indexOf(name);
+  return index !== -1 ? args[index + 1] : undefined;
+}
+
+/**
+ * Namespaces for decision:, agent:, activity: and entity: IRIs. Without a
+ * base these are the urn:provenancecode: namespaces of generated prov.jsonld
+ * files; with one they become <base>decision/ (or <base>decision: for a
+ * URN base) and so on.
+ */
+function nodeNamespaces(base) {
+  const namespaces = {};
+  for (const prefix of NODE_PREFIXES) {
+    if (base) {
+      namespaces[prefix] = `${base}${prefix}${base.endsWith(':') ? ':' : '/'}`;
+    } else {
+      namespaces[prefix] = PROV_CONTEXT[prefix] || `urn:provenancecode:${prefix}:`;
+    }
+  }
+  return namespaces;
+}
+
+// The record's prov.jsonld, or one built from decision.json when it is missing or unreadable
+function loadProvDocument(node, graph, titles) {
+  const provPath = path.join(node.path, 'prov.jsonld');
+  if (fs.existsSync(provPath)) {
+    try {
+      return JSON.parse(fs.readFileSync(provPath, 'utf8'));
+    } catch (e) {
+      console.error(colorize(`⚠️  ${provPath}: ${e.message}; using decision.json instead`, 'yellow'));
+    }
+  }
+  return buildProvDocument(node.data, { commits: readGitHistory(node.path), resolve: graph.resolve, titles });
+}
+
+function main() {
+  const args = process.argv.slice(2);
+  
+  // Parse options
+  const options = {
+    help: args.includes('--help') || args.includes('-h'),
+    format: getOptionValue(args, '--format') || 'turtle',
+    base: getOptionValue(args, '--base'),
+    output: getOptionValue(args, '--output'),
+  };
+  
+  if (options.help) {
+    printUsage();
+    process.exit(0);
+  }
+  
+  if (!FORMATS.includes(options.format)) {
+    console.error(colorize(`❌ Unknown format: ${options.format} (use ${FORMATS.join(', ')})`, 'red'));
+    process.exit(1);
+  }
+  
+  if (options.base !== undefined) {
+    if (!/^[A-Za-z][A-Za-z0-9+.-]*:\S+$/.test(options.base)) {
+      console.error(colorize(`❌ --base must be an absolute IRI, e.g. https://decisions.example.com/`, 'red'));
+      process.exit(1);
+    }
+    if (!/[/#:]$/.test(options.base)) {
+      options.base += '/';
+    }
+  }
+  
+  if (!fs.existsSync(DECISIONS_DIR)) {
+    console.error(colorize(`❌ Decisions directory not found: ${DECISIONS_DIR}`, 'red'));
+    process.exit(1);
+  }
+  
+  const graph = buildDecisionGraph(loadDecisionRecords(DECISIONS_DIR));
+  const titles = new Map(Array.from(graph.nodes.values()).map(node => [node.id, node.title]));
+  const namespaces = nodeNamespaces(options.base);
+  const prefixes = Object.assign({}, PROV_CONTEXT, namespaces);
+  
+  // Agents share IRIs across records, so merging the triples deduplicates them
+  const blankNodes = { count: 0 };
+  let triples = [];
+  for (const node of graph.nodes.values()) {
+    const doc = loadProvDocument(node, graph, titles);
+    triples = triples.concat(toTriples(doc, { defaults: PROV_CONTEXT, prefixes: namespaces, blankNodes }));
+  }
+  triples = uniqueTriples(triples);
+  
+  let output;
+  if (options.format === 'ntriples') {
+    output = serializeNTriples(triples);
+  } else if (options.format === 'jsonld') {
+    output = serializeJsonLd(triples, prefixes);
+  } else {
+    output = serializeTurtle(triples, prefixes);
+  }
+  
+  if (options.output) {
+    fs.writeFileSync(options.output, output);
+    const agents = triples.filter(triple => triple.predicate.value === RDF_TYPE && triple.object.value === `${PROV_CONTEXT.prov}Agent`).length;
+    console.error(colorize(`✅ Exported ${graph.nodes.size} decisions to ${options.output}`, 'green') +
+      colorize(` (${agents} agents, ${triples.length} triples)`, 'dim'));
+  } else {
+    process.stdout.write(output);
+  }
+}
+
+main();
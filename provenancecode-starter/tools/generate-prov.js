@@ -0,0 +1,131 @@
+#!/usr/bin/env node
+
+/**
+ * ProvenanceCode: Generate prov.jsonld from decision.json and git history
+ * Usage: node tools/generate-prov.js [decision-id] [--all] [--no-git] [--dry-run]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { loadDecisionRecords, buildDecisionGraph } = require('./lib/decision-graph');
+const { readGitHistory, buildProvDocument, checkProvDocument } = require('./lib/prov');
+
+// Configuration
+const DECISIONS_DIR = 'provenance/decisions';
+
+// Colors
+const colors = {
+  reset: '\x1b[0m',
+  red: '\x1b[31m',
+  green: '\x1b[32m',
+  yellow: '\x1b[33m',
+  blue: '\x1b[34m',
+  dim: '\x1b[2m',
+};
+
+function colorize(text, color) {
+  return `${colors[color]}${text}${colors.reset}`;
+}
+
+function printUsage() {
+  console.log('Usage: node tools/generate-prov.js [decision-id] [options]');
+  console.log('');
+  console.log('Builds a W3C PROV graph (prov.jsonld) from decision.json and the git commits');
+  console.log('that touched the decision folder. Deciders, approvers and authors become');
+  console.log('prov:Agents; updates[] entries, commits and the approval become prov:Activities;');
+  console.log('supersedes and dependsOn become prov:wasRevisionOf and prov:wasDerivedFrom.');
+  console.log('');
+  console.log('Examples:');
+  console.log('  node tools/generate-prov.js 001-use-postgresql');
+  console.log('  node tools/generate-prov.js --all');
+  console.log('  node tools/generate-prov.js 001-use-postgresql --dry-run');
+  console.log('');
+  console.log('Options:');
+  console.log('  --all          Generate for all decisions');
+  console.log('  --no-git       Leave git commits out of the graph');
+  console.log('  --dry-run      Print the generated prov.jsonld instead of writing it');
+  console.log('  --help, -h     Show this help message');
+  console.log('');
+  console.log('prov.jsonld is overwritten; hand-made additions to it are not kept.');
+}
+
+function main() {
+  const args = process.argv.slice(2);
+  
+  // Parse options
+  const options = {
+    all: args.includes('--all'),
+    noGit: args.includes('--no-git'),
+    dryRun: args.includes('--dry-run'),
+    help: args.includes('--help') || args.includes('-h'),
+  };
+  
+  const decisionId = args.find(arg => !arg.startsWith('-'));
+  
+  if (options.help || (!decisionId && !options.all)) {
+    printUsage();
+    process.exit(options.help ? 0 : 1);
+  }
+  
+  if (options.dryRun && options.all) {
+    console.error(colorize('❌ --dry-run works on a single decision', 'red'));
+    process.exit(1);
+  }
+  
+  if (!fs.existsSync(DECISIONS_DIR)) {
+    console.error(colorize(`❌ Decisions directory not found: ${DECISIONS_DIR}`, 'red'));
+    process.exit(1);
+  }
+  
+  const graph = buildDecisionGraph(loadDecisionRecords(DECISIONS_DIR));
+  const titles = new Map(Array.from(graph.nodes.values()).map(node => [node.id, node.title]));
+  
+  let nodes;
+  if (options.all) {
+    nodes = Array.from(graph.nodes.values());
+  } else {
+    const nodeId = graph.resolve(decisionId);
+    if (!nodeId) {
+      console.error(colorize(`❌ Decision not found: ${decisionId}`, 'red'));
+      process.exit(1);
+    }
+    nodes = [graph.nodes.get(nodeId)];
+  }
+  
+  let ok = true;
+  for (const node of nodes) {
+    const doc = buildProvDocument(node.data, {
+      commits: options.noGit ? [] : readGitHistory(node.path),
+      resolve: graph.resolve,
+      titles,
+    });
+    const output = JSON.stringify(doc, null, 2) + '\n';
+    
+    const errors = checkProvDocument(doc, node.data).filter(issue => issue.severity === 'error');
+    if (errors.length > 0) {
+      ok = false;
+      errors.forEach(issue => console.error(colorize(`❌ ${node.id}: ${issue.message}`, 'red')));
+    }
+    
+    if (options.dryRun) {
+      process.stdout.write(output);
+      continue;
+    }
+    
+    const provPath = path.join(node.path, 'prov.jsonld');
+    const previous = fs.existsSync(provPath) ? fs.readFileSync(provPath, 'utf8') : null;
+    if (previous === output) {
+      console.log(colorize(`✅ ${node.id}: prov.jsonld already up to date`, 'green'));
+      continue;
+    }
+    
+    fs.writeFileSync(provPath, output);
+    const counts = ['prov:Agent', 'prov:Activity'].map(type => doc['@graph'].filter(item => [].concat(item['@type']).includes(type)).length);
+    console.log(colorize(`✅ ${node.id}: ${previous === null ? 'created' : 'updated'} prov.jsonld`, 'green') +
+      colorize(` (${counts[0]} agents, ${counts[1]} activities)`, 'dim'));
+  }
+  
+  process.exit(ok ? 0 : 1);
+}
+
+main();
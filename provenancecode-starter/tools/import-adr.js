@@ -0,0 +1,126 @@
+#!/usr/bin/env node
+
+/**
+ * ProvenanceCode: Import existing ADRs (adr-tools/Nygard, MADR, log4brains)
+ * Usage: node tools/import-adr.js <file|directory>... [--renumber] [--deciders <names>] [--dry-run]
+ */
+
+const { execFileSync } = require('child_process');
+const { importAdrs } = require('./lib/provenancecode');
+
+// Colors
+const colors = {
+  reset: '\x1b[0m',
+  red: '\x1b[31m',
+  green: '\x1b[32m',
+  yellow: '\x1b[33m',
+  blue: '\x1b[34m',
+  dim: '\x1b[2m',
+};
+
+function colorize(text, color) {
+  return `${colors[color]}${text}${colors.reset}`;
+}
+
+function printUsage() {
+  console.log('Usage: node tools/import-adr.js <file|directory>... [options]');
+  console.log('');
+  console.log('Turns Architecture Decision Records into decision records: Status, Context,');
+  console.log('Decision, Consequences and Considered Options go into decision.json, and');
+  console.log('decision.md, prov.jsonld and c2pa.manifest.json are generated from it.');
+  console.log('"Supersedes", "Superseded by" and "Amended by" links between the ADRs become');
+  console.log('relatedDecisions. The original file is kept in the record\'s evidence/ folder.');
+  console.log('');
+  console.log('Reads adr-tools (Nygard), MADR and log4brains files; a directory imports every');
+  console.log('NNNN-title.md (or yyyymmdd-title.md) in it. ADRs keep their numbers.');
+  console.log('');
+  console.log('Examples:');
+  console.log('  node tools/import-adr.js doc/adr --dry-run');
+  console.log('  node tools/import-adr.js doc/adr');
+  console.log('  node tools/import-adr.js docs/decisions --renumber --deciders "Jane Smith"');
+  console.log('');
+  console.log('Options:');
+  console.log('  --renumber           Give every ADR the next free name instead of keeping its number');
+  console.log('  --scheme <name>      Numbering scheme for --renumber: sequential, date or ulid');
+  console.log('                       (default: numbering.scheme in provenance/config.yml)');
+  console.log('  --deciders <names>   Deciders for ADRs that list none (comma-separated)');
+  console.log('  --author <name>      Name on the "Imported from" update (default: git user.name)');
+  console.log('  --dry-run            Show what would be imported without writing files');
+  console.log('  --help, -h           Show this help message');
+  console.log('');
+  console.log('Nothing is written if any ADR cannot be read or its number is already taken.');
+  console.log('Use node tools/export-adr.js to write decisions back out as MADR.');
+}
+
+function getOptionValue(args, name) {
+  const index = args.indexOf(name);
+  return index !== -1 ? args[index + 1] : undefined;
+}
+
+function getGitAuthor() {
+  try {
+    const name = execFileSync('git', ['config', 'user.name'], { encoding: 'utf8', stdio: ['ignore', 'pipe', 'ignore'] }).trim();
+    return name || null;
+  } catch (e) {
+    return null;
+  }
+}
+
+function main() {
+  const args = process.argv.slice(2);
+  
+  // Parse options
+  const options = {
+    help: args.includes('--help') || args.includes('-h'),
+    renumber: args.includes('--renumber'),
+    dryRun: args.includes('--dry-run'),
+    scheme: getOptionValue(args, '--scheme'),
+    deciders: getOptionValue(args, '--deciders'),
+    author: getOptionValue(args, '--author'),
+  };
+  
+  const valueOptions = ['--scheme', '--deciders', '--author'];
+  const sources = args.filter((arg, i) => !arg.startsWith('-') && !valueOptions.includes(args[i - 1]));
+  
+  if (options.help || sources.length === 0) {
+    printUsage();
+    process.exit(options.help ? 0 : 1);
+  }
+  
+  options.author = options.author || getGitAuthor();
+  
+  let imported;
+  try {
+    imported = importAdrs(sources, options);
+  } catch (e) {
+    console.error(colorize(`❌ ${e.message}`, 'red'));
+    process.exit(1);
+  }
+  
+  console.log(colorize(`📥 Importing ${imported.length} ADR${imported.length === 1 ? '' : 's'}${options.dryRun ? ' (dry run)' : ''}`, 'blue'));
+  for (const item of imported) {
+    console.log('');
+    console.log(colorize(`✅ ${item.id}`, 'green') + colorize(` ← ${item.source} (${item.format}, ${item.data.status})`, 'dim'));
+    const related = item.data.relatedDecisions;
+    const links = [
+      ['supersedes', related.supersedes],
+      ['superseded by', related.supersededBy ? [related.supersededBy] : []],
+      ['depends on', related.dependsOn],
+      ['related to', related.relatedTo],
+    ].filter(([, ids]) => ids.length > 0);
+    links.forEach(([label, ids]) => console.log(colorize(`   ${label} ${ids.join(', ')}`, 'dim')));
+    item.warnings.forEach(warning => console.log(colorize(`   ⚠️  ${warning}`, 'yellow')));
+  }
+  
+  console.log('');
+  if (options.dryRun) {
+    console.log(colorize('No files written (--dry-run)', 'yellow'));
+    return;
+  }
+  console.log(colorize('Next steps:', 'blue'));
+  console.log('  1. Review each decision.json; fields ADRs do not have (risks, scope, owner) are empty');
+  console.log('  2. Validate: node tools/validate-decision.js --all');
+  console.log('  3. Seal the accepted ones: node tools/seal-decision.js <id>');
+}
+
+main();
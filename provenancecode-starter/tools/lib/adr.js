@@ -0,0 +1,540 @@
+/**
+ * ProvenanceCode: Architecture Decision Records in other formats
+ *
+ * Reads the markdown ADR formats teams already keep in doc/adr/ and writes
+ * MADR, so records can come in from and go back out to those tools:
+ *
+ *   nygard      Michael Nygard's template, as written by adr-tools: "# 1. Title",
+ *               "Date: ...", ## Status / Context / Decision / Consequences, and
+ *               links such as "Supersedes [2. Old](0002-old.md)" under Status
+ *   madr        MADR 2 to 4: front matter or "* Status:" lines, ## Context and
+ *               Problem Statement, Considered Options, Decision Outcome, Pros
+ *               and Cons of the Options
+ *   log4brains  MADR with "- Tags:" and yyyymmdd-slug.md file names
+ *
+ * parseAdr() gives a partial decision.json plus the links to other ADRs;
+ * resolving those to decision ids is left to the caller, which knows every
+ * file being imported.
+ */
+
+const { parseYaml } = require('./yaml');
+
+const FORMATS = ['nygard', 'madr', 'log4brains'];
+
+const STATUS_ALIASES = {
+  draft: 'proposed',
+  proposed: 'proposed',
+  accepted: 'accepted',
+  implemented: 'implemented',
+  rejected: 'rejected',
+  deprecated: 'deprecated',
+  superseded: 'superseded',
+};
+
+// adr-tools link verbs and the relatedDecisions list they fill
+const LINK_TYPES = {
+  supersedes: 'supersedes',
+  'superseded by': 'supersededBy',
+  amends: 'dependsOn',
+  'amended by': 'amendedBy',
+  'depends on': 'dependsOn',
+};
+
+const METADATA_RE = /^\s*(?:[-*+]\s+)?(status|date|deciders|decision-makers|tags|consulted|informed|technical story)\s*:\s*(.*)$/i;
+const LINK_RE = /^\s*(?:[-*+]\s+)?([A-Za-z][A-Za-z ]*?)\s*:?\s+\[([^\]]+)\]\(([^)\s]+)\)/;
+const DATE_RE = /\b(\d{4}-\d{2}-\d{2})\b/;
+
+// Sections read into decision.json; anything else is kept in decision.details
+const MAPPED_SECTIONS = [
+  'status', 'context', 'context and problem statement', 'decision drivers', 'considered options',
+  'decision', 'decision outcome', 'consequences', 'positive consequences', 'negative consequences',
+  'pros and cons of the options', 'confirmation', 'links',
+];
+
+function normalizeHeading(text) {
+  return String(text).replace(/[*_`]/g, '').replace(/\s+/g, ' ').trim().toLowerCase();
+}
+
+function stripLinks(text) {
+  return String(text).replace(/\[([^\]]*)\]\([^)]*\)/g, '$1');
+}
+
+/**
+ * Split an ADR into {frontMatter, title, preamble, sections}; sections are
+ * [{heading, level, lines}] for every ## and ### heading, in order.
+ */
+function splitAdr(markdown) {
+  let lines = String(markdown).replace(/\r\n?/g, '\n').split('\n');
+  let frontMatter = null;
+  if (lines[0] === '---') {
+    const end = lines.indexOf('---', 1);
+    if (end !== -1) {
+      frontMatter = parseYaml(lines.slice(1, end).join('\n')) || {};
+      lines = lines.slice(end + 1);
+    }
+  }
+  
+  let title = '';
+  const preamble = [];
+  const sections = [];
+  let inFence = false;
+  for (const line of lines) {
+    if (/^\s*(```|~~~)/.test(line)) {
+      inFence = !inFence;
+    }
+    const heading = !inFence && /^(#{1,3})\s+(.*?)\s*#*\s*$/.exec(line);
+    if (heading && heading[1].length === 1 && !title) {
+      title = heading[2];
+    } else if (heading && heading[1].length > 1) {
+      sections.push({ heading: heading[2], level: heading[1].length, lines: [] });
+    } else if (sections.length > 0) {
+      sections[sections.length - 1].lines.push(line);
+    } else {
+      preamble.push(line);
+    }
+  }
+  
+  return { frontMatter, title, preamble, sections };
+}
+
+function sectionText(section) {
+  return section ? section.lines.join('\n').replace(/^\s*(-{3,}|\*{3,}|_{3,})\s*$/gm, '').trim() : '';
+}
+
+function findSection(adr, ...names) {
+  return adr.sections.find(section => names.includes(normalizeHeading(section.heading))) || null;
+}
+
+// The ### sections below a ## section
+function subsections(adr, parent) {
+  const start = adr.sections.indexOf(parent);
+  const children = [];
+  for (const section of adr.sections.slice(start + 1)) {
+    if (section.level <= parent.level) {
+      break;
+    }
+    children.push(section);
+  }
+  return children;
+}
+
+// List items, with wrapped continuation lines joined
+function bullets(text) {
+  const items = [];
+  for (const line of String(text).split('\n')) {
+    const item = /^\s*(?:[-*+]|\d+[.)])\s+(.*)$/.exec(line);
+    if (item) {
+      items.push(item[1].trim());
+    } else if (items.length > 0 && /^\s+\S/.test(line)) {
+      items[items.length - 1] += ` ${line.trim()}`;
+    }
+  }
+  return items.filter(Boolean);
+}
+
+function paragraphs(text) {
+  return String(text).split(/\n\s*\n/).map(paragraph => paragraph.trim()).filter(Boolean);
+}
+
+// Prose without list items, for descriptions
+function prose(text) {
+  return paragraphs(String(text).split('\n').filter(line => !/^\s*(?:[-*+]|\d+[.)])\s+/.test(line)).join('\n')).join('\n\n');
+}
+
+function splitList(value) {
+  if (Array.isArray(value)) {
+    return value.map(item => stripLinks(String(item)).trim()).filter(Boolean);
+  }
+  return value ? stripLinks(String(value)).split(',').map(item => item.trim()).filter(Boolean) : [];
+}
+
+// "Good, because X" / "Bad, because X" / "Neutral, because X"
+function classify(item) {
+  const match = /^(good|pro|positive|bad|con|negative|neutral)\b[,:]?\s*(?:because\s+)?(.*)$/i.exec(item);
+  if (!match) {
+    return { kind: null, text: item };
+  }
+  const word = match[1].toLowerCase();
+  const kind = ['good', 'pro', 'positive'].includes(word) ? 'good' : ['bad', 'con', 'negative'].includes(word) ? 'bad' : 'neutral';
+  return { kind, text: match[2].trim() || item };
+}
+
+// The option named by MADR's 'Chosen option: "X", because ...'
+function chosenOption(text) {
+  const match = /chosen option:?\s*"?\[?([^"\],]+?)\]?"?(?:,|\s+because|\.|$)/im.exec(String(text));
+  return match ? match[1].trim() : null;
+}
+
+// Summary limited to the schema's 500 characters, cut at a sentence where possible
+function summarize(text) {
+  const first = paragraphs(text)[0] || '';
+  if (first.length <= 500) {
+    return first;
+  }
+  const sentences = first.match(/[^.!?]+[.!?]+(\s|$)/g) || [];
+  let summary = '';
+  for (const sentence of sentences) {
+    if ((summary + sentence).length > 500) {
+      break;
+    }
+    summary += sentence;
+  }
+  return (summary || first.slice(0, 497) + '...').trim();
+}
+
+function readMetadata(adr) {
+  const metadata = {};
+  for (const line of adr.preamble) {
+    const match = METADATA_RE.exec(line);
+    if (match) {
+      metadata[match[1].toLowerCase()] = match[2].trim();
+    }
+  }
+  const frontMatter = adr.frontMatter || {};
+  for (const key of Object.keys(frontMatter)) {
+    metadata[key.toLowerCase()] = frontMatter[key];
+  }
+  return metadata;
+}
+
+function readLinks(text) {
+  const links = [];
+  for (const line of String(text).split('\n')) {
+    const match = LINK_RE.exec(line);
+    if (!match) {
+      continue;
+    }
+    const verb = match[1].trim().toLowerCase();
+    links.push({ type: LINK_TYPES[verb] || 'relatedTo', label: match[1].trim(), title: match[2], file: decodeURI(match[3].split('#')[0]) });
+  }
+  return links;
+}
+
+function parseStatus(value, warnings) {
+  const word = (/^[a-z]+/i.exec(stripLinks(String(value || '')).trim()) || [''])[0].toLowerCase();
+  if (STATUS_ALIASES[word]) {
+    return STATUS_ALIASES[word];
+  }
+  warnings.push(`Status "${String(value || '').trim() || '(none)'}" is not one ProvenanceCode knows; imported as proposed`);
+  return 'proposed';
+}
+
+function detectFormat(adr, fileName) {
+  const headings = adr.sections.map(section => normalizeHeading(section.heading));
+  const madr = adr.frontMatter || ['context and problem statement', 'considered options', 'decision outcome'].some(name => headings.includes(name));
+  if (madr) {
+    const tags = adr.preamble.some(line => /^\s*[-*+]\s+tags\s*:/i.test(line));
+    return tags || parseFileName(fileName).date ? 'log4brains' : 'madr';
+  }
+  if (headings.includes('context') && headings.includes('decision')) {
+    return 'nygard';
+  }
+  return null;
+}
+
+// "0001-use-x.md" -> {number: '0001', slug: 'use-x', date: null}; "20201026-x.md" -> date 2020-10-26
+function parseFileName(fileName) {
+  const base = fileName.replace(/\.md$/i, '');
+  const match = /^(\d+)-(.+)$/.exec(base);
+  if (!match) {
+    return { number: null, slug: base, date: null };
+  }
+  const yyyymmdd = /^(\d{4})(\d{2})(\d{2})$/.exec(match[1]);
+  if (yyyymmdd && Number(yyyymmdd[2]) >= 1 && Number(yyyymmdd[2]) <= 12 && Number(yyyymmdd[3]) >= 1 && Number(yyyymmdd[3]) <= 31) {
+    return { number: null, slug: match[2], date: `${yyyymmdd[1]}-${yyyymmdd[2]}-${yyyymmdd[3]}` };
+  }
+  return { number: match[1], slug: match[2], date: null };
+}
+
+/**
+ * Read one ADR. Returns {format, number, slug, fileDate, fields, links,
+ * warnings}: fields is a partial decision.json (no id or relatedDecisions),
+ * links are [{type, label, title, file}] with type a relatedDecisions key and
+ * file the link target, relative to the ADR.
+ * Throws when the markdown is not in a known format.
+ */
+function parseAdr(markdown, fileName) {
+  const adr = splitAdr(markdown);
+  const format = detectFormat(adr, fileName);
+  if (!format) {
+    throw new Error(`${fileName}: not a Nygard, MADR or log4brains ADR (no Context and Decision sections)`);
+  }
+  
+  const warnings = [];
+  const name = parseFileName(fileName);
+  const metadata = readMetadata(adr);
+  const fields = { context: {}, decision: {}, consequences: { positive: [], negative: [] }, metadata: {} };
+  const extra = [];
+  const links = [];
+  
+  fields.title = stripLinks(adr.title)
+    .replace(/^(?:ADR[- ]?)?\d+[.:]?\s+/i, '')
+    .replace(/^ADR[- ]?\d+\s*[-:]\s*/i, '')
+    .trim() || name.slug;
+  
+  // Nygard keeps "Date: ..." in the preamble and the status in its own section
+  const statusSection = findSection(adr, 'status');
+  const statusText = metadata.status !== undefined ? String(metadata.status) : sectionText(statusSection);
+  const statusLines = statusText.split('\n').filter(line => line.trim() && !LINK_RE.test(line));
+  links.push(...readLinks(statusText));
+  if (statusSection && metadata.status !== undefined) {
+    links.push(...readLinks(sectionText(statusSection)));
+  }
+  fields.status = links.some(link => link.type === 'supersededBy') ? 'superseded' : parseStatus(statusLines[0] || statusText, warnings);
+  
+  const date = (DATE_RE.exec(String(metadata.date || '')) || [])[1] || name.date;
+  if (date) {
+    fields.date = date;
+  } else {
+    warnings.push('No date found; the import date is used');
+  }
+  
+  fields.deciders = splitList(metadata['decision-makers'] || metadata.deciders);
+  const stakeholders = splitList(metadata.consulted).concat(splitList(metadata.informed));
+  if (stakeholders.length > 0) {
+    fields.metadata.stakeholders = stakeholders;
+  }
+  const tags = splitList(metadata.tags).map(tag => tag.toLowerCase().replace(/[^a-z0-9-]+/g, '-').replace(/^-+|-+$/g, '')).filter(Boolean);
+  if (tags.length > 0) {
+    fields.metadata.tags = tags;
+  }
+  
+  // Context
+  const context = sectionText(findSection(adr, 'context and problem statement', 'context'));
+  const story = metadata['technical story'] ? `Technical story: ${metadata['technical story']}` : '';
+  fields.context.problem = [context, story].filter(Boolean).join('\n\n');
+  const drivers = bullets(sectionText(findSection(adr, 'decision drivers')));
+  if (drivers.length > 0) {
+    fields.context.requirements = drivers;
+  }
+  
+  // Decision
+  const outcome = findSection(adr, 'decision outcome', 'decision');
+  const outcomeText = sectionText(outcome);
+  fields.decision.summary = summarize(outcomeText);
+  const details = outcomeText.slice(outcomeText.indexOf(fields.decision.summary) + fields.decision.summary.length).trim();
+  
+  // Consequences: MADR 2 splits them, MADR 3+ and Nygard use "Good, because ..." or prose
+  const consequenceItems = [];
+  const positive = findSection(adr, 'positive consequences');
+  const negative = findSection(adr, 'negative consequences');
+  bullets(sectionText(positive)).forEach(text => consequenceItems.push({ kind: 'good', text }));
+  bullets(sectionText(negative)).forEach(text => consequenceItems.push({ kind: 'bad', text }));
+  const consequences = findSection(adr, 'consequences');
+  if (consequences) {
+    const text = sectionText(consequences);
+    const items = bullets(text);
+    items.forEach(item => consequenceItems.push(classify(item)));
+    const rest = prose(text);
+    if (rest) {
+      consequenceItems.push({ kind: null, text: rest });
+    }
+  }
+  fields.consequences.positive = consequenceItems.filter(item => item.kind === 'good').map(item => item.text);
+  fields.consequences.negative = consequenceItems.filter(item => item.kind === 'bad').map(item => item.text);
+  const neutral = consequenceItems.filter(item => item.kind === 'neutral' || item.kind === null).map(item => item.text);
+  if (neutral.length > 0) {
+    fields.consequences.neutral = neutral;
+  }
+  if (consequenceItems.length === 0) {
+    warnings.push('No consequences; add positive and negative ones to decision.json');
+  } else if (fields.consequences.positive.length === 0 || fields.consequences.negative.length === 0) {
+    warnings.push('Consequences are not split into positive and negative; sort consequences.neutral in decision.json');
+  }
+  
+  // Options: everything considered except the chosen one becomes an alternative
+  const chosen = chosenOption(outcomeText);
+  const optionNames = bullets(sectionText(findSection(adr, 'considered options'))).map(item => stripLinks(item).replace(/\s+\(.*\)$/, '').trim());
+  const prosAndCons = findSection(adr, 'pros and cons of the options');
+  const optionSections = prosAndCons ? subsections(adr, prosAndCons) : [];
+  const alternatives = [];
+  const optionKey = text => normalizeHeading(stripLinks(text)).replace(/[^a-z0-9]+/g, ' ').trim();
+  for (const optionName of optionNames.length > 0 ? optionNames : optionSections.map(section => stripLinks(section.heading))) {
+    if (chosen && optionKey(optionName) === optionKey(chosen)) {
+      continue;
+    }
+    const section = optionSections.find(item => optionKey(item.heading) === optionKey(optionName));
+    const text = sectionText(section);
+    const items = bullets(text).map(classify);
+    const rejected = /^rejected:\s*(.+)$/im.exec(text);
+    const description = prose(text.replace(/^rejected:.*$/im, ''));
+    const alternative = { name: optionName, description: description || optionName };
+    const pros = items.filter(item => item.kind === 'good').map(item => item.text);
+    const cons = items.filter(item => item.kind === 'bad').map(item => item.text);
+    const other = items.filter(item => item.kind === 'neutral' || item.kind === null).map(item => item.text);
+    if (pros.length > 0) {
+      alternative.pros = pros;
+    }
+    if (cons.length > 0 || other.length > 0) {
+      alternative.cons = cons.concat(other.map(item => `Neutral: ${item}`));
+    }
+    if (rejected || chosen) {
+      alternative.rejectionReason = rejected ? rejected[1].trim() : `"${chosen}" was chosen instead`;
+    }
+    alternatives.push(alternative);
+  }
+  if (alternatives.length > 0) {
+    fields.alternatives = alternatives;
+  }
+  
+  const confirmation = sectionText(findSection(adr, 'confirmation'));
+  if (confirmation) {
+    fields.monitoring = { successCriteria: bullets(confirmation).length > 0 ? bullets(confirmation) : [confirmation] };
+  }
+  links.push(...readLinks(sectionText(findSection(adr, 'links'))));
+  
+  // Keep every section that has no field of its own, so nothing is lost
+  const mapped = new Set([statusSection, outcome, consequences, positive, negative, prosAndCons, ...optionSections].filter(Boolean));
+  for (const section of adr.sections) {
+    const heading = normalizeHeading(section.heading);
+    const parent = adr.sections.slice(0, adr.sections.indexOf(section)).reverse().find(item => item.level < section.level);
+    const underMapped = parent && (mapped.has(parent) || MAPPED_SECTIONS.includes(normalizeHeading(parent.heading)));
+    if (mapped.has(section) || MAPPED_SECTIONS.includes(heading) || (section.level > 2 && underMapped)) {
+      continue;
+    }
+    const text = sectionText(section);
+    if (text) {
+      extra.push(`**${section.heading}**\n\n${text}`);
+    }
+  }
+  const allDetails = [details, ...extra].filter(Boolean).join('\n\n');
+  if (allDetails) {
+    fields.decision.details = allDetails;
+  }
+  
+  return { format, number: name.number, slug: name.slug, fileDate: name.date, fields, links, warnings };
+}
+
+function madrList(items, prefix = '') {
+  return (items || []).filter(Boolean).map(item => `* ${prefix}${item}`);
+}
+
+/**
+ * MADR 4 markdown for a decision.json. links maps a decision id to the
+ * file name of its exported ADR, for links between the exported records.
+ * Fields MADR has no place for go under "More Information".
+ */
+function renderMadr(data, links = new Map()) {
+  const context = data.context || {};
+  const decision = data.decision || {};
+  const consequences = data.consequences || {};
+  const related = data.relatedDecisions || {};
+  const metadata = data.metadata || {};
+  const alternatives = Array.isArray(data.alternatives) ? data.alternatives : [];
+  const linkTo = id => (links.has(id) ? `[${id}](${links.get(id)})` : id);
+  const toArray = value => (Array.isArray(value) ? value : value ? [value] : []);
+  const yaml = value => (/^[\w .-]*$/.test(String(value)) && !/^(true|false|null|\d.*)$/i.test(String(value)) ? String(value) : JSON.stringify(String(value)));
+  
+  const status = data.status === 'superseded' && related.supersededBy ? `superseded by ${related.supersededBy}` : data.status;
+  const lines = ['---', `status: ${yaml(status || 'proposed')}`, `date: ${data.date || ''}`];
+  if (toArray(data.deciders).length > 0) {
+    lines.push(`decision-makers: ${toArray(data.deciders).map(yaml).join(', ')}`);
+  }
+  if (toArray(metadata.stakeholders).length > 0) {
+    lines.push(`consulted: ${toArray(metadata.stakeholders).map(yaml).join(', ')}`);
+  }
+  if (toArray(metadata.tags).length > 0) {
+    lines.push(`tags: [${toArray(metadata.tags).map(yaml).join(', ')}]`);
+  }
+  lines.push(`provenancecode-id: ${data.id}`, '---', '', `# ${data.title || data.id}`, '');
+  
+  lines.push('## Context and Problem Statement', '', context.problem || '', '');
+  if (context.currentSituation) {
+    lines.push(context.currentSituation, '');
+  }
+  
+  const drivers = toArray(context.requirements).concat(toArray(context.constraints).map(item => `Constraint: ${item}`));
+  if (drivers.length > 0) {
+    lines.push('## Decision Drivers', '', ...madrList(drivers), '');
+  }
+  if (toArray(context.assumptions).length > 0) {
+    lines.push('### Assumptions', '', ...madrList(context.assumptions), '');
+  }
+  
+  // A summary imported from MADR is already the "Chosen option" line
+  const summary = String(decision.summary || '');
+  const imported = /^chosen option\b/i.test(summary);
+  const chosen = (imported && chosenOption(summary)) || data.title || data.id;
+  lines.push('## Considered Options', '', `* ${chosen}`, ...alternatives.map(alternative => `* ${alternative.name}`), '');
+  
+  const outcome = imported ? summary : `Chosen option: "${chosen}", because ${summary ? summary.charAt(0).toLowerCase() + summary.slice(1) : 'it was decided'}`;
+  lines.push('## Decision Outcome', '', outcome, '');
+  if (decision.details) {
+    lines.push(decision.details, '');
+  }
+  const scope = decision.scope || {};
+  if (toArray(scope.included).length > 0 || toArray(scope.excluded).length > 0) {
+    lines.push('### Scope', '', ...madrList(scope.included, 'In scope: '), ...madrList(scope.excluded, 'Out of scope: '), '');
+  }
+  
+  const consequenceLines = madrList(consequences.positive, 'Good, because ')
+    .concat(madrList(consequences.negative, 'Bad, because '))
+    .concat(madrList(consequences.neutral, 'Neutral, because '));
+  if (consequenceLines.length > 0) {
+    lines.push('### Consequences', '', ...consequenceLines, '');
+  }
+  const risks = toArray(consequences.risks).filter(risk => risk && risk.description);
+  if (risks.length > 0) {
+    lines.push('### Risks', '', ...risks.map(risk => `* ${risk.description} (likelihood: ${risk.likelihood || '?'}, impact: ${risk.impact || '?'})${risk.mitigation ? `. Mitigation: ${risk.mitigation}` : ''}`), '');
+  }
+  
+  const monitoring = data.monitoring || {};
+  const confirmation = madrList(monitoring.successCriteria)
+    .concat(toArray(monitoring.metrics).filter(metric => metric && metric.name).map(metric => `* Metric: ${metric.name}${metric.target ? `, target ${metric.target}` : ''}${metric.alert ? `, alert ${metric.alert}` : ''}`))
+    .concat(monitoring.reviewDate ? [`* Review by ${monitoring.reviewDate}`] : []);
+  if (confirmation.length > 0) {
+    lines.push('### Confirmation', '', ...confirmation, '');
+  }
+  
+  if (alternatives.length > 0) {
+    lines.push('## Pros and Cons of the Options', '');
+    for (const alternative of alternatives) {
+      lines.push(`### ${alternative.name}`, '');
+      if (alternative.description && alternative.description !== alternative.name) {
+        lines.push(alternative.description, '');
+      }
+      const items = madrList(alternative.pros, 'Good, because ').concat(madrList(alternative.cons, 'Bad, because '));
+      if (items.length > 0) {
+        lines.push(...items, '');
+      }
+      if (alternative.rejectionReason) {
+        lines.push(`Rejected: ${alternative.rejectionReason}`, '');
+      }
+    }
+  }
+  
+  const more = [];
+  const relations = [
+    ['Supersedes', toArray(related.supersedes)],
+    ['Superseded by', toArray(related.supersededBy)],
+    ['Depends on', toArray(related.dependsOn)],
+    ['Related to', toArray(related.relatedTo)],
+  ];
+  relations.forEach(([label, ids]) => ids.forEach(id => more.push(`* ${label} ${linkTo(id)}`)));
+  const implementation = data.implementation || {};
+  toArray(implementation.components).forEach(component => more.push(`* Component: \`${component}\``));
+  const migration = implementation.migration || {};
+  toArray(migration.steps).forEach((step, index) => more.push(`* Migration step ${index + 1}: ${step}`));
+  if (migration.rollback) {
+    more.push(`* Rollback: ${migration.rollback}`);
+  }
+  const research = toArray((data.evidence || {}).research).filter(item => item && item.title);
+  // Evidence paths are relative to the record folder, not to wherever the ADR is written
+  research.forEach(item => more.push(`* Evidence: ${item.url ? `[${item.title}](${item.url})` : item.title}${item.path ? ` (\`provenance/decisions/${data.id}/${item.path}\`)` : ''}`));
+  const approval = data.approval || {};
+  toArray(approval.approvedBy).filter(item => item && item.name).forEach(item => more.push(`* Approved by ${item.name}${item.role ? ` (${item.role})` : ''}${item.date ? ` on ${item.date}` : ''}`));
+  if (metadata.owner) {
+    more.push(`* Owner: ${metadata.owner}`);
+  }
+  more.push(`* ProvenanceCode record: \`provenance/decisions/${data.id}/\``);
+  lines.push('## More Information', '', ...more, '');
+  
+  return lines.join('\n').replace(/\n{3,}/g, '\n\n').trimEnd() + '\n';
+}
+
+module.exports = {
+  FORMATS,
+  parseAdr,
+  parseFileName,
+  renderMadr,
+};
@@ -0,0 +1,269 @@
+/**
+ * ProvenanceCode: AI assistant rule files compiled from decisions
+ *
+ * Every accepted or implemented decision becomes a short rule: its summary,
+ * constraints, scope, and a "do not use" line for each rejected alternative,
+ * cited by decision ID. Decisions whose implementation.components name paths
+ * are scoped to those paths where the assistant supports it:
+ *
+ *   cursor   .cursor/rules/provenance-decisions.mdc, plus one
+ *            .cursor/rules/decision-<id>.mdc per scoped decision (globs)
+ *   copilot  .github/copilot-instructions.md, plus one
+ *            .github/instructions/decision-<id>.instructions.md (applyTo)
+ *   claude   CLAUDE.md, with scoped decisions in an "Applies to" section
+ *
+ * copilot-instructions.md and CLAUDE.md are often written by hand as well,
+ * so only the block between BLOCK_BEGIN and BLOCK_END is generated there.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const TARGETS = ['cursor', 'copilot', 'claude'];
+
+// Decisions that are in force
+const RULE_STATUSES = ['accepted', 'implemented'];
+
+const GENERATED_NOTE = '<!-- Generated by tools/compile-ai-rules.js from provenance/decisions. Do not edit; run the tool again. -->';
+const BLOCK_BEGIN = '<!-- provenancecode:decisions:begin (generated by tools/compile-ai-rules.js; do not edit) -->';
+const BLOCK_END = '<!-- provenancecode:decisions:end -->';
+
+const PATHS = {
+  cursor: { main: '.cursor/rules/provenance-decisions.mdc', scopedDir: '.cursor/rules', scopedSuffix: '.mdc' },
+  copilot: { main: '.github/copilot-instructions.md', scopedDir: '.github/instructions', scopedSuffix: '.instructions.md' },
+  claude: { main: 'CLAUDE.md' },
+};
+
+const INTRO = [
+  'These rules are compiled from the accepted decisions in `provenance/decisions/`.',
+  'Follow them when writing or changing code. Cite the decision ID in a comment on code',
+  'that implements one (`// @decision <id>`), and if a change would contradict a decision,',
+  'say so instead of working around it.',
+];
+
+function strings(value) {
+  return (Array.isArray(value) ? value : []).filter(item => typeof item === 'string' && item.trim()).map(item => item.trim());
+}
+
+// First sentence of a longer text, for one-line rules
+function firstSentence(text) {
+  const trimmed = String(text || '').replace(/\s+/g, ' ').trim();
+  const match = /^(.+?[.!?])(\s|$)/.exec(trimmed);
+  return (match ? match[1] : trimmed).replace(/[.!?]$/, '');
+}
+
+/**
+ * Globs for the implementation.components entries that are paths:
+ * "src/auth/" and "src/auth" become "src/auth/**", files and globs are kept,
+ * and names such as "Auth service" are left out.
+ */
+function componentGlobs(components) {
+  const globs = [];
+  for (const component of strings(components)) {
+    const item = component.replace(/\\/g, '/').replace(/^\.\//, '');
+    if (!/[/.*]/.test(item) || /\s/.test(item)) {
+      continue;
+    }
+    let glob = item;
+    if (item.endsWith('/')) {
+      glob = `${item}**`;
+    } else if (!/[*?[{]/.test(item) && !path.posix.basename(item).includes('.')) {
+      glob = `${item}/**`;
+    }
+    if (!globs.includes(glob)) {
+      globs.push(glob);
+    }
+  }
+  return globs;
+}
+
+// The rule for one decision: {id, title, summary, lines, globs}
+function decisionRule(record) {
+  const data = record.data;
+  const id = typeof data.id === 'string' && data.id ? data.id : record.dir;
+  const decision = data.decision || {};
+  const scope = decision.scope || {};
+  const lines = [];
+  
+  strings((data.context || {}).constraints).forEach(item => lines.push(`Constraint: ${item}`));
+  strings(scope.included).forEach(item => lines.push(`In scope: ${item}`));
+  strings(scope.excluded).forEach(item => lines.push(`Out of scope: ${item}`));
+  for (const alternative of Array.isArray(data.alternatives) ? data.alternatives : []) {
+    if (!alternative || typeof alternative.name !== 'string' || !alternative.name.trim()) {
+      continue;
+    }
+    const reason = firstSentence(alternative.rejectionReason);
+    lines.push(`Do not use ${alternative.name.trim()}${reason ? `: ${reason}` : ''}`);
+  }
+  
+  return {
+    id,
+    title: data.title || id,
+    summary: String(decision.summary || '').trim(),
+    lines,
+    globs: componentGlobs((data.implementation || {}).components),
+    source: `${record.path.split(path.sep).join('/')}/decision.md`,
+  };
+}
+
+/**
+ * Rules for the decisions in force, sorted by id. records as from
+ * loadDecisionRecords().
+ */
+function collectRules(records) {
+  return records
+    .filter(record => record.data && RULE_STATUSES.includes(record.data.status))
+    .map(decisionRule)
+    .sort((a, b) => a.id.localeCompare(b.id));
+}
+
+function renderRule(rule, heading = '##', showScope = false) {
+  const lines = [`${heading} ${rule.title} (${rule.id})`, ''];
+  if (rule.summary) {
+    lines.push(rule.summary, '');
+  }
+  if (rule.lines.length > 0) {
+    rule.lines.forEach(line => lines.push(`- ${line}`));
+    lines.push('');
+  }
+  if (showScope && rule.globs.length > 0) {
+    lines.push(`Applies to: ${rule.globs.map(glob => `\`${glob}\``).join(', ')}`);
+  }
+  lines.push(`Source: \`${rule.source}\``);
+  return lines.join('\n');
+}
+
+// Body shared by every main file: the unscoped rules in full, the scoped ones as an index
+function renderMain(rules, options) {
+  const scoped = rules.filter(rule => rule.globs.length > 0);
+  const general = rules.filter(rule => rule.globs.length === 0);
+  const sections = ['# Architectural Decisions', '', ...INTRO, ''];
+  
+  if (rules.length === 0) {
+    sections.push('No decisions are accepted yet.', '');
+    return sections.join('\n');
+  }
+  
+  general.forEach(rule => sections.push(renderRule(rule), ''));
+  
+  if (scoped.length > 0) {
+    sections.push('## Path-Specific Decisions', '');
+    if (options.inlineScoped) {
+      scoped.forEach(rule => sections.push(renderRule(rule, '###', true), ''));
+    } else {
+      sections.push('These apply only to the files they name and are loaded with them:', '');
+      scoped.forEach(rule => sections.push(`- ${rule.id}: ${rule.summary || rule.title} (${rule.globs.map(glob => `\`${glob}\``).join(', ')})`));
+      sections.push('');
+    }
+  }
+  
+  return sections.join('\n');
+}
+
+function quoteYaml(text) {
+  return JSON.stringify(String(text));
+}
+
+// Replace the generated block in an existing file, or add one
+function mergeBlock(existing, body) {
+  const block = `${BLOCK_BEGIN}\n${body.trimEnd()}\n${BLOCK_END}\n`;
+  if (existing === null) {
+    return block;
+  }
+  const begin = existing.indexOf(BLOCK_BEGIN);
+  const end = existing.indexOf(BLOCK_END, begin);
+  if (begin !== -1 && end !== -1) {
+    const after = existing.slice(end + BLOCK_END.length).replace(/^\r?\n/, '');
+    return existing.slice(0, begin) + block + after;
+  }
+  return `${existing.trimEnd()}\n\n${block}`;
+}
+
+function readFile(root, file) {
+  const filePath = path.join(root, file);
+  return fs.existsSync(filePath) ? fs.readFileSync(filePath, 'utf8') : null;
+}
+
+/**
+ * The files one target should contain: [{path, content}], paths relative to root.
+ */
+function compileTarget(target, rules, root) {
+  const paths = PATHS[target];
+  const scoped = rules.filter(rule => rule.globs.length > 0);
+  
+  if (target === 'cursor') {
+    const files = [{
+      path: paths.main,
+      content: ['---', 'description: Accepted architectural decisions (ProvenanceCode)', 'alwaysApply: true', '---', GENERATED_NOTE, '', renderMain(rules, {})].join('\n').trimEnd() + '\n',
+    }];
+    for (const rule of scoped) {
+      files.push({
+        path: `${paths.scopedDir}/decision-${rule.id}${paths.scopedSuffix}`,
+        content: ['---', `description: ${quoteYaml(`${rule.id}: ${rule.summary || rule.title}`)}`, `globs: ${rule.globs.join(',')}`, 'alwaysApply: false', '---',
+          GENERATED_NOTE, '', renderRule(rule, '#')].join('\n') + '\n',
+      });
+    }
+    return files;
+  }
+  
+  if (target === 'copilot') {
+    const files = [{ path: paths.main, content: mergeBlock(readFile(root, paths.main), renderMain(rules, {})) }];
+    for (const rule of scoped) {
+      files.push({
+        path: `${paths.scopedDir}/decision-${rule.id}${paths.scopedSuffix}`,
+        content: ['---', `applyTo: ${quoteYaml(rule.globs.join(','))}`, '---', GENERATED_NOTE, '', renderRule(rule, '#')].join('\n') + '\n',
+      });
+    }
+    return files;
+  }
+  
+  if (target === 'claude') {
+    return [{ path: paths.main, content: mergeBlock(readFile(root, paths.main), renderMain(rules, { inlineScoped: true })) }];
+  }
+  
+  throw new Error(`Unknown target: ${target} (use ${TARGETS.join(', ')})`);
+}
+
+// Scoped files this tool wrote earlier, found by name and the generated note
+function findGeneratedFiles(target, root) {
+  const paths = PATHS[target];
+  if (!paths.scopedDir || !fs.existsSync(path.join(root, paths.scopedDir))) {
+    return [];
+  }
+  return fs.readdirSync(path.join(root, paths.scopedDir))
+    .filter(name => name.startsWith('decision-') && name.endsWith(paths.scopedSuffix))
+    .map(name => `${paths.scopedDir}/${name}`)
+    .filter(file => (readFile(root, file) || '').includes(GENERATED_NOTE));
+}
+
+// Whether a target has been compiled before: its main file holds generated content
+function isCompiled(target, root) {
+  const content = readFile(root, PATHS[target].main);
+  return content !== null && (content.includes(GENERATED_NOTE) || content.includes(BLOCK_BEGIN));
+}
+
+/**
+ * Compare a target with what it should contain. Returns
+ * {target, compiled, writes: [{path, content, state: 'missing' | 'changed'}], removes: [path]}.
+ */
+function planTarget(target, records, root) {
+  const files = compileTarget(target, collectRules(records), root);
+  const expected = new Set(files.map(file => file.path));
+  const writes = [];
+  for (const file of files) {
+    const current = readFile(root, file.path);
+    if (current !== file.content) {
+      writes.push(Object.assign({ state: current === null ? 'missing' : 'changed' }, file));
+    }
+  }
+  const removes = findGeneratedFiles(target, root).filter(file => !expected.has(file));
+  return { target, compiled: isCompiled(target, root), writes, removes };
+}
+
+module.exports = {
+  TARGETS,
+  RULE_STATUSES,
+  collectRules,
+  componentGlobs,
+  planTarget,
+};
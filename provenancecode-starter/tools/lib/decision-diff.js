@@ -0,0 +1,270 @@
+/**
+ * ProvenanceCode: Field-aware diff of decision.json across git revisions
+ *
+ * Compares two versions of a record the way a reviewer reads them,
+ * "status: proposed → accepted", "added risk: ...", "approver added: ...",
+ * instead of as a line diff of the JSON. Lists of named things
+ * (alternatives, risks, approvers, metrics, ...) are matched by name, so
+ * reordering them is not a change, and bookkeeping (lastUpdated,
+ * provenanceCode timestamps) is left out.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { execFileSync } = require('child_process');
+
+// Changes to these top-level fields should come with an updates[] entry
+const SUBSTANTIVE_FIELDS = ['title', 'status', 'deciders', 'context', 'decision', 'consequences', 'alternatives', 'implementation', 'relatedDecisions'];
+
+const IGNORED_FIELDS = ['$schema', 'lastUpdated', 'provenanceCode.created', 'provenanceCode.modified', 'provenanceCode.hash'];
+
+// Lists of strings, by what one item is called
+const STRING_LISTS = {
+  deciders: 'decider',
+  'context.constraints': 'constraint',
+  'context.requirements': 'requirement',
+  'context.assumptions': 'assumption',
+  'decision.scope.included': 'in-scope item',
+  'decision.scope.excluded': 'out-of-scope item',
+  'consequences.positive': 'positive consequence',
+  'consequences.negative': 'negative consequence',
+  'consequences.neutral': 'neutral consequence',
+  'relatedDecisions.dependsOn': 'dependency',
+  'relatedDecisions.relatedTo': 'related decision',
+  'relatedDecisions.supersedes': 'superseded decision',
+  'implementation.components': 'component',
+  'implementation.migration.steps': 'migration step',
+  'monitoring.successCriteria': 'success criterion',
+  'metadata.tags': 'tag',
+  'metadata.affects': 'affected area',
+  'metadata.stakeholders': 'stakeholder',
+};
+
+// Lists of objects, matched by key; describe() is the one-line form of an item
+const KEYED_LISTS = {
+  alternatives: { label: 'alternative', key: item => item.name, describe: item => item.name },
+  'consequences.risks': { label: 'risk', key: item => item.description, describe: item => item.description },
+  'approval.approvedBy': {
+    label: 'approver',
+    added: 'approver added',
+    removed: 'approver removed',
+    key: item => item.name,
+    describe: item => `${item.name}${item.role ? ` (${item.role})` : ''}${item.date ? ` on ${item.date}` : ''}`,
+  },
+  'monitoring.metrics': { label: 'metric', key: item => item.name, describe: item => `${item.name}${item.target ? `, target ${item.target}` : ''}` },
+  'evidence.research': { label: 'research', key: item => item.title, describe: item => item.title },
+  'evidence.benchmarks': { label: 'benchmark', key: item => item.metric, describe: item => `${item.metric}${item.value !== undefined ? `: ${item.value}` : ''}` },
+  updates: { label: 'update', key: item => `${item.date} ${item.description}`, describe: item => `${item.date} ${item.description}${item.author ? ` (${item.author})` : ''}` },
+};
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isEmpty(value) {
+  return value === undefined || value === null || value === '' ||
+    (Array.isArray(value) && value.length === 0) || (isObject(value) && Object.keys(value).length === 0);
+}
+
+function same(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+// A value as it reads in one line: words as they are, text quoted and shortened
+function show(value) {
+  if (value === undefined || value === null) {
+    return '(none)';
+  }
+  if (typeof value === 'string' && /^[\w.:/@-]+$/.test(value)) {
+    return value;
+  }
+  if (typeof value === 'string') {
+    const line = value.replace(/\s+/g, ' ').trim();
+    return JSON.stringify(line.length > 80 ? `${line.slice(0, 77)}...` : line);
+  }
+  return JSON.stringify(value);
+}
+
+function change(field, before, after, message) {
+  return { field, before: before === undefined ? null : before, after: after === undefined ? null : after, message };
+}
+
+function diffStringList(field, label, before, after) {
+  const old = (Array.isArray(before) ? before : []).map(String);
+  const current = (Array.isArray(after) ? after : []).map(String);
+  return old.filter(item => !current.includes(item)).map(item => change(field, item, null, `removed ${label}: ${item}`))
+    .concat(current.filter(item => !old.includes(item)).map(item => change(field, null, item, `added ${label}: ${item}`)));
+}
+
+function diffKeyedList(field, list, before, after) {
+  const items = value => (Array.isArray(value) ? value : []).filter(isObject);
+  const key = item => String(list.key(item) || '').trim().toLowerCase();
+  const old = items(before);
+  const current = items(after);
+  const changes = [];
+  
+  for (const item of old) {
+    if (!current.some(other => key(other) === key(item))) {
+      changes.push(change(field, item, null, `${list.removed || `removed ${list.label}`}: ${list.describe(item)}`));
+    }
+  }
+  for (const item of current) {
+    const previous = old.find(other => key(other) === key(item));
+    if (!previous) {
+      changes.push(change(field, null, item, `${list.added || `added ${list.label}`}: ${list.describe(item)}`));
+      continue;
+    }
+    // The same item edited: report its fields under the item's name
+    for (const property of new Set(Object.keys(previous).concat(Object.keys(item)))) {
+      if (same(previous[property], item[property])) {
+        continue;
+      }
+      const prefix = `${list.label} "${list.key(item)}"`;
+      if (Array.isArray(previous[property]) || Array.isArray(item[property])) {
+        diffStringList(`${field}.${property}`, property, previous[property], item[property])
+          .forEach(entry => changes.push(Object.assign(entry, { message: `${prefix}: ${entry.message}` })));
+      } else {
+        changes.push(change(`${field}.${property}`, previous[property], item[property], `${prefix}: ${property} ${show(previous[property])} → ${show(item[property])}`));
+      }
+    }
+  }
+  
+  return changes;
+}
+
+function diffValue(field, before, after) {
+  if (IGNORED_FIELDS.includes(field) || same(before, after) || (isEmpty(before) && isEmpty(after))) {
+    return [];
+  }
+  if (STRING_LISTS[field]) {
+    return diffStringList(field, STRING_LISTS[field], before, after);
+  }
+  if (KEYED_LISTS[field]) {
+    return diffKeyedList(field, KEYED_LISTS[field], before, after);
+  }
+  if (field === 'provenanceCode.sealed') {
+    return [change(field, before, after, isEmpty(after) ? 'seal removed' : isEmpty(before) ? `sealed${after.date ? ` at ${after.date}` : ''}` : `sealed again${after.date ? ` at ${after.date}` : ''}`)];
+  }
+  if (isObject(before) || isObject(after)) {
+    const old = isObject(before) ? before : {};
+    const current = isObject(after) ? after : {};
+    return [...new Set(Object.keys(old).concat(Object.keys(current)))]
+      .flatMap(key => diffValue(field ? `${field}.${key}` : key, old[key], current[key]));
+  }
+  if (Array.isArray(before) || Array.isArray(after)) {
+    return diffStringList(field, field, (before || []).map(item => (typeof item === 'string' ? item : JSON.stringify(item))), (after || []).map(item => (typeof item === 'string' ? item : JSON.stringify(item))));
+  }
+  if (isEmpty(before)) {
+    return [change(field, before, after, `${field} set: ${show(after)}`)];
+  }
+  if (isEmpty(after)) {
+    return [change(field, before, after, `${field} removed (was ${show(before)})`)];
+  }
+  return [change(field, before, after, `${field}: ${show(before)} → ${show(after)}`)];
+}
+
+/**
+ * Changes from one decision.json to another: [{field, before, after,
+ * message}], field being the dotted path ("consequences.risks"). before may
+ * be null for a record that did not exist yet.
+ */
+function diffDecisions(before, after) {
+  if (!isObject(before)) {
+    return [change('', null, after, `created: ${show(after && after.title)} (${(after && after.status) || 'no status'})`)];
+  }
+  if (!isObject(after)) {
+    return [change('', before, null, 'deleted')];
+  }
+  return diffValue('', before, after);
+}
+
+/**
+ * The substantive fields a change touched without adding an updates[]
+ * entry, or [] when it is logged (or only touched other fields).
+ */
+function unloggedFields(before, after, changes, fields = SUBSTANTIVE_FIELDS) {
+  if (!isObject(before) || !isObject(after)) {
+    return [];
+  }
+  const logged = changes.some(entry => entry.field === 'updates' && entry.before === null);
+  if (logged) {
+    return [];
+  }
+  const touched = changes.map(entry => entry.field.split('.')[0]).filter(field => fields.includes(field));
+  return [...new Set(touched)];
+}
+
+function git(args) {
+  return execFileSync('git', args, { encoding: 'utf8', stdio: ['ignore', 'pipe', 'ignore'], maxBuffer: 64 * 1024 * 1024 });
+}
+
+/**
+ * Commits that changed a file, oldest first, following renames (as
+ * renumber-decision.js makes): [{commit, author, date, subject, path}],
+ * path being the file's name in that commit relative to the repository root.
+ * Returns [] outside a git work tree or when git is not installed.
+ */
+function readFileHistory(filePath) {
+  let output;
+  try {
+    output = git(['log', '--follow', '--name-only', '--format=%x1e%H%x1f%an%x1f%aI%x1f%s', '--', filePath]);
+  } catch (e) {
+    return [];
+  }
+  
+  return output.split('\x1e').filter(entry => entry.trim()).map(entry => {
+    const [header, ...names] = entry.split('\n');
+    const [commit, author, date, subject] = header.split('\x1f');
+    return { commit, author, date, subject, path: names.find(name => name.trim()) || null };
+  }).reverse();
+}
+
+/**
+ * A file's JSON at a revision: rootPath is relative to the repository root,
+ * as readFileHistory() gives it. Returns {data} or {error}; data is null
+ * when the file does not exist at that revision.
+ */
+function readJsonAt(revision, rootPath) {
+  let text;
+  try {
+    text = git(['show', `${revision}:${rootPath}`]);
+  } catch (e) {
+    return { data: null };
+  }
+  try {
+    return { data: JSON.parse(text) };
+  } catch (e) {
+    return { error: `Invalid JSON at ${revision}: ${e.message}` };
+  }
+}
+
+// Path of a file relative to the repository root, for git show; null outside git
+function repoPath(filePath) {
+  try {
+    const prefix = git(['rev-parse', '--show-prefix']).trim();
+    return path.posix.normalize(`${prefix}${filePath.split(path.sep).join('/')}`);
+  } catch (e) {
+    return null;
+  }
+}
+
+function readJsonFile(filePath) {
+  if (!fs.existsSync(filePath)) {
+    return { data: null };
+  }
+  try {
+    return { data: JSON.parse(fs.readFileSync(filePath, 'utf8')) };
+  } catch (e) {
+    return { error: `Invalid JSON in the working tree: ${e.message}` };
+  }
+}
+
+module.exports = {
+  SUBSTANTIVE_FIELDS,
+  diffDecisions,
+  unloggedFields,
+  readFileHistory,
+  readJsonAt,
+  readJsonFile,
+  repoPath,
+};
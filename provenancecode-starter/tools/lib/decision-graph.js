@@ -0,0 +1,280 @@
+/**
+ * ProvenanceCode: Cross-record decision graph
+ *
+ * Builds a graph from relatedDecisions (dependsOn, relatedTo, supersedes,
+ * supersededBy) across all records and checks it for dangling references,
+ * dependsOn cycles, one-sided supersession and active decisions that rest
+ * on rejected or deprecated ones.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const RELATION_TYPES = ['dependsOn', 'relatedTo', 'supersedes', 'supersededBy'];
+const ACTIVE_STATUSES = ['accepted', 'implemented'];
+const RETIRED_STATUSES = ['rejected', 'deprecated'];
+
+/**
+ * Load every decision.json under decisionsDir (TEMPLATE excluded).
+ * Records whose JSON cannot be parsed are skipped; the per-record validator
+ * reports those.
+ */
+function loadDecisionRecords(decisionsDir) {
+  if (!fs.existsSync(decisionsDir)) {
+    return [];
+  }
+  
+  const records = [];
+  for (const entry of fs.readdirSync(decisionsDir, { withFileTypes: true })) {
+    if (!entry.isDirectory() || entry.name === 'TEMPLATE') {
+      continue;
+    }
+    
+    const jsonPath = path.join(decisionsDir, entry.name, 'decision.json');
+    if (!fs.existsSync(jsonPath)) {
+      continue;
+    }
+    
+    try {
+      const data = JSON.parse(fs.readFileSync(jsonPath, 'utf8'));
+      records.push({ dir: entry.name, path: path.join(decisionsDir, entry.name), data });
+    } catch (e) {
+      // Reported by the per-record validation
+    }
+  }
+  
+  return records.sort((a, b) => a.dir.localeCompare(b.dir));
+}
+
+function toList(value) {
+  if (value === undefined || value === null) {
+    return [];
+  }
+  return (Array.isArray(value) ? value : [value]).filter(item => typeof item === 'string' && item.trim() !== '');
+}
+
+/**
+ * Build the graph. Node ids are the record's "id" (falling back to the
+ * directory name). References resolve by id, directory name or, when
+ * unambiguous, by numeric prefix ("003" or "#003").
+ */
+function buildDecisionGraph(records) {
+  const nodes = new Map();
+  const aliases = new Map();
+  
+  for (const record of records) {
+    const id = typeof record.data.id === 'string' && record.data.id ? record.data.id : record.dir;
+    if (nodes.has(id)) {
+      continue;
+    }
+    
+    nodes.set(id, {
+      id,
+      dir: record.dir,
+      path: record.path,
+      title: record.data.title || id,
+      status: record.data.status || null,
+      owner: (record.data.metadata && record.data.metadata.owner) || null,
+      tags: (record.data.metadata && record.data.metadata.tags) || [],
+      data: record.data,
+    });
+    aliases.set(id, id);
+    aliases.set(record.dir, id);
+  }
+  
+  const prefixes = new Map();
+  for (const node of nodes.values()) {
+    const number = (node.dir.match(/^(\d+)/) || [])[1];
+    if (number) {
+      prefixes.set(number, prefixes.has(number) ? null : node.id);
+    }
+  }
+  
+  function resolve(reference) {
+    const key = reference.trim().replace(/^#/, '');
+    if (aliases.has(key)) {
+      return aliases.get(key);
+    }
+    if (/^\d+$/.test(key)) {
+      return prefixes.get(key) || null;
+    }
+    return null;
+  }
+  
+  const edges = [];
+  for (const node of nodes.values()) {
+    const related = node.data.relatedDecisions || {};
+    for (const type of RELATION_TYPES) {
+      for (const reference of toList(related[type])) {
+        edges.push({ from: node.id, to: resolve(reference), type, reference });
+      }
+    }
+  }
+  
+  return { nodes, edges, resolve };
+}
+
+function outgoing(graph, id, type) {
+  return graph.edges.filter(edge => edge.from === id && edge.type === type);
+}
+
+// Find dependsOn cycles with Tarjan's strongly connected components
+function findCycles(graph) {
+  const index = new Map();
+  const lowLink = new Map();
+  const stack = [];
+  const onStack = new Set();
+  const cycles = [];
+  let counter = 0;
+  
+  function visit(id) {
+    index.set(id, counter);
+    lowLink.set(id, counter);
+    counter++;
+    stack.push(id);
+    onStack.add(id);
+    
+    for (const edge of outgoing(graph, id, 'dependsOn')) {
+      if (!edge.to || edge.to === id) {
+        continue;
+      }
+      if (!index.has(edge.to)) {
+        visit(edge.to);
+        lowLink.set(id, Math.min(lowLink.get(id), lowLink.get(edge.to)));
+      } else if (onStack.has(edge.to)) {
+        lowLink.set(id, Math.min(lowLink.get(id), index.get(edge.to)));
+      }
+    }
+    
+    if (lowLink.get(id) === index.get(id)) {
+      const component = [];
+      let member;
+      do {
+        member = stack.pop();
+        onStack.delete(member);
+        component.push(member);
+      } while (member !== id);
+      
+      if (component.length > 1) {
+        cycles.push(component.reverse());
+      }
+    }
+  }
+  
+  for (const id of graph.nodes.keys()) {
+    if (!index.has(id)) {
+      visit(id);
+    }
+  }
+  
+  return cycles;
+}
+
+// Walk one concrete cycle through a strongly connected component for display
+function describeCycle(graph, component) {
+  const members = new Set(component);
+  const pathIds = [component[0]];
+  const seen = new Set(pathIds);
+  
+  for (;;) {
+    const current = pathIds[pathIds.length - 1];
+    const next = outgoing(graph, current, 'dependsOn')
+      .map(edge => edge.to)
+      .find(to => members.has(to) && (to === pathIds[0] || !seen.has(to)));
+    
+    if (!next || next === pathIds[0]) {
+      return pathIds.concat(pathIds[0]);
+    }
+    pathIds.push(next);
+    seen.add(next);
+  }
+}
+
+/**
+ * Check the graph. Returns [{rule, decision, severity: 'error'|'warning',
+ * message, field}], where decision is the node id the issue is reported
+ * against and field the relatedDecisions entry it concerns.
+ */
+function checkDecisionGraph(graph) {
+  const issues = [];
+  const report = (rule, decision, severity, message, field) => issues.push({ rule, decision, severity, message, field });
+  
+  // Dangling and self references
+  for (const edge of graph.edges) {
+    if (!edge.to) {
+      report(edge.type === 'relatedTo' ? 'unknown-related-decision' : 'unknown-decision', edge.from, edge.type === 'relatedTo' ? 'warning' : 'error',
+        `relatedDecisions.${edge.type} references unknown decision "${edge.reference}"`, `relatedDecisions.${edge.type}`);
+    } else if (edge.to === edge.from) {
+      report('self-reference', edge.from, 'error', `relatedDecisions.${edge.type} references the decision itself`, `relatedDecisions.${edge.type}`);
+    }
+  }
+  
+  for (const component of findCycles(graph)) {
+    report('dependency-cycle', component[0], 'error', `dependsOn cycle: ${describeCycle(graph, component).join(' → ')}`, 'relatedDecisions.dependsOn');
+  }
+  
+  // Supersession must be recorded on both sides
+  for (const node of graph.nodes.values()) {
+    for (const edge of outgoing(graph, node.id, 'supersedes')) {
+      const target = edge.to && edge.to !== node.id ? graph.nodes.get(edge.to) : null;
+      if (!target) {
+        continue;
+      }
+      
+      const supersededBy = outgoing(graph, target.id, 'supersededBy')[0];
+      if (!supersededBy || supersededBy.to !== node.id) {
+        report('one-sided-supersession', node.id, 'error', `supersedes ${target.id}, but ${target.id} has supersededBy ${supersededBy ? `"${supersededBy.reference}"` : 'unset'}`, 'relatedDecisions.supersedes');
+      }
+      if (target.status !== 'superseded') {
+        report('superseded-target-status', node.id, 'error', `supersedes ${target.id}, but ${target.id} has status "${target.status}" (expected "superseded")`, 'relatedDecisions.supersedes');
+      }
+    }
+    
+    const supersededBy = outgoing(graph, node.id, 'supersededBy');
+    if (supersededBy.length > 0) {
+      const edge = supersededBy[0];
+      const successor = edge.to && edge.to !== node.id ? graph.nodes.get(edge.to) : null;
+      if (successor && !outgoing(graph, successor.id, 'supersedes').some(other => other.to === node.id)) {
+        report('one-sided-supersession', node.id, 'error', `supersededBy ${successor.id}, but ${successor.id} does not list it in supersedes`, 'relatedDecisions.supersededBy');
+      }
+      if (node.status !== 'superseded') {
+        report('superseded-status-mismatch', node.id, 'warning', `has supersededBy ${edge.reference} but status "${node.status}" (expected "superseded")`, 'status');
+      }
+    } else if (node.status === 'superseded') {
+      report('superseded-status-mismatch', node.id, 'warning', 'status is "superseded" but supersededBy is not set', 'status');
+    }
+  }
+  
+  // Active decisions should not rest on retired ones
+  for (const node of graph.nodes.values()) {
+    if (!ACTIVE_STATUSES.includes(node.status)) {
+      continue;
+    }
+    
+    for (const edge of outgoing(graph, node.id, 'dependsOn')) {
+      const dependency = edge.to ? graph.nodes.get(edge.to) : null;
+      if (!dependency || dependency.id === node.id) {
+        continue;
+      }
+      
+      if (RETIRED_STATUSES.includes(dependency.status)) {
+        report('retired-dependency', node.id, 'error', `is ${node.status} but depends on ${dependency.status} decision ${dependency.id}`, 'relatedDecisions.dependsOn');
+      } else if (dependency.status === 'superseded') {
+        const successor = outgoing(graph, dependency.id, 'supersededBy')[0];
+        const hint = successor && successor.to ? `; consider depending on ${successor.to}` : '';
+        report('superseded-dependency', node.id, 'warning', `depends on superseded decision ${dependency.id}${hint}`, 'relatedDecisions.dependsOn');
+      }
+    }
+  }
+  
+  return issues;
+}
+
+module.exports = {
+  RELATION_TYPES,
+  loadDecisionRecords,
+  buildDecisionGraph,
+  checkDecisionGraph,
+  findCycles,
+  outgoing,
+};
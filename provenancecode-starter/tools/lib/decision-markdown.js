@@ -0,0 +1,777 @@
+/**
+ * ProvenanceCode: decision.md <-> decision.json mapping
+ *
+ * decision.md follows the TEMPLATE structure: "## Status" with **Date**,
+ * **Deciders** and **Last Updated** fields, the problem statement and a
+ * "### Constraints" bullet list under "## Context", the summary as the first
+ * paragraph under "## Decision", "### Positive/Negative/Neutral/Risks" bullet
+ * lists under "## Consequences", one "### Alternative N: Name" block
+ * per alternative, and labelled fields under "## Metadata" and "## Approval".
+ * Only those structured parts are read or rewritten; all other prose is left
+ * exactly as written.
+ */
+
+const HEADING_RE = /^(#{1,6})\s+(.*?)\s*#*\s*$/;
+const FENCE_RE = /^\s*(```|~~~)/;
+const FIELD_RE = /^\*\*([^*]+?):?\*\*:?\s*(.*)$/;
+const BULLET_RE = /^[-*+]\s+(.*)$/;
+const RULE_RE = /^\s*(-{3,}|\*{3,}|_{3,})\s*$/;
+const DATE_RE = /\d{4}-\d{2}-\d{2}/;
+
+/**
+ * Where each synced decision.json field lives in decision.md.
+ * section/subsection match the start of a heading, case-insensitively.
+ * nullable fields may be cleared from decision.md; other empty or placeholder
+ * values in decision.md never overwrite decision.json.
+ * prose is the text between a section heading and its first subsection;
+ * paragraph is the first paragraph of that text.
+ */
+const SYNCED_FIELDS = [
+  { path: 'title', type: 'title' },
+  { path: 'status', type: 'status', section: 'Status' },
+  { path: 'date', type: 'date', section: 'Status', label: 'Date' },
+  { path: 'deciders', type: 'csv', section: 'Status', label: 'Deciders' },
+  { path: 'lastUpdated', type: 'date', section: 'Status', label: 'Last Updated' },
+  { path: 'context.problem', type: 'prose', section: 'Context' },
+  { path: 'context.constraints', type: 'bullets', section: 'Context', subsection: 'Constraints' },
+  { path: 'decision.summary', type: 'paragraph', section: 'Decision' },
+  { path: 'consequences.positive', type: 'bullets', section: 'Consequences', subsection: 'Positive' },
+  { path: 'consequences.negative', type: 'bullets', section: 'Consequences', subsection: 'Negative' },
+  { path: 'consequences.neutral', type: 'bullets', section: 'Consequences', subsection: 'Neutral' },
+  { path: 'consequences.risks', type: 'risks', section: 'Consequences', subsection: 'Risks' },
+  { path: 'alternatives', type: 'alternatives', section: 'Alternatives' },
+  { path: 'metadata.tags', type: 'csv', section: 'Metadata', label: 'Tags' },
+  { path: 'metadata.affects', type: 'csv', section: 'Metadata', label: 'Affects' },
+  { path: 'monitoring.reviewDate', type: 'date', section: 'Metadata', label: 'Review Date' },
+  { path: 'metadata.owner', type: 'text', section: 'Metadata', label: 'Owner' },
+  { path: 'metadata.stakeholders', type: 'csv', section: 'Metadata', label: 'Stakeholders' },
+  { path: 'approval.proposedBy', type: 'person', section: 'Approval', label: 'Proposed by' },
+  { path: 'approval.approvedBy', type: 'people', section: 'Approval', label: 'Approved by' },
+  { path: 'approval.implementationStarted', type: 'date', section: 'Approval', label: 'Implementation Started', nullable: true },
+  { path: 'approval.implementationCompleted', type: 'date', section: 'Approval', label: 'Implementation Completed', nullable: true },
+];
+
+const STATUSES = ['proposed', 'accepted', 'implemented', 'deprecated', 'superseded', 'rejected'];
+
+const SECTION_HEADINGS = {
+  Status: 'Status',
+  Context: 'Context',
+  Decision: 'Decision',
+  Consequences: 'Consequences',
+  Alternatives: 'Alternatives Considered',
+  Metadata: 'Metadata',
+  Approval: 'Approval',
+};
+
+// Path helpers
+
+function getPath(data, dottedPath) {
+  return dottedPath.split('.').reduce((value, key) => (value && typeof value === 'object' ? value[key] : undefined), data);
+}
+
+function setPath(data, dottedPath, value) {
+  const keys = dottedPath.split('.');
+  let target = data;
+  for (const key of keys.slice(0, -1)) {
+    if (!target[key] || typeof target[key] !== 'object') {
+      target[key] = {};
+    }
+    target = target[key];
+  }
+  target[keys[keys.length - 1]] = value;
+}
+
+// Document structure
+
+function scanHeadings(lines) {
+  const headings = [];
+  let inFence = false;
+  
+  lines.forEach((line, index) => {
+    if (FENCE_RE.test(line)) {
+      inFence = !inFence;
+      return;
+    }
+    const match = !inFence && line.match(HEADING_RE);
+    if (match) {
+      headings.push({ index, level: match[1].length, title: match[2] });
+    }
+  });
+  
+  return headings;
+}
+
+function matchesHeading(title, name) {
+  return title.toLowerCase().startsWith(name.toLowerCase());
+}
+
+/**
+ * Find a "## name" section (or a "### name" subsection inside parent).
+ * Returns {start, end, title}: start is the heading line, end is exclusive.
+ */
+function findSection(lines, name, parent) {
+  const headings = scanHeadings(lines);
+  const level = parent ? 3 : 2;
+  const from = parent ? parent.start : 0;
+  const to = parent ? parent.end : lines.length;
+  
+  const heading = headings.find(h => h.level === level && h.index > from && h.index < to && matchesHeading(h.title, name));
+  if (!heading) {
+    return null;
+  }
+  
+  const next = headings.find(h => h.index > heading.index && h.level <= level);
+  return { start: heading.index, end: next ? Math.min(next.index, to) : to, title: heading.title };
+}
+
+// Index where new content goes: before trailing blank lines and a closing "---"
+function insertionPoint(lines, section) {
+  let index = section.end;
+  while (index - 1 > section.start && lines[index - 1].trim() === '') {
+    index--;
+  }
+  if (index - 1 > section.start && RULE_RE.test(lines[index - 1])) {
+    index--;
+    while (index - 1 > section.start && lines[index - 1].trim() === '') {
+      index--;
+    }
+  }
+  return index;
+}
+
+function findField(lines, section, label) {
+  for (let i = section.start + 1; i < section.end; i++) {
+    const match = lines[i].match(FIELD_RE);
+    if (match && match[1].trim().toLowerCase() === label.toLowerCase()) {
+      return { index: i, label: match[1].trim(), value: match[2].trim() };
+    }
+  }
+  return null;
+}
+
+// Contiguous bullet lines starting at index (nested lines belong to the item above)
+function bulletBlock(lines, index, end) {
+  const items = [];
+  let i = index;
+  while (i < end && (BULLET_RE.test(lines[i]) || (items.length > 0 && /^\s+\S/.test(lines[i])))) {
+    const match = lines[i].match(BULLET_RE);
+    if (match) {
+      items.push(match[1].trim());
+    }
+    i++;
+  }
+  return { items, from: index, to: i };
+}
+
+function firstBulletBlock(lines, section) {
+  let inFence = false;
+  for (let i = section.start + 1; i < section.end; i++) {
+    if (FENCE_RE.test(lines[i])) {
+      inFence = !inFence;
+    } else if (!inFence && BULLET_RE.test(lines[i])) {
+      return bulletBlock(lines, i, section.end);
+    }
+  }
+  return null;
+}
+
+/**
+ * The prose lines of a section: from the first non-blank line after the
+ * heading up to the first subsection or closing rule, or only its first
+ * paragraph. Returns {from, to} (to is exclusive), or null when there is none.
+ */
+function proseBlock(lines, section, firstParagraph) {
+  const subsection = scanHeadings(lines).find(h => h.index > section.start && h.index < section.end);
+  const to = insertionPoint(lines, { start: section.start, end: subsection ? subsection.index : section.end });
+  let from = section.start + 1;
+  while (from < to && lines[from].trim() === '') {
+    from++;
+  }
+  if (from >= to) {
+    return null;
+  }
+  
+  let end = to;
+  if (firstParagraph) {
+    end = from;
+    while (end < to && lines[end].trim() !== '') {
+      end++;
+    }
+  }
+  return { from, to: end };
+}
+
+// Value parsing
+
+function isPlaceholder(text) {
+  return /^\[.*\]$/.test(text.trim());
+}
+
+function parseCsv(text) {
+  if (isPlaceholder(text)) {
+    return null;
+  }
+  return text.split(',').map(item => item.trim()).filter(Boolean);
+}
+
+function parseDate(text) {
+  const match = text.match(DATE_RE);
+  return match ? match[0] : null;
+}
+
+function parsePerson(text) {
+  const match = text.trim().match(/^(.*?)(?:\s*\(([^)]*)\))?(?:\s*[-–—]\s*(\d{4}-\d{2}-\d{2}))?\s*$/);
+  const person = { name: match[1].trim() };
+  if (match[2]) {
+    person.role = match[2].trim();
+  }
+  if (match[3]) {
+    person.date = match[3];
+  }
+  return person;
+}
+
+function formatPerson(person, withDate) {
+  const role = person.role ? ` (${person.role})` : '';
+  const date = withDate && person.date ? ` - ${person.date}` : '';
+  return `${person.name || ''}${role}${date}`;
+}
+
+// "Description (likelihood: low, impact: high). Mitigation: ..."
+function parseRisk(text) {
+  const match = text.match(/^(.*?)\s*\(likelihood:\s*(\w+),\s*impact:\s*(\w+)\)\.?(?:\s*Mitigation:\s*(.*))?$/i);
+  if (!match) {
+    return { description: text.trim() };
+  }
+  const risk = { description: match[1].trim(), likelihood: match[2].toLowerCase(), impact: match[3].toLowerCase() };
+  if (match[4] && match[4].trim()) {
+    risk.mitigation = match[4].trim();
+  }
+  return risk;
+}
+
+function formatRisk(risk) {
+  const rating = risk.likelihood || risk.impact ? ` (likelihood: ${risk.likelihood || 'unknown'}, impact: ${risk.impact || 'unknown'})` : '';
+  const mitigation = risk.mitigation ? `. Mitigation: ${risk.mitigation}` : '';
+  return `${risk.description || ''}${rating}${mitigation}`;
+}
+
+function parseAlternative(lines, section) {
+  const alternative = { name: section.title.replace(/^alternative\s*\d*\s*[:.)-]?\s*/i, '').trim() };
+  const fields = {
+    description: 'Description',
+    rejectionReason: 'Why rejected',
+  };
+  
+  for (const [key, label] of Object.entries(fields)) {
+    const field = findField(lines, section, label);
+    if (field && field.value) {
+      alternative[key] = field.value;
+    }
+  }
+  
+  for (const [key, label] of [['pros', 'Pros'], ['cons', 'Cons']]) {
+    const field = findField(lines, section, label);
+    if (field) {
+      alternative[key] = bulletBlock(lines, field.index + 1, section.end).items;
+    }
+  }
+  
+  return alternative;
+}
+
+function readField(lines, spec) {
+  if (spec.type === 'title') {
+    const heading = scanHeadings(lines).find(h => h.level === 1);
+    if (!heading) {
+      return undefined;
+    }
+    const title = heading.title.replace(/^decision:\s*/i, '');
+    return isPlaceholder(title) ? null : title;
+  }
+  
+  const section = findSection(lines, spec.section);
+  if (!section) {
+    return undefined;
+  }
+  
+  if (spec.type === 'status') {
+    for (let i = section.start + 1; i < section.end; i++) {
+      const text = lines[i].replace(/[*_`]/g, '').trim().toLowerCase();
+      if (text !== '' && !FIELD_RE.test(lines[i]) && !RULE_RE.test(lines[i])) {
+        return STATUSES.includes(text) ? text : null;
+      }
+    }
+    return null;
+  }
+  
+  if (spec.type === 'bullets' || spec.type === 'risks') {
+    const subsection = findSection(lines, spec.subsection, section);
+    if (!subsection) {
+      return undefined;
+    }
+    const block = firstBulletBlock(lines, subsection);
+    const items = block ? block.items : [];
+    return spec.type === 'risks' ? items.map(parseRisk) : items;
+  }
+  
+  if (spec.type === 'prose' || spec.type === 'paragraph') {
+    const block = proseBlock(lines, section, spec.type === 'paragraph');
+    const text = block ? lines.slice(block.from, block.to).join('\n').trim() : '';
+    return text && !isPlaceholder(text) ? text : null;
+  }
+  
+  if (spec.type === 'alternatives') {
+    const alternatives = [];
+    for (const heading of scanHeadings(lines)) {
+      if (heading.level === 3 && heading.index > section.start && heading.index < section.end) {
+        alternatives.push(parseAlternative(lines, findSection(lines, heading.title, section)));
+      }
+    }
+    return alternatives;
+  }
+  
+  const field = findField(lines, section, spec.label);
+  if (!field) {
+    return undefined;
+  }
+  
+  switch (spec.type) {
+    case 'date':
+      return parseDate(field.value);
+    case 'csv':
+      return parseCsv(field.value);
+    case 'person':
+      return field.value && !isPlaceholder(field.value) ? parsePerson(field.value) : null;
+    case 'people':
+      return bulletBlock(lines, field.index + 1, section.end).items.map(parsePerson);
+    default:
+      return field.value && !isPlaceholder(field.value) ? field.value : null;
+  }
+}
+
+/**
+ * Parse the structured parts of decision.md into a decision.json-shaped
+ * object. Fields whose section or label is absent are left out.
+ */
+function parseDecisionMarkdown(text) {
+  const lines = text.replace(/\r\n?/g, '\n').split('\n');
+  const data = {};
+  
+  for (const spec of SYNCED_FIELDS) {
+    const value = readField(lines, spec);
+    if (value !== undefined) {
+      setPath(data, spec.path, value);
+    }
+  }
+  
+  return data;
+}
+
+// Comparison
+
+function isEmpty(value) {
+  return value === undefined || value === null || value === '' || (Array.isArray(value) && value.length === 0);
+}
+
+function normalize(text) {
+  return String(text).replace(/\s+/g, ' ').trim();
+}
+
+function listDifference(mdItems, jsonItems) {
+  const md = (mdItems || []).map(normalize);
+  const json = (jsonItems || []).map(normalize);
+  return {
+    onlyInMd: md.filter(item => !json.includes(item)),
+    onlyInJson: json.filter(item => !md.includes(item)),
+  };
+}
+
+function describeDifference(difference) {
+  const parts = [];
+  if (difference.onlyInMd.length > 0) {
+    parts.push(`only in decision.md: ${difference.onlyInMd.map(item => `"${item}"`).join(', ')}`);
+  }
+  if (difference.onlyInJson.length > 0) {
+    parts.push(`only in decision.json: ${difference.onlyInJson.map(item => `"${item}"`).join(', ')}`);
+  }
+  return parts.join('; ');
+}
+
+function compareAlternatives(mdAlternatives, jsonAlternatives) {
+  const mismatches = [];
+  const byName = list => new Map((list || []).map(alternative => [normalize(alternative.name || '').toLowerCase(), alternative]));
+  const md = byName(mdAlternatives);
+  const json = byName(jsonAlternatives);
+  
+  for (const [key, alternative] of md) {
+    if (!json.has(key)) {
+      mismatches.push({ field: 'alternatives', message: `"${alternative.name}" is only in decision.md` });
+    }
+  }
+  
+  for (const [key, jsonAlternative] of json) {
+    const mdAlternative = md.get(key);
+    if (!mdAlternative) {
+      mismatches.push({ field: 'alternatives', message: `"${jsonAlternative.name}" is only in decision.json` });
+      continue;
+    }
+    
+    for (const property of ['description', 'rejectionReason']) {
+      if (normalize(mdAlternative[property] || '') !== normalize(jsonAlternative[property] || '')) {
+        mismatches.push({ field: `alternatives["${jsonAlternative.name}"].${property}`, message: 'differs between decision.md and decision.json' });
+      }
+    }
+    for (const property of ['pros', 'cons']) {
+      const difference = listDifference(mdAlternative[property], jsonAlternative[property]);
+      if (difference.onlyInMd.length > 0 || difference.onlyInJson.length > 0) {
+        mismatches.push({ field: `alternatives["${jsonAlternative.name}"].${property}`, message: describeDifference(difference) });
+      }
+    }
+  }
+  
+  return mismatches;
+}
+
+/**
+ * Compare decision.md with decision.json.
+ * Returns [{field, message}] for every synced field that differs.
+ */
+function compareDecision(markdown, json) {
+  const mdData = parseDecisionMarkdown(markdown);
+  const mismatches = [];
+  
+  for (const spec of SYNCED_FIELDS) {
+    const mdValue = getPath(mdData, spec.path);
+    const jsonValue = getPath(json, spec.path);
+    
+    if (isEmpty(mdValue) && isEmpty(jsonValue)) {
+      continue;
+    }
+    if (mdValue === undefined) {
+      mismatches.push({ field: spec.path, message: 'missing from decision.md' });
+      continue;
+    }
+    if (jsonValue === undefined) {
+      mismatches.push({ field: spec.path, message: 'missing from decision.json' });
+      continue;
+    }
+    
+    if (spec.type === 'alternatives') {
+      mismatches.push(...compareAlternatives(mdValue, jsonValue));
+    } else if (['csv', 'bullets', 'people', 'risks'].includes(spec.type)) {
+      const formatItem = spec.type === 'risks' ? formatRisk : item => formatPerson(item, true);
+      const format = items => (items || []).map(item => (typeof item === 'object' ? formatItem(item) : item));
+      const difference = listDifference(format(mdValue), format(jsonValue));
+      if (difference.onlyInMd.length > 0 || difference.onlyInJson.length > 0) {
+        mismatches.push({ field: spec.path, message: describeDifference(difference) });
+      }
+    } else if (spec.type === 'prose' || spec.type === 'paragraph') {
+      if (normalize(mdValue || '') !== normalize(jsonValue || '')) {
+        mismatches.push({ field: spec.path, message: 'differs between decision.md and decision.json' });
+      }
+    } else {
+      // proposedBy has no date in decision.md, so compare name and role only
+      const md = spec.type === 'person' ? formatPerson(mdValue || {}, false) : mdValue;
+      const other = spec.type === 'person' ? formatPerson(jsonValue || {}, false) : jsonValue;
+      if (normalize(md || '') !== normalize(other || '')) {
+        const show = value => (value ? `"${value}"` : 'no value');
+        mismatches.push({ field: spec.path, message: `decision.md has ${show(md)}, decision.json has ${show(other)}` });
+      }
+    }
+  }
+  
+  return mismatches;
+}
+
+// Markdown -> JSON
+
+/**
+ * Copy the structured fields parsed from decision.md into decision.json,
+ * leaving every other JSON field untouched.
+ */
+function applyMarkdownToJson(markdown, json) {
+  const mdData = parseDecisionMarkdown(markdown);
+  const result = JSON.parse(JSON.stringify(json || {}));
+  
+  for (const spec of SYNCED_FIELDS) {
+    const value = getPath(mdData, spec.path);
+    if (value === undefined || (value === null && !spec.nullable)) {
+      continue;
+    }
+    
+    const current = getPath(result, spec.path);
+    if (spec.type === 'person') {
+      setPath(result, spec.path, Object.assign({}, current, value));
+    } else if (spec.type === 'alternatives') {
+      // Keep JSON-only properties of alternatives that still exist
+      const previous = new Map((current || []).map(alternative => [normalize(alternative.name || '').toLowerCase(), alternative]));
+      setPath(result, spec.path, value.map(alternative =>
+        Object.assign({}, previous.get(normalize(alternative.name).toLowerCase()), alternative)
+      ));
+    } else if (spec.type === 'risks') {
+      // Keep JSON-only properties of risks that are still listed
+      const previous = new Map((current || []).map(risk => [normalize(risk.description || '').toLowerCase(), risk]));
+      setPath(result, spec.path, value.map(risk =>
+        Object.assign({}, previous.get(normalize(risk.description).toLowerCase()), risk)
+      ));
+    } else {
+      setPath(result, spec.path, value);
+    }
+  }
+  
+  return result;
+}
+
+// JSON -> Markdown
+
+function replaceLines(lines, from, to, replacement) {
+  lines.splice(from, to - from, ...replacement);
+  
+  // Removing a block can leave two blank lines in a row
+  const at = from + replacement.length;
+  if (replacement.every(line => line.trim() === '') && at > 0 && at < lines.length &&
+      lines[at - 1].trim() === '' && lines[at].trim() === '') {
+    lines.splice(at, 1);
+  }
+}
+
+// Insert a block at the end of a section, keeping one blank line around it
+function appendToSection(lines, section, block) {
+  const at = insertionPoint(lines, section);
+  const before = lines[at - 1] !== undefined && lines[at - 1].trim() !== '' ? [''] : [];
+  const after = lines[at] !== undefined && lines[at].trim() !== '' ? [''] : [];
+  replaceLines(lines, at, at, before.concat(block, after));
+}
+
+function ensureSection(lines, spec) {
+  const existing = findSection(lines, spec.section);
+  if (existing) {
+    return existing;
+  }
+  
+  // New sections go before the closing template comment, if there is one
+  let at = lines.length;
+  while (at > 0 && lines[at - 1].trim() === '') {
+    at--;
+  }
+  const commentStart = lines.slice(0, at).map(line => line.trim()).lastIndexOf('<!--');
+  if (commentStart !== -1 && lines.slice(commentStart, at).some(line => line.includes('-->'))) {
+    at = commentStart;
+  }
+  
+  replaceLines(lines, at, at, [`## ${SECTION_HEADINGS[spec.section] || spec.section}`, '', '---', '']);
+  return findSection(lines, spec.section);
+}
+
+function renderAlternative(alternative, index) {
+  const block = [`### Alternative ${index + 1}: ${alternative.name || 'Unnamed'}`, ''];
+  if (alternative.description) {
+    block.push(`**Description**: ${alternative.description}`, '');
+  }
+  for (const [key, label] of [['pros', 'Pros'], ['cons', 'Cons']]) {
+    if (alternative[key] && alternative[key].length > 0) {
+      block.push(`**${label}**:`, ...alternative[key].map(item => `- ${item}`), '');
+    }
+  }
+  if (alternative.rejectionReason) {
+    block.push(`**Why rejected**: ${alternative.rejectionReason}`, '');
+  }
+  return block;
+}
+
+function formatValue(spec, value) {
+  if (spec.type === 'csv') {
+    return (value || []).join(', ');
+  }
+  if (spec.type === 'person') {
+    return value ? formatPerson(value, false) : '';
+  }
+  return value === null || value === undefined ? '' : String(value);
+}
+
+function writeField(lines, spec, value) {
+  if (spec.type === 'title') {
+    const heading = scanHeadings(lines).find(h => h.level === 1);
+    const prefix = heading && !/^decision:/i.test(heading.title) ? '' : 'Decision: ';
+    if (heading) {
+      lines[heading.index] = `# ${prefix}${value}`;
+    } else {
+      replaceLines(lines, 0, 0, [`# ${prefix}${value}`, '']);
+    }
+    return;
+  }
+  
+  const section = ensureSection(lines, spec);
+  
+  if (spec.type === 'status') {
+    for (let i = section.start + 1; i < section.end; i++) {
+      if (lines[i].trim() !== '' && !FIELD_RE.test(lines[i]) && !RULE_RE.test(lines[i])) {
+        lines[i] = value;
+        return;
+      }
+    }
+    replaceLines(lines, section.start + 1, section.start + 1, [value, '']);
+    return;
+  }
+  
+  if (spec.type === 'bullets' || spec.type === 'risks') {
+    let subsection = findSection(lines, spec.subsection, section);
+    if (!subsection && isEmpty(value)) {
+      return;
+    }
+    if (!subsection) {
+      appendToSection(lines, section, [`### ${spec.subsection}`, '']);
+      subsection = findSection(lines, spec.subsection, findSection(lines, spec.section));
+    }
+    const bullets = (value || []).map(item => `- ${spec.type === 'risks' ? formatRisk(item) : item}`);
+    const block = firstBulletBlock(lines, subsection);
+    if (block) {
+      replaceLines(lines, block.from, block.to, bullets);
+    } else if (bullets.length > 0) {
+      appendToSection(lines, subsection, bullets);
+    }
+    return;
+  }
+  
+  if (spec.type === 'prose' || spec.type === 'paragraph') {
+    const text = value ? String(value).replace(/\r\n?/g, '\n').trim().split('\n') : [];
+    const block = proseBlock(lines, section, spec.type === 'paragraph');
+    if (block) {
+      replaceLines(lines, block.from, block.to, text);
+    } else if (text.length > 0) {
+      const after = lines[section.start + 1] !== undefined && lines[section.start + 1].trim() !== '' ? [''] : [];
+      replaceLines(lines, section.start + 1, section.start + 1, [''].concat(text, after));
+    }
+    return;
+  }
+  
+  if (spec.type === 'alternatives') {
+    // Keep the section's introduction; regenerate one block per alternative
+    const first = scanHeadings(lines).find(h => h.level === 3 && h.index > section.start && h.index < section.end);
+    const from = first ? first.index : insertionPoint(lines, section);
+    const to = first ? insertionPoint(lines, section) : from;
+    const blocks = (value || []).map(renderAlternative);
+    const body = [];
+    blocks.forEach((block, index) => {
+      body.push(...(index > 0 ? ['---', ''] : []), ...block);
+    });
+    while (body.length > 0 && body[body.length - 1] === '') {
+      body.pop();
+    }
+    const lead = from > 0 && lines[from - 1].trim() !== '' ? [''] : [];
+    replaceLines(lines, from, to, lead.concat(body));
+    return;
+  }
+  
+  const field = findField(lines, section, spec.label);
+  const label = field ? field.label : spec.label;
+  
+  if (spec.type === 'people') {
+    const bullets = (value || []).map(person => `- ${formatPerson(person, true)}`);
+    if (field) {
+      const block = bulletBlock(lines, field.index + 1, section.end);
+      replaceLines(lines, field.index, block.to, [`**${label}**:`].concat(bullets));
+    } else {
+      appendToSection(lines, section, [`**${label}**:`].concat(bullets));
+    }
+    return;
+  }
+  
+  const text = formatValue(spec, value);
+  const line = text ? `**${label}**: ${text}` : `**${label}**:`;
+  if (field) {
+    lines[field.index] = line;
+  } else {
+    appendToSection(lines, section, [line]);
+  }
+}
+
+/**
+ * Rewrite the structured parts of decision.md from decision.json. Fields
+ * absent from the JSON are emptied in the markdown, except the title, status
+ * and prose, and no section is added just to hold an empty field.
+ * Pass fields (a list of decision.json paths) to rewrite only those.
+ */
+function applyJsonToMarkdown(json, markdown, fields) {
+  const eol = /\r\n/.test(markdown) ? '\r\n' : '\n';
+  const lines = markdown.replace(/\r\n?/g, '\n').split('\n');
+  const specs = fields ? SYNCED_FIELDS.filter(spec => fields.includes(spec.path)) : SYNCED_FIELDS;
+  
+  for (const spec of specs) {
+    const value = getPath(json, spec.path);
+    if (value !== undefined) {
+      writeField(lines, spec, value);
+    } else if (!['title', 'status', 'prose', 'paragraph'].includes(spec.type) && !isEmpty(readField(lines, spec))) {
+      writeField(lines, spec, ['csv', 'bullets', 'risks', 'alternatives', 'people'].includes(spec.type) ? [] : null);
+    }
+  }
+  
+  return lines.join(eol);
+}
+
+/**
+ * Create decision.md from decision.json alone, with the template's sections
+ * and the context and decision prose from the JSON.
+ */
+function renderDecisionMarkdown(json) {
+  const context = json.context || {};
+  const decision = json.decision || {};
+  const skeleton = [
+    `# Decision: ${json.title || ''}`,
+    '',
+    '## Status',
+    '',
+    '---',
+    '',
+    '## Context',
+    '',
+    context.problem || '',
+    '',
+    '### Constraints',
+    '',
+    '---',
+    '',
+    '## Decision',
+    '',
+    [decision.summary, decision.details].filter(Boolean).join('\n\n'),
+    '',
+    '---',
+    '',
+    '## Consequences',
+    '',
+    '### Positive',
+    '',
+    '### Negative',
+    '',
+    '### Neutral',
+    '',
+    '### Risks',
+    '',
+    '---',
+    '',
+    '## Alternatives Considered',
+    '',
+    '---',
+    '',
+    '## Metadata',
+    '',
+    '---',
+    '',
+    '## Approval',
+    '',
+    '---',
+    '',
+  ];
+  
+  return applyJsonToMarkdown(json, skeleton.join('\n')).replace(/\n{3,}/g, '\n\n');
+}
+
+module.exports = {
+  SYNCED_FIELDS,
+  parseDecisionMarkdown,
+  compareDecision,
+  applyMarkdownToJson,
+  applyJsonToMarkdown,
+  renderDecisionMarkdown,
+};
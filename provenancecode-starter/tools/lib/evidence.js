@@ -0,0 +1,307 @@
+/**
+ * ProvenanceCode: Evidence files of a decision record
+ *
+ * Evidence lives in the record's evidence/ folder and is referenced from
+ * decision.json (evidence.research[].path, evidence.proofOfConcept.results,
+ * any evidence string naming "evidence/...") and from decision.md (links and
+ * `evidence/...` mentions). checkEvidence() reports references that do not
+ * resolve to a file in evidence/, files nothing references, and files that
+ * break the evidence section of provenance/config.yml:
+ *
+ *   evidence:
+ *     max_file_size_kb: 1024
+ *     allowed_binary: [.pdf, .png, .xlsx]
+ *
+ * buildEvidenceIndex() lists every evidence file with its size, type and
+ * digest, for evidence/index.json.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { loadYamlFile } = require('./yaml');
+const { sha256, listEvidenceFiles } = require('./integrity');
+
+const INDEX_FILE = 'evidence/index.json';
+
+// Shipped with the TEMPLATE, or written by tools/evidence-index.js
+const UNREFERENCED_OK = ['evidence/README.md', INDEX_FILE];
+
+const DEFAULT_POLICY = {
+  maxFileSizeKb: 1024,
+  allowedBinary: ['.pdf', '.png', '.jpg', '.jpeg', '.gif', '.webp', '.docx', '.xlsx', '.pptx'],
+};
+
+const MEDIA_TYPES = {
+  '.md': 'text/markdown',
+  '.txt': 'text/plain',
+  '.csv': 'text/csv',
+  '.json': 'application/json',
+  '.yml': 'application/yaml',
+  '.yaml': 'application/yaml',
+  '.html': 'text/html',
+  '.xml': 'application/xml',
+  '.svg': 'image/svg+xml',
+  '.pdf': 'application/pdf',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.docx': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  '.xlsx': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  '.pptx': 'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+  '.zip': 'application/zip',
+};
+
+// "evidence/x.md", "./evidence/x.md" or "../evidence/x.md" in free text, not "other/evidence/x.md"
+const EVIDENCE_PATH_RE = /(?<![\w./-])(?:\.{1,2}\/)*evidence\/[^\s`'"()<>[\]]+/g;
+
+/**
+ * Load the evidence section of provenance/config.yml.
+ * Returns {maxFileSizeKb, allowedBinary}; 0 means no size limit.
+ */
+function loadEvidencePolicy(configPath) {
+  const config = fs.existsSync(configPath) ? loadYamlFile(configPath) || {} : {};
+  const evidence = config.evidence || {};
+  const policy = Object.assign({}, DEFAULT_POLICY);
+  
+  if (evidence.max_file_size_kb !== undefined) {
+    if (!Number.isInteger(evidence.max_file_size_kb) || evidence.max_file_size_kb < 0) {
+      throw new Error(`${configPath}: evidence.max_file_size_kb must be a whole number`);
+    }
+    policy.maxFileSizeKb = evidence.max_file_size_kb;
+  }
+  if (evidence.allowed_binary !== undefined) {
+    if (!Array.isArray(evidence.allowed_binary)) {
+      throw new Error(`${configPath}: evidence.allowed_binary must be a list of extensions`);
+    }
+    policy.allowedBinary = evidence.allowed_binary.map(ext => String(ext).toLowerCase().replace(/^\.?/, '.'));
+  }
+  return policy;
+}
+
+function isUrl(text) {
+  return /^[a-z][a-z0-9+.-]*:/i.test(text) || text.startsWith('#') || text.startsWith('//');
+}
+
+// Markdown links may escape spaces as %20
+function decodePath(text) {
+  try {
+    return decodeURI(text);
+  } catch (e) {
+    return text;
+  }
+}
+
+// proofOfConcept.results is prose or a path; a single word with an extension is a path
+function looksLikePath(text) {
+  return !/\s/.test(text) && /\.[a-z0-9]+$/i.test(text);
+}
+
+/**
+ * Every evidence reference: [{target, source, pointer | line}], source being
+ * "decision.json" (with a JSON pointer) or "decision.md" (with a line).
+ */
+function findEvidenceReferences(data, markdown) {
+  const references = [];
+  const evidence = data && typeof data.evidence === 'object' && data.evidence ? data.evidence : {};
+  const add = (target, location) => {
+    const clean = String(target).trim().replace(/[.,;:]+$/, '').split('#')[0];
+    if (clean && !isUrl(clean)) {
+      references.push(Object.assign({ target: clean }, location));
+    }
+  };
+  
+  // Explicit paths first; a string is only counted once
+  const explicit = new Set();
+  (Array.isArray(evidence.research) ? evidence.research : []).forEach((item, index) => {
+    if (item && typeof item.path === 'string' && item.path.trim()) {
+      explicit.add(`/evidence/research/${index}/path`);
+      add(item.path, { source: 'decision.json', pointer: `/evidence/research/${index}/path` });
+    }
+  });
+  const poc = evidence.proofOfConcept || {};
+  if (typeof poc.results === 'string' && looksLikePath(poc.results.trim())) {
+    explicit.add('/evidence/proofOfConcept/results');
+    add(poc.results, { source: 'decision.json', pointer: '/evidence/proofOfConcept/results' });
+  }
+  
+  // Any other evidence string that names a file in evidence/ (benchmarks, feedback, ...)
+  const walk = (value, pointer) => {
+    if (typeof value === 'string') {
+      if (!explicit.has(pointer)) {
+        (value.match(EVIDENCE_PATH_RE) || []).forEach(match => add(match, { source: 'decision.json', pointer }));
+      }
+    } else if (Array.isArray(value)) {
+      value.forEach((item, index) => walk(item, `${pointer}/${index}`));
+    } else if (value && typeof value === 'object') {
+      Object.keys(value).forEach(key => walk(value[key], `${pointer}/${key}`));
+    }
+  };
+  walk(evidence, '/evidence');
+  
+  if (typeof markdown === 'string') {
+    let inFence = false;
+    markdown.replace(/\r\n?/g, '\n').split('\n').forEach((line, index) => {
+      if (/^\s*(```|~~~)/.test(line)) {
+        inFence = !inFence;
+        return;
+      }
+      if (inFence) {
+        return;
+      }
+      const found = new Set();
+      for (const match of line.matchAll(/!?\[[^\]]*\]\(\s*<?([^)\s>]+)>?[^)]*\)/g)) {
+        if (/(^|\/)evidence\//.test(match[1])) {
+          found.add(decodePath(match[1]));
+        }
+      }
+      (line.match(EVIDENCE_PATH_RE) || []).forEach(match => found.add(decodePath(match)));
+      found.forEach(target => add(target, { source: 'decision.md', line: index + 1 }));
+    });
+  }
+  
+  return references;
+}
+
+/**
+ * Where a reference points: {file} (relative to the record, forward
+ * slashes) when it is inside evidence/, or {outside: true}. References are
+ * relative to the record folder; "x.csv" also finds evidence/x.csv.
+ */
+function resolveReference(decisionPath, target) {
+  const evidenceDir = path.resolve(decisionPath, 'evidence');
+  const inside = file => file === evidenceDir || file.startsWith(evidenceDir + path.sep);
+  if (path.isAbsolute(target) || /^[a-z]:[\\/]/i.test(target)) {
+    return { outside: true };
+  }
+  
+  let resolved = path.resolve(decisionPath, target);
+  if (!inside(resolved) && !target.split(/[\\/]/).includes('..') && fs.existsSync(path.resolve(evidenceDir, target))) {
+    resolved = path.resolve(evidenceDir, target);
+  }
+  if (!inside(resolved)) {
+    return { outside: true };
+  }
+  // A symlink inside evidence/ may still lead out of it
+  if (fs.existsSync(resolved)) {
+    const realDir = fs.realpathSync(evidenceDir);
+    const real = fs.realpathSync(resolved);
+    if (real !== realDir && !real.startsWith(realDir + path.sep)) {
+      return { outside: true };
+    }
+  }
+  return { file: path.relative(decisionPath, resolved).split(path.sep).join('/') };
+}
+
+// Git's test: a NUL byte in the first 8000 bytes
+function isBinary(filePath) {
+  const fd = fs.openSync(filePath, 'r');
+  try {
+    const buffer = Buffer.alloc(8000);
+    const read = fs.readSync(fd, buffer, 0, buffer.length, 0);
+    return buffer.subarray(0, read).includes(0);
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+function mediaType(file, binary) {
+  return MEDIA_TYPES[path.extname(file).toLowerCase()] || (binary ? 'application/octet-stream' : 'text/plain');
+}
+
+// Where a file is referenced, without decision.md line numbers so the index survives edits
+function describeReference(reference) {
+  return reference.source === 'decision.md' ? 'decision.md' : `decision.json ${reference.pointer}`;
+}
+
+/**
+ * Check a record's evidence. Returns {references, files, issues}:
+ * references as from findEvidenceReferences() plus the file each resolves
+ * to, files the evidence files, and issues [{rule, message, file?, pointer?,
+ * line?}] with rule one of missing-evidence-file, evidence-outside-folder,
+ * orphan-evidence, oversized-evidence, binary-evidence, evidence-index-out-of-date.
+ */
+function checkEvidence(decisionPath, data, markdown, policy = DEFAULT_POLICY) {
+  const issues = [];
+  const files = listEvidenceFiles(decisionPath);
+  const referenced = new Set();
+  const references = findEvidenceReferences(data, markdown).map(reference => {
+    const resolved = resolveReference(decisionPath, reference.target);
+    const location = reference.source === 'decision.md' ? { file: 'decision.md', line: reference.line } : { pointer: reference.pointer };
+    if (resolved.outside) {
+      issues.push(Object.assign({ rule: 'evidence-outside-folder', message: `${reference.target} is outside the record's evidence/ folder` }, location));
+    } else if (!files.includes(resolved.file)) {
+      issues.push(Object.assign({ rule: 'missing-evidence-file', message: `${reference.target} does not exist in evidence/` }, location));
+    } else {
+      referenced.add(resolved.file);
+    }
+    return Object.assign({ file: resolved.file || null }, reference);
+  });
+  
+  for (const file of files) {
+    const filePath = path.join(decisionPath, file);
+    if (!referenced.has(file) && !UNREFERENCED_OK.includes(file)) {
+      issues.push({ rule: 'orphan-evidence', file, message: `${file} is not referenced from decision.json or decision.md` });
+    }
+    const size = fs.statSync(filePath).size;
+    if (policy.maxFileSizeKb > 0 && size > policy.maxFileSizeKb * 1024) {
+      issues.push({ rule: 'oversized-evidence', file, message: `${file} is ${Math.ceil(size / 1024)} KB (limit ${policy.maxFileSizeKb} KB); store it in Git LFS or link to it` });
+    }
+    if (isBinary(filePath) && !policy.allowedBinary.includes(path.extname(file).toLowerCase())) {
+      issues.push({ rule: 'binary-evidence', file, message: `${file} is a binary file type not in evidence.allowed_binary` });
+    }
+  }
+  
+  const indexPath = path.join(decisionPath, INDEX_FILE);
+  if (fs.existsSync(indexPath)) {
+    let current = null;
+    try {
+      current = fs.readFileSync(indexPath, 'utf8');
+    } catch (e) {
+      // Reported as out of date below
+    }
+    if (current !== renderEvidenceIndex(buildEvidenceIndex(decisionPath, data, markdown))) {
+      issues.push({ rule: 'evidence-index-out-of-date', file: INDEX_FILE, message: `${INDEX_FILE} does not match the evidence files; run: node tools/evidence-index.js ${path.basename(decisionPath)}` });
+    }
+  }
+  
+  return { references, files, issues };
+}
+
+/**
+ * The evidence manifest of a record: {decision, files: [{path, size, type,
+ * binary, sha256, referencedBy}]}, sorted by path. The index file itself is
+ * left out. Digests match the ones seal-decision.js records.
+ */
+function buildEvidenceIndex(decisionPath, data, markdown) {
+  const references = findEvidenceReferences(data, markdown)
+    .map(reference => Object.assign({ file: resolveReference(decisionPath, reference.target).file }, reference));
+  const files = listEvidenceFiles(decisionPath).filter(file => file !== INDEX_FILE).map(file => {
+    const filePath = path.join(decisionPath, file);
+    const binary = isBinary(filePath);
+    return {
+      path: file,
+      size: fs.statSync(filePath).size,
+      type: mediaType(file, binary),
+      binary,
+      sha256: sha256(fs.readFileSync(filePath)),
+      referencedBy: [...new Set(references.filter(reference => reference.file === file).map(describeReference))],
+    };
+  });
+  return { decision: (data && data.id) || path.basename(decisionPath), files };
+}
+
+function renderEvidenceIndex(index) {
+  return JSON.stringify(index, null, 2) + '\n';
+}
+
+module.exports = {
+  INDEX_FILE,
+  DEFAULT_POLICY,
+  loadEvidencePolicy,
+  findEvidenceReferences,
+  checkEvidence,
+  buildEvidenceIndex,
+  renderEvidenceIndex,
+};
@@ -0,0 +1,99 @@
+/**
+ * ProvenanceCode: Glob matching for policy paths
+ *
+ * Patterns are matched against the whole repository-relative path:
+ *   **\/     zero or more directories ("src/**\/*.js" matches "src/a.js")
+ *   /**      everything below a directory ("src/core/**")
+ *   **       anywhere else, any characters including "/" ("infra/**.md")
+ *   *        any characters except "/"
+ *   ?        one character except "/"
+ *   [abc]    character class ([!abc] negates)
+ *   {a,b}    alternatives
+ */
+
+const cache = new Map();
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function globToRegExp(pattern) {
+  if (cache.has(pattern)) {
+    return cache.get(pattern);
+  }
+
+  let source = '';
+  let braceDepth = 0;
+
+  for (let i = 0; i < pattern.length; i++) {
+    const ch = pattern[i];
+
+    if (ch === '*') {
+      if (pattern[i + 1] === '*') {
+        const atSegmentStart = i === 0 || pattern[i - 1] === '/';
+        if (atSegmentStart && pattern[i + 2] === '/') {
+          source += '(?:.*/)?';
+          i += 2;
+        } else if (atSegmentStart && i + 2 === pattern.length && i > 0) {
+          // "dir/**" also matches "dir" itself; drop the slash already emitted
+          source = source.slice(0, -1) + '(?:/.*)?';
+          i += 1;
+        } else {
+          source += '.*';
+          i += 1;
+        }
+      } else {
+        source += '[^/]*';
+      }
+    } else if (ch === '?') {
+      source += '[^/]';
+    } else if (ch === '[') {
+      const end = pattern.indexOf(']', i + 2);
+      if (end === -1) {
+        source += '\\[';
+      } else {
+        let body = pattern.slice(i + 1, end).replace(/\\/g, '\\\\');
+        if (body.startsWith('!')) {
+          body = '^' + body.slice(1);
+        }
+        source += `[${body}]`;
+        i = end;
+      }
+    } else if (ch === '{') {
+      braceDepth++;
+      source += '(?:';
+    } else if (ch === '}' && braceDepth > 0) {
+      braceDepth--;
+      source += ')';
+    } else if (ch === ',' && braceDepth > 0) {
+      source += '|';
+    } else if (ch === '\\' && i + 1 < pattern.length) {
+      source += escapeRegExp(pattern[++i]);
+    } else {
+      source += escapeRegExp(ch);
+    }
+  }
+
+  const regex = new RegExp(`^${source}$`);
+  cache.set(pattern, regex);
+  return regex;
+}
+
+function normalizePath(filePath) {
+  return String(filePath).replace(/\\/g, '/').replace(/^\.\//, '');
+}
+
+function matchesGlob(filePath, pattern) {
+  return globToRegExp(normalizePath(pattern)).test(normalizePath(filePath));
+}
+
+function matchesAny(filePath, patterns) {
+  return (patterns || []).some(pattern => matchesGlob(filePath, pattern));
+}
+
+module.exports = {
+  globToRegExp,
+  matchesGlob,
+  matchesAny,
+  normalizePath,
+};
@@ -0,0 +1,234 @@
+/**
+ * ProvenanceCode: Content digests for sealed decision records
+ *
+ * A seal covers decision.json, decision.md and every file under evidence/.
+ * provenanceCode.sealed records when the record was sealed, how many
+ * updates[] entries it had, and the digests of decision.md and the evidence
+ * files. provenanceCode.hash is the SHA-256 of decision.json in canonical
+ * form (sorted keys, no whitespace) without the hash field itself, so that
+ * one hash covers every sealed file. seal-decision.js copies that hash into
+ * the c2pa.hash.data assertion of c2pa.manifest.json.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const HASH_RE = /^sha256:[0-9a-f]{64}$/;
+const HEX_RE = /^[0-9a-f]{64}$/;
+
+function sha256(content) {
+  return 'sha256:' + crypto.createHash('sha256').update(content).digest('hex');
+}
+
+function canonicalJson(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(item => (item === undefined ? 'null' : canonicalJson(item))).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    const entries = Object.keys(value)
+      .filter(key => value[key] !== undefined)
+      .sort()
+      .map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`);
+    return `{${entries.join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+function digestDecisionJson(data) {
+  const copy = JSON.parse(JSON.stringify(data));
+  if (copy.provenanceCode && typeof copy.provenanceCode === 'object') {
+    delete copy.provenanceCode.hash;
+  }
+  return sha256(canonicalJson(copy));
+}
+
+// Line endings are normalised so a checkout with core.autocrlf keeps the seal
+function digestMarkdown(text) {
+  return sha256(text.replace(/\r\n?/g, '\n'));
+}
+
+/**
+ * List the files under evidence/ as sorted paths relative to the decision
+ * directory, with forward slashes ("evidence/benchmarks/results.csv").
+ */
+function listEvidenceFiles(decisionPath) {
+  const files = [];
+  const walk = relative => {
+    const dir = path.join(decisionPath, relative);
+    for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+      const child = relative + '/' + entry.name;
+      if (entry.isDirectory()) {
+        walk(child);
+      } else if (entry.isFile()) {
+        files.push(child);
+      }
+    }
+  };
+  
+  if (fs.existsSync(path.join(decisionPath, 'evidence'))) {
+    walk('evidence');
+  }
+  return files.sort();
+}
+
+function fileStats(filePath) {
+  const stats = fs.statSync(filePath);
+  return { size: stats.size, modified: stats.mtime.toISOString() };
+}
+
+/**
+ * Digest decision.md and the evidence files.
+ * Returns { "<relative path>": { hash, size, modified } }.
+ */
+function digestFiles(decisionPath) {
+  const digests = {};
+  const mdPath = path.join(decisionPath, 'decision.md');
+  
+  if (fs.existsSync(mdPath)) {
+    digests['decision.md'] = Object.assign({ hash: digestMarkdown(fs.readFileSync(mdPath, 'utf8')) }, fileStats(mdPath));
+  }
+  for (const file of listEvidenceFiles(decisionPath)) {
+    const filePath = path.join(decisionPath, file);
+    digests[file] = Object.assign({ hash: sha256(fs.readFileSync(filePath)) }, fileStats(filePath));
+  }
+  
+  return digests;
+}
+
+// A record is sealed once it has a seal hash or the seal's record of files
+function isSealed(data) {
+  const provenanceCode = data && data.provenanceCode;
+  return Boolean(provenanceCode && (HASH_RE.test(provenanceCode.hash || '') ||
+    (provenanceCode.sealed && typeof provenanceCode.sealed === 'object')));
+}
+
+function readManifest(decisionPath) {
+  try {
+    return JSON.parse(fs.readFileSync(path.join(decisionPath, 'c2pa.manifest.json'), 'utf8'));
+  } catch (e) {
+    // Missing or invalid; validation reports an invalid manifest separately
+    return null;
+  }
+}
+
+function findAssertionData(manifest, label) {
+  const assertion = (manifest && Array.isArray(manifest.assertions) ? manifest.assertions : [])
+    .find(item => item && item.label === label);
+  return assertion && assertion.data && typeof assertion.data === 'object' ? assertion.data : null;
+}
+
+/**
+ * What marks a record as sealed besides provenanceCode.hash: the
+ * provenanceCode.sealed entry, a real c2pa.hash.data digest, or approval
+ * signatures in the manifest. Returns { markers: [description], manifestHash }.
+ */
+function findSealMarkers(decisionPath, data) {
+  const markers = [];
+  const provenanceCode = (data && data.provenanceCode) || {};
+  if (provenanceCode.sealed && typeof provenanceCode.sealed === 'object') {
+    markers.push('provenanceCode.sealed');
+  }
+  
+  const manifest = readManifest(decisionPath);
+  const hashData = findAssertionData(manifest, 'c2pa.hash.data');
+  const manifestHash = hashData && HEX_RE.test(hashData.hash || '') ? `sha256:${hashData.hash}` : null;
+  if (manifestHash) {
+    markers.push('a c2pa.hash.data digest');
+  }
+  const actors = findAssertionData(manifest, 'provenancecode.actors');
+  if (actors && Array.isArray(actors.approvers) && actors.approvers.some(approver => approver && approver.signature)) {
+    markers.push('approval signatures');
+  }
+  
+  return { markers, manifestHash };
+}
+
+/**
+ * Seal a record. Returns a copy of decision.json with provenanceCode.sealed
+ * and provenanceCode.hash set, and the digest of every sealed file
+ * (decision.json first) for the C2PA manifest.
+ */
+function sealDecision(decisionPath, data, timestamp) {
+  const sealed = JSON.parse(JSON.stringify(data));
+  const digests = digestFiles(decisionPath);
+  
+  sealed.provenanceCode = Object.assign({}, sealed.provenanceCode);
+  sealed.provenanceCode.sealed = {
+    date: timestamp,
+    updates: Array.isArray(sealed.updates) ? sealed.updates.length : 0,
+    files: Object.keys(digests).reduce((files, name) => Object.assign(files, { [name]: digests[name].hash }), {}),
+  };
+  sealed.provenanceCode.hash = digestDecisionJson(sealed);
+  
+  const files = [{ name: 'decision.json', hash: sealed.provenanceCode.hash }]
+    .concat(Object.keys(digests).map(name => Object.assign({ name }, digests[name])));
+  
+  return { data: sealed, files };
+}
+
+/**
+ * Recompute the digests of a sealed record.
+ * Returns { sealed, date, updatesSinceSeal, changes: [{file, change}], broken }
+ * where change is "modified", "added" or "removed". broken describes a seal
+ * that cannot be trusted: markers of a seal without a valid provenanceCode.hash,
+ * or a hash that differs from the one in c2pa.manifest.json. Otherwise null.
+ */
+function verifySeal(decisionPath, data) {
+  const { markers, manifestHash } = findSealMarkers(decisionPath, data);
+  const hash = data && data.provenanceCode ? data.provenanceCode.hash : undefined;
+  const hashed = HASH_RE.test(hash || '');
+  if (!hashed && markers.length === 0) {
+    return { sealed: false, changes: [], broken: null };
+  }
+  
+  const seal = data.provenanceCode && data.provenanceCode.sealed && typeof data.provenanceCode.sealed === 'object' ? data.provenanceCode.sealed : {};
+  const sealedFiles = seal.files && typeof seal.files === 'object' ? seal.files : {};
+  const changes = [];
+  let broken = null;
+  
+  // Without its hash, decision.json cannot be shown to be unchanged
+  if (!hashed) {
+    broken = `provenanceCode.hash is ${hash ? 'not a sha256 digest' : 'missing'}, but the record has ${markers.join(', ')}`;
+    changes.push({ file: 'decision.json', change: 'modified' });
+  } else if (digestDecisionJson(data) !== hash) {
+    changes.push({ file: 'decision.json', change: 'modified' });
+  }
+  if (hashed && manifestHash && manifestHash !== hash) {
+    broken = 'provenanceCode.hash does not match the c2pa.hash.data digest in c2pa.manifest.json';
+  }
+  
+  const digests = digestFiles(decisionPath);
+  for (const name of Object.keys(sealedFiles)) {
+    if (!digests[name]) {
+      changes.push({ file: name, change: 'removed' });
+    } else if (digests[name].hash !== sealedFiles[name]) {
+      changes.push({ file: name, change: 'modified' });
+    }
+  }
+  for (const name of Object.keys(digests)) {
+    if (!(name in sealedFiles)) {
+      changes.push({ file: name, change: 'added' });
+    }
+  }
+  
+  const updates = Array.isArray(data.updates) ? data.updates.length : 0;
+  return {
+    sealed: true,
+    date: seal.date || null,
+    updatesSinceSeal: Number.isInteger(seal.updates) ? Math.max(0, updates - seal.updates) : 0,
+    changes,
+    broken,
+  };
+}
+
+module.exports = {
+  sha256,
+  canonicalJson,
+  digestDecisionJson,
+  listEvidenceFiles,
+  digestFiles,
+  isSealed,
+  sealDecision,
+  verifySeal,
+};
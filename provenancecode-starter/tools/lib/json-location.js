@@ -0,0 +1,153 @@
+/**
+ * ProvenanceCode: Line numbers inside JSON files
+ *
+ * Maps JSON pointers (as reported by the schema validator) and dotted field
+ * paths (as reported by the decision.md comparison) to the line and column
+ * where the value starts, so findings can point into decision.json.
+ */
+
+function escapePointerToken(token) {
+  return String(token).replace(/~/g, '~0').replace(/\//g, '~1');
+}
+
+function lineAndColumn(text, offset) {
+  const before = text.slice(0, offset).split('\n');
+  return { line: before.length, column: before[before.length - 1].length + 1 };
+}
+
+/**
+ * Offsets of every value in a JSON text, keyed by JSON pointer. Object
+ * members are located at their key, so the line shows "key": value.
+ * The text must be valid JSON.
+ */
+function scanOffsets(text) {
+  const offsets = new Map();
+  let i = 0;
+  
+  const skipWhitespace = () => {
+    while (i < text.length && /\s/.test(text[i])) {
+      i++;
+    }
+  };
+  const readString = () => {
+    const start = i;
+    i++;
+    while (i < text.length && text[i] !== '"') {
+      i += text[i] === '\\' ? 2 : 1;
+    }
+    i++;
+    return JSON.parse(text.slice(start, i));
+  };
+  const readValue = pointer => {
+    skipWhitespace();
+    if (!offsets.has(pointer)) {
+      offsets.set(pointer, i);
+    }
+    
+    if (text[i] === '{') {
+      i++;
+      skipWhitespace();
+      while (i < text.length && text[i] !== '}') {
+        const keyOffset = i;
+        const child = `${pointer}/${escapePointerToken(readString())}`;
+        offsets.set(child, keyOffset);
+        skipWhitespace();
+        i++; // colon
+        readValue(child);
+        skipWhitespace();
+        if (text[i] === ',') {
+          i++;
+          skipWhitespace();
+        }
+      }
+      i++;
+    } else if (text[i] === '[') {
+      i++;
+      skipWhitespace();
+      let index = 0;
+      while (i < text.length && text[i] !== ']') {
+        readValue(`${pointer}/${index++}`);
+        skipWhitespace();
+        if (text[i] === ',') {
+          i++;
+          skipWhitespace();
+        }
+      }
+      i++;
+    } else if (text[i] === '"') {
+      readString();
+    } else {
+      while (i < text.length && !/[\s,\]}]/.test(text[i])) {
+        i++;
+      }
+    }
+  };
+  
+  readValue('');
+  return offsets;
+}
+
+/**
+ * Returns locate(pointer) -> {line, column}. A pointer that does not exist
+ * (e.g. a missing required property) falls back to its nearest parent.
+ */
+function jsonLocator(text) {
+  let offsets;
+  try {
+    offsets = scanOffsets(text);
+  } catch (e) {
+    offsets = new Map();
+  }
+  
+  return pointer => {
+    let current = pointer || '';
+    while (!offsets.has(current) && current !== '') {
+      current = current.slice(0, current.lastIndexOf('/'));
+    }
+    return lineAndColumn(text, offsets.has(current) ? offsets.get(current) : 0);
+  };
+}
+
+/**
+ * JSON pointer for a dotted field path such as "metadata.owner" or
+ * 'alternatives["Redis"].pros'; array items named in brackets are looked up
+ * by their name property in data.
+ */
+function fieldToPointer(field, data) {
+  let pointer = '';
+  let value = data;
+  const step = key => {
+    pointer += `/${escapePointerToken(key)}`;
+    value = value && typeof value === 'object' ? value[key] : undefined;
+  };
+  
+  for (const part of String(field).match(/[^.[\]]+|\["(?:[^"\\]|\\.)*"\]/g) || []) {
+    if (part.startsWith('["')) {
+      const name = JSON.parse(part.slice(1, -1));
+      const index = Array.isArray(value) ? value.findIndex(item => item && item.name === name) : -1;
+      if (index === -1) {
+        break;
+      }
+      step(index);
+    } else {
+      step(part);
+    }
+  }
+  return pointer;
+}
+
+// Location of a JSON.parse error, from the position or line/column in its message
+function parseErrorLocation(text, error) {
+  const lineMatch = /line (\d+) column (\d+)/.exec(error.message);
+  if (lineMatch) {
+    return { line: Number(lineMatch[1]), column: Number(lineMatch[2]) };
+  }
+  const positionMatch = /position (\d+)/.exec(error.message);
+  return positionMatch ? lineAndColumn(text, Number(positionMatch[1])) : { line: 1, column: 1 };
+}
+
+module.exports = {
+  jsonLocator,
+  fieldToPointer,
+  parseErrorLocation,
+};
@@ -0,0 +1,517 @@
+/**
+ * ProvenanceCode: JSON Schema (draft-07) validator
+ *
+ * Covers every draft-07 validation keyword, boolean schemas, $ref (local
+ * pointers, $id-based and plain-name fragments) and the common formats.
+ * Each error carries the JSON Pointer of the failing value and the keyword.
+ */
+
+const DATE_RE = /^(\d{4})-(\d{2})-(\d{2})$/;
+const TIME_RE = /^(\d{2}):(\d{2}):(\d{2})(\.\d+)?(z|[+-]\d{2}:\d{2})$/i;
+const HOSTNAME_RE = /^(?=.{1,253}\.?$)[a-z0-9](?:[a-z0-9-]{0,61}[a-z0-9])?(?:\.[a-z0-9](?:[a-z0-9-]{0,61}[a-z0-9])?)*\.?$/i;
+const EMAIL_RE = /^[a-z0-9!#$%&'*+/=?^_`{|}~-]+(?:\.[a-z0-9!#$%&'*+/=?^_`{|}~-]+)*@[^@\s]+$/i;
+const IPV4_RE = /^(?:(?:25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)\.){3}(?:25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)$/;
+const URI_RE = /^[a-z][a-z0-9+.-]*:[^\s]*$/i;
+const URI_REFERENCE_RE = /^[^\s]*$/;
+const URI_TEMPLATE_RE = /^(?:[^\s{}]|\{[+#./;?&=,!@|]?[a-z0-9_%.]+(?::\d+|\*)?(?:,[a-z0-9_%.]+(?::\d+|\*)?)*\})*$/i;
+const JSON_POINTER_RE = /^(?:\/(?:[^~/]|~0|~1)*)*$/;
+const RELATIVE_JSON_POINTER_RE = /^(?:0|[1-9]\d*)(?:#|(?:\/(?:[^~/]|~0|~1)*)*)$/;
+
+function isValidDate(value) {
+  const match = DATE_RE.exec(value);
+  if (!match) {
+    return false;
+  }
+  
+  const year = parseInt(match[1], 10);
+  const month = parseInt(match[2], 10);
+  const day = parseInt(match[3], 10);
+  const leap = year % 4 === 0 && (year % 100 !== 0 || year % 400 === 0);
+  const daysInMonth = [31, leap ? 29 : 28, 31, 30, 31, 30, 31, 31, 30, 31, 30, 31];
+  
+  return month >= 1 && month <= 12 && day >= 1 && day <= daysInMonth[month - 1];
+}
+
+function isValidTime(value) {
+  const match = TIME_RE.exec(value);
+  if (!match) {
+    return false;
+  }
+  
+  const hour = parseInt(match[1], 10);
+  const minute = parseInt(match[2], 10);
+  const second = parseInt(match[3], 10);
+  
+  // Allow a leap second
+  return hour <= 23 && minute <= 59 && second <= 60;
+}
+
+function isValidIPv6(value) {
+  if (!/^[0-9a-f:.]+$/i.test(value) || (value.match(/::/g) || []).length > 1) {
+    return false;
+  }
+  
+  let groups = value.split(':');
+  let maxGroups = 8;
+  
+  // An embedded IPv4 address takes the place of the last two groups
+  if (groups[groups.length - 1].includes('.')) {
+    if (!IPV4_RE.test(groups.pop())) {
+      return false;
+    }
+    maxGroups = 6;
+  }
+  
+  if (value.includes('::')) {
+    groups = groups.filter(group => group !== '');
+    return groups.length < maxGroups && groups.every(group => /^[0-9a-f]{1,4}$/i.test(group));
+  }
+  
+  return groups.length === maxGroups && groups.every(group => /^[0-9a-f]{1,4}$/i.test(group));
+}
+
+const FORMATS = {
+  date: isValidDate,
+  time: isValidTime,
+  'date-time': value => {
+    const parts = value.split(/t/i);
+    return parts.length === 2 && isValidDate(parts[0]) && isValidTime(parts[1]);
+  },
+  email: value => EMAIL_RE.test(value),
+  'idn-email': value => EMAIL_RE.test(value),
+  hostname: value => HOSTNAME_RE.test(value),
+  'idn-hostname': value => value.length > 0 && !/\s/.test(value),
+  ipv4: value => IPV4_RE.test(value),
+  ipv6: isValidIPv6,
+  uri: value => URI_RE.test(value),
+  'uri-reference': value => URI_REFERENCE_RE.test(value),
+  iri: value => URI_RE.test(value),
+  'iri-reference': value => URI_REFERENCE_RE.test(value),
+  'uri-template': value => URI_TEMPLATE_RE.test(value),
+  'json-pointer': value => JSON_POINTER_RE.test(value),
+  'relative-json-pointer': value => RELATIVE_JSON_POINTER_RE.test(value),
+  regex: value => {
+    try {
+      new RegExp(value, 'u');
+      return true;
+    } catch (e) {
+      return false;
+    }
+  },
+};
+
+const regexCache = new Map();
+
+function compilePattern(pattern) {
+  if (!regexCache.has(pattern)) {
+    let regex;
+    try {
+      regex = new RegExp(pattern, 'u');
+    } catch (e) {
+      // Fall back to non-unicode mode for patterns with legacy escapes
+      regex = new RegExp(pattern);
+    }
+    regexCache.set(pattern, regex);
+  }
+  return regexCache.get(pattern);
+}
+
+function escapePointerToken(token) {
+  return String(token).replace(/~/g, '~0').replace(/\//g, '~1');
+}
+
+function unescapePointerToken(token) {
+  return decodeURIComponent(token).replace(/~1/g, '/').replace(/~0/g, '~');
+}
+
+function jsonType(value) {
+  if (value === null) {
+    return 'null';
+  }
+  if (Array.isArray(value)) {
+    return 'array';
+  }
+  if (typeof value === 'number') {
+    return Number.isInteger(value) ? 'integer' : 'number';
+  }
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = jsonType(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+}
+
+function deepEqual(a, b) {
+  if (a === b) {
+    return true;
+  }
+  if (jsonType(a) !== jsonType(b) || typeof a !== 'object' || a === null) {
+    return false;
+  }
+  if (Array.isArray(a)) {
+    return a.length === b.length && a.every((item, i) => deepEqual(item, b[i]));
+  }
+  
+  const keys = Object.keys(a);
+  return keys.length === Object.keys(b).length &&
+    keys.every(key => Object.prototype.hasOwnProperty.call(b, key) && deepEqual(a[key], b[key]));
+}
+
+function stripFragment(uri) {
+  const hashIndex = uri.indexOf('#');
+  return hashIndex === -1 ? uri : uri.slice(0, hashIndex);
+}
+
+// Base URI of a schema without $id; URLs cannot resolve '' against a URN, so it is used as is
+const ROOT_URI = 'urn:provenancecode:root';
+
+function resolveUri(base, ref) {
+  if (ref === '') {
+    return base || ROOT_URI;
+  }
+  try {
+    return new URL(ref, base || ROOT_URI).href;
+  } catch (e) {
+    return ref;
+  }
+}
+
+// Index every schema that declares an $id so $ref can find it later
+function collectSchemaIds(schema, baseUri, registry) {
+  if (typeof schema !== 'object' || schema === null) {
+    return;
+  }
+  
+  let currentBase = baseUri;
+  if (!Array.isArray(schema) && typeof schema.$id === 'string') {
+    const resolved = resolveUri(baseUri, schema.$id);
+    if (schema.$id.startsWith('#')) {
+      registry.anchors.set(resolved, schema);
+    } else {
+      currentBase = stripFragment(resolved);
+      registry.documents.set(currentBase, schema);
+    }
+  }
+  
+  for (const [key, value] of Object.entries(schema)) {
+    // enum/const/examples/default values are data, not subschemas
+    if (!['enum', 'const', 'examples', 'default'].includes(key)) {
+      collectSchemaIds(value, currentBase, registry);
+    }
+  }
+}
+
+function resolvePointer(document, pointer) {
+  if (pointer === '') {
+    return document;
+  }
+  if (!pointer.startsWith('/')) {
+    return undefined;
+  }
+  
+  let target = document;
+  for (const token of pointer.split('/').slice(1).map(unescapePointerToken)) {
+    if (typeof target !== 'object' || target === null || !(token in target)) {
+      return undefined;
+    }
+    target = target[token];
+  }
+  return target;
+}
+
+function resolveRef(ref, baseUri, registry) {
+  const absolute = resolveUri(baseUri, ref);
+  const documentUri = stripFragment(absolute);
+  const fragment = absolute.slice(documentUri.length + 1);
+  
+  if (registry.anchors.has(absolute)) {
+    return { schema: registry.anchors.get(absolute), baseUri: documentUri };
+  }
+  
+  const document = registry.documents.get(documentUri);
+  if (document === undefined) {
+    return null;
+  }
+  
+  const schema = resolvePointer(document, fragment);
+  return schema === undefined ? null : { schema, baseUri: documentUri };
+}
+
+function validateNode(value, schema, instancePath, schemaPath, baseUri, ctx) {
+  const errors = [];
+  const fail = (keyword, message, atPath = instancePath) => {
+    errors.push({
+      path: atPath,
+      keyword,
+      schemaPath: `${schemaPath}/${keyword}`,
+      message,
+    });
+  };
+  
+  // Boolean schemas
+  if (schema === true) {
+    return errors;
+  }
+  if (schema === false) {
+    fail('false schema', 'no value is allowed here');
+    return errors;
+  }
+  if (typeof schema !== 'object' || schema === null) {
+    return errors;
+  }
+  
+  if (typeof schema.$id === 'string' && !schema.$id.startsWith('#')) {
+    baseUri = stripFragment(resolveUri(baseUri, schema.$id));
+  }
+  
+  // In draft-07, $ref replaces every sibling keyword
+  if (typeof schema.$ref === 'string') {
+    const resolved = resolveRef(schema.$ref, baseUri, ctx.registry);
+    if (!resolved) {
+      fail('$ref', `cannot resolve reference ${schema.$ref}`);
+      return errors;
+    }
+    
+    const refKey = `${resolved.baseUri}|${schema.$ref}|${instancePath}`;
+    if (ctx.activeRefs.has(refKey)) {
+      return errors;
+    }
+    ctx.activeRefs.add(refKey);
+    errors.push(...validateNode(value, resolved.schema, instancePath, `${schemaPath}/$ref`, resolved.baseUri, ctx));
+    ctx.activeRefs.delete(refKey);
+    return errors;
+  }
+  
+  const sub = (childValue, childSchema, childPath, childSchemaPath) =>
+    validateNode(childValue, childSchema, childPath, childSchemaPath, baseUri, ctx);
+  const passes = (childSchema, childSchemaPath) =>
+    sub(value, childSchema, instancePath, childSchemaPath).length === 0;
+  
+  // Generic keywords
+  if (schema.type !== undefined) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(type => matchesType(value, type))) {
+      fail('type', `expected type ${types.join(' or ')}, got ${jsonType(value)}`);
+    }
+  }
+  
+  if (Array.isArray(schema.enum) && !schema.enum.some(option => deepEqual(option, value))) {
+    fail('enum', `must be one of ${schema.enum.map(option => JSON.stringify(option)).join(', ')}`);
+  }
+  
+  if ('const' in schema && !deepEqual(schema.const, value)) {
+    fail('const', `must be equal to ${JSON.stringify(schema.const)}`);
+  }
+  
+  // Numeric keywords
+  if (typeof value === 'number') {
+    if (typeof schema.multipleOf === 'number') {
+      const quotient = value / schema.multipleOf;
+      if (Math.abs(quotient - Math.round(quotient)) > 1e-9) {
+        fail('multipleOf', `must be a multiple of ${schema.multipleOf}`);
+      }
+    }
+    if (typeof schema.maximum === 'number' && value > schema.maximum) {
+      fail('maximum', `must be <= ${schema.maximum}`);
+    }
+    if (typeof schema.exclusiveMaximum === 'number' && value >= schema.exclusiveMaximum) {
+      fail('exclusiveMaximum', `must be < ${schema.exclusiveMaximum}`);
+    }
+    if (typeof schema.minimum === 'number' && value < schema.minimum) {
+      fail('minimum', `must be >= ${schema.minimum}`);
+    }
+    if (typeof schema.exclusiveMinimum === 'number' && value <= schema.exclusiveMinimum) {
+      fail('exclusiveMinimum', `must be > ${schema.exclusiveMinimum}`);
+    }
+  }
+  
+  // String keywords
+  if (typeof value === 'string') {
+    // Length is measured in code points, not UTF-16 units
+    const length = Array.from(value).length;
+    if (typeof schema.maxLength === 'number' && length > schema.maxLength) {
+      fail('maxLength', `maximum length is ${schema.maxLength}`);
+    }
+    if (typeof schema.minLength === 'number' && length < schema.minLength) {
+      fail('minLength', `minimum length is ${schema.minLength}`);
+    }
+    if (typeof schema.pattern === 'string' && !compilePattern(schema.pattern).test(value)) {
+      fail('pattern', `does not match pattern ${schema.pattern}`);
+    }
+    if (typeof schema.format === 'string' && FORMATS[schema.format] && !FORMATS[schema.format](value)) {
+      fail('format', `must be a valid ${schema.format}`);
+    }
+  }
+  
+  // Array keywords
+  if (Array.isArray(value)) {
+    if (Array.isArray(schema.items)) {
+      schema.items.forEach((itemSchema, i) => {
+        if (i < value.length) {
+          errors.push(...sub(value[i], itemSchema, `${instancePath}/${i}`, `${schemaPath}/items/${i}`));
+        }
+      });
+      if (schema.additionalItems !== undefined) {
+        for (let i = schema.items.length; i < value.length; i++) {
+          errors.push(...sub(value[i], schema.additionalItems, `${instancePath}/${i}`, `${schemaPath}/additionalItems`));
+        }
+      }
+    } else if (schema.items !== undefined) {
+      value.forEach((item, i) => {
+        errors.push(...sub(item, schema.items, `${instancePath}/${i}`, `${schemaPath}/items`));
+      });
+    }
+    
+    if (typeof schema.maxItems === 'number' && value.length > schema.maxItems) {
+      fail('maxItems', `maximum ${schema.maxItems} items allowed`);
+    }
+    if (typeof schema.minItems === 'number' && value.length < schema.minItems) {
+      fail('minItems', `minimum ${schema.minItems} items required`);
+    }
+    
+    if (schema.uniqueItems === true) {
+      for (let i = 0; i < value.length; i++) {
+        const duplicate = value.findIndex((item, j) => j > i && deepEqual(item, value[i]));
+        if (duplicate !== -1) {
+          fail('uniqueItems', `items ${i} and ${duplicate} are identical`);
+          break;
+        }
+      }
+    }
+    
+    if (schema.contains !== undefined &&
+        !value.some((item, i) => sub(item, schema.contains, `${instancePath}/${i}`, `${schemaPath}/contains`).length === 0)) {
+      fail('contains', 'must contain at least one matching item');
+    }
+  }
+  
+  // Object keywords
+  if (jsonType(value) === 'object') {
+    const keys = Object.keys(value);
+    
+    if (typeof schema.maxProperties === 'number' && keys.length > schema.maxProperties) {
+      fail('maxProperties', `maximum ${schema.maxProperties} properties allowed`);
+    }
+    if (typeof schema.minProperties === 'number' && keys.length < schema.minProperties) {
+      fail('minProperties', `minimum ${schema.minProperties} properties required`);
+    }
+    
+    if (Array.isArray(schema.required)) {
+      for (const field of schema.required) {
+        if (!Object.prototype.hasOwnProperty.call(value, field)) {
+          fail('required', `missing required field: ${field}`);
+        }
+      }
+    }
+    
+    const properties = schema.properties || {};
+    const patternProperties = schema.patternProperties || {};
+    
+    for (const key of keys) {
+      const childPath = `${instancePath}/${escapePointerToken(key)}`;
+      let matched = false;
+      
+      if (Object.prototype.hasOwnProperty.call(properties, key)) {
+        matched = true;
+        errors.push(...sub(value[key], properties[key], childPath, `${schemaPath}/properties/${escapePointerToken(key)}`));
+      }
+      
+      for (const [pattern, patternSchema] of Object.entries(patternProperties)) {
+        if (compilePattern(pattern).test(key)) {
+          matched = true;
+          errors.push(...sub(value[key], patternSchema, childPath, `${schemaPath}/patternProperties/${escapePointerToken(pattern)}`));
+        }
+      }
+      
+      if (!matched && schema.additionalProperties !== undefined) {
+        if (schema.additionalProperties === false) {
+          fail('additionalProperties', `unexpected property: ${key}`, childPath);
+        } else {
+          errors.push(...sub(value[key], schema.additionalProperties, childPath, `${schemaPath}/additionalProperties`));
+        }
+      }
+      
+      if (schema.propertyNames !== undefined &&
+          sub(key, schema.propertyNames, childPath, `${schemaPath}/propertyNames`).length > 0) {
+        fail('propertyNames', `property name "${key}" is invalid`, childPath);
+      }
+    }
+    
+    if (schema.dependencies && typeof schema.dependencies === 'object') {
+      for (const [key, dependency] of Object.entries(schema.dependencies)) {
+        if (!Object.prototype.hasOwnProperty.call(value, key)) {
+          continue;
+        }
+        if (Array.isArray(dependency)) {
+          for (const field of dependency) {
+            if (!Object.prototype.hasOwnProperty.call(value, field)) {
+              fail('dependencies', `field ${field} is required when ${key} is present`);
+            }
+          }
+        } else {
+          errors.push(...sub(value, dependency, instancePath, `${schemaPath}/dependencies/${escapePointerToken(key)}`));
+        }
+      }
+    }
+  }
+  
+  // Combinators
+  if (Array.isArray(schema.allOf)) {
+    schema.allOf.forEach((childSchema, i) => {
+      errors.push(...sub(value, childSchema, instancePath, `${schemaPath}/allOf/${i}`));
+    });
+  }
+  
+  if (Array.isArray(schema.anyOf) &&
+      !schema.anyOf.some((childSchema, i) => passes(childSchema, `${schemaPath}/anyOf/${i}`))) {
+    fail('anyOf', 'must match at least one schema in anyOf');
+  }
+  
+  if (Array.isArray(schema.oneOf)) {
+    const matches = schema.oneOf.filter((childSchema, i) => passes(childSchema, `${schemaPath}/oneOf/${i}`)).length;
+    if (matches !== 1) {
+      fail('oneOf', `must match exactly one schema in oneOf (matched ${matches})`);
+    }
+  }
+  
+  if (schema.not !== undefined && passes(schema.not, `${schemaPath}/not`)) {
+    fail('not', 'must not match the schema in not');
+  }
+  
+  if (schema.if !== undefined) {
+    if (passes(schema.if, `${schemaPath}/if`)) {
+      if (schema.then !== undefined) {
+        errors.push(...sub(value, schema.then, instancePath, `${schemaPath}/then`));
+      }
+    } else if (schema.else !== undefined) {
+      errors.push(...sub(value, schema.else, instancePath, `${schemaPath}/else`));
+    }
+  }
+  
+  return errors;
+}
+
+/**
+ * Validate data against a draft-07 JSON schema.
+ * Returns a list of { path, keyword, schemaPath, message } errors, where
+ * path is a JSON Pointer into data (e.g. /consequences/risks/2/impact).
+ */
+function validateSchema(data, schema) {
+  const rootUri = typeof schema.$id === 'string' ? stripFragment(resolveUri(ROOT_URI, schema.$id)) : ROOT_URI;
+  const registry = { documents: new Map([[rootUri, schema]]), anchors: new Map() };
+  collectSchemaIds(schema, rootUri, registry);
+  
+  return validateNode(data, schema, '', '#', rootUri, { registry, activeRefs: new Set() });
+}
+
+function formatSchemaError(error) {
+  return `${error.path || '/'}: ${error.message} (${error.keyword})`;
+}
+
+module.exports = {
+  validateSchema,
+  formatSchemaError,
+  jsonType,
+  deepEqual,
+};
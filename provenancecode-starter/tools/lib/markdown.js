@@ -0,0 +1,316 @@
+/**
+ * ProvenanceCode: Minimal Markdown to HTML renderer
+ *
+ * Covers what decision records use: ATX headings, paragraphs, nested ordered
+ * and unordered lists (including [ ] / [x] task items), fenced code blocks,
+ * block quotes, GFM tables, horizontal rules and the usual inline markup
+ * (code, bold, italic, strikethrough, links, images, autolinks). Raw HTML in
+ * the source is escaped, not passed through.
+ */
+
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+const LIST_ITEM_RE = /^( *)([-*+]|\d{1,9}[.)])( +|$)/;
+const HEADING_RE = /^ {0,3}(#{1,6})(?: +(.*?))?(?: +#+)? *$/;
+const FENCE_RE = /^ {0,3}(`{3,}|~{3,}) *([^`\s]*)/;
+const HR_RE = /^ {0,3}([-*_])(?: *\1){2,} *$/;
+const TABLE_DIVIDER_RE = /^ *\|? *:?-+:? *(\| *:?-+:? *)*\|? *$/;
+
+function escapeHtml(text) {
+  return String(text).replace(/[&<>"']/g, ch => HTML_ESCAPES[ch]);
+}
+
+function slugify(text) {
+  return String(text)
+    .toLowerCase()
+    .replace(/<[^>]*>/g, '')
+    .replace(/&[a-z]+;|&#\d+;/g, '')
+    .replace(/[^\w\s-]/g, '')
+    .trim()
+    .replace(/\s+/g, '-');
+}
+
+function safeUrl(url) {
+  return /^\s*(javascript|vbscript|data):/i.test(url) && !/^\s*data:image\//i.test(url) ? '#' : url;
+}
+
+/**
+ * Render inline markup. Code spans and URLs are set aside first so their
+ * contents are not treated as emphasis.
+ */
+function renderInline(text, options = {}) {
+  const stash = [];
+  const keep = html => `\u0000${stash.push(html) - 1}\u0000`;
+  const resolveLink = options.resolveLink || (url => url);
+  
+  let out = text.replace(/(`+)([\s\S]*?[^`])\1(?!`)/g, (match, ticks, code) => keep(`<code>${escapeHtml(code.trim())}</code>`));
+  
+  out = out.replace(/!\[([^\]]*)\]\(\s*<?([^\s)>]+)>?(?:\s+"([^"]*)")?\s*\)/g, (match, alt, src, title) =>
+    keep(`<img src="${escapeHtml(safeUrl(resolveLink(src)))}" alt="${escapeHtml(alt)}"${title ? ` title="${escapeHtml(title)}"` : ''}>`)
+  );
+  
+  out = out.replace(/\[((?:[^\]\\]|\\.)*)\]\(\s*<?([^\s)>]*)>?(?:\s+"([^"]*)")?\s*\)/g, (match, label, href, title) =>
+    keep(`<a href="${escapeHtml(safeUrl(resolveLink(href)))}"${title ? ` title="${escapeHtml(title)}"` : ''}>`) + label + keep('</a>')
+  );
+  
+  out = out.replace(/<((?:https?|mailto):[^\s>]+)>/g, (match, url) => keep(`<a href="${escapeHtml(url)}">${escapeHtml(url)}</a>`));
+  
+  out = escapeHtml(out)
+    .replace(/\\([\\`*_{}[\]()#+\-.!|~>])/g, (match, ch) => keep(escapeHtml(ch)))
+    .replace(/(\*\*|__)(?=\S)([\s\S]*?\S)\1/g, '<strong>$2</strong>')
+    .replace(/\*(?=\S)([\s\S]*?\S)\*/g, '<em>$1</em>')
+    .replace(/(^|[^\w])_(?=\S)([\s\S]*?\S)_(?!\w)/g, '$1<em>$2</em>')
+    .replace(/~~(?=\S)([\s\S]*?\S)~~/g, '<del>$1</del>')
+    .replace(/ {2,}\n/g, '<br>\n');
+  
+  return out.replace(/\u0000(\d+)\u0000/g, (match, index) => stash[Number(index)]);
+}
+
+function splitTableRow(line) {
+  let row = line.trim();
+  if (row.startsWith('|')) {
+    row = row.slice(1);
+  }
+  if (row.endsWith('|') && !row.endsWith('\\|')) {
+    row = row.slice(0, -1);
+  }
+  return row.split(/(?<!\\)\|/).map(cell => cell.trim().replace(/\\\|/g, '|'));
+}
+
+function indentOf(line) {
+  return line.match(/^ */)[0].length;
+}
+
+function isBlockStart(line) {
+  return HEADING_RE.test(line) || FENCE_RE.test(line) || HR_RE.test(line) || /^ {0,3}>/.test(line) || LIST_ITEM_RE.test(line);
+}
+
+class Renderer {
+  constructor(options) {
+    this.options = options;
+    this.usedIds = new Map();
+  }
+  
+  inline(text) {
+    return renderInline(text, this.options);
+  }
+  
+  headingId(text) {
+    const base = slugify(text) || 'section';
+    const count = this.usedIds.get(base) || 0;
+    this.usedIds.set(base, count + 1);
+    return count === 0 ? base : `${base}-${count}`;
+  }
+  
+  blocks(lines) {
+    const html = [];
+    let i = 0;
+    
+    while (i < lines.length) {
+      const line = lines[i];
+      
+      if (line.trim() === '') {
+        i++;
+        continue;
+      }
+      
+      const fence = line.match(FENCE_RE);
+      if (fence) {
+        const body = [];
+        const indent = indentOf(line);
+        i++;
+        while (i < lines.length && !new RegExp(`^ {0,3}${fence[1][0]}{${fence[1].length},} *$`).test(lines[i])) {
+          body.push(lines[i].slice(Math.min(indent, indentOf(lines[i]))));
+          i++;
+        }
+        i++;
+        const language = fence[2] ? ` class="language-${escapeHtml(fence[2])}"` : '';
+        html.push(`<pre><code${language}>${escapeHtml(body.join('\n'))}${body.length > 0 ? '\n' : ''}</code></pre>`);
+        continue;
+      }
+      
+      const heading = line.match(HEADING_RE);
+      if (heading) {
+        const level = heading[1].length;
+        const content = this.inline(heading[2] || '');
+        html.push(`<h${level} id="${this.headingId(content)}">${content}</h${level}>`);
+        i++;
+        continue;
+      }
+      
+      if (HR_RE.test(line)) {
+        html.push('<hr>');
+        i++;
+        continue;
+      }
+      
+      if (/^ {0,3}>/.test(line)) {
+        const quoted = [];
+        while (i < lines.length && lines[i].trim() !== '' && (/^ {0,3}>/.test(lines[i]) || !isBlockStart(lines[i]))) {
+          quoted.push(lines[i].replace(/^ {0,3}> ?/, ''));
+          i++;
+        }
+        html.push(`<blockquote>\n${this.blocks(quoted)}\n</blockquote>`);
+        continue;
+      }
+      
+      if (line.includes('|') && i + 1 < lines.length && TABLE_DIVIDER_RE.test(lines[i + 1]) && lines[i + 1].includes('-')) {
+        i = this.table(lines, i, html);
+        continue;
+      }
+      
+      if (LIST_ITEM_RE.test(line)) {
+        i = this.list(lines, i, html);
+        continue;
+      }
+      
+      const paragraph = [];
+      while (i < lines.length && lines[i].trim() !== '' && (paragraph.length === 0 || !isBlockStart(lines[i]))) {
+        paragraph.push(lines[i].replace(/^ +/, ''));
+        i++;
+      }
+      html.push(`<p>${this.inline(paragraph.join('\n').trimEnd())}</p>`);
+    }
+    
+    return html.join('\n');
+  }
+  
+  table(lines, start, html) {
+    const header = splitTableRow(lines[start]);
+    const aligns = splitTableRow(lines[start + 1]).map(cell => {
+      if (cell.startsWith(':') && cell.endsWith(':')) {
+        return 'center';
+      }
+      if (cell.endsWith(':')) {
+        return 'right';
+      }
+      return cell.startsWith(':') ? 'left' : null;
+    });
+    const cell = (tag, text, index) => {
+      const align = aligns[index] ? ` style="text-align: ${aligns[index]}"` : '';
+      return `<${tag}${align}>${this.inline(text || '')}</${tag}>`;
+    };
+    
+    const rows = [];
+    let i = start + 2;
+    while (i < lines.length && lines[i].trim() !== '' && lines[i].includes('|')) {
+      const cells = splitTableRow(lines[i]);
+      rows.push(`<tr>${header.map((_, index) => cell('td', cells[index], index)).join('')}</tr>`);
+      i++;
+    }
+    
+    html.push([
+      '<table>',
+      `<thead><tr>${header.map((text, index) => cell('th', text, index)).join('')}</tr></thead>`,
+      rows.length > 0 ? `<tbody>\n${rows.join('\n')}\n</tbody>` : '',
+      '</table>',
+    ].filter(Boolean).join('\n'));
+    
+    return i;
+  }
+  
+  list(lines, start, html) {
+    const first = lines[start].match(LIST_ITEM_RE);
+    const baseIndent = first[1].length;
+    const ordered = /\d/.test(first[2]);
+    const items = [];
+    let i = start;
+    
+    while (i < lines.length) {
+      const match = lines[i].match(LIST_ITEM_RE);
+      if (!match || match[1].length !== baseIndent || /\d/.test(match[2]) !== ordered) {
+        break;
+      }
+      
+      const contentIndent = match[0].length > match[1].length + match[2].length + 4
+        ? match[1].length + match[2].length + 1
+        : match[0].length;
+      const body = [lines[i].slice(match[0].length)];
+      let loose = false;
+      i++;
+      
+      while (i < lines.length) {
+        const line = lines[i];
+        if (line.trim() === '') {
+          let next = i + 1;
+          while (next < lines.length && lines[next].trim() === '') {
+            next++;
+          }
+          if (next >= lines.length || indentOf(lines[next]) < contentIndent) {
+            break;
+          }
+          loose = true;
+          body.push('');
+          i++;
+        } else if (indentOf(line) >= contentIndent) {
+          body.push(line.slice(contentIndent));
+          i++;
+        } else if (indentOf(line) > baseIndent && LIST_ITEM_RE.test(line)) {
+          // Sub-list indented less than the content column
+          body.push(line.slice(baseIndent + 1));
+          i++;
+        } else if (body[body.length - 1] !== '' && !isBlockStart(line)) {
+          // Lazy paragraph continuation
+          body.push(line.trim());
+          i++;
+        } else {
+          break;
+        }
+      }
+      
+      items.push({ body, loose });
+      
+      // A blank line between items makes the whole list loose
+      let next = i;
+      while (next < lines.length && lines[next].trim() === '') {
+        next++;
+      }
+      if (next > i) {
+        const nextMatch = next < lines.length && lines[next].match(LIST_ITEM_RE);
+        if (!nextMatch || nextMatch[1].length !== baseIndent || /\d/.test(nextMatch[2]) !== ordered) {
+          break;
+        }
+        items[items.length - 1].loose = true;
+        i = next;
+      }
+    }
+    
+    const loose = items.some(item => item.loose);
+    const tag = ordered ? 'ol' : 'ul';
+    const startNumber = ordered ? parseInt(first[2], 10) : 1;
+    const rendered = items.map(item => {
+      let content = item.body;
+      let checkbox = '';
+      const task = content[0].match(/^\[([ xX])\] +/);
+      if (task) {
+        checkbox = `<input type="checkbox" disabled${task[1] === ' ' ? '' : ' checked'}> `;
+        content = [content[0].slice(task[0].length)].concat(content.slice(1));
+      }
+      
+      let inner = this.blocks(content);
+      if (!loose) {
+        inner = inner.replace(/^<p>([\s\S]*?)<\/p>/, '$1').replace(/\n<p>([\s\S]*?)<\/p>$/, '\n$1');
+      }
+      return `<li${checkbox ? ' class="task"' : ''}>${checkbox}${inner}</li>`;
+    });
+    
+    html.push(`<${tag}${ordered && startNumber !== 1 ? ` start="${startNumber}"` : ''}>\n${rendered.join('\n')}\n</${tag}>`);
+    return i;
+  }
+}
+
+/**
+ * Render a Markdown document to an HTML fragment.
+ * options.resolveLink(url) may rewrite link and image targets.
+ */
+function renderMarkdown(markdown, options = {}) {
+  const lines = String(markdown).replace(/\r\n?/g, '\n').replace(/\t/g, '    ').split('\n');
+  return new Renderer(options).blocks(lines);
+}
+
+module.exports = {
+  escapeHtml,
+  slugify,
+  renderInline,
+  renderMarkdown,
+};
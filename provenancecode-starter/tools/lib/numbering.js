@@ -0,0 +1,286 @@
+/**
+ * ProvenanceCode: Decision numbering
+ *
+ * Decision folders are named <prefix>-<slug>. The prefix comes from one of
+ * three schemes, chosen with numbering.scheme in provenance/config.yml:
+ *
+ *   sequential  007-use-postgresql             next free number (the default)
+ *   date        2026-02-06-use-postgresql      the creation date
+ *   ulid        01j5qz8w3k9m2x7v4t6r0n1b3c-use-postgresql
+ *                                              time-ordered, collision-free
+ *
+ * A sequential number is only unique on one branch: two branches that each
+ * create a decision get the same number. The date and ulid schemes avoid
+ * that; checkNumbering() finds the collisions after a merge and
+ * planRenumber() moves a decision to a free name.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { loadYamlFile } = require('./yaml');
+
+const SCHEMES = ['sequential', 'date', 'ulid'];
+
+// "007-x" but not the year of "2026-02-06-x"
+const NUMBER_RE = /^(\d+)-(?!\d{2}-\d{2}-)/;
+
+// Crockford base32, lowercase so ids match the schema's ^[a-z0-9-]+$
+const ULID_ALPHABET = '0123456789abcdefghjkmnpqrstvwxyz';
+
+/**
+ * numbering section of provenance/config.yml:
+ *
+ *   numbering:
+ *     scheme: date
+ *
+ * Returns {scheme}; a missing file or section gives the sequential scheme.
+ */
+function loadNumberingConfig(configPath) {
+  const numbering = fs.existsSync(configPath) ? (loadYamlFile(configPath) || {}).numbering || {} : {};
+  const scheme = numbering.scheme || 'sequential';
+  if (!SCHEMES.includes(scheme)) {
+    throw new Error(`${configPath}: numbering.scheme must be one of ${SCHEMES.join(', ')}`);
+  }
+  return { scheme };
+}
+
+// Sequential number of a folder name ("007-x" -> 7), or null
+function decisionNumber(name) {
+  const match = NUMBER_RE.exec(name);
+  return match ? parseInt(match[1], 10) : null;
+}
+
+// 26-character ULID: 48 bits of milliseconds, then 80 random bits
+function ulid(now = new Date(), random = crypto.randomBytes(10)) {
+  let time = now.getTime();
+  let timePart = '';
+  for (let i = 0; i < 10; i++) {
+    timePart = ULID_ALPHABET[time % 32] + timePart;
+    time = Math.floor(time / 32);
+  }
+  
+  let bits = '';
+  for (const byte of random) {
+    bits += byte.toString(2).padStart(8, '0');
+  }
+  let randomPart = '';
+  for (let i = 0; i < 80; i += 5) {
+    randomPart += ULID_ALPHABET[parseInt(bits.slice(i, i + 5), 2)];
+  }
+  return timePart + randomPart;
+}
+
+/**
+ * Folder name for a new decision. names lists the existing folders.
+ * options: {scheme, now}
+ */
+function nextDecisionId(names, slug, options = {}) {
+  const now = options.now || new Date();
+  switch (options.scheme || 'sequential') {
+    case 'date':
+      return `${now.toISOString().split('T')[0]}-${slug}`;
+    case 'ulid':
+      return `${ulid(now)}-${slug}`;
+    case 'sequential': {
+      const max = names.map(decisionNumber).reduce((a, b) => Math.max(a, b || 0), 0);
+      return `${String(max + 1).padStart(3, '0')}-${slug}`;
+    }
+    default:
+      throw new Error(`Unknown numbering scheme: ${options.scheme} (use ${SCHEMES.join(', ')})`);
+  }
+}
+
+/**
+ * Collisions between records ({dir, data} as from loadDecisionRecords):
+ * folders sharing a number, records sharing an id, and ids that differ from
+ * the folder name. Returns [{rule, decision, message, field}].
+ */
+function checkNumbering(records) {
+  const issues = [];
+  const byNumber = new Map();
+  const byId = new Map();
+  
+  for (const record of records) {
+    const number = decisionNumber(record.dir);
+    if (number !== null) {
+      byNumber.set(number, (byNumber.get(number) || []).concat(record));
+    }
+    const id = record.data && record.data.id;
+    if (typeof id === 'string' && id) {
+      byId.set(id, (byId.get(id) || []).concat(record));
+      if (id !== record.dir) {
+        // Renaming the folder only works when the id is a free, valid folder name
+        const rename = /^[a-z0-9-]+$/.test(id) && !records.some(other => other.dir === id)
+          ? `rename the folder with node tools/renumber-decision.js ${record.dir} ${id}, or ` : '';
+        issues.push({ rule: 'id-folder-mismatch', decision: record.dir, field: 'id',
+          message: `id "${id}" does not match the folder name; ${rename}set id to "${record.dir}" in decision.json` });
+      }
+    }
+  }
+  
+  const free = String(Math.max(0, ...byNumber.keys()) + 1).padStart(3, '0');
+  for (const [number, group] of byNumber) {
+    if (group.length > 1) {
+      const dirs = group.map(record => record.dir);
+      const last = dirs[dirs.length - 1];
+      group.forEach(record => issues.push({ rule: 'duplicate-decision-number', decision: record.dir, field: 'id',
+        message: `number ${String(number).padStart(3, '0')} is also used by ${dirs.filter(dir => dir !== record.dir).join(', ')}; renumber one, e.g. node tools/renumber-decision.js ${last} ${free}` }));
+    }
+  }
+  
+  for (const [id, group] of byId) {
+    if (group.length > 1) {
+      group.forEach(record => issues.push({ rule: 'duplicate-decision-id', decision: record.dir, field: 'id',
+        message: `id "${id}" is also used by ${group.filter(other => other !== record).map(other => other.dir).join(', ')}` }));
+    }
+  }
+  
+  return issues;
+}
+
+// Rewrite every string in value with replace(text, key), key being the property that holds it
+function mapStrings(value, replace, key = null) {
+  if (typeof value === 'string') {
+    return replace(value, key);
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => mapStrings(item, replace, key));
+  }
+  if (value && typeof value === 'object') {
+    return Object.keys(value).reduce((copy, name) => Object.assign(copy, { [name]: mapStrings(value[name], replace, name) }), {});
+  }
+  return value;
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Everything that changes when a decision moves to a new name.
+ * graph: buildDecisionGraph() of all records; reference: the decision to
+ * move (id, folder or number); newName: the new folder name, or just a new
+ * number ("012") to keep the slug. The record's id becomes the new name.
+ * Returns {from, to, rename: {from, to}, writes: [{path, content, summary}]}
+ * where write paths are the paths after the rename.
+ */
+function planRenumber(graph, reference, newName, decisionsDir) {
+  const fromId = graph.resolve(reference);
+  const node = fromId ? graph.nodes.get(fromId) : null;
+  if (!node) {
+    throw new Error(`Decision not found: ${reference}`);
+  }
+  
+  let to = String(newName).trim();
+  if (/^\d+$/.test(to)) {
+    const slug = node.dir.replace(NUMBER_RE, '');
+    to = `${to.padStart(3, '0')}-${slug}`;
+  }
+  if (!/^[a-z0-9-]+$/.test(to)) {
+    throw new Error(`Invalid decision name: ${to} (use lowercase letters, digits and hyphens)`);
+  }
+  if (to !== node.dir && fs.existsSync(path.join(decisionsDir, to))) {
+    throw new Error(`Decision already exists: ${to}`);
+  }
+  const number = decisionNumber(to);
+  const sameNumber = [...graph.nodes.values()].find(other => other !== node && number !== null && decisionNumber(other.dir) === number);
+  if (sameNumber) {
+    throw new Error(`Number ${String(number).padStart(3, '0')} is already used by ${sameNumber.dir}`);
+  }
+  const other = graph.resolve(to);
+  if (other && other !== node.id) {
+    throw new Error(`Another decision already has the id ${to}`);
+  }
+  if (to === node.dir && to === node.id) {
+    throw new Error(`${node.id} is already named ${to}`);
+  }
+  
+  const from = { id: node.id, dir: node.dir };
+  const targetPath = path.join(decisionsDir, to);
+  const pathAfter = filePath => (filePath.startsWith(node.path + path.sep) ? path.join(targetPath, filePath.slice(node.path.length + 1)) : filePath);
+  const writes = [];
+  const write = (filePath, before, after, summary) => {
+    if (after !== before) {
+      writes.push({ path: pathAfter(filePath), content: after, summary });
+    }
+  };
+  
+  // IRIs and manifest ids that name the old decision, e.g. decision:007-x or activity:007-x/create,
+  // and the bare id in prov.jsonld's provenancecode:decisionId
+  const oldNames = [...new Set([from.id, from.dir])];
+  const iriRe = new RegExp(`^((?:decision|activity|entity):|xmp:iid:)(${oldNames.map(escapeRegExp).join('|')})(?=$|/)`);
+  const renameIri = (text, key) => (key === 'provenancecode:decisionId' && oldNames.includes(text) ? to : text.replace(iriRe, `$1${to}`));
+  const readJson = filePath => (fs.existsSync(filePath) ? fs.readFileSync(filePath, 'utf8') : null);
+  
+  for (const current of graph.nodes.values()) {
+    const jsonPath = path.join(current.path, 'decision.json');
+    const before = fs.readFileSync(jsonPath, 'utf8');
+    const data = JSON.parse(before);
+    const changed = [];
+    
+    if (current === node) {
+      data.id = to;
+      changed.push(`id ${to}`);
+    }
+    const related = data.relatedDecisions || {};
+    for (const [type, value] of Object.entries(related)) {
+      const references = Array.isArray(value) ? value : value ? [value] : [];
+      const renamed = references.map(item => (typeof item === 'string' && graph.resolve(item) === node.id ? to : item));
+      if (renamed.some((item, index) => item !== references[index])) {
+        related[type] = Array.isArray(value) ? renamed : renamed[0];
+        changed.push(`relatedDecisions.${type}`);
+      }
+    }
+    if (changed.length > 0) {
+      write(jsonPath, before, JSON.stringify(data, null, 2) + '\n', changed.join(', '));
+    }
+    
+    // Links to the old folder in decision.md, e.g. ../007-x/decision.md
+    const mdPath = path.join(current.path, 'decision.md');
+    const markdown = fs.existsSync(mdPath) ? fs.readFileSync(mdPath, 'utf8') : null;
+    if (markdown !== null) {
+      const linkRe = new RegExp(`(\\.\\./)${escapeRegExp(from.dir)}(?=/|\\))`, 'g');
+      write(mdPath, markdown, markdown.replace(linkRe, `$1${to}`), 'links');
+    }
+    
+    for (const file of ['prov.jsonld', 'c2pa.manifest.json']) {
+      const filePath = path.join(current.path, file);
+      const text = readJson(filePath);
+      if (text === null) {
+        continue;
+      }
+      let json;
+      try {
+        json = JSON.parse(text);
+      } catch (e) {
+        throw new Error(`Cannot renumber: invalid JSON in ${filePath}`);
+      }
+      let content = JSON.stringify(mapStrings(json, renameIri), null, 2) + '\n';
+      if (current === node && file === 'c2pa.manifest.json') {
+        const manifest = JSON.parse(content);
+        const metadata = (manifest.assertions || []).find(assertion => assertion && assertion.label === 'c2pa.metadata');
+        if (metadata && metadata.data && metadata.data.decision_record && oldNames.includes(metadata.data.decision_record.id)) {
+          metadata.data.decision_record.id = to;
+          content = JSON.stringify(manifest, null, 2) + '\n';
+        }
+      }
+      // Only rewrite files whose content changed, so formatting elsewhere is kept
+      if (JSON.stringify(JSON.parse(content)) !== JSON.stringify(json)) {
+        write(filePath, text, content, file === 'prov.jsonld' ? 'IRIs' : 'instance_id and references');
+      }
+    }
+  }
+  
+  return { from, to, rename: to !== from.dir ? { from: node.path, to: targetPath } : null, writes };
+}
+
+module.exports = {
+  SCHEMES,
+  loadNumberingConfig,
+  decisionNumber,
+  ulid,
+  nextDecisionId,
+  checkNumbering,
+  planRenumber,
+};
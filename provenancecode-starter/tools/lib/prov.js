@@ -0,0 +1,433 @@
+/**
+ * ProvenanceCode: W3C PROV graph for a decision record
+ *
+ * Builds prov.jsonld from decision.json and the git history of the record's
+ * folder, and checks an existing prov.jsonld for well-formedness.
+ *
+ *   decision            prov:Entity (decision:<id>)
+ *   deciders, approvers prov:Agent  (agent:<name>)
+ *   creation            prov:Activity (activity:<id>/create) that generated the decision
+ *   updates[] entries   prov:Activity, later changes that used the decision
+ *   git commits         prov:Activity
+ *   approval            prov:Activity associated with the approvers
+ *   supersedes          prov:wasRevisionOf
+ *   dependsOn           prov:wasDerivedFrom
+ *   relatedTo           prov:wasInfluencedBy
+ */
+
+const { execFileSync } = require('child_process');
+
+const GENERATOR = 'ProvenanceCode prov.jsonld generator';
+
+const PROV_CONTEXT = {
+  prov: 'http://www.w3.org/ns/prov#',
+  xsd: 'http://www.w3.org/2001/XMLSchema#',
+  foaf: 'http://xmlns.com/foaf/0.1/',
+  dc: 'http://purl.org/dc/terms/',
+  provenancecode: 'https://provenancecode.org/ns#',
+  decision: 'urn:provenancecode:decision:',
+  agent: 'urn:provenancecode:agent:',
+  activity: 'urn:provenancecode:activity:',
+};
+
+const ORGANIZATION_RE = /\b(team|group|board|committee|council|guild|department|office|org|organi[sz]ation)s?\b/i;
+
+// Relations whose targets must be nodes of a given type
+const RELATION_TARGETS = {
+  'prov:wasGeneratedBy': 'prov:Activity',
+  'prov:wasInvalidatedBy': 'prov:Activity',
+  'prov:wasInformedBy': 'prov:Activity',
+  'prov:used': 'prov:Entity',
+  'prov:wasDerivedFrom': 'prov:Entity',
+  'prov:wasRevisionOf': 'prov:Entity',
+  'prov:wasQuotedFrom': 'prov:Entity',
+  'prov:hadPrimarySource': 'prov:Entity',
+  'prov:wasAttributedTo': 'prov:Agent',
+  'prov:wasAssociatedWith': 'prov:Agent',
+  'prov:actedOnBehalfOf': 'prov:Agent',
+  'prov:wasInfluencedBy': null,
+  'prov:hadInfluence': null,
+};
+
+function slug(text) {
+  return String(text).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'unknown';
+}
+
+function ref(id) {
+  return { '@id': id };
+}
+
+// One reference stays an object, several become a list
+function refs(ids) {
+  const unique = Array.from(new Set(ids));
+  return unique.length === 1 ? ref(unique[0]) : unique.map(ref);
+}
+
+function timeValue(value) {
+  if (typeof value !== 'string' || value === '') {
+    return undefined;
+  }
+  return { '@value': value, '@type': /^\d{4}-\d{2}-\d{2}$/.test(value) ? 'xsd:date' : 'xsd:dateTime' };
+}
+
+function toList(value) {
+  if (value === undefined || value === null) {
+    return [];
+  }
+  return (Array.isArray(value) ? value : [value]).filter(item => typeof item === 'string' && item.trim() !== '');
+}
+
+/**
+ * Commits that touched a folder, oldest first. Returns [] outside a git
+ * work tree or when git is not installed.
+ */
+function readGitHistory(dirPath) {
+  let output;
+  try {
+    output = execFileSync('git', ['log', '--format=%H%x1f%an%x1f%aI%x1f%s', '--', dirPath], {
+      encoding: 'utf8',
+      stdio: ['ignore', 'pipe', 'ignore'],
+    });
+  } catch (e) {
+    return [];
+  }
+  
+  return output.split('\n').filter(Boolean).map(line => {
+    const [commit, author, date, subject] = line.split('\x1f');
+    return { commit, author, date, subject };
+  }).reverse();
+}
+
+/**
+ * Build the prov.jsonld document for a decision.
+ * options.commits: result of readGitHistory()
+ * options.resolve(reference): decision id for a relatedDecisions reference, or null
+ * options.titles: Map of decision id -> title, for related decisions
+ */
+function buildProvDocument(data, options = {}) {
+  const id = data.id;
+  const decisionId = `decision:${id}`;
+  const resolve = options.resolve || (reference => reference.replace(/^#/, ''));
+  const titles = options.titles || new Map();
+  const agents = new Map();
+  const activities = [];
+  
+  const agent = (name, role, details = {}) => {
+    const agentId = `agent:${slug(name)}`;
+    if (!agents.has(agentId)) {
+      agents.set(agentId, { name, roles: new Set(), person: false, organization: ORGANIZATION_RE.test(name), positions: new Set() });
+    }
+    const entry = agents.get(agentId);
+    entry.roles.add(role);
+    entry.person = entry.person || Boolean(details.person);
+    if (details.position) {
+      entry.positions.add(details.position);
+    }
+    return agentId;
+  };
+  
+  const deciders = toList(data.deciders).map(name => agent(name, 'decider'));
+  const approval = data.approval || {};
+  const proposer = approval.proposedBy && approval.proposedBy.name
+    ? agent(approval.proposedBy.name, 'proposer', { person: true, position: approval.proposedBy.role })
+    : null;
+  const owner = data.metadata && data.metadata.owner ? agent(data.metadata.owner, 'owner') : null;
+  
+  // The record was created on its date by its proposer (or deciders); updates and commits came later
+  const generation = {
+    '@id': `activity:${id}/create`,
+    '@type': 'prov:Activity',
+    'dc:description': 'Decision record created',
+    'dc:date': timeValue(data.date),
+    'prov:wasAssociatedWith': proposer ? ref(proposer) : (deciders.length > 0 ? refs(deciders) : undefined),
+  };
+  activities.push(generation);
+  
+  (Array.isArray(data.updates) ? data.updates : []).forEach((update, index) => {
+    const activity = {
+      '@id': `activity:${id}/update-${index + 1}`,
+      '@type': 'prov:Activity',
+      'dc:description': update.description,
+      'dc:date': timeValue(update.date),
+      'prov:wasAssociatedWith': update.author ? ref(agent(update.author, 'author', { person: true })) : undefined,
+      'provenancecode:changes': Array.isArray(update.changes) && update.changes.length > 0 ? update.changes : undefined,
+    };
+    activities.push(activity);
+  });
+  
+  for (const commit of options.commits || []) {
+    activities.push({
+      '@id': `activity:${id}/commit-${commit.commit.slice(0, 12)}`,
+      '@type': 'prov:Activity',
+      'dc:description': commit.subject,
+      'prov:endedAtTime': timeValue(commit.date),
+      'prov:wasAssociatedWith': ref(agent(commit.author, 'committer', { person: true })),
+      'provenancecode:commit': commit.commit,
+    });
+  }
+  
+  const approvers = (Array.isArray(approval.approvedBy) ? approval.approvedBy : [])
+    .filter(approver => approver && approver.name)
+    .map(approver => ({ id: agent(approver.name, 'approver', { person: true, position: approver.role }), date: approver.date }));
+  if (approvers.length > 0) {
+    const dates = approvers.map(approver => approver.date).filter(Boolean).sort();
+    activities.push({
+      '@id': `activity:${id}/approval`,
+      '@type': 'prov:Activity',
+      'dc:description': 'Decision approved',
+      'dc:date': timeValue(dates[dates.length - 1]),
+      'prov:wasAssociatedWith': refs(approvers.map(approver => approver.id)),
+    });
+  }
+  
+  activities.filter(activity => activity !== generation).forEach(activity => {
+    activity['prov:used'] = ref(decisionId);
+  });
+  
+  // Related decisions
+  const related = data.relatedDecisions || {};
+  const relatedIds = new Set();
+  const relation = type => toList(related[type]).map(reference => {
+    const target = resolve(reference) || reference.replace(/^#/, '');
+    relatedIds.add(target);
+    return `decision:${target}`;
+  });
+  const revisionOf = relation('supersedes');
+  const derivedFrom = relation('dependsOn');
+  const influencedBy = relation('relatedTo');
+  
+  const provenance = data.provenanceCode || {};
+  const decision = {
+    '@id': decisionId,
+    '@type': 'prov:Entity',
+    'dc:title': data.title,
+    'dc:description': data.decision && data.decision.summary,
+    'dc:created': timeValue(provenance.created || data.date),
+    'dc:modified': timeValue(provenance.modified || data.lastUpdated),
+    'provenancecode:status': data.status,
+    'provenancecode:decisionId': id,
+    'prov:wasGeneratedBy': ref(generation['@id']),
+    'prov:wasAttributedTo': deciders.length > 0 || proposer ? refs(deciders.concat(proposer ? [proposer] : [])) : undefined,
+    'provenancecode:owner': owner ? ref(owner) : undefined,
+    'prov:wasRevisionOf': revisionOf.length > 0 ? refs(revisionOf) : undefined,
+    'prov:wasDerivedFrom': derivedFrom.length > 0 ? refs(derivedFrom) : undefined,
+    'prov:wasInfluencedBy': influencedBy.length > 0 ? refs(influencedBy) : undefined,
+  };
+  
+  const agentNodes = Array.from(agents.keys()).sort().map(agentId => {
+    const entry = agents.get(agentId);
+    const roles = Array.from(entry.roles).sort();
+    const positions = Array.from(entry.positions);
+    return {
+      '@id': agentId,
+      '@type': ['prov:Agent', entry.organization ? 'prov:Organization' : (entry.person ? 'prov:Person' : null)].filter(Boolean),
+      'foaf:name': entry.name,
+      'provenancecode:role': roles.length === 1 ? roles[0] : roles,
+      'provenancecode:position': positions.length === 0 ? undefined : (positions.length === 1 ? positions[0] : positions),
+    };
+  });
+  
+  const relatedNodes = Array.from(relatedIds).filter(target => target !== id).sort().map(target => ({
+    '@id': `decision:${target}`,
+    '@type': 'prov:Entity',
+    'dc:title': titles.get(target),
+    'provenancecode:decisionId': target,
+  }));
+  
+  return JSON.parse(JSON.stringify({
+    '@context': PROV_CONTEXT,
+    '@graph': [decision].concat(activities, agentNodes, relatedNodes),
+    'provenancecode:metadata': {
+      version: '1.0',
+      generator: GENERATOR,
+      source: 'decision.json',
+      provStandard: 'W3C PROV-DM 1.0',
+    },
+  }));
+}
+
+function isGenerated(doc) {
+  return Boolean(doc && doc['provenancecode:metadata'] && doc['provenancecode:metadata'].generator === GENERATOR);
+}
+
+// Milliseconds since the epoch for a typed or plain time literal; NaN if unparseable
+function timeOf(value) {
+  if (value === undefined) {
+    return undefined;
+  }
+  return Date.parse(value && typeof value === 'object' ? value['@value'] : value);
+}
+
+function typesOf(node) {
+  return [].concat(node['@type'] || []);
+}
+
+/**
+ * Collect every node in the graph, including nodes embedded as relation
+ * values (objects with more than an @id).
+ */
+function collectNodes(doc) {
+  const nodes = [];
+  const visit = value => {
+    if (Array.isArray(value)) {
+      value.forEach(visit);
+    } else if (value && typeof value === 'object' && !('@value' in value)) {
+      if (Object.keys(value).some(key => key !== '@id')) {
+        nodes.push(value);
+      }
+      Object.keys(value).filter(key => !key.startsWith('@')).forEach(key => visit(value[key]));
+    }
+  };
+  visit(Array.isArray(doc['@graph']) ? doc['@graph'] : [doc]);
+  return nodes;
+}
+
+// Commits change with every push, including the one that commits prov.jsonld
+function isCommitActivity(node) {
+  return node['provenancecode:commit'] !== undefined && typesOf(node).includes('prov:Activity');
+}
+
+/**
+ * The nodes of a generated graph that decision.json determines, by @id, as
+ * JSON text. Commit activities and the committer role they give agents are
+ * left out, and so are related decisions, whose titles belong to other records.
+ */
+function comparableNodes(doc, decisionId) {
+  const nodes = new Map();
+  for (const node of Array.isArray(doc['@graph']) ? doc['@graph'] : []) {
+    if (!node || typeof node['@id'] !== 'string' || isCommitActivity(node)) {
+      continue;
+    }
+    if (typesOf(node).includes('prov:Agent')) {
+      const roles = [].concat(node['provenancecode:role'] || []).filter(role => role !== 'committer');
+      if (roles.length > 0) {
+        nodes.set(node['@id'], JSON.stringify([node['foaf:name'], roles, node['provenancecode:position']]));
+      }
+    } else if (node['@id'] === decisionId || !node['@id'].startsWith('decision:')) {
+      nodes.set(node['@id'], JSON.stringify(node));
+    }
+  }
+  return nodes;
+}
+
+/**
+ * @ids of the nodes in a generated prov.jsonld that differ from a fresh
+ * build from decision.json (options as for buildProvDocument; commits are
+ * ignored), sorted. [] when the file is current.
+ */
+function staleProvNodes(doc, data, options = {}) {
+  const decisionId = `decision:${data.id}`;
+  const expected = comparableNodes(buildProvDocument(data, Object.assign({}, options, { commits: [] })), decisionId);
+  const actual = comparableNodes(doc, decisionId);
+  return Array.from(new Set(Array.from(expected.keys()).concat(Array.from(actual.keys()))))
+    .filter(nodeId => expected.get(nodeId) !== actual.get(nodeId))
+    .sort();
+}
+
+/**
+ * Check that prov.jsonld is a well-formed PROV graph for the decision.
+ * With options.current (buildProvDocument options), a generated file is
+ * also compared with a fresh build, git commits aside.
+ * Returns [{severity: 'error'|'warning', message}].
+ */
+function checkProvDocument(doc, data, options = {}) {
+  const issues = [];
+  const report = (severity, message) => issues.push({ severity, message });
+  
+  const context = doc['@context'];
+  const contexts = [].concat(context || []);
+  if (!context) {
+    report('error', 'missing @context');
+  } else if (!contexts.some(item => item && typeof item === 'object' && item.prov === PROV_CONTEXT.prov)) {
+    report('error', `@context does not define the prov prefix as ${PROV_CONTEXT.prov}`);
+  }
+  if (!Array.isArray(doc['@graph'])) {
+    report('error', 'no @graph array');
+    return issues;
+  }
+  
+  const nodes = collectNodes(doc);
+  const byId = new Map();
+  for (const node of nodes) {
+    if (typeof node['@id'] !== 'string' || node['@id'] === '') {
+      report('error', `node without @id (${typesOf(node).join(', ') || 'untyped'})`);
+      continue;
+    }
+    if (typesOf(node).length === 0) {
+      report('error', `${node['@id']} has no @type`);
+    }
+    if (byId.has(node['@id'])) {
+      const merged = byId.get(node['@id']);
+      merged.types = merged.types.concat(typesOf(node));
+    } else {
+      byId.set(node['@id'], { node, types: typesOf(node) });
+    }
+  }
+  
+  for (const node of nodes) {
+    if (typeof node['@id'] !== 'string') {
+      continue;
+    }
+    for (const [property, expected] of Object.entries(RELATION_TARGETS)) {
+      for (const target of [].concat(node[property] || [])) {
+        const targetId = target && typeof target === 'object' ? target['@id'] : target;
+        if (typeof targetId !== 'string') {
+          report('error', `${node['@id']} ${property} must reference a node by @id`);
+          continue;
+        }
+        const found = byId.get(targetId);
+        if (!found) {
+          report('error', `${node['@id']} ${property} references ${targetId}, which is not in the graph`);
+        } else if (expected && !found.types.includes(expected)) {
+          report('error', `${node['@id']} ${property} references ${targetId}, which is not a ${expected}`);
+        }
+      }
+    }
+    
+    const started = timeOf(node['prov:startedAtTime']);
+    const ended = timeOf(node['prov:endedAtTime']);
+    for (const [property, time] of [['prov:startedAtTime', started], ['prov:endedAtTime', ended]]) {
+      if (node[property] !== undefined && Number.isNaN(time)) {
+        report('error', `${node['@id']} ${property} is not a valid date-time`);
+      }
+    }
+    if (started > ended) {
+      report('error', `${node['@id']} ends before it starts`);
+    }
+  }
+  
+  // The decision itself
+  const decision = (byId.get(`decision:${data.id}`) || {}).node ||
+    nodes.find(node => node['provenancecode:decisionId'] === data.id);
+  
+  if (!decision) {
+    report('error', `no entity for decision:${data.id}`);
+  } else {
+    if (!typesOf(decision).includes('prov:Entity')) {
+      report('error', `decision:${data.id} is not a prov:Entity`);
+    }
+    if (!decision['prov:wasGeneratedBy']) {
+      report('warning', `decision:${data.id} has no prov:wasGeneratedBy activity`);
+    }
+    if (data.status && decision['provenancecode:status'] !== data.status) {
+      report('warning', `status "${decision['provenancecode:status']}" differs from decision.json "${data.status}"`);
+    } else if (options.current && isGenerated(doc)) {
+      const stale = staleProvNodes(doc, data, options.current);
+      if (stale.length > 0) {
+        report('warning', `out of date with decision.json (${stale.join(', ')}); run: node tools/generate-prov.js ${data.id}`);
+      }
+    }
+  }
+  
+  return issues;
+}
+
+module.exports = {
+  GENERATOR,
+  PROV_CONTEXT,
+  readGitHistory,
+  buildProvDocument,
+  isGenerated,
+  staleProvNodes,
+  checkProvDocument,
+};
@@ -0,0 +1,994 @@
+/**
+ * ProvenanceCode: Programmatic API
+ *
+ * The checks behind validate-decision.js and the scaffolding behind
+ * new-decision.js, for build scripts, editor extensions and tests. Nothing
+ * here prints or exits: functions return data and throw Error on failure.
+ * Every function takes a root (the repository directory holding provenance/),
+ * which defaults to the current directory.
+ *
+ *   const pc = require('./tools/lib/provenancecode');
+ *   const records = pc.loadDecisions('/path/to/repo');
+ *   const result = pc.validateDecision(records[0], { root: '/path/to/repo' });
+ *   const created = pc.createDecision('use-postgresql', { root: '/path/to/repo' });
+ *   const accepted = pc.listDecisions({ status: 'accepted' }, { root: '/path/to/repo' });
+ *   const imported = pc.importAdrs(['doc/adr'], { root: '/path/to/repo' });
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { validateSchema, formatSchemaError } = require('./json-schema');
+const { loadDecisionRecords, buildDecisionGraph, checkDecisionGraph, outgoing } = require('./decision-graph');
+const { compareDecision, renderDecisionMarkdown } = require('./decision-markdown');
+const { verifySeal } = require('./integrity');
+const { loadTrustList, verifyApprovals } = require('./signing');
+const { buildProvDocument, checkProvDocument } = require('./prov');
+const { loadLintConfig, createFinding, recordSuppressions } = require('./rules');
+const { jsonLocator, fieldToPointer, parseErrorLocation } = require('./json-location');
+const { BLOCKING_STATUSES, loadTemplateFingerprints, findTemplateContent } = require('./template-content');
+const { loadNumberingConfig, decisionNumber, nextDecisionId, checkNumbering } = require('./numbering');
+const { parseAdr, parseFileName } = require('./adr');
+const { loadEvidencePolicy, checkEvidence } = require('./evidence');
+
+// Locations inside the repository root
+const DECISIONS_DIR = 'provenance/decisions';
+const TEMPLATE_NAME = 'TEMPLATE';
+const SCHEMA_PATH = 'provenance/schemas/decision.schema.json';
+const KEYS_DIR = 'provenance/keys';
+const CONFIG_PATH = 'provenance/config.yml';
+
+const STATUSES = ['proposed', 'accepted', 'implemented', 'deprecated', 'superseded', 'rejected'];
+
+// Sealed records in these statuses may only change together with a new updates[] entry
+const SEALED_STATUSES = ['accepted', 'implemented'];
+
+function resolvePaths(root = '.') {
+  return {
+    root,
+    decisionsDir: path.join(root, DECISIONS_DIR),
+    templateDir: path.join(root, DECISIONS_DIR, TEMPLATE_NAME),
+    schemaPath: path.join(root, SCHEMA_PATH),
+    keysDir: path.join(root, KEYS_DIR),
+    configPath: path.join(root, CONFIG_PATH),
+  };
+}
+
+/**
+ * Lint settings for options: options.config (from loadConfig) as given, or
+ * loaded from options.configPath or <root>/provenance/config.yml;
+ * options.strict forces strict mode.
+ */
+function loadConfig(options = {}) {
+  let config = options.config;
+  if (!config) {
+    const configPath = options.configPath || resolvePaths(options.root).configPath;
+    config = loadLintConfig(configPath, Boolean(options.configPath));
+  }
+  return options.strict ? Object.assign({}, config, { strict: true }) : config;
+}
+
+/**
+ * Every decision folder under <root>/provenance/decisions (TEMPLATE
+ * excluded), sorted by name: [{dir, path, data, error}]. data is null and
+ * error set when decision.json is missing or cannot be parsed.
+ */
+function loadDecisions(root = '.') {
+  const { decisionsDir } = resolvePaths(root);
+  if (!fs.existsSync(decisionsDir)) {
+    return [];
+  }
+  
+  return fs.readdirSync(decisionsDir, { withFileTypes: true })
+    .filter(entry => entry.isDirectory() && entry.name !== TEMPLATE_NAME)
+    .map(entry => {
+      const record = { dir: entry.name, path: path.join(decisionsDir, entry.name), data: null, error: null };
+      const jsonPath = path.join(record.path, 'decision.json');
+      try {
+        record.data = JSON.parse(fs.readFileSync(jsonPath, 'utf8'));
+      } catch (e) {
+        record.error = fs.existsSync(jsonPath) ? `Invalid JSON in decision.json: ${e.message}` : 'Missing decision.json';
+      }
+      return record;
+    })
+    .sort((a, b) => a.dir.localeCompare(b.dir));
+}
+
+// Folder of a decision given as a loadDecisions() record, a folder name or a path
+function resolveDecisionPath(record, root) {
+  if (record && typeof record === 'object') {
+    return record.path;
+  }
+  const byName = path.join(resolvePaths(root).decisionsDir, String(record));
+  if (fs.existsSync(byName)) {
+    return byName;
+  }
+  if (fs.existsSync(path.join(String(record), 'decision.json'))) {
+    return String(record);
+  }
+  throw new Error(`Decision not found: ${record}`);
+}
+
+/**
+ * Validate one decision record.
+ * record: a loadDecisions() record, a folder name or a folder path
+ * options: {root, verbose, config, configPath, strict, graph}, graph being
+ * a buildDecisionGraph() result to share between calls
+ * Returns {name, path, valid, errors, warnings, suppressed, info}, where
+ * errors, warnings and suppressed are findings (see lib/rules.js) with file
+ * paths relative to root, and info lists passed checks when verbose is set.
+ */
+function validateDecision(record, options = {}) {
+  const { root, templateDir, schemaPath, keysDir, configPath } = resolvePaths(options.root);
+  const decisionPath = resolveDecisionPath(record, root);
+  const config = loadConfig(options);
+  const verbose = Boolean(options.verbose);
+  const decisionName = path.basename(decisionPath);
+  const relative = file => path.relative(root, file) || file;
+  const results = {
+    name: decisionName,
+    path: decisionPath,
+    valid: true,
+    errors: [],
+    warnings: [],
+    suppressed: [],
+    info: [],
+  };
+  const thresholds = config.thresholds;
+  
+  // Findings are sorted into errors, warnings and suppressed once decision.json is read
+  const findings = [];
+  const report = (rule, message, location = {}) => {
+    const finding = createFinding(rule, message, Object.assign({}, location, { file: location.file && relative(location.file) }), config);
+    if (finding) {
+      findings.push(finding);
+    }
+  };
+  
+  // Check required files
+  const requiredFiles = ['decision.md', 'decision.json'];
+  const optionalFiles = ['prov.jsonld', 'c2pa.manifest.json'];
+  
+  for (const file of requiredFiles) {
+    const filePath = path.join(decisionPath, file);
+    if (!fs.existsSync(filePath)) {
+      report('missing-required-file', `Missing required file: ${file}`, { file: filePath });
+    } else if (verbose) {
+      results.info.push(`Found required file: ${file}`);
+    }
+  }
+  
+  for (const file of optionalFiles) {
+    const filePath = path.join(decisionPath, file);
+    if (!fs.existsSync(filePath)) {
+      report('missing-optional-file', `Missing optional file: ${file}`, { file: filePath });
+    } else if (verbose) {
+      results.info.push(`Found optional file: ${file}`);
+    }
+  }
+  
+  // Validate decision.json
+  const decisionJsonPath = path.join(decisionPath, 'decision.json');
+  let decisionData = null;
+  if (fs.existsSync(decisionJsonPath)) {
+    const decisionJsonText = fs.readFileSync(decisionJsonPath, 'utf8');
+    try {
+      decisionData = JSON.parse(decisionJsonText);
+    } catch (e) {
+      report('invalid-json', `Invalid JSON in decision.json: ${e.message}`,
+        Object.assign({ file: decisionJsonPath }, parseErrorLocation(decisionJsonText, e)));
+    }
+    
+    if (decisionData) {
+      const locateValue = jsonLocator(decisionJsonText);
+      const at = pointer => Object.assign({ file: decisionJsonPath }, locateValue(pointer));
+      
+      // Load schema if available
+      if (fs.existsSync(schemaPath)) {
+        const schema = JSON.parse(fs.readFileSync(schemaPath, 'utf8'));
+        const schemaErrors = validateSchema(decisionData, schema);
+        
+        if (schemaErrors.length > 0) {
+          schemaErrors.forEach(error => report('schema-violation', formatSchemaError(error), at(error.path)));
+        } else if (verbose) {
+          results.info.push('Schema validation passed');
+        }
+      } else {
+        report('schema-not-found', 'Schema file not found, skipping schema validation', { file: schemaPath });
+      }
+      
+      // Check for common issues
+      if (!decisionData.title || decisionData.title.length < thresholds['title-min-length']) {
+        report('title-too-short', 'Title is missing or too short', at('/title'));
+      }
+      
+      if (!decisionData.status) {
+        report('missing-status', 'Status is missing', at('/status'));
+      }
+      
+      if (!decisionData.date) {
+        report('missing-date', 'Date is missing', at('/date'));
+      }
+      
+      // Check context
+      if (!decisionData.context || !decisionData.context.problem) {
+        report('missing-problem', 'Context or problem description is missing', at('/context/problem'));
+      } else if (decisionData.context.problem.length < thresholds['problem-min-length']) {
+        report('short-problem', `Problem description is very short (< ${thresholds['problem-min-length']} characters)`, at('/context/problem'));
+      }
+      
+      // Check decision
+      if (!decisionData.decision || !decisionData.decision.summary) {
+        report('missing-decision-summary', 'Decision summary is missing', at('/decision/summary'));
+      }
+      
+      // Check consequences
+      if (!decisionData.consequences) {
+        report('missing-consequences', 'Consequences section is missing', at('/consequences'));
+      } else {
+        if (!decisionData.consequences.positive || decisionData.consequences.positive.length === 0) {
+          report('no-positive-consequences', 'No positive consequences listed', at('/consequences/positive'));
+        }
+        
+        if (!decisionData.consequences.negative || decisionData.consequences.negative.length === 0) {
+          report('no-negative-consequences', 'No negative consequences listed (be honest about trade-offs!)', at('/consequences/negative'));
+        }
+      }
+      
+      // Check for alternatives
+      if (!decisionData.alternatives || decisionData.alternatives.length === 0) {
+        report('no-alternatives', 'No alternatives considered (recommended to document)', at('/alternatives'));
+      }
+      
+      // Check for evidence
+      if (!decisionData.evidence) {
+        report('no-evidence', 'No evidence provided (recommended for important decisions)', at('/evidence'));
+      }
+      
+      // Check decision.md says the same as decision.json
+      const decisionMdPath = path.join(decisionPath, 'decision.md');
+      if (fs.existsSync(decisionMdPath)) {
+        const mismatches = compareDecision(fs.readFileSync(decisionMdPath, 'utf8'), decisionData);
+        mismatches.forEach(mismatch => report('markdown-out-of-sync',
+          `decision.md and decision.json differ on ${mismatch.field}: ${mismatch.message}`,
+          at(fieldToPointer(mismatch.field, decisionData))));
+      }
+      
+      // Check the seal written by seal-decision.js
+      const seal = verifySeal(decisionPath, decisionData);
+      if (seal.broken) {
+        report('broken-seal', `Seal cannot be verified: ${seal.broken}. Restore the sealed record from version control, or re-seal it with: node tools/seal-decision.js ${decisionName}`, at('/provenanceCode/hash'));
+      }
+      if (seal.changes.length > 0) {
+        const changed = seal.changes.map(change => `${change.file} ${change.change}`).join(', ');
+        if (SEALED_STATUSES.includes(decisionData.status) && seal.updatesSinceSeal === 0) {
+          report('edited-after-seal', `Edited after sealing on ${seal.date} without a new updates[] entry: ${changed}`, at('/provenanceCode/sealed'));
+        } else {
+          report('seal-out-of-date', `Changed since sealing on ${seal.date} (${changed}); re-seal with: node tools/seal-decision.js ${decisionName}`, at('/provenanceCode/sealed'));
+        }
+      } else if (verbose) {
+        results.info.push(seal.sealed ? `Seal intact (sealed ${seal.date})` : 'Not sealed (run tools/seal-decision.js)');
+      }
+      
+      // Check for text and placeholders left over from the TEMPLATE
+      const decisionMd = fs.existsSync(decisionMdPath) ? fs.readFileSync(decisionMdPath, 'utf8') : null;
+      const leftovers = findTemplateContent(decisionMd, decisionData, loadTemplateFingerprints(templateDir));
+      const leftoverRule = BLOCKING_STATUSES.includes(decisionData.status) ? 'accepted-with-template-content' : 'template-content';
+      leftovers.forEach(leftover => report(leftoverRule, leftover.message,
+        leftover.pointer !== undefined ? at(leftover.pointer) : { file: decisionMdPath, line: leftover.line, column: 1 }));
+      if (verbose && leftovers.length === 0) {
+        results.info.push('No template text or placeholders left');
+      }
+      
+      // Check evidence references resolve inside evidence/, and the files there against the policy
+      const evidence = checkEvidence(decisionPath, decisionData, decisionMd, loadEvidencePolicy(options.configPath || configPath));
+      evidence.issues.forEach(issue => report(issue.rule, issue.message, issue.pointer !== undefined ? at(issue.pointer)
+        : issue.line ? { file: decisionMdPath, line: issue.line, column: 1 } : { file: path.join(decisionPath, issue.file) }));
+      if (verbose && evidence.issues.length === 0 && evidence.files.length > 0) {
+        results.info.push(`Evidence checked: ${evidence.files.length} file${evidence.files.length === 1 ? '' : 's'}, ${evidence.references.length} reference${evidence.references.length === 1 ? '' : 's'}`);
+      }
+      
+      // Check lint.ignore names rules that exist
+      recordSuppressions(decisionData).problems.forEach(problem => report('invalid-lint-ignore', problem.message, at(`/lint/ignore/${problem.index}`)));
+      
+      // Check approval signatures once the repo has a trust list
+      const trustList = loadTrustList(keysDir);
+      const approvers = decisionData.approval && Array.isArray(decisionData.approval.approvedBy) ? decisionData.approval.approvedBy : [];
+      if (trustList.keys.size > 0 && approvers.length > 0) {
+        // Accepted and implemented records may not rest on approvals nobody signed
+        const blocking = SEALED_STATUSES.includes(decisionData.status);
+        if (!seal.sealed) {
+          report(blocking ? 'accepted-with-unsigned-approval' : 'approvals-not-verifiable', 'Approvals cannot be verified: the record is not sealed (run tools/seal-decision.js, then tools/sign-decision.js)', at('/approval/approvedBy'));
+        } else {
+          const manifestPath = path.join(decisionPath, 'c2pa.manifest.json');
+          let manifest = null;
+          try {
+            manifest = fs.existsSync(manifestPath) ? JSON.parse(fs.readFileSync(manifestPath, 'utf8')) : null;
+          } catch (e) {
+            // Reported with the c2pa.manifest.json checks below
+          }
+          const rules = blocking
+            ? { untrusted: 'invalid-signature', invalid: 'invalid-signature', unsigned: 'accepted-with-unsigned-approval', stale: 'accepted-with-stale-signature' }
+            : { untrusted: 'invalid-signature', invalid: 'invalid-signature', unsigned: 'unsigned-approval', stale: 'stale-signature' };
+          for (const approval of verifyApprovals(decisionData, manifest, trustList.keys, seal)) {
+            const index = approvers.findIndex(approver => approver && approver.name === approval.approver);
+            if (approval.status === 'valid') {
+              if (verbose) {
+                results.info.push(approval.message);
+              }
+            } else {
+              report(rules[approval.status], approval.message, at(`/approval/approvedBy/${index}`));
+            }
+          }
+        }
+      }
+    }
+  }
+  
+  // Validate prov.jsonld
+  const provJsonldPath = path.join(decisionPath, 'prov.jsonld');
+  if (fs.existsSync(provJsonldPath)) {
+    const provText = fs.readFileSync(provJsonldPath, 'utf8');
+    try {
+      const provData = JSON.parse(provText);
+      
+      if (decisionData) {
+        const graph = options.graph || buildDecisionGraph(loadDecisionRecords(resolvePaths(root).decisionsDir));
+        const titles = new Map(Array.from(graph.nodes.values()).map(node => [node.id, node.title]));
+        const issues = checkProvDocument(provData, decisionData, { current: { resolve: graph.resolve, titles } });
+        issues.forEach(issue => report(issue.severity === 'error' ? 'invalid-prov-graph' : 'prov-out-of-sync',
+          `prov.jsonld: ${issue.message}`, { file: provJsonldPath }));
+        if (verbose && !issues.some(issue => issue.severity === 'error')) {
+          results.info.push('prov.jsonld is a well-formed PROV graph');
+        }
+      } else if (!provData['@context']) {
+        report('missing-prov-context', 'prov.jsonld missing @context', { file: provJsonldPath });
+      }
+    } catch (e) {
+      report('invalid-json', `Invalid JSON in prov.jsonld: ${e.message}`,
+        Object.assign({ file: provJsonldPath }, parseErrorLocation(provText, e)));
+    }
+  }
+  
+  // Validate c2pa.manifest.json
+  const c2paManifestPath = path.join(decisionPath, 'c2pa.manifest.json');
+  if (fs.existsSync(c2paManifestPath)) {
+    const manifestText = fs.readFileSync(c2paManifestPath, 'utf8');
+    try {
+      JSON.parse(manifestText);
+      if (verbose) {
+        results.info.push('c2pa.manifest.json is valid JSON');
+      }
+    } catch (e) {
+      report('invalid-json', `Invalid JSON in c2pa.manifest.json: ${e.message}`,
+        Object.assign({ file: c2paManifestPath }, parseErrorLocation(manifestText, e)));
+    }
+  }
+  
+  const suppressions = recordSuppressions(decisionData);
+  for (const finding of findings) {
+    if (suppressions.rules.has(finding.rule)) {
+      results.suppressed.push(Object.assign(finding, { justification: suppressions.reason }));
+    } else if (finding.severity === 'error') {
+      results.errors.push(finding);
+    } else {
+      results.warnings.push(finding);
+    }
+  }
+  results.valid = results.errors.length === 0;
+  if (verbose) {
+    results.suppressed.forEach(finding => results.info.push(`Suppressed by lint.ignore: ${finding.message} [${finding.ruleId}]`));
+  }
+  
+  return results;
+}
+
+/**
+ * Check relatedDecisions links across all records.
+ * options: {root, config, configPath, strict}
+ * Returns {errors, warnings, suppressed, decisions, links}.
+ */
+function validateGraph(options = {}) {
+  const { root, decisionsDir } = resolvePaths(options.root);
+  const config = loadConfig(options);
+  const records = loadDecisionRecords(decisionsDir);
+  const graph = buildDecisionGraph(records);
+  const result = { errors: [], warnings: [], suppressed: [], decisions: graph.nodes.size, links: graph.edges.length };
+  const locators = new Map();
+  
+  // Numbering issues name the folder, graph issues the id
+  const byDir = new Map(records.map(record => [record.dir, record]));
+  const issues = checkNumbering(records).map(issue => ({ issue, node: byDir.get(issue.decision) }))
+    .concat(checkDecisionGraph(graph).map(issue => ({ issue, node: graph.nodes.get(issue.decision) })));
+  for (const { issue, node } of issues) {
+    let location = {};
+    if (node) {
+      const file = path.join(node.path, 'decision.json');
+      if (!locators.has(file)) {
+        locators.set(file, jsonLocator(fs.readFileSync(file, 'utf8')));
+      }
+      location = Object.assign({ file: path.relative(root, file) }, locators.get(file)(fieldToPointer(issue.field || '', node.data)));
+    }
+    const finding = createFinding(issue.rule, `${issue.decision}: ${issue.message}`, location, config);
+    if (!finding) {
+      continue;
+    }
+    
+    const suppressions = recordSuppressions(node && node.data);
+    if (suppressions.rules.has(finding.rule)) {
+      result.suppressed.push(Object.assign(finding, { justification: suppressions.reason }));
+    } else {
+      (finding.severity === 'error' ? result.errors : result.warnings).push(finding);
+    }
+  }
+  
+  return result;
+}
+
+/**
+ * Validate every record and the links between them.
+ * Returns {valid, records: [validateDecision() results], graph: validateGraph() result}.
+ */
+function validateDecisions(options = {}) {
+  const { decisionsDir } = resolvePaths(options.root);
+  if (!fs.existsSync(decisionsDir)) {
+    throw new Error(`Decisions directory not found: ${decisionsDir}`);
+  }
+  
+  const decisionGraph = buildDecisionGraph(loadDecisionRecords(decisionsDir));
+  const shared = Object.assign({}, options, { config: loadConfig(options), graph: decisionGraph });
+  const records = loadDecisions(options.root).map(record => validateDecision(record, shared));
+  const graph = validateGraph(shared);
+  return { valid: records.every(record => record.valid) && graph.errors.length === 0, records, graph };
+}
+
+/**
+ * Decisions matching a filter, as summaries:
+ * [{id, dir, path, title, status, date, owner, tags}].
+ * filter: a function of the summary, or {status, tag, owner} where status
+ * may be a list; tag and owner match case-insensitively.
+ */
+function listDecisions(filter = {}, options = {}) {
+  const summaries = loadDecisions(options.root).map(record => {
+    const data = record.data || {};
+    const metadata = data.metadata || {};
+    return {
+      id: data.id || record.dir,
+      dir: record.dir,
+      path: record.path,
+      title: data.title || null,
+      status: data.status || null,
+      date: data.date || null,
+      owner: metadata.owner || null,
+      tags: Array.isArray(metadata.tags) ? metadata.tags : [],
+    };
+  });
+  
+  if (typeof filter === 'function') {
+    return summaries.filter(filter);
+  }
+  
+  const statuses = filter.status ? [].concat(filter.status) : null;
+  const same = (a, b) => String(a || '').toLowerCase() === String(b || '').toLowerCase();
+  return summaries.filter(summary =>
+    (!statuses || statuses.includes(summary.status)) &&
+    (!filter.tag || summary.tags.some(tag => same(tag, filter.tag))) &&
+    (!filter.owner || same(summary.owner, filter.owner)));
+}
+
+function sanitizeName(name) {
+  return String(name)
+    .toLowerCase()
+    .replace(/\s+/g, '-')
+    .replace(/[^a-z0-9-]/g, '');
+}
+
+function titleCase(str) {
+  return str
+    .split('-')
+    .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+    .join(' ');
+}
+
+function copyDirectory(src, dest) {
+  if (!fs.existsSync(dest)) {
+    fs.mkdirSync(dest, { recursive: true });
+  }
+  
+  const entries = fs.readdirSync(src, { withFileTypes: true });
+  
+  for (const entry of entries) {
+    const srcPath = path.join(src, entry.name);
+    const destPath = path.join(dest, entry.name);
+    
+    if (entry.isDirectory()) {
+      copyDirectory(srcPath, destPath);
+    } else {
+      fs.copyFileSync(srcPath, destPath);
+    }
+  }
+}
+
+function updateFile(filePath, replacements) {
+  if (!fs.existsSync(filePath)) {
+    return false;
+  }
+  
+  let content = fs.readFileSync(filePath, 'utf8');
+  
+  for (const [search, replace] of Object.entries(replacements)) {
+    content = content.replace(new RegExp(search, 'g'), replace);
+  }
+  
+  fs.writeFileSync(filePath, content, 'utf8');
+  return true;
+}
+
+// Copy source into target: objects merge, everything else (arrays included) replaces
+function mergeFields(target, source) {
+  for (const [key, value] of Object.entries(source || {})) {
+    if (value && typeof value === 'object' && !Array.isArray(value) && target[key] && typeof target[key] === 'object' && !Array.isArray(target[key])) {
+      mergeFields(target[key], value);
+    } else {
+      target[key] = value;
+    }
+  }
+  return target;
+}
+
+function toList(value) {
+  if (value === undefined || value === null) {
+    return [];
+  }
+  return (Array.isArray(value) ? value : String(value).split(','))
+    .map(item => String(item).trim())
+    .filter(Boolean);
+}
+
+/**
+ * A new decision.json with the template's structure but none of its example
+ * content: required fields are present and empty until someone fills them in.
+ */
+function blankDecision(template, id, currentDate, currentDateTime) {
+  const provenanceCode = template.provenanceCode || {};
+  return {
+    $schema: template.$schema,
+    id,
+    title: '',
+    status: 'proposed',
+    date: currentDate,
+    lastUpdated: currentDate,
+    deciders: [],
+    context: { problem: '' },
+    decision: { summary: '' },
+    consequences: { positive: [], negative: [] },
+    alternatives: [],
+    relatedDecisions: { dependsOn: [], relatedTo: [], supersedes: [], supersededBy: null },
+    metadata: { tags: [] },
+    provenanceCode: {
+      version: provenanceCode.version || '1.0',
+      template: provenanceCode.template || 'standard',
+      created: currentDateTime,
+      modified: currentDateTime,
+    },
+  };
+}
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function describeValue(value) {
+  if (value === null) {
+    return 'null';
+  }
+  return Array.isArray(value) ? 'an array' : `a ${typeof value}`;
+}
+
+/**
+ * Check a partial decision.json before it is merged into a new record:
+ * it must be an object, and so must every section that is an object in a
+ * blank record (context, decision, metadata, ...). Throws with the first
+ * problem found.
+ */
+function checkDecisionFields(fields) {
+  if (!isObject(fields)) {
+    throw new Error(`Decision fields must be a JSON object, not ${describeValue(fields)}`);
+  }
+  const blank = blankDecision({}, '', '', '');
+  for (const key of Object.keys(blank)) {
+    if (isObject(blank[key]) && fields[key] !== undefined && !isObject(fields[key])) {
+      throw new Error(`"${key}" must be an object, not ${describeValue(fields[key])}`);
+    }
+  }
+  return fields;
+}
+
+function findAssertion(manifest, label) {
+  return (manifest.assertions || []).find(assertion => assertion && assertion.label === label);
+}
+
+/**
+ * The template's C2PA manifest filled in for a new record. The example
+ * actors, relationships, history and ingredients are replaced with what
+ * decision.json says; the rest of the manifest structure is kept.
+ */
+function buildManifest(template, data, currentDateTime) {
+  const manifest = JSON.parse(JSON.stringify(template));
+  const related = data.relatedDecisions || {};
+  const metadata = data.metadata || {};
+  const author = metadata.owner || data.deciders[0] || '';
+  const set = (label, update) => {
+    const assertion = findAssertion(manifest, label);
+    if (assertion && assertion.data) {
+      update(assertion.data);
+    }
+  };
+  
+  manifest.title = `${data.title} - Content Authenticity Manifest`;
+  manifest.instance_id = `xmp:iid:${data.id}`;
+  manifest.ingredients = [];
+  
+  set('c2pa.actions', assertion => {
+    assertion.actions = (assertion.actions || []).filter(action => action.action === 'c2pa.created');
+  });
+  set('c2pa.metadata', assertion => {
+    Object.assign(assertion.decision_record || {}, { id: data.id, title: data.title, status: data.status, date_created: data.date });
+  });
+  set('c2pa.claim', assertion => {
+    assertion['dc:title'] = data.title;
+    assertion['dc:creator'] = { name: author };
+  });
+  set('stds.schema-org.CreativeWork', assertion => {
+    assertion.name = data.title;
+    assertion.author = { '@type': 'Organization', name: author };
+    assertion.about = data.decision.summary;
+    assertion.keywords = metadata.tags || [];
+  });
+  set('provenancecode.actors', assertion => {
+    assertion.proposer = { name: author, role: 'proposer' };
+    assertion.deciders = data.deciders.map(name => ({ name, role: 'decision-maker' }));
+    assertion.approvers = [];
+  });
+  set('provenancecode.relationships', assertion => {
+    const refs = list => toList(list).map(id => `decision:${id}`);
+    assertion.depends_on = refs(related.dependsOn);
+    assertion.related_to = refs(related.relatedTo);
+    assertion.supersedes = refs(related.supersedes);
+    assertion.superseded_by = related.supersededBy ? `decision:${related.supersededBy}` : null;
+  });
+  set('provenancecode.lifecycle', assertion => {
+    assertion.status_history = [{ status: data.status, date: currentDateTime, author }];
+    assertion.review_history = [];
+    assertion.next_review_date = data.monitoring && data.monitoring.reviewDate ? `${data.monitoring.reviewDate}T00:00:00Z` : null;
+  });
+  
+  return manifest;
+}
+
+function readTemplateJson(templateDir, file) {
+  const filePath = path.join(templateDir, file);
+  return fs.existsSync(filePath) ? JSON.parse(fs.readFileSync(filePath, 'utf8')) : null;
+}
+
+/**
+ * Write a new record folder from its decision.json: the template's evidence/
+ * folder, decision.json, and decision.md, prov.jsonld and c2pa.manifest.json
+ * generated from it. steps collects what was written.
+ */
+function writeDecisionRecord(decisionPath, data, templateDir, now, steps) {
+  const currentDate = now.toISOString().split('T')[0];
+  const currentDateTime = now.toISOString();
+  
+  // Copy template (evidence/ and its README); the record files are written below
+  copyDirectory(templateDir, decisionPath);
+  steps.push('Copied template');
+  
+  fs.writeFileSync(path.join(decisionPath, 'decision.json'), JSON.stringify(data, null, 2) + '\n', 'utf8');
+  steps.push('Wrote decision.json');
+  
+  fs.writeFileSync(path.join(decisionPath, 'decision.md'), renderDecisionMarkdown(data), 'utf8');
+  steps.push('Wrote decision.md');
+  
+  fs.writeFileSync(path.join(decisionPath, 'prov.jsonld'), JSON.stringify(buildProvDocument(data), null, 2) + '\n', 'utf8');
+  steps.push('Generated prov.jsonld');
+  
+  const manifest = readTemplateJson(templateDir, 'c2pa.manifest.json');
+  if (manifest) {
+    const manifestPath = path.join(decisionPath, 'c2pa.manifest.json');
+    fs.writeFileSync(manifestPath, JSON.stringify(buildManifest(manifest, data, currentDateTime), null, 2) + '\n', 'utf8');
+    updateFile(manifestPath, {
+      '2026-02-06T10:00:00Z': currentDateTime,
+      '2026-02-06': currentDate,
+    });
+    steps.push('Wrote c2pa.manifest.json');
+  }
+}
+
+/**
+ * Create a decision record from the TEMPLATE folder. decision.json starts
+ * empty (no template example content) and decision.md, prov.jsonld and
+ * c2pa.manifest.json are generated from it.
+ *
+ * name: the folder slug; may be omitted when a title is given
+ * options: {root, now (Date, for tests), scheme, fields, title, status,
+ *   deciders, tags, owner, supersedes, dependsOn}
+ * scheme is the numbering scheme (see lib/numbering.js); it defaults to
+ * numbering.scheme in provenance/config.yml.
+ * fields is a partial decision.json (e.g. from --from-json or the
+ * interactive prompts), checked with checkDecisionFields and merged into the
+ * new record; the other options win over it. deciders, tags, supersedes and
+ * dependsOn take a list or a comma-separated string; decision references are
+ * checked and stored by id.
+ * Returns {id, path, data, steps, warnings}: steps lists what was written and
+ * warnings what still needs doing.
+ */
+function createDecision(name, options = {}) {
+  const { decisionsDir, templateDir, configPath } = resolvePaths(options.root);
+  const fields = checkDecisionFields(options.fields === undefined ? {} : options.fields);
+  const decisionName = sanitizeName(name || options.title || fields.title || '');
+  
+  if (!decisionName) {
+    throw new Error('Invalid decision name');
+  }
+  
+  if (options.status && !STATUSES.includes(options.status)) {
+    throw new Error(`Unknown status: ${options.status} (use ${STATUSES.join(', ')})`);
+  }
+  
+  // Name the folder by the configured numbering scheme
+  const scheme = options.scheme || loadNumberingConfig(configPath).scheme;
+  const existing = fs.existsSync(decisionsDir) ? fs.readdirSync(decisionsDir) : [];
+  const now = options.now || new Date();
+  const fullName = nextDecisionId(existing, decisionName, { scheme, now });
+  const decisionPath = path.join(decisionsDir, fullName);
+  
+  if (fs.existsSync(decisionPath)) {
+    throw new Error(`Decision already exists: ${fullName}`);
+  }
+  
+  if (!fs.existsSync(templateDir)) {
+    throw new Error(`Template directory not found: ${templateDir}`);
+  }
+  
+  const currentDate = now.toISOString().split('T')[0];
+  const currentDateTime = now.toISOString();
+  
+  // Fill in the record before anything is written, so a bad reference leaves no folder behind
+  const data = mergeFields(blankDecision(readTemplateJson(templateDir, 'decision.json') || {}, fullName, currentDate, currentDateTime), fields);
+  data.id = fullName;
+  data.title = options.title || fields.title || titleCase(decisionName);
+  data.status = options.status || data.status;
+  data.deciders = toList(options.deciders !== undefined ? options.deciders : data.deciders);
+  data.metadata.tags = toList(options.tags !== undefined ? options.tags : data.metadata.tags);
+  if (options.owner) {
+    data.metadata.owner = options.owner;
+  }
+  
+  const graph = buildDecisionGraph(loadDecisionRecords(decisionsDir));
+  const related = data.relatedDecisions;
+  const resolveAll = list => toList(list).map(reference => {
+    const id = graph.resolve(reference);
+    if (!id) {
+      throw new Error(`Unknown decision: ${reference}`);
+    }
+    return id;
+  });
+  related.supersedes = resolveAll(options.supersedes !== undefined ? options.supersedes : related.supersedes);
+  related.dependsOn = resolveAll(options.dependsOn !== undefined ? options.dependsOn : related.dependsOn);
+  
+  if (!STATUSES.includes(data.status)) {
+    throw new Error(`Unknown status: ${data.status} (use ${STATUSES.join(', ')})`);
+  }
+  
+  if (BLOCKING_STATUSES.includes(data.status)) {
+    const leftovers = findTemplateContent(renderDecisionMarkdown(data), data, loadTemplateFingerprints(templateDir));
+    if (leftovers.length > 0) {
+      throw new Error(`A new decision cannot be ${data.status} while it holds template content:\n${leftovers.map(leftover => `   - ${leftover.message}`).join('\n')}`);
+    }
+  }
+  
+  const result = { id: fullName, path: decisionPath, data, steps: [], warnings: [] };
+  
+  writeDecisionRecord(decisionPath, data, templateDir, now, result.steps);
+  
+  // Supersession is recorded on both records; the old one goes through the status lifecycle
+  for (const id of related.supersedes) {
+    result.warnings.push(`Mark ${id} as superseded: node tools/decision-status.js ${id} superseded --superseded-by ${fullName}`);
+  }
+  
+  return result;
+}
+
+// ADR files in a directory: NNNN-title.md (adr-tools, MADR) or yyyymmdd-title.md (log4brains)
+const ADR_FILE_RE = /^\d+-.+\.md$/i;
+
+function findAdrFiles(sources) {
+  const files = [];
+  for (const source of sources) {
+    if (!fs.existsSync(source)) {
+      throw new Error(`Not found: ${source}`);
+    }
+    if (fs.statSync(source).isDirectory()) {
+      fs.readdirSync(source).filter(name => ADR_FILE_RE.test(name)).sort().forEach(name => files.push(path.join(source, name)));
+    } else {
+      files.push(source);
+    }
+  }
+  return files;
+}
+
+// Folder name an ADR keeps: its number as 007-slug, or its log4brains date as 2020-10-26-slug
+function adrFolderName(number, date, slug) {
+  if (number) {
+    return `${String(parseInt(number, 10)).padStart(3, '0')}-${slug}`;
+  }
+  return date ? `${date}-${slug}` : null;
+}
+
+/**
+ * Import Architecture Decision Records kept for adr-tools (Nygard), MADR or
+ * log4brains (see lib/adr.js) as decision records.
+ *
+ * sources: ADR files, or directories of NNNN-title.md files, relative to the
+ * current directory
+ * options: {root, now (Date, for tests), renumber, scheme, deciders, author, dryRun}
+ * An ADR keeps its number ("0007-x.md" becomes 007-x) or its log4brains
+ * date; with renumber, each gets the next name in the numbering scheme
+ * instead. Links between ADRs ("Supersedes", "Amended by", ...) become
+ * relatedDecisions when the target is imported in the same run or was
+ * imported before; supersession and amendments imported in the same run are
+ * recorded on both records even when only one ADR names them. deciders (a
+ * list or comma-separated string) stands in for ADRs that name none; author
+ * signs the "Imported from" updates entry, which names the ADR by its path
+ * in the repository, or by its file name when it lies outside.
+ * The original file is kept in the record's evidence/ folder.
+ * Every ADR is read and named before anything is written, so a file that
+ * does not parse or a name that is taken leaves nothing half-imported.
+ * Returns [{source, format, id, path, data, steps, warnings}].
+ */
+function importAdrs(sources, options = {}) {
+  const { decisionsDir, templateDir, configPath } = resolvePaths(options.root);
+  const scheme = options.scheme || loadNumberingConfig(configPath).scheme;
+  const now = options.now || new Date();
+  const currentDate = now.toISOString().split('T')[0];
+  const currentDateTime = now.toISOString();
+  
+  if (!fs.existsSync(templateDir)) {
+    throw new Error(`Template directory not found: ${templateDir}`);
+  }
+  
+  const files = findAdrFiles(toList(sources));
+  if (files.length === 0) {
+    throw new Error('No ADR files found (expected NNNN-title.md)');
+  }
+  
+  const template = readTemplateJson(templateDir, 'decision.json') || {};
+  const names = fs.existsSync(decisionsDir) ? fs.readdirSync(decisionsDir).filter(name => name !== TEMPLATE_NAME) : [];
+  const graph = buildDecisionGraph(loadDecisionRecords(decisionsDir));
+  const defaultDeciders = toList(options.deciders);
+  const repoRoot = path.resolve(options.root || '.');
+  const byFile = new Map();
+  const links = new Map();
+  
+  const imports = files.map(source => {
+    const fileName = path.basename(source);
+    const adr = parseAdr(fs.readFileSync(source, 'utf8'), fileName);
+    const slug = sanitizeName(adr.slug).replace(/-+/g, '-').replace(/^-|-$/g, '') || 'decision';
+    const kept = options.renumber ? null : adrFolderName(adr.number, adr.fileDate, slug);
+    const id = kept || nextDecisionId(names, slug, { scheme, now });
+    const number = decisionNumber(id);
+    const taken = names.find(name => name === id || (number !== null && decisionNumber(name) === number));
+    if (taken) {
+      throw new Error(`${source}: ${id} would collide with ${taken}; import with renumber to give the ADRs new numbers`);
+    }
+    names.push(id);
+    byFile.set(path.resolve(source), id);
+    links.set(id, adr.links);
+    
+    const data = mergeFields(blankDecision(template, id, currentDate, currentDateTime), adr.fields);
+    data.id = id;
+    if (data.deciders.length === 0) {
+      data.deciders = defaultDeciders;
+    }
+    data.evidence = { research: [{ title: `Original ADR (${adr.format})`, path: `evidence/${fileName}`, type: 'internal' }] };
+    const inRepo = path.relative(repoRoot, path.resolve(source));
+    const origin = inRepo.startsWith('..') || path.isAbsolute(inRepo) ? fileName : inRepo.split(path.sep).join('/');
+    data.updates = [{ date: currentDate, author: options.author || data.deciders[0] || 'unknown', description: `Imported from ${origin} (${adr.format} ADR)` }];
+    
+    return { source, format: adr.format, id, path: path.join(decisionsDir, id), data, steps: [], warnings: adr.warnings.slice() };
+  });
+  
+  // Links name ADR files: ones imported now, or ones imported before under the name they would get
+  const resolveLink = (source, file) => {
+    const target = path.resolve(path.dirname(source), file);
+    if (byFile.has(target)) {
+      return byFile.get(target);
+    }
+    const name = parseFileName(path.basename(target));
+    const earlier = adrFolderName(name.number, name.date, sanitizeName(name.slug));
+    return earlier && graph.nodes.has(earlier) ? earlier : null;
+  };
+  
+  const byId = new Map(imports.map(item => [item.id, item]));
+  for (const item of imports) {
+    const related = item.data.relatedDecisions;
+    for (const link of links.get(item.id)) {
+      const id = resolveLink(item.source, link.file);
+      if (!id) {
+        item.warnings.push(`"${link.label} ${link.title}" links to ${link.file}, which is not imported; left out of relatedDecisions`);
+      } else if (link.type === 'supersededBy') {
+        related.supersededBy = related.supersededBy || id;
+      } else if (link.type === 'amendedBy') {
+        // The amending record depends on this one, whether or not it says "Amends"
+        const amending = byId.get(id);
+        if (amending && !amending.data.relatedDecisions.dependsOn.includes(item.id)) {
+          amending.data.relatedDecisions.dependsOn.push(item.id);
+        }
+        if (!related.relatedTo.includes(id)) {
+          related.relatedTo.push(id);
+        }
+      } else if (!related[link.type].includes(id)) {
+        related[link.type].push(id);
+      }
+    }
+  }
+  
+  // Supersession is recorded on both records, as adr-tools does, even when only one ADR names it
+  for (const item of imports) {
+    const related = item.data.relatedDecisions;
+    for (const id of related.supersedes) {
+      const old = byId.get(id);
+      if (!old) {
+        item.warnings.push(`Mark ${id} as superseded: node tools/decision-status.js ${id} superseded --superseded-by ${item.id}`);
+      } else if (!old.data.relatedDecisions.supersededBy) {
+        old.data.relatedDecisions.supersededBy = item.id;
+        old.data.status = 'superseded';
+      }
+    }
+    const newer = related.supersededBy && byId.get(related.supersededBy);
+    if (newer) {
+      if (!newer.data.relatedDecisions.supersedes.includes(item.id)) {
+        newer.data.relatedDecisions.supersedes.push(item.id);
+      }
+    } else if (related.supersededBy && !outgoing(graph, related.supersededBy, 'supersedes').some(edge => edge.to === item.id)) {
+      item.warnings.push(`Add ${item.id} to relatedDecisions.supersedes in ${related.supersededBy}/decision.json`);
+    }
+  }
+  
+  for (const item of imports) {
+    const data = item.data;
+    if (data.deciders.length === 0) {
+      item.warnings.push('No deciders listed; add them to decision.json');
+    }
+    if (SEALED_STATUSES.includes(data.status)) {
+      item.warnings.push(`Seal it once reviewed: node tools/seal-decision.js ${item.id}`);
+    }
+  }
+  
+  if (options.dryRun) {
+    return imports;
+  }
+  
+  fs.mkdirSync(decisionsDir, { recursive: true });
+  for (const item of imports) {
+    writeDecisionRecord(item.path, item.data, templateDir, now, item.steps);
+    fs.mkdirSync(path.join(item.path, 'evidence'), { recursive: true });
+    fs.copyFileSync(item.source, path.join(item.path, 'evidence', path.basename(item.source)));
+    item.steps.push('Kept the original ADR in evidence/');
+  }
+  
+  return imports;
+}
+
+module.exports = {
+  resolvePaths,
+  loadConfig,
+  loadDecisions,
+  validateDecision,
+  validateGraph,
+  validateDecisions,
+  listDecisions,
+  createDecision,
+  checkDecisionFields,
+  importAdrs,
+};
@@ -0,0 +1,302 @@
+/**
+ * ProvenanceCode: RDF serialization of PROV graphs
+ *
+ * Turns the JSON-LD written to prov.jsonld (prefixes in @context, @graph,
+ * embedded nodes, typed literals) into triples, and writes triples as
+ * N-Triples, Turtle or flattened JSON-LD. This covers the JSON-LD that
+ * ProvenanceCode writes, not the full JSON-LD algorithms: remote contexts,
+ * @vocab and term definitions other than prefixes are not resolved.
+ */
+
+const XSD = 'http://www.w3.org/2001/XMLSchema#';
+const RDF_TYPE = 'http://www.w3.org/1999/02/22-rdf-syntax-ns#type';
+const XSD_STRING = `${XSD}string`;
+
+// Local part of a Turtle prefixed name (PN_LOCAL), with "/" as the only escape
+const PN_LOCAL = /^([A-Za-z0-9_]|\\\/)(([A-Za-z0-9_.-]|\\\/)*([A-Za-z0-9_-]|\\\/))?$/;
+
+function iri(value) {
+  return { termType: 'iri', value };
+}
+
+function blank(value) {
+  return { termType: 'blank', value };
+}
+
+function literal(value, datatype) {
+  return { termType: 'literal', value: String(value), datatype: datatype || XSD_STRING };
+}
+
+// Prefix definitions of an @context; string contexts (remote URLs) are ignored
+function contextPrefixes(context) {
+  const prefixes = {};
+  for (const item of [].concat(context || [])) {
+    if (item && typeof item === 'object') {
+      Object.entries(item)
+        .filter(([key, value]) => !key.startsWith('@') && typeof value === 'string')
+        .forEach(([key, value]) => { prefixes[key] = value; });
+    }
+  }
+  return prefixes;
+}
+
+function expandIri(term, prefixes) {
+  const match = /^([A-Za-z][A-Za-z0-9_.-]*):(.*)$/.exec(term);
+  if (match && !match[2].startsWith('//') && Object.prototype.hasOwnProperty.call(prefixes, match[1])) {
+    return prefixes[match[1]] + match[2];
+  }
+  return term;
+}
+
+/**
+ * Triples of a JSON-LD document: [{subject, predicate, object}].
+ * options.defaults: prefixes used when the document's @context lacks them
+ * options.prefixes: prefixes that override the document's @context
+ * options.blankNodes: counter ({count}) shared between documents, so blank
+ *   node labels stay unique when graphs are merged
+ */
+function toTriples(doc, options = {}) {
+  const prefixes = Object.assign({}, options.defaults, contextPrefixes(doc['@context']), options.prefixes);
+  const counter = options.blankNodes || { count: 0 };
+  const labels = new Map();
+  const triples = [];
+  const expand = term => expandIri(term, prefixes);
+  const newBlank = () => blank(`b${++counter.count}`);
+  
+  const subjectOf = node => {
+    const id = node['@id'];
+    if (typeof id !== 'string' || id === '') {
+      return newBlank();
+    }
+    if (id.startsWith('_:')) {
+      if (!labels.has(id)) {
+        labels.set(id, newBlank());
+      }
+      return labels.get(id);
+    }
+    return iri(expand(id));
+  };
+  
+  const objectOf = value => {
+    if (value === null || value === undefined) {
+      return null;
+    }
+    if (typeof value === 'boolean') {
+      return literal(value, `${XSD}boolean`);
+    }
+    if (typeof value === 'number') {
+      return literal(value, `${XSD}${Number.isInteger(value) ? 'integer' : 'double'}`);
+    }
+    if (typeof value !== 'object') {
+      return literal(value);
+    }
+    if ('@value' in value) {
+      return value['@value'] === null ? null : literal(value['@value'], value['@type'] ? expand(value['@type']) : undefined);
+    }
+    return visit(value);
+  };
+  
+  // Emits the triples of a node (and of nodes embedded in it); returns its subject
+  const visit = node => {
+    const subject = subjectOf(node);
+    for (const type of [].concat(node['@type'] || [])) {
+      triples.push({ subject, predicate: iri(RDF_TYPE), object: iri(expand(type)) });
+    }
+    for (const [key, value] of Object.entries(node)) {
+      // Keywords, and plain keys that the context does not map to an IRI
+      if (key.startsWith('@') || !key.includes(':')) {
+        continue;
+      }
+      const predicate = iri(expand(key));
+      for (const item of [].concat(value)) {
+        const object = objectOf(item);
+        if (object) {
+          triples.push({ subject, predicate, object });
+        }
+      }
+    }
+    return subject;
+  };
+  
+  (Array.isArray(doc['@graph']) ? doc['@graph'] : [doc])
+    .filter(node => node && typeof node === 'object')
+    .forEach(visit);
+  return triples;
+}
+
+function escapeIri(value) {
+  return value.replace(/[\u0000-\u0020<>"{}|^`\\]/g, char => '%' + char.charCodeAt(0).toString(16).toUpperCase().padStart(2, '0'));
+}
+
+function escapeLiteral(value) {
+  return value
+    .replace(/\\/g, '\\\\')
+    .replace(/"/g, '\\"')
+    .replace(/\n/g, '\\n')
+    .replace(/\r/g, '\\r')
+    .replace(/\t/g, '\\t');
+}
+
+function ntriplesTerm(term) {
+  if (term.termType === 'iri') {
+    return `<${escapeIri(term.value)}>`;
+  }
+  if (term.termType === 'blank') {
+    return `_:${term.value}`;
+  }
+  const text = `"${escapeLiteral(term.value)}"`;
+  return term.datatype === XSD_STRING ? text : `${text}^^<${escapeIri(term.datatype)}>`;
+}
+
+function ntriplesLine(triple) {
+  return `${ntriplesTerm(triple.subject)} ${ntriplesTerm(triple.predicate)} ${ntriplesTerm(triple.object)} .`;
+}
+
+/**
+ * Remove duplicate triples (the same agent or related decision described by
+ * several records) and sort by subject, then rdf:type first, then predicate.
+ */
+function uniqueTriples(triples) {
+  const seen = new Map();
+  for (const triple of triples) {
+    seen.set(ntriplesLine(triple), triple);
+  }
+  
+  const key = triple => [
+    ntriplesTerm(triple.subject),
+    triple.predicate.value === RDF_TYPE ? '' : triple.predicate.value,
+    ntriplesTerm(triple.object),
+  ];
+  return Array.from(seen.values()).sort((a, b) => {
+    const [keyA, keyB] = [key(a), key(b)];
+    for (let i = 0; i < keyA.length; i++) {
+      if (keyA[i] !== keyB[i]) {
+        return keyA[i] < keyB[i] ? -1 : 1;
+      }
+    }
+    return 0;
+  });
+}
+
+// Subjects in order, each with its triples
+function groupBySubject(triples) {
+  const groups = new Map();
+  for (const triple of uniqueTriples(triples)) {
+    const subject = ntriplesTerm(triple.subject);
+    if (!groups.has(subject)) {
+      groups.set(subject, []);
+    }
+    groups.get(subject).push(triple);
+  }
+  return Array.from(groups.values());
+}
+
+// Longest namespace first, so nested namespaces pick the most specific prefix
+function namespaceList(prefixes) {
+  return Object.entries(prefixes).sort((a, b) => b[1].length - a[1].length);
+}
+
+function serializeNTriples(triples) {
+  return uniqueTriples(triples).map(ntriplesLine).join('\n') + '\n';
+}
+
+function serializeTurtle(triples, prefixes) {
+  const namespaces = namespaceList(prefixes);
+  const name = value => {
+    for (const [prefix, namespace] of namespaces) {
+      const local = value.slice(namespace.length).replace(/\//g, '\\/');
+      if (value.startsWith(namespace) && PN_LOCAL.test(local)) {
+        return `${prefix}:${local}`;
+      }
+    }
+    return `<${escapeIri(value)}>`;
+  };
+  const term = value => {
+    if (value.termType === 'iri') {
+      return name(value.value);
+    }
+    if (value.termType === 'blank') {
+      return `_:${value.value}`;
+    }
+    const text = `"${escapeLiteral(value.value)}"`;
+    return value.datatype === XSD_STRING ? text : `${text}^^${name(value.datatype)}`;
+  };
+  
+  const lines = Object.entries(prefixes).map(([prefix, namespace]) => `@prefix ${prefix}: <${escapeIri(namespace)}> .`);
+  
+  for (const group of groupBySubject(triples)) {
+    const predicates = [];
+    for (const triple of group) {
+      const predicate = triple.predicate.value === RDF_TYPE ? 'a' : name(triple.predicate.value);
+      const last = predicates[predicates.length - 1];
+      if (last && last.predicate === predicate) {
+        last.objects.push(term(triple.object));
+      } else {
+        predicates.push({ predicate, objects: [term(triple.object)] });
+      }
+    }
+    
+    lines.push('');
+    lines.push(term(group[0].subject));
+    predicates.forEach((entry, index) => {
+      lines.push(`    ${entry.predicate} ${entry.objects.join(', ')} ${index === predicates.length - 1 ? '.' : ';'}`);
+    });
+  }
+  
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Flattened JSON-LD: one @graph node per subject, IRIs compacted with the
+ * given prefixes, which become the @context.
+ */
+function serializeJsonLd(triples, prefixes) {
+  const namespaces = namespaceList(prefixes);
+  const compact = value => {
+    for (const [prefix, namespace] of namespaces) {
+      if (value.startsWith(namespace) && value.length > namespace.length) {
+        return `${prefix}:${value.slice(namespace.length)}`;
+      }
+    }
+    return value;
+  };
+  const idOf = value => (value.termType === 'blank' ? `_:${value.value}` : compact(value.value));
+  
+  const graph = groupBySubject(triples).map(group => {
+    const node = { '@id': idOf(group[0].subject) };
+    for (const triple of group) {
+      if (triple.predicate.value === RDF_TYPE) {
+        node['@type'] = [].concat(node['@type'] || [], compact(triple.object.value));
+        continue;
+      }
+      const property = compact(triple.predicate.value);
+      const object = triple.object;
+      let value;
+      if (object.termType !== 'literal') {
+        value = { '@id': idOf(object) };
+      } else if (object.datatype === XSD_STRING) {
+        value = object.value;
+      } else {
+        value = { '@value': object.value, '@type': compact(object.datatype) };
+      }
+      node[property] = property in node ? [].concat(node[property], value) : value;
+    }
+    if (Array.isArray(node['@type']) && node['@type'].length === 1) {
+      node['@type'] = node['@type'][0];
+    }
+    return node;
+  });
+  
+  return JSON.stringify({ '@context': prefixes, '@graph': graph }, null, 2) + '\n';
+}
+
+module.exports = {
+  RDF_TYPE,
+  contextPrefixes,
+  expandIri,
+  toTriples,
+  uniqueTriples,
+  serializeNTriples,
+  serializeTurtle,
+  serializeJsonLd,
+};
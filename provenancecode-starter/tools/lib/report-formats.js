@@ -0,0 +1,163 @@
+/**
+ * ProvenanceCode: Machine-readable validation reports
+ *
+ * Formats the findings of validate-decision.js as JSON, JUnit XML (for CI
+ * test reports) or SARIF 2.1.0 (for code-scanning dashboards).
+ *
+ * Input: {records: [{name, path, valid, errors, warnings, suppressed}], graph}
+ * where errors, warnings and suppressed are findings from lib/rules.js and
+ * graph, when the graph was checked, is {errors, warnings, suppressed}.
+ * Suppressed findings (lint.ignore) are kept in JSON and SARIF, marked as such.
+ */
+
+const path = require('path');
+const { RULES } = require('./rules');
+
+const TOOL_NAME = 'ProvenanceCode validate-decision';
+const TOOL_URI = 'https://provenancecode.org';
+
+function allFindings(report) {
+  const findings = [];
+  for (const record of report.records) {
+    findings.push(...record.errors, ...record.warnings);
+  }
+  if (report.graph) {
+    findings.push(...report.graph.errors, ...report.graph.warnings);
+  }
+  return findings;
+}
+
+function summarize(report) {
+  const findings = allFindings(report);
+  return {
+    decisions: report.records.length,
+    valid: report.records.filter(record => record.valid).length,
+    invalid: report.records.filter(record => !record.valid).length,
+    errors: findings.filter(finding => finding.severity === 'error').length,
+    warnings: findings.filter(finding => finding.severity === 'warning').length,
+  };
+}
+
+function toPosixPath(filePath) {
+  return filePath.split(path.sep).join('/');
+}
+
+function formatJson(report) {
+  const summary = summarize(report);
+  const output = {
+    tool: TOOL_NAME,
+    valid: summary.invalid === 0 && !(report.graph && report.graph.errors.length > 0),
+    summary,
+    decisions: report.records.map(record => ({
+      name: record.name,
+      path: toPosixPath(record.path),
+      valid: record.valid,
+      findings: record.errors.concat(record.warnings),
+      suppressed: record.suppressed || [],
+    })),
+  };
+  if (report.graph) {
+    output.graph = {
+      findings: report.graph.errors.concat(report.graph.warnings),
+      suppressed: report.graph.suppressed || [],
+    };
+  }
+  return JSON.stringify(output, null, 2) + '\n';
+}
+
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+function describeFinding(finding) {
+  const location = finding.file ? `${toPosixPath(finding.file)}${finding.line ? `:${finding.line}` : ''}: ` : '';
+  return `${location}${finding.ruleId} ${finding.rule}: ${finding.message}`;
+}
+
+/**
+ * One test case per decision (and one for the decision graph). Errors are
+ * failures; warnings go to system-out so they show up without failing.
+ */
+function formatJunit(report) {
+  const cases = report.records.map(record => ({ name: record.name, errors: record.errors, warnings: record.warnings }));
+  if (report.graph) {
+    cases.push({ name: 'decision graph', errors: report.graph.errors, warnings: report.graph.warnings });
+  }
+  const failures = cases.filter(testCase => testCase.errors.length > 0).length;
+  
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<testsuites name="${escapeXml(TOOL_NAME)}" tests="${cases.length}" failures="${failures}">`,
+    `  <testsuite name="provenance.decisions" tests="${cases.length}" failures="${failures}" errors="0" skipped="0">`,
+  ];
+  for (const testCase of cases) {
+    lines.push(`    <testcase classname="provenance.decisions" name="${escapeXml(testCase.name)}">`);
+    if (testCase.errors.length > 0) {
+      const first = testCase.errors[0];
+      lines.push(`      <failure message="${escapeXml(first.message)}" type="${escapeXml(first.ruleId)}">${escapeXml(testCase.errors.map(describeFinding).join('\n'))}</failure>`);
+    }
+    if (testCase.warnings.length > 0) {
+      lines.push(`      <system-out>${escapeXml(testCase.warnings.map(describeFinding).join('\n'))}</system-out>`);
+    }
+    lines.push('    </testcase>');
+  }
+  lines.push('  </testsuite>');
+  lines.push('</testsuites>');
+  return lines.join('\n') + '\n';
+}
+
+function formatSarif(report) {
+  const ruleIndex = new Map(RULES.map((rule, index) => [rule.id, index]));
+  const suppressed = report.records.concat(report.graph ? [report.graph] : []).flatMap(item => item.suppressed || []);
+  const results = allFindings(report).concat(suppressed).map(finding => {
+    const result = {
+      ruleId: finding.ruleId,
+      ruleIndex: ruleIndex.get(finding.ruleId),
+      level: finding.severity === 'error' ? 'error' : 'warning',
+      message: { text: finding.message },
+    };
+    if (finding.file) {
+      const physicalLocation = { artifactLocation: { uri: toPosixPath(finding.file), uriBaseId: '%SRCROOT%' } };
+      if (finding.line) {
+        physicalLocation.region = { startLine: finding.line, startColumn: finding.column || 1 };
+      }
+      result.locations = [{ physicalLocation }];
+    }
+    if (suppressed.includes(finding)) {
+      result.suppressions = [{ kind: 'inSource', justification: finding.justification }];
+    }
+    return result;
+  });
+  
+  const sarif = {
+    $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+    version: '2.1.0',
+    runs: [{
+      tool: {
+        driver: {
+          name: TOOL_NAME,
+          informationUri: TOOL_URI,
+          rules: RULES.map(rule => ({
+            id: rule.id,
+            name: rule.name,
+            shortDescription: { text: rule.description },
+            defaultConfiguration: { level: rule.severity },
+          })),
+        },
+      },
+      results,
+    }],
+  };
+  return JSON.stringify(sarif, null, 2) + '\n';
+}
+
+module.exports = {
+  formatJson,
+  formatJunit,
+  formatSarif,
+};
@@ -0,0 +1,212 @@
+/**
+ * ProvenanceCode: Validation rules
+ *
+ * Every check in validate-decision.js reports under a stable rule ID, so CI
+ * annotations, SARIF dashboards and suppressions keep working when messages
+ * are reworded. IDs are never reused; retired rules keep their number.
+ *
+ * provenance/config.yml can change the severity of each rule (error, warn,
+ * off) and tune thresholds; a record can suppress advisory rules (marked
+ * ignorable: true) with "lint": {"ignore": [...], "reason": "..."} in
+ * decision.json. Rules marked suppressible: false guard record integrity or
+ * the links between records and can neither be switched off nor suppressed.
+ */
+
+const fs = require('fs');
+const { loadYamlFile } = require('./yaml');
+
+const RULES = [
+  { id: 'PC001', name: 'missing-required-file', severity: 'error', description: 'decision.md and decision.json must exist', suppressible: false },
+  { id: 'PC002', name: 'missing-optional-file', severity: 'warning', description: 'prov.jsonld and c2pa.manifest.json are recommended', ignorable: true },
+  { id: 'PC003', name: 'schema-violation', severity: 'error', description: 'decision.json must match provenance/schemas/decision.schema.json', suppressible: false },
+  { id: 'PC004', name: 'schema-not-found', severity: 'warning', description: 'The decision schema could not be found' },
+  { id: 'PC005', name: 'invalid-json', severity: 'error', description: 'JSON files must parse', suppressible: false },
+  { id: 'PC006', name: 'title-too-short', severity: 'error', description: 'The title must be at least title-min-length (5) characters' },
+  { id: 'PC007', name: 'missing-status', severity: 'error', description: 'The status must be set' },
+  { id: 'PC008', name: 'missing-date', severity: 'error', description: 'The decision date must be set' },
+  { id: 'PC009', name: 'missing-problem', severity: 'warning', description: 'context.problem should describe the problem', ignorable: true },
+  { id: 'PC010', name: 'short-problem', severity: 'warning', description: 'context.problem should be at least problem-min-length (50) characters', ignorable: true },
+  { id: 'PC011', name: 'missing-decision-summary', severity: 'warning', description: 'decision.summary should state what was decided', ignorable: true },
+  { id: 'PC012', name: 'missing-consequences', severity: 'error', description: 'The consequences section must exist' },
+  { id: 'PC013', name: 'no-positive-consequences', severity: 'warning', description: 'At least one positive consequence should be listed', ignorable: true },
+  { id: 'PC014', name: 'no-negative-consequences', severity: 'warning', description: 'At least one negative consequence should be listed', ignorable: true },
+  { id: 'PC015', name: 'no-alternatives', severity: 'warning', description: 'Alternatives considered should be documented', ignorable: true },
+  { id: 'PC016', name: 'no-evidence', severity: 'warning', description: 'Evidence should back the decision', ignorable: true },
+  { id: 'PC017', name: 'markdown-out-of-sync', severity: 'warning', description: 'decision.md and decision.json should hold the same fields' },
+  { id: 'PC018', name: 'edited-after-seal', severity: 'error', description: 'Sealed accepted or implemented records may only change with a new updates[] entry', suppressible: false },
+  { id: 'PC019', name: 'seal-out-of-date', severity: 'warning', description: 'The record changed since it was sealed' },
+  { id: 'PC020', name: 'approvals-not-verifiable', severity: 'warning', description: 'Approvals can only be verified on a sealed record' },
+  { id: 'PC021', name: 'invalid-signature', severity: 'error', description: 'Approval signatures must verify against a trusted, unrevoked key', suppressible: false },
+  { id: 'PC022', name: 'unsigned-approval', severity: 'warning', description: 'Every approval should be signed' },
+  { id: 'PC023', name: 'stale-signature', severity: 'warning', description: 'Approval signatures should cover the current seal' },
+  { id: 'PC024', name: 'invalid-prov-graph', severity: 'error', description: 'prov.jsonld must be a well-formed PROV graph' },
+  { id: 'PC025', name: 'prov-out-of-sync', severity: 'warning', description: 'prov.jsonld should match decision.json' },
+  { id: 'PC026', name: 'missing-prov-context', severity: 'warning', description: 'prov.jsonld should have an @context' },
+  { id: 'PC027', name: 'unknown-decision', severity: 'error', description: 'dependsOn, supersedes and supersededBy must reference existing decisions', suppressible: false },
+  { id: 'PC028', name: 'unknown-related-decision', severity: 'warning', description: 'relatedTo should reference existing decisions', ignorable: true },
+  { id: 'PC029', name: 'self-reference', severity: 'error', description: 'A decision must not reference itself', suppressible: false },
+  { id: 'PC030', name: 'dependency-cycle', severity: 'error', description: 'dependsOn links must not form a cycle', suppressible: false },
+  { id: 'PC031', name: 'one-sided-supersession', severity: 'error', description: 'supersedes and supersededBy must be recorded on both records', suppressible: false },
+  { id: 'PC032', name: 'superseded-target-status', severity: 'error', description: 'A superseded decision must have status "superseded"', suppressible: false },
+  { id: 'PC033', name: 'superseded-status-mismatch', severity: 'warning', description: 'Status "superseded" and supersededBy should go together' },
+  { id: 'PC034', name: 'retired-dependency', severity: 'error', description: 'Active decisions must not depend on rejected or deprecated ones', suppressible: false },
+  { id: 'PC035', name: 'superseded-dependency', severity: 'warning', description: 'Active decisions should not depend on superseded ones', ignorable: true },
+  { id: 'PC036', name: 'invalid-lint-ignore', severity: 'warning', description: 'lint.ignore must name rules that exist and can be suppressed' },
+  { id: 'PC037', name: 'template-content', severity: 'warning', description: 'Sections should not keep TEMPLATE example text or bracket placeholders', ignorable: true },
+  { id: 'PC038', name: 'accepted-with-template-content', severity: 'error', description: 'Accepted or implemented records must not keep TEMPLATE example text or placeholders', suppressible: false },
+  { id: 'PC039', name: 'duplicate-decision-number', severity: 'error', description: 'No two decision folders may share a number prefix', suppressible: false },
+  { id: 'PC040', name: 'duplicate-decision-id', severity: 'error', description: 'No two decisions may share an id', suppressible: false },
+  { id: 'PC041', name: 'id-folder-mismatch', severity: 'error', description: 'A decision\'s id must match its folder name', suppressible: false },
+  { id: 'PC042', name: 'missing-evidence-file', severity: 'error', description: 'Evidence paths in decision.json and decision.md must exist in evidence/' },
+  { id: 'PC043', name: 'evidence-outside-folder', severity: 'error', description: 'Evidence paths must stay inside the record\'s evidence/ folder', suppressible: false },
+  { id: 'PC044', name: 'orphan-evidence', severity: 'warning', description: 'Every file in evidence/ should be referenced from the record', ignorable: true },
+  { id: 'PC045', name: 'oversized-evidence', severity: 'warning', description: 'Evidence files should be under evidence.max_file_size_kb', ignorable: true },
+  { id: 'PC046', name: 'binary-evidence', severity: 'warning', description: 'Binary evidence should be a type listed in evidence.allowed_binary', ignorable: true },
+  { id: 'PC047', name: 'evidence-index-out-of-date', severity: 'warning', description: 'evidence/index.json should match the evidence files' },
+  { id: 'PC048', name: 'accepted-with-unsigned-approval', severity: 'error', description: 'Approvals on accepted or implemented records must be signed once provenance/keys has keys', suppressible: false },
+  { id: 'PC049', name: 'accepted-with-stale-signature', severity: 'error', description: 'Approval signatures on accepted or implemented records must cover the current seal', suppressible: false },
+  { id: 'PC050', name: 'broken-seal', severity: 'error', description: 'A sealed record must keep a provenanceCode.hash that matches c2pa.manifest.json', suppressible: false },
+];
+
+const THRESHOLDS = {
+  'title-min-length': 5,
+  'problem-min-length': 50,
+};
+
+// Severity names accepted in provenance/config.yml
+const SEVERITIES = { error: 'error', warn: 'warning', warning: 'warning', off: 'off' };
+
+const DEFAULT_CONFIG = { severities: new Map(), thresholds: Object.assign({}, THRESHOLDS), strict: false };
+
+// Rule by name ("no-alternatives") or ID ("PC015"), or undefined
+function findRule(nameOrId) {
+  const key = String(nameOrId).trim();
+  return RULES.find(rule => rule.name === key || rule.id === key.toUpperCase());
+}
+
+function getRule(name) {
+  const rule = findRule(name);
+  if (!rule) {
+    throw new Error(`Unknown validation rule: ${name}`);
+  }
+  return rule;
+}
+
+/**
+ * Load the lint section of provenance/config.yml:
+ *
+ *   lint:
+ *     strict: false
+ *     rules:
+ *       no-evidence: off
+ *       PC015: error
+ *     thresholds:
+ *       problem-min-length: 100
+ *
+ * Returns {severities: Map of rule name -> severity, thresholds, strict}.
+ * A missing file gives the defaults unless it was named explicitly.
+ */
+function loadLintConfig(configPath, explicit) {
+  if (!fs.existsSync(configPath)) {
+    if (explicit) {
+      throw new Error(`Config not found: ${configPath}`);
+    }
+    return DEFAULT_CONFIG;
+  }
+  
+  const lint = (loadYamlFile(configPath) || {}).lint || {};
+  const config = { severities: new Map(), thresholds: Object.assign({}, THRESHOLDS), strict: lint.strict === true };
+  
+  for (const [key, value] of Object.entries(lint.rules || {})) {
+    const rule = findRule(key);
+    if (!rule) {
+      throw new Error(`${configPath}: unknown rule "${key}" in lint.rules`);
+    }
+    let severity = SEVERITIES[String(value).toLowerCase()];
+    if (value === true) {
+      severity = rule.severity;
+    } else if (value === false) {
+      severity = 'off';
+    }
+    if (!severity) {
+      throw new Error(`${configPath}: lint.rules.${key} must be error, warn or off`);
+    }
+    if (severity === 'off' && rule.suppressible === false) {
+      throw new Error(`${configPath}: ${rule.id} ${rule.name} cannot be switched off`);
+    }
+    config.severities.set(rule.name, severity);
+  }
+  
+  for (const [key, value] of Object.entries(lint.thresholds || {})) {
+    if (!(key in THRESHOLDS)) {
+      throw new Error(`${configPath}: unknown threshold "${key}" (known: ${Object.keys(THRESHOLDS).join(', ')})`);
+    }
+    if (!Number.isInteger(value) || value < 0) {
+      throw new Error(`${configPath}: lint.thresholds.${key} must be a whole number`);
+    }
+    config.thresholds[key] = value;
+  }
+  
+  return config;
+}
+
+/**
+ * A finding: {ruleId, rule, severity, message, file, line, column}, or null
+ * when the rule is switched off. location may hold file, line and column.
+ * In strict mode warnings are reported as errors.
+ */
+function createFinding(name, message, location = {}, config = DEFAULT_CONFIG) {
+  const rule = getRule(name);
+  let severity = config.severities.get(rule.name) || rule.severity;
+  if (severity === 'off') {
+    return null;
+  }
+  if (config.strict && severity === 'warning') {
+    severity = 'error';
+  }
+  return {
+    ruleId: rule.id,
+    rule: rule.name,
+    severity,
+    message,
+    file: location.file,
+    line: location.line,
+    column: location.column,
+  };
+}
+
+/**
+ * Rules a record suppresses through lint.ignore in decision.json.
+ * Returns {rules: Set of rule names, reason, problems: [{index, message}]}
+ * where problems lists entries that name no rule or one that is not
+ * ignorable per record.
+ */
+function recordSuppressions(data) {
+  const lint = data && data.lint && typeof data.lint === 'object' ? data.lint : {};
+  const result = { rules: new Set(), reason: typeof lint.reason === 'string' ? lint.reason : '', problems: [] };
+  
+  (Array.isArray(lint.ignore) ? lint.ignore : []).forEach((entry, index) => {
+    const rule = findRule(entry);
+    if (!rule) {
+      result.problems.push({ index, message: `lint.ignore: unknown rule "${entry}"` });
+    } else if (rule.suppressible === false) {
+      result.problems.push({ index, message: `lint.ignore: ${rule.id} ${rule.name} cannot be suppressed` });
+    } else if (!rule.ignorable) {
+      result.problems.push({ index, message: `lint.ignore: ${rule.id} ${rule.name} cannot be suppressed per record; set its severity in provenance/config.yml` });
+    } else {
+      result.rules.add(rule.name);
+    }
+  });
+  
+  return result;
+}
+
+module.exports = {
+  RULES,
+  THRESHOLDS,
+  findRule,
+  getRule,
+  loadLintConfig,
+  createFinding,
+  recordSuppressions,
+};
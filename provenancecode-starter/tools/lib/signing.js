@@ -0,0 +1,180 @@
+/**
+ * ProvenanceCode: Ed25519 approval signatures
+ *
+ * Each approver has a keypair. The public half is committed to the trust list
+ * in provenance/keys/<key-id>.json; the private half stays on the approver's
+ * machine. An approver signs the sealed record hash (provenanceCode.hash),
+ * and the signature is stored on their entry in the provenancecode.actors
+ * assertion of c2pa.manifest.json.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { canonicalJson, digestDecisionJson } = require('./integrity');
+
+const ALGORITHM = 'ed25519';
+
+function keyIdFor(name) {
+  return String(name).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+}
+
+function sameName(a, b) {
+  return String(a || '').trim().toLowerCase() === String(b || '').trim().toLowerCase();
+}
+
+function fingerprint(publicKey) {
+  const der = publicKey.export({ type: 'spki', format: 'der' });
+  return 'sha256:' + crypto.createHash('sha256').update(der).digest('hex');
+}
+
+/**
+ * Generate a keypair. Returns the trust list entry (with the public key as
+ * PEM) and the private key as PEM.
+ */
+function generateKeyPair(name, role, date) {
+  const { publicKey, privateKey } = crypto.generateKeyPairSync(ALGORITHM);
+  const entry = {
+    keyId: keyIdFor(name),
+    name,
+    role: role || undefined,
+    algorithm: ALGORITHM,
+    fingerprint: fingerprint(publicKey),
+    publicKey: publicKey.export({ type: 'spki', format: 'pem' }),
+    added: date,
+  };
+  return { entry, privateKeyPem: privateKey.export({ type: 'pkcs8', format: 'pem' }) };
+}
+
+/**
+ * Load the trust list. Returns a Map of keyId -> entry with a parsed
+ * publicKey; entries that cannot be read are returned in errors.
+ */
+function loadTrustList(keysDir) {
+  const keys = new Map();
+  const errors = [];
+  
+  if (!fs.existsSync(keysDir)) {
+    return { keys, errors };
+  }
+  
+  for (const file of fs.readdirSync(keysDir).filter(name => name.endsWith('.json')).sort()) {
+    try {
+      const entry = JSON.parse(fs.readFileSync(path.join(keysDir, file), 'utf8'));
+      if (!entry.keyId || !entry.name || !entry.publicKey) {
+        throw new Error('keyId, name and publicKey are required');
+      }
+      if (entry.algorithm && entry.algorithm !== ALGORITHM) {
+        throw new Error(`unsupported algorithm "${entry.algorithm}"`);
+      }
+      const publicKey = crypto.createPublicKey(entry.publicKey);
+      if (entry.fingerprint && entry.fingerprint !== fingerprint(publicKey)) {
+        throw new Error('fingerprint does not match publicKey');
+      }
+      keys.set(entry.keyId, Object.assign({}, entry, { publicKey, file }));
+    } catch (e) {
+      errors.push(`${file}: ${e.message}`);
+    }
+  }
+  
+  return { keys, errors };
+}
+
+// The signed payload binds the approver and key to one sealed version of one record
+function signaturePayload(decisionId, hash, keyId, name, signed) {
+  return Buffer.from(canonicalJson({ decision: decisionId, hash, keyId, name, signed }));
+}
+
+function signApproval(privateKeyPem, decisionId, hash, keyId, name, signed) {
+  const privateKey = crypto.createPrivateKey(privateKeyPem);
+  const value = crypto.sign(null, signaturePayload(decisionId, hash, keyId, name, signed), privateKey).toString('base64');
+  return { algorithm: ALGORITHM, keyId, hash, signed, value };
+}
+
+// Trust list entry whose public key belongs to the given private key, if any
+function findKeyForPrivateKey(keys, privateKeyPem) {
+  const publicKey = crypto.createPublicKey(crypto.createPrivateKey(privateKeyPem));
+  const print = fingerprint(publicKey);
+  return Array.from(keys.values()).find(entry => fingerprint(entry.publicKey) === print) || null;
+}
+
+function actorsAssertion(manifest) {
+  const assertion = (manifest && Array.isArray(manifest.assertions) ? manifest.assertions : [])
+    .find(item => item && item.label === 'provenancecode.actors');
+  return assertion && assertion.data && typeof assertion.data === 'object' ? assertion.data : null;
+}
+
+/**
+ * Check every approval.approvedBy entry of a sealed record against the
+ * signatures in the manifest and the trust list. A signature is stale when it
+ * covers an earlier seal, or when the record changed since it was sealed:
+ * decision.json is digested afresh, and seal (from verifySeal) adds changes
+ * to decision.md and the evidence.
+ * Returns [{approver, status, message}] where status is one of "valid",
+ * "unsigned", "stale", "untrusted" or "invalid".
+ */
+function verifyApprovals(data, manifest, keys, seal) {
+  const approvers = data.approval && Array.isArray(data.approval.approvedBy) ? data.approval.approvedBy : [];
+  const actors = actorsAssertion(manifest);
+  const signed = actors && Array.isArray(actors.approvers) ? actors.approvers : [];
+  const hash = data.provenanceCode && data.provenanceCode.hash;
+  const changes = seal ? seal.changes.slice() : [];
+  if (digestDecisionJson(data) !== hash && !changes.some(change => change.file === 'decision.json')) {
+    changes.unshift({ file: 'decision.json', change: 'modified' });
+  }
+  const changed = changes.map(change => `${change.file} ${change.change}`).join(', ');
+  
+  return approvers.filter(approver => approver && approver.name).map(approver => {
+    const report = (status, message) => ({ approver: approver.name, status, message });
+    const actor = signed.find(item => item && sameName(item.name, approver.name) && item.signature);
+    if (!actor) {
+      return report('unsigned', `Approval by ${approver.name} is not signed`);
+    }
+    
+    const signature = actor.signature;
+    const key = keys.get(signature.keyId);
+    if (!key) {
+      return report('untrusted', `Approval by ${approver.name} is signed with key "${signature.keyId}", which is not in the trust list`);
+    }
+    if (key.revoked) {
+      return report('untrusted', `Approval by ${approver.name} is signed with key "${key.keyId}", revoked on ${key.revoked}`);
+    }
+    if (!sameName(key.name, approver.name)) {
+      return report('invalid', `Approval by ${approver.name} is signed with the key of ${key.name}`);
+    }
+    if (signature.algorithm !== ALGORITHM || typeof signature.value !== 'string') {
+      return report('invalid', `Approval by ${approver.name} has a malformed signature`);
+    }
+    
+    const payload = signaturePayload(data.id, signature.hash, key.keyId, key.name, signature.signed);
+    let ok = false;
+    try {
+      ok = crypto.verify(null, payload, key.publicKey, Buffer.from(signature.value, 'base64'));
+    } catch (e) {
+      ok = false;
+    }
+    if (!ok) {
+      return report('invalid', `Approval by ${approver.name} has a signature that does not verify`);
+    }
+    if (signature.hash !== hash) {
+      return report('stale', `Approval by ${approver.name} was signed for an earlier seal (${String(signature.hash).slice(0, 19)}…)`);
+    }
+    if (changes.length > 0) {
+      return report('stale', `Approval by ${approver.name} was signed before the record changed (${changed})`);
+    }
+    return report('valid', `Approval by ${approver.name} verified (key ${key.keyId})`);
+  });
+}
+
+module.exports = {
+  ALGORITHM,
+  keyIdFor,
+  sameName,
+  fingerprint,
+  generateKeyPair,
+  loadTrustList,
+  signApproval,
+  findKeyForPrivateKey,
+  actorsAssertion,
+  verifyApprovals,
+};
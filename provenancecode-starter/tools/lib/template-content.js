@@ -0,0 +1,184 @@
+/**
+ * ProvenanceCode: Leftover template content
+ *
+ * Records start life as a copy of provenance/decisions/TEMPLATE, and it is easy
+ * to leave part of it behind: the JWT example, "Jane Smith (Backend Lead)",
+ * "[Short, Descriptive Title]". The TEMPLATE files are fingerprinted (every
+ * line of prose in decision.md, every sentence-like string in decision.json)
+ * and a record is checked for lines that still match, and for bracket
+ * placeholders such as "[proposed | accepted | ...]" or YYYY-MM-DD.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Records in these statuses must not hold any template content
+const BLOCKING_STATUSES = ['accepted', 'implemented'];
+
+// "[Short, Descriptive Title]" but not links, checkboxes or footnotes like [1]
+const PLACEHOLDER_RE = /\[([^\]\n]*?[\s|][^\]\n]*?)\](?![([:])|\bYYYY-MM-DD\b/g;
+
+// Fields that are the same in every record, so matching the template means nothing
+const IGNORED_JSON_FIELDS = ['$schema', 'id', 'status', 'date', 'lastUpdated', 'provenanceCode', 'lint'];
+
+// Lines and strings shorter than this many words are too generic to fingerprint
+const MIN_WORDS = 3;
+
+function normalize(text) {
+  return String(text)
+    .replace(/^\s*(?:[-*+]|\d+\.)\s+/, '')
+    .replace(/[*_`]/g, '')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .toLowerCase();
+}
+
+function isFingerprintable(text) {
+  return text.split(' ').length >= MIN_WORDS;
+}
+
+function findPlaceholders(text) {
+  const found = [];
+  const withoutCode = String(text).replace(/`[^`]*`/g, '');
+  for (const match of withoutCode.matchAll(PLACEHOLDER_RE)) {
+    if (match[1] === undefined || match[1].trim().length > 1) {
+      found.push(match[0]);
+    }
+  }
+  return found;
+}
+
+/**
+ * decision.md as [{section, lines: [{text, line, fence}]}], split at "##"
+ * headings. Lines before the first one belong to "Title"; HTML comments are
+ * dropped, and blank lines, rules and headings are not kept.
+ */
+function markdownSections(markdown) {
+  const sections = [{ section: 'Title', lines: [] }];
+  let inFence = false;
+  let inComment = false;
+  
+  String(markdown).replace(/\r\n?/g, '\n').split('\n').forEach((text, index) => {
+    const trimmed = text.trim();
+    if (inComment || trimmed.startsWith('<!--')) {
+      inComment = !trimmed.includes('-->');
+      return;
+    }
+    if (/^(```|~~~)/.test(trimmed)) {
+      inFence = !inFence;
+      return;
+    }
+    const heading = !inFence && /^(#{1,6})\s+(.*)$/.exec(trimmed);
+    if (heading && heading[1].length === 2) {
+      sections.push({ section: heading[2].trim(), lines: [] });
+    }
+    if (heading && heading[1].length !== 1) {
+      // Headings are structure; only the title can hold a placeholder
+      return;
+    }
+    if (trimmed && !/^(-{3,}|\*{3,}|_{3,})$/.test(trimmed)) {
+      sections[sections.length - 1].lines.push({ text: trimmed, line: index + 1, fence: inFence });
+    }
+  });
+  
+  return sections;
+}
+
+// Every string in decision.json with its dotted path, skipping IGNORED_JSON_FIELDS
+function jsonStrings(value, prefix = '', pointer = '') {
+  if (typeof value === 'string') {
+    return [{ field: prefix, pointer, text: value }];
+  }
+  if (!value || typeof value !== 'object') {
+    return [];
+  }
+  return Object.entries(value).flatMap(([key, child]) => {
+    if (!prefix && IGNORED_JSON_FIELDS.includes(key)) {
+      return [];
+    }
+    const field = Array.isArray(value) ? `${prefix}[${key}]` : prefix ? `${prefix}.${key}` : key;
+    return jsonStrings(child, field, `${pointer}/${key}`);
+  });
+}
+
+/**
+ * Fingerprints of the TEMPLATE folder: {markdown: Set, json: Set} of
+ * normalized text, or null when there is no template to compare against.
+ */
+function loadTemplateFingerprints(templateDir) {
+  const mdPath = path.join(templateDir, 'decision.md');
+  const jsonPath = path.join(templateDir, 'decision.json');
+  if (!fs.existsSync(mdPath) && !fs.existsSync(jsonPath)) {
+    return null;
+  }
+  
+  const fingerprints = { markdown: new Set(), json: new Set() };
+  if (fs.existsSync(mdPath)) {
+    for (const section of markdownSections(fs.readFileSync(mdPath, 'utf8'))) {
+      section.lines.map(line => normalize(line.text)).filter(isFingerprintable).forEach(text => fingerprints.markdown.add(text));
+    }
+  }
+  if (fs.existsSync(jsonPath)) {
+    try {
+      jsonStrings(JSON.parse(fs.readFileSync(jsonPath, 'utf8')))
+        .map(item => normalize(item.text)).filter(isFingerprintable).forEach(text => fingerprints.json.add(text));
+    } catch (e) {
+      // An unreadable template decision.json has nothing to compare against
+    }
+  }
+  return fingerprints;
+}
+
+/**
+ * Template text and placeholders left in a record, one entry per section of
+ * decision.md and per top-level field of decision.json:
+ * [{file, section, message, line | pointer}]. markdown and data may be null.
+ */
+function findTemplateContent(markdown, data, fingerprints) {
+  const issues = [];
+  
+  if (typeof markdown === 'string') {
+    for (const section of markdownSections(markdown)) {
+      const prose = section.lines.filter(line => isFingerprintable(normalize(line.text)));
+      const copied = fingerprints ? prose.filter(line => fingerprints.markdown.has(normalize(line.text))) : [];
+      if (copied.length > 0) {
+        const extent = copied.length === prose.length ? 'is unchanged from the template' : `still has template text (${copied.length} of ${prose.length} lines)`;
+        issues.push({ file: 'decision.md', section: section.section, message: `decision.md section "${section.section}" ${extent}`, line: copied[0].line });
+      }
+      
+      const placeholders = section.lines.filter(line => !line.fence)
+        .map(line => ({ line: line.line, found: findPlaceholders(line.text) }))
+        .filter(item => item.found.length > 0);
+      if (placeholders.length > 0) {
+        const found = [...new Set(placeholders.flatMap(item => item.found))];
+        issues.push({ file: 'decision.md', section: section.section, message: `decision.md section "${section.section}" has unfilled placeholders: ${found.join(', ')}`, line: placeholders[0].line });
+      }
+    }
+  }
+  
+  if (data && typeof data === 'object') {
+    const bySection = new Map();
+    for (const item of jsonStrings(data)) {
+      const copied = fingerprints && isFingerprintable(normalize(item.text)) && fingerprints.json.has(normalize(item.text));
+      if (copied || findPlaceholders(item.text).length > 0) {
+        const section = item.field.split(/[.[]/)[0];
+        if (!bySection.has(section)) {
+          bySection.set(section, []);
+        }
+        bySection.get(section).push(item);
+      }
+    }
+    for (const [section, items] of bySection) {
+      const fields = items.slice(0, 3).map(item => item.field).join(', ') + (items.length > 3 ? `, and ${items.length - 3} more` : '');
+      issues.push({ file: 'decision.json', section, message: `decision.json ${section} still holds template text or placeholders: ${fields}`, pointer: items[0].pointer });
+    }
+  }
+  
+  return issues;
+}
+
+module.exports = {
+  BLOCKING_STATUSES,
+  loadTemplateFingerprints,
+  findTemplateContent,
+};
@@ -0,0 +1,439 @@
+/**
+ * ProvenanceCode: Minimal YAML parser
+ *
+ * Parses the block-style YAML used by the policy and rubric files without any
+ * npm dependency: nested mappings and sequences, literal (|) and folded (>)
+ * block scalars, quoted and plain scalars, flow collections ([a, b], {a: 1})
+ * and comments. Anchors, aliases, tags and multi-document streams are not
+ * supported.
+ */
+
+const fs = require('fs');
+
+class YamlError extends Error {
+  constructor(message, lineNumber) {
+    super(lineNumber ? `${message} (line ${lineNumber})` : message);
+    this.name = 'YamlError';
+    this.line = lineNumber;
+  }
+}
+
+// A quote only starts a quoted scalar at the start of a value, key or flow item;
+// elsewhere, as in "it's fine", it is part of a plain scalar
+function opensQuote(text, index) {
+  if (text[index] !== '"' && text[index] !== "'") {
+    return false;
+  }
+  const before = text.slice(0, index).trimEnd();
+  return before === '' || /[:\-?[{,]$/.test(before);
+}
+
+// Remove a trailing comment, ignoring # inside quotes
+function stripComment(text) {
+  let quote = null;
+  
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    
+    if (quote) {
+      if ((ch === '\\' && quote === '"') || (ch === "'" && quote === "'" && text[i + 1] === "'")) {
+        i++;
+      } else if (ch === quote) {
+        quote = null;
+      }
+    } else if (opensQuote(text, i)) {
+      quote = ch;
+    } else if (ch === '#' && (i === 0 || /\s/.test(text[i - 1]))) {
+      return text.slice(0, i).trimEnd();
+    }
+  }
+  
+  return text.trimEnd();
+}
+
+function tokenize(text) {
+  return text.replace(/\r\n?/g, '\n').split('\n').map((raw, i) => ({
+    raw,
+    number: i + 1,
+    indent: raw.match(/^ */)[0].length,
+    content: stripComment(raw.trim() === '' ? '' : raw.slice(raw.match(/^ */)[0].length)),
+  }));
+}
+
+// Find the ": " (or trailing ":") that separates a mapping key from its value
+function findKeySeparator(content) {
+  let quote = null;
+  let depth = 0;
+  
+  for (let i = 0; i < content.length; i++) {
+    const ch = content[i];
+    
+    if (quote) {
+      if ((ch === '\\' && quote === '"') || (ch === "'" && quote === "'" && content[i + 1] === "'")) {
+        i++;
+      } else if (ch === quote) {
+        quote = null;
+      }
+    } else if (opensQuote(content, i)) {
+      quote = ch;
+    } else if (ch === '[' || ch === '{') {
+      depth++;
+    } else if (ch === ']' || ch === '}') {
+      depth--;
+    } else if (ch === ':' && depth === 0 && (i === content.length - 1 || content[i + 1] === ' ')) {
+      return i;
+    }
+  }
+  
+  return -1;
+}
+
+function parseDoubleQuoted(body, lineNumber) {
+  const escapes = { n: '\n', t: '\t', r: '\r', '0': '\0', '"': '"', '\\': '\\', '/': '/', b: '\b', f: '\f', ' ': ' ' };
+  let result = '';
+  
+  for (let i = 0; i < body.length; i++) {
+    const ch = body[i];
+    
+    if (ch !== '\\') {
+      result += ch;
+      continue;
+    }
+    
+    const next = body[++i];
+    if (next in escapes) {
+      result += escapes[next];
+    } else if (next === 'x' || next === 'u' || next === 'U') {
+      const length = { x: 2, u: 4, U: 8 }[next];
+      result += String.fromCodePoint(parseInt(body.substr(i + 1, length), 16));
+      i += length;
+    } else {
+      throw new YamlError(`Unknown escape sequence \\${next}`, lineNumber);
+    }
+  }
+  
+  return result;
+}
+
+// Split a flow collection body on top-level commas
+function splitFlowItems(body) {
+  const items = [];
+  let quote = null;
+  let depth = 0;
+  let start = 0;
+  
+  for (let i = 0; i < body.length; i++) {
+    const ch = body[i];
+    
+    if (quote) {
+      if ((ch === '\\' && quote === '"') || (ch === "'" && quote === "'" && body[i + 1] === "'")) {
+        i++;
+      } else if (ch === quote) {
+        quote = null;
+      }
+    } else if (opensQuote(body, i)) {
+      quote = ch;
+    } else if (ch === '[' || ch === '{') {
+      depth++;
+    } else if (ch === ']' || ch === '}') {
+      depth--;
+    } else if (ch === ',' && depth === 0) {
+      items.push(body.slice(start, i).trim());
+      start = i + 1;
+    }
+  }
+  
+  const last = body.slice(start).trim();
+  if (last !== '') {
+    items.push(last);
+  }
+  
+  return items;
+}
+
+function parseScalar(text, lineNumber) {
+  const value = text.trim();
+  
+  if (value.startsWith('"')) {
+    if (!value.endsWith('"') || value.length < 2) {
+      throw new YamlError('Unterminated double-quoted string', lineNumber);
+    }
+    return parseDoubleQuoted(value.slice(1, -1), lineNumber);
+  }
+  
+  if (value.startsWith("'")) {
+    if (!value.endsWith("'") || value.length < 2) {
+      throw new YamlError('Unterminated single-quoted string', lineNumber);
+    }
+    return value.slice(1, -1).replace(/''/g, "'");
+  }
+  
+  if (value.startsWith('[')) {
+    if (!value.endsWith(']')) {
+      throw new YamlError('Unterminated flow sequence', lineNumber);
+    }
+    return splitFlowItems(value.slice(1, -1)).map(item => parseScalar(item, lineNumber));
+  }
+  
+  if (value.startsWith('{')) {
+    if (!value.endsWith('}')) {
+      throw new YamlError('Unterminated flow mapping', lineNumber);
+    }
+    const result = {};
+    for (const item of splitFlowItems(value.slice(1, -1))) {
+      const sep = findKeySeparator(item);
+      if (sep === -1) {
+        result[parseScalar(item, lineNumber)] = null;
+      } else {
+        result[parseScalar(item.slice(0, sep), lineNumber)] = parseScalar(item.slice(sep + 1), lineNumber);
+      }
+    }
+    return result;
+  }
+  
+  if (value === '' || value === '~' || /^null$/i.test(value)) {
+    return null;
+  }
+  if (/^(true|yes|on)$/i.test(value)) {
+    return true;
+  }
+  if (/^(false|no|off)$/i.test(value)) {
+    return false;
+  }
+  if (/^[-+]?\d+$/.test(value)) {
+    return parseInt(value, 10);
+  }
+  if (/^[-+]?(\d+\.\d*|\.\d+|\d+)([eE][-+]?\d+)?$/.test(value)) {
+    return parseFloat(value);
+  }
+  
+  return value;
+}
+
+class Parser {
+  constructor(text) {
+    this.lines = tokenize(text);
+    this.pos = 0;
+  }
+  
+  // Skip blank and comment-only lines
+  skipEmpty() {
+    while (this.pos < this.lines.length && this.lines[this.pos].content === '') {
+      this.pos++;
+    }
+  }
+  
+  peek() {
+    this.skipEmpty();
+    return this.pos < this.lines.length ? this.lines[this.pos] : null;
+  }
+  
+  parseDocument() {
+    const first = this.peek();
+    if (!first) {
+      return null;
+    }
+    if (first.content === '---') {
+      this.pos++;
+      return this.parseDocument();
+    }
+    
+    const value = this.parseNode(first.indent);
+    const rest = this.peek();
+    if (rest && rest.content !== '...') {
+      throw new YamlError(`Unexpected content: ${rest.content}`, rest.number);
+    }
+    return value;
+  }
+  
+  parseNode(indent) {
+    const line = this.peek();
+    if (!line || line.indent < indent) {
+      return null;
+    }
+    if (line.content === '-' || line.content.startsWith('- ')) {
+      return this.parseSequence(line.indent);
+    }
+    if (findKeySeparator(line.content) !== -1) {
+      return this.parseMapping(line.indent);
+    }
+    
+    this.pos++;
+    return parseScalar(line.content, line.number);
+  }
+  
+  parseSequence(indent) {
+    const result = [];
+    
+    for (let line = this.peek(); line && line.indent === indent; line = this.peek()) {
+      if (line.content !== '-' && !line.content.startsWith('- ')) {
+        break;
+      }
+      
+      const rest = line.content.slice(1).trimStart();
+      if (rest === '') {
+        this.pos++;
+        result.push(this.parseNode(indent + 1));
+        continue;
+      }
+      
+      // Re-read the item content as if it started on its own line
+      const offset = line.content.length - rest.length;
+      this.lines[this.pos] = Object.assign({}, line, { indent: indent + offset, content: rest });
+      result.push(this.parseInlineItem(indent + offset));
+    }
+    
+    return result;
+  }
+  
+  parseInlineItem(indent) {
+    const line = this.lines[this.pos];
+    if (line.content === '-' || line.content.startsWith('- ')) {
+      return this.parseSequence(indent);
+    }
+    if (findKeySeparator(line.content) !== -1) {
+      return this.parseMapping(indent);
+    }
+    return this.parseScalarValue(line.content, indent, line.number);
+  }
+  
+  parseMapping(indent) {
+    const result = {};
+    
+    for (let line = this.peek(); line && line.indent === indent; line = this.peek()) {
+      const sep = findKeySeparator(line.content);
+      if (sep === -1) {
+        throw new YamlError(`Expected "key: value", got: ${line.content}`, line.number);
+      }
+      
+      const key = String(parseScalar(line.content.slice(0, sep), line.number));
+      const rest = line.content.slice(sep + 1).trim();
+      
+      if (rest === '') {
+        this.pos++;
+        const next = this.peek();
+        if (next && next.indent > indent) {
+          result[key] = this.parseNode(next.indent);
+        } else if (next && next.indent === indent && (next.content === '-' || next.content.startsWith('- '))) {
+          // Sequences may sit at the same indentation as their key
+          result[key] = this.parseSequence(indent);
+        } else {
+          result[key] = null;
+        }
+      } else {
+        result[key] = this.parseScalarValue(rest, indent, line.number);
+      }
+    }
+    
+    const stray = this.peek();
+    if (stray && stray.indent > indent) {
+      throw new YamlError(`Unexpected indentation: ${stray.content}`, stray.number);
+    }
+    
+    return result;
+  }
+  
+  // Parse the value part of "key: value" or "- value", including block scalars
+  parseScalarValue(text, indent, lineNumber) {
+    this.pos++;
+    
+    const blockMatch = text.match(/^([|>])([+-]?)(\d?)$/);
+    if (blockMatch) {
+      return this.parseBlockScalar(blockMatch[1], blockMatch[2], indent, lineNumber);
+    }
+    
+    // Plain and quoted scalars may continue on more-indented lines
+    let value = text;
+    for (let next = this.peek(); next && next.indent > indent; next = this.peek()) {
+      if (findKeySeparator(next.content) !== -1 && !/^["'[{]/.test(value)) {
+        break;
+      }
+      value += ' ' + next.content;
+      this.pos++;
+    }
+    
+    return parseScalar(value, lineNumber);
+  }
+  
+  parseBlockScalar(style, chomping, parentIndent, lineNumber) {
+    const collected = [];
+    let blockIndent = null;
+    
+    while (this.pos < this.lines.length) {
+      const line = this.lines[this.pos];
+      const isBlank = line.raw.trim() === '';
+      
+      if (!isBlank) {
+        if (blockIndent === null) {
+          blockIndent = line.indent;
+        }
+        if (line.indent < blockIndent || line.indent <= parentIndent) {
+          break;
+        }
+      }
+      
+      collected.push(isBlank ? '' : line.raw.slice(blockIndent));
+      this.pos++;
+    }
+    
+    if (blockIndent === null) {
+      throw new YamlError('Empty block scalar', lineNumber);
+    }
+    
+    // Trailing blank lines belong to chomping, not content
+    let trailing = 0;
+    while (collected.length > 0 && collected[collected.length - 1] === '') {
+      collected.pop();
+      trailing++;
+    }
+    
+    let text;
+    if (style === '|') {
+      text = collected.join('\n');
+    } else {
+      // Folding joins lines with spaces; blank and more-indented lines keep their breaks
+      text = collected.reduce((acc, current, i) => {
+        if (i === 0) {
+          return current;
+        }
+        const previous = collected[i - 1];
+        if (current === '') {
+          return acc + '\n';
+        }
+        if (previous === '') {
+          return acc + current;
+        }
+        if (/^\s/.test(current) || /^\s/.test(previous)) {
+          return acc + '\n' + current;
+        }
+        return acc + ' ' + current;
+      }, '');
+    }
+    
+    if (chomping === '-') {
+      return text;
+    }
+    if (chomping === '+') {
+      return text + '\n'.repeat(trailing + 1);
+    }
+    return text + '\n';
+  }
+}
+
+/**
+ * Parse a YAML document into plain JavaScript values.
+ * Throws a YamlError with the offending line number on malformed input.
+ */
+function parseYaml(text) {
+  return new Parser(text).parseDocument();
+}
+
+function loadYamlFile(filePath) {
+  return parseYaml(fs.readFileSync(filePath, 'utf8'));
+}
+
+module.exports = {
+  YamlError,
+  parseYaml,
+  loadYamlFile,
+};
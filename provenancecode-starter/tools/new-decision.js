@@ -2,15 +2,15 @@
 
 /**
  * ProvenanceCode: Create a new decision record
- * Usage: node tools/new-decision.js <decision-name>
+ * Usage: node tools/new-decision.js <decision-name> [--title <text>] [--from-json <file>] [--interactive]
  */
 
 const fs = require('fs');
-const path = require('path');
+const readline = require('readline');
+const { createDecision, checkDecisionFields, listDecisions } = require('./lib/provenancecode');
 
 // Configuration
 const DECISIONS_DIR = 'provenance/decisions';
-const TEMPLATE_DIR = path.join(DECISIONS_DIR, 'TEMPLATE');
 
 // Colors
 const colors = {
@@ -26,21 +26,46 @@ function colorize(text, color) {
 }
 
 function printUsage() {
-  console.log('Usage: node tools/new-decision.js <decision-name>');
+  console.log('Usage: node tools/new-decision.js <decision-name> [options]');
   console.log('');
-  console.log('Creates a new decision record from the template.');
+  console.log('Creates a new decision record from the template. The record starts empty:');
+  console.log('no example content from the template is kept.');
   console.log('');
   console.log('Examples:');
   console.log('  node tools/new-decision.js use-postgresql');
-  console.log('  node tools/new-decision.js jwt-authentication');
-  console.log('  node tools/new-decision.js migrate-to-microservices');
+  console.log('  node tools/new-decision.js --title "Use PostgreSQL" --deciders "Alice, Bob" --tags database');
+  console.log('  node tools/new-decision.js use-cockroachdb --supersedes 001 --depends-on 004-cloud-provider');
+  console.log('  node tools/new-decision.js jwt-authentication --from-json draft.json');
+  console.log('  node tools/new-decision.js migrate-to-microservices --interactive');
   console.log('');
   console.log('Options:');
-  console.log('  -h, --help     Show this help message');
-  console.log('  -l, --list     List existing decisions');
+  console.log('  --title <text>         Title (default: the name in title case)');
+  console.log('  --status <status>      Initial status (default: proposed)');
+  console.log('  --deciders <list>      Comma-separated deciders');
+  console.log('  --tags <list>          Comma-separated tags (metadata.tags)');
+  console.log('  --owner <name>         Owner (metadata.owner)');
+  console.log('  --supersedes <ids>     Comma-separated decisions this one replaces');
+  console.log('  --depends-on <ids>     Comma-separated decisions this one depends on');
+  console.log('  --scheme <scheme>      Numbering: sequential, date or ulid (default: numbering.scheme)');
+  console.log('  --from-json <file>     Start from a partial decision.json');
+  console.log('  -i, --interactive      Prompt for context, decision, consequences and alternatives');
+  console.log('  -h, --help             Show this help message');
+  console.log('  -l, --list             List existing decisions');
+  console.log('');
+  console.log('Options win over --from-json; the name may be left out when a title is given.');
+}
+
+function getOptionValue(args, ...names) {
+  for (const name of names) {
+    const index = args.indexOf(name);
+    if (index !== -1) {
+      return args[index + 1];
+    }
+  }
+  return undefined;
 }
 
-function listDecisions() {
+function printDecisionList() {
   console.log(colorize('📋 Existing Decisions:', 'blue'));
   console.log('');
   
@@ -49,199 +74,108 @@ function listDecisions() {
     return;
   }
   
-  const dirs = fs.readdirSync(DECISIONS_DIR, { withFileTypes: true });
+  const statusIcons = {
+    accepted: '✅',
+    implemented: '🚀',
+    proposed: '💭',
+    deprecated: '⚠️',
+    rejected: '❌',
+  };
   
-  for (const dir of dirs) {
-    if (dir.isDirectory() && dir.name !== 'TEMPLATE') {
-      const decisionJsonPath = path.join(DECISIONS_DIR, dir.name, 'decision.json');
-      
-      if (fs.existsSync(decisionJsonPath)) {
-        try {
-          const data = JSON.parse(fs.readFileSync(decisionJsonPath, 'utf8'));
-          const statusIcons = {
-            accepted: '✅',
-            implemented: '🚀',
-            proposed: '💭',
-            deprecated: '⚠️',
-            rejected: '❌',
-          };
-          
-          const icon = statusIcons[data.status] || '❓';
-          console.log(
-            `${icon}  ${colorize(dir.name, 'green')} - ${data.title} (${colorize(
-              data.status,
-              'yellow'
-            )})`
-          );
-        } catch (e) {
-          console.log(`   ${colorize(dir.name, 'green')}`);
-        }
-      } else {
-        console.log(`   ${colorize(dir.name, 'green')}`);
-      }
+  for (const decision of listDecisions()) {
+    if (decision.status) {
+      const icon = statusIcons[decision.status] || '❓';
+      console.log(
+        `${icon}  ${colorize(decision.dir, 'green')} - ${decision.title} (${colorize(
+          decision.status,
+          'yellow'
+        )})`
+      );
+    } else {
+      console.log(`   ${colorize(decision.dir, 'green')}`);
     }
   }
 }
 
-function getNextNumber() {
-  let maxNum = 0;
-  
-  if (!fs.existsSync(DECISIONS_DIR)) {
-    return '001';
-  }
-  
-  const dirs = fs.readdirSync(DECISIONS_DIR, { withFileTypes: true });
-  
-  for (const dir of dirs) {
-    if (dir.isDirectory()) {
-      const match = dir.name.match(/^(\d+)-/);
-      if (match) {
-        const num = parseInt(match[1], 10);
-        if (num > maxNum) {
-          maxNum = num;
-        }
-      }
+/**
+ * Ask for the prose fields one line at a time. Lines are read from stdin
+ * whether or not it is a terminal, so answers can also be piped in.
+ * Returns the answers as a partial decision.json.
+ */
+async function promptDecision(defaults) {
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+  const lines = rl[Symbol.asyncIterator]();
+  const ask = async (question, fallback) => {
+    process.stdout.write(colorize(`${question}${fallback ? ` [${fallback}]` : ''}: `, 'blue'));
+    const { value, done } = await lines.next();
+    const answer = done ? '' : value.trim();
+    return answer || fallback || '';
+  };
+  const askList = async question => {
+    console.log(colorize(`${question} (one per line, empty line to finish)`, 'blue'));
+    const items = [];
+    for (let item = await ask('  -'); item; item = await ask('  -')) {
+      items.push(item);
     }
-  }
+    return items;
+  };
   
-  const nextNum = maxNum + 1;
-  return nextNum.toString().padStart(3, '0');
-}
-
-function sanitizeName(name) {
-  return name
-    .toLowerCase()
-    .replace(/\s+/g, '-')
-    .replace(/[^a-z0-9-]/g, '');
-}
-
-function titleCase(str) {
-  return str
-    .split('-')
-    .map(word => word.charAt(0).toUpperCase() + word.slice(1))
-    .join(' ');
-}
-
-function copyDirectory(src, dest) {
-  if (!fs.existsSync(dest)) {
-    fs.mkdirSync(dest, { recursive: true });
-  }
-  
-  const entries = fs.readdirSync(src, { withFileTypes: true });
-  
-  for (const entry of entries) {
-    const srcPath = path.join(src, entry.name);
-    const destPath = path.join(dest, entry.name);
+  try {
+    const fields = { context: {}, decision: {}, consequences: {}, metadata: {} };
+    fields.title = await ask('Title', defaults.title);
+    fields.deciders = (await ask('Deciders (comma-separated)', defaults.deciders)).split(',').map(item => item.trim()).filter(Boolean);
+    fields.metadata.owner = await ask('Owner', defaults.owner);
+    fields.metadata.tags = (await ask('Tags (comma-separated)', defaults.tags)).split(',').map(item => item.trim()).filter(Boolean);
     
-    if (entry.isDirectory()) {
-      copyDirectory(srcPath, destPath);
-    } else {
-      fs.copyFileSync(srcPath, destPath);
+    console.log(colorize('\nContext', 'green'));
+    fields.context.problem = await ask('What problem are we solving?');
+    fields.context.currentSituation = await ask('How do things work today?');
+    
+    console.log(colorize('\nDecision', 'green'));
+    fields.decision.summary = await ask('What did we decide (one sentence)?');
+    fields.decision.details = await ask('How will it be implemented?');
+    
+    console.log(colorize('\nConsequences', 'green'));
+    fields.consequences.positive = await askList('Positive consequences');
+    fields.consequences.negative = await askList('Negative consequences and trade-offs');
+    
+    console.log(colorize('\nAlternatives', 'green'));
+    fields.alternatives = [];
+    for (let name = await ask('Alternative name (empty to finish)'); name; name = await ask('Alternative name (empty to finish)')) {
+      fields.alternatives.push({
+        name,
+        description: await ask('  Description'),
+        rejectionReason: await ask('  Why rejected'),
+      });
     }
+    console.log('');
+    
+    // Leave out what was not answered, so the template defaults apply
+    if (!fields.metadata.owner) {
+      delete fields.metadata.owner;
+    }
+    if (!fields.context.currentSituation) {
+      delete fields.context.currentSituation;
+    }
+    if (!fields.decision.details) {
+      delete fields.decision.details;
+    }
+    return fields;
+  } finally {
+    rl.close();
   }
 }
 
-function updateFile(filePath, replacements) {
-  if (!fs.existsSync(filePath)) {
-    return false;
-  }
-  
-  let content = fs.readFileSync(filePath, 'utf8');
-  
-  for (const [search, replace] of Object.entries(replacements)) {
-    content = content.replace(new RegExp(search, 'g'), replace);
-  }
-  
-  fs.writeFileSync(filePath, content, 'utf8');
-  return true;
-}
-
-function createDecision(decisionName) {
-  // Sanitize the decision name
-  decisionName = sanitizeName(decisionName);
-  
-  if (!decisionName) {
-    console.error(colorize('❌ Invalid decision name', 'red'));
-    process.exit(1);
-  }
-  
-  // Get next decision number
-  const decisionNumber = getNextNumber();
-  const fullName = `${decisionNumber}-${decisionName}`;
-  const decisionPath = path.join(DECISIONS_DIR, fullName);
-  
-  // Check if decision already exists
-  if (fs.existsSync(decisionPath)) {
-    console.error(colorize(`❌ Decision already exists: ${fullName}`, 'red'));
-    process.exit(1);
-  }
-  
-  // Check if template exists
-  if (!fs.existsSync(TEMPLATE_DIR)) {
-    console.error(colorize(`❌ Template directory not found: ${TEMPLATE_DIR}`, 'red'));
-    process.exit(1);
-  }
-  
-  console.log(colorize(`📝 Creating new decision: ${fullName}`, 'blue'));
+function printCreated(decision) {
+  console.log(colorize(`📝 Creating new decision: ${decision.id}`, 'blue'));
   console.log('');
-  
-  // Copy template
-  copyDirectory(TEMPLATE_DIR, decisionPath);
-  console.log(colorize('✅ Copied template', 'green'));
-  
-  // Get current date and time
-  const now = new Date();
-  const currentDate = now.toISOString().split('T')[0];
-  const currentDateTime = now.toISOString();
-  
-  // Update decision.json
-  const decisionJsonPath = path.join(decisionPath, 'decision.json');
-  if (fs.existsSync(decisionJsonPath)) {
-    try {
-      const data = JSON.parse(fs.readFileSync(decisionJsonPath, 'utf8'));
-      
-      data.id = fullName;
-      data.title = titleCase(decisionName);
-      data.date = currentDate;
-      data.lastUpdated = currentDate;
-      data.provenanceCode.created = currentDateTime;
-      data.provenanceCode.modified = currentDateTime;
-      
-      fs.writeFileSync(decisionJsonPath, JSON.stringify(data, null, 2) + '\n', 'utf8');
-      console.log(colorize('✅ Updated decision.json', 'green'));
-    } catch (e) {
-      console.warn(colorize('⚠️  Could not update decision.json', 'yellow'));
-    }
-  }
-  
-  // Update prov.jsonld
-  const provJsonldPath = path.join(decisionPath, 'prov.jsonld');
-  updateFile(provJsonldPath, {
-    'decision:template-example-decision': `decision:${fullName}`,
-    '2026-02-06T10:00:00Z': currentDateTime,
-  });
-  console.log(colorize('✅ Updated prov.jsonld', 'green'));
-  
-  // Update c2pa.manifest.json
-  const c2paManifestPath = path.join(decisionPath, 'c2pa.manifest.json');
-  updateFile(c2paManifestPath, {
-    'template-example-decision': fullName,
-    '2026-02-06T10:00:00Z': currentDateTime,
-    '2026-02-06': currentDate,
-  });
-  console.log(colorize('✅ Updated c2pa.manifest.json', 'green'));
-  
-  // Update decision.md
-  const decisionMdPath = path.join(decisionPath, 'decision.md');
-  updateFile(decisionMdPath, {
-    'YYYY-MM-DD': currentDate,
-  });
-  console.log(colorize('✅ Updated decision.md', 'green'));
+  decision.steps.forEach(step => console.log(colorize(`✅ ${step}`, 'green')));
+  decision.warnings.forEach(warning => console.warn(colorize(`⚠️  ${warning}`, 'yellow')));
   
   console.log('');
   console.log(colorize('✨ Decision record created successfully!', 'green'));
   console.log('');
-  console.log(colorize('📁 Location:', 'blue'), decisionPath);
+  console.log(colorize('📁 Location:', 'blue'), decision.path);
   console.log('');
   console.log(colorize('Next steps:', 'blue'));
   console.log('  1. Edit the decision files:');
@@ -249,8 +183,8 @@ function createDecision(decisionName) {
   console.log('     - decision.json (machine-readable)');
   console.log('  2. Fill in all sections (context, decision, consequences, etc.)');
   console.log('  3. Add evidence to the evidence/ directory if available');
-  console.log('  4. Validate your decision: node tools/validate-decision.js', fullName);
-  console.log('  5. Commit to git: git add', decisionPath);
+  console.log('  4. Validate your decision: node tools/validate-decision.js', decision.id);
+  console.log('  5. Commit to git: git add', decision.path);
   console.log('');
   console.log(colorize('Resources:', 'blue'));
   console.log('  - Decision writing guide: docs/decision-records.md');
@@ -259,24 +193,84 @@ function createDecision(decisionName) {
 }
 
 // Main
-function main() {
+async function main() {
   const args = process.argv.slice(2);
   
+  // Parse options
+  const options = {
+    help: args.includes('-h') || args.includes('--help'),
+    list: args.includes('-l') || args.includes('--list'),
+    interactive: args.includes('-i') || args.includes('--interactive'),
+    title: getOptionValue(args, '--title'),
+    status: getOptionValue(args, '--status'),
+    deciders: getOptionValue(args, '--deciders'),
+    tags: getOptionValue(args, '--tags'),
+    owner: getOptionValue(args, '--owner'),
+    supersedes: getOptionValue(args, '--supersedes'),
+    dependsOn: getOptionValue(args, '--depends-on'),
+    fromJson: getOptionValue(args, '--from-json'),
+    scheme: getOptionValue(args, '--scheme'),
+  };
+  
+  const valueOptions = ['--title', '--status', '--deciders', '--tags', '--owner', '--supersedes', '--depends-on', '--from-json', '--scheme'];
+  const name = args.find((arg, i) => !arg.startsWith('-') && !valueOptions.includes(args[i - 1]));
+  
   // Check for help flag
-  if (args.length === 0 || args[0] === '-h' || args[0] === '--help') {
+  if (args.length === 0 || options.help) {
     printUsage();
     process.exit(args.length === 0 ? 1 : 0);
   }
   
   // Check for list flag
-  if (args[0] === '-l' || args[0] === '--list') {
-    listDecisions();
+  if (options.list) {
+    printDecisionList();
     process.exit(0);
   }
   
+  if (!name && !options.title && !options.fromJson && !options.interactive) {
+    printUsage();
+    process.exit(1);
+  }
+  
   // Create decision
-  createDecision(args[0]);
+  try {
+    let fields = {};
+    if (options.fromJson) {
+      try {
+        fields = JSON.parse(fs.readFileSync(options.fromJson, 'utf8'));
+      } catch (e) {
+        throw new Error(`Could not read ${options.fromJson}: ${e.message}`);
+      }
+      try {
+        checkDecisionFields(fields);
+      } catch (e) {
+        throw new Error(`Invalid ${options.fromJson}: ${e.message}`);
+      }
+    }
+    
+    if (options.interactive) {
+      const metadata = fields.metadata || {};
+      const answers = await promptDecision({
+        title: options.title || fields.title,
+        deciders: options.deciders || (Array.isArray(fields.deciders) ? fields.deciders.join(', ') : ''),
+        owner: options.owner || metadata.owner,
+        tags: options.tags || (Array.isArray(metadata.tags) ? metadata.tags.join(', ') : ''),
+      });
+      fields = Object.assign({}, fields, answers, {
+        context: Object.assign({}, fields.context, answers.context),
+        decision: Object.assign({}, fields.decision, answers.decision),
+        consequences: Object.assign({}, fields.consequences, answers.consequences),
+        metadata: Object.assign({}, metadata, answers.metadata),
+      });
+      // The answers already include any --title, --deciders, --owner and --tags defaults
+      ['title', 'deciders', 'owner', 'tags'].forEach(key => delete options[key]);
+    }
+    
+    printCreated(createDecision(name, Object.assign({ fields }, options)));
+  } catch (e) {
+    console.error(colorize(`❌ ${e.message}`, 'red'));
+    process.exit(1);
+  }
 }
 
 main();
-
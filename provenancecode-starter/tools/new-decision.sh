@@ -148,12 +148,16 @@ create_decision() {
         " 2>/dev/null && echo -e "${GREEN}✅ Updated decision.json${NC}" || echo -e "${YELLOW}⚠️  Could not update decision.json (Node.js required)${NC}"
     fi
     
-    # Update prov.jsonld
+    # Generate prov.jsonld from decision.json
     if [ -f "$decision_path/prov.jsonld" ]; then
-        sed -i.bak "s/decision:template-example-decision/decision:$full_name/g" "$decision_path/prov.jsonld"
-        sed -i.bak "s/2026-02-06T10:00:00Z/$current_datetime/g" "$decision_path/prov.jsonld"
-        rm -f "$decision_path/prov.jsonld.bak"
-        echo -e "${GREEN}✅ Updated prov.jsonld${NC}"
+        if node "$(dirname "$0")/generate-prov.js" "$full_name" --no-git >/dev/null 2>&1; then
+            echo -e "${GREEN}✅ Generated prov.jsonld${NC}"
+        else
+            sed -i.bak "s/decision:template-example-decision/decision:$full_name/g" "$decision_path/prov.jsonld"
+            sed -i.bak "s/2026-02-06T10:00:00Z/$current_datetime/g" "$decision_path/prov.jsonld"
+            rm -f "$decision_path/prov.jsonld.bak"
+            echo -e "${YELLOW}⚠️  Updated prov.jsonld from the template (Node.js required to generate it)${NC}"
+        fi
     fi
     
     # Update c2pa.manifest.json
@@ -195,6 +199,12 @@ create_decision() {
 
 # Main script
 main() {
+    # With Node.js, new-decision.js does the work: it writes an empty record
+    # (no template example content) and supports --title, --from-json, etc.
+    if command -v node >/dev/null 2>&1 && [ -f "$(dirname "$0")/new-decision.js" ]; then
+        exec node "$(dirname "$0")/new-decision.js" "$@"
+    fi
+    
     # Check for help flag
     if [ "$1" = "-h" ] || [ "$1" = "--help" ]; then
         print_usage
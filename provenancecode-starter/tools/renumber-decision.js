@@ -0,0 +1,127 @@
+#!/usr/bin/env node
+
+/**
+ * ProvenanceCode: Move a decision to a new number or name
+ * Usage: node tools/renumber-decision.js <old> <new> [--dry-run]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { loadDecisionRecords, buildDecisionGraph } = require('./lib/decision-graph');
+const { checkNumbering, planRenumber } = require('./lib/numbering');
+const { isSealed } = require('./lib/integrity');
+
+// Configuration
+const DECISIONS_DIR = 'provenance/decisions';
+
+// Colors
+const colors = {
+  reset: '\x1b[0m',
+  red: '\x1b[31m',
+  green: '\x1b[32m',
+  yellow: '\x1b[33m',
+  blue: '\x1b[34m',
+  dim: '\x1b[2m',
+};
+
+function colorize(text, color) {
+  return `${colors[color]}${text}${colors.reset}`;
+}
+
+function printUsage() {
+  console.log('Usage: node tools/renumber-decision.js <old> <new> [options]');
+  console.log('');
+  console.log('Renames a decision folder and sets its id, then rewrites everything that');
+  console.log('points at it: relatedDecisions in every decision.json, links in decision.md,');
+  console.log('decision:/activity: IRIs in prov.jsonld and the c2pa.manifest.json instance_id.');
+  console.log('Use it when two branches created decisions with the same number.');
+  console.log('');
+  console.log('Examples:');
+  console.log('  node tools/renumber-decision.js 007-use-redis 008');
+  console.log('  node tools/renumber-decision.js 007-use-redis 2026-02-06-use-redis');
+  console.log('  node tools/renumber-decision.js --check');
+  console.log('');
+  console.log('Options:');
+  console.log('  --check        List number collisions and id/folder mismatches');
+  console.log('  --dry-run      Show what would change without writing files');
+  console.log('  --help, -h     Show this help message');
+  console.log('');
+  console.log('<new> is a folder name, or a number to keep the current slug.');
+}
+
+function printCheck(records) {
+  const issues = checkNumbering(records);
+  if (issues.length === 0) {
+    console.log(colorize(`✅ ${records.length} decisions, no numbering collisions`, 'green'));
+    return true;
+  }
+  
+  console.log(colorize('❌ Numbering collisions:', 'red'));
+  issues.forEach(issue => console.log(colorize(`   - ${issue.decision}: ${issue.message}`, 'red')));
+  return false;
+}
+
+function main() {
+  const args = process.argv.slice(2);
+  
+  // Parse options
+  const options = {
+    help: args.includes('--help') || args.includes('-h'),
+    check: args.includes('--check'),
+    dryRun: args.includes('--dry-run'),
+  };
+  
+  const [reference, newName] = args.filter(arg => !arg.startsWith('-'));
+  
+  if (options.help || (!options.check && (!reference || !newName))) {
+    printUsage();
+    process.exit(options.help ? 0 : 1);
+  }
+  
+  if (!fs.existsSync(DECISIONS_DIR)) {
+    console.error(colorize(`❌ Decisions directory not found: ${DECISIONS_DIR}`, 'red'));
+    process.exit(1);
+  }
+  
+  const records = loadDecisionRecords(DECISIONS_DIR);
+  if (options.check) {
+    process.exit(printCheck(records) ? 0 : 1);
+  }
+  
+  let plan;
+  try {
+    plan = planRenumber(buildDecisionGraph(records), reference, newName, DECISIONS_DIR);
+  } catch (e) {
+    console.error(colorize(`❌ ${e.message}`, 'red'));
+    process.exit(1);
+  }
+  
+  console.log(colorize(`🔢 ${plan.from.dir} → ${plan.to}${options.dryRun ? ' (dry run)' : ''}`, 'blue'));
+  if (plan.rename) {
+    if (!options.dryRun) {
+      fs.renameSync(plan.rename.from, plan.rename.to);
+    }
+    console.log(colorize(`  ✅ ${plan.rename.to}`, 'green') + colorize(` (renamed from ${path.basename(plan.rename.from)})`, 'dim'));
+  }
+  for (const write of plan.writes) {
+    if (!options.dryRun) {
+      fs.writeFileSync(write.path, write.content);
+    }
+    console.log(colorize(`  ✅ ${write.path}`, 'green') + colorize(` (${write.summary})`, 'dim'));
+  }
+  
+  // Rewritten files no longer match their seal
+  const touched = new Set(plan.writes.map(write => path.basename(path.dirname(write.path))));
+  const sealed = records
+    .filter(record => touched.has(record.dir === plan.from.dir ? plan.to : record.dir) && isSealed(record.data))
+    .map(record => (record.dir === plan.from.dir ? plan.to : record.dir));
+  if (sealed.length > 0) {
+    console.log(colorize(`\n⚠️  Re-seal the changed records: ${sealed.map(dir => `node tools/seal-decision.js ${dir}`).join('; ')}`, 'yellow'));
+  }
+  
+  if (options.dryRun) {
+    console.log(colorize('\nNo files written (--dry-run)', 'yellow'));
+  }
+}
+
+main();
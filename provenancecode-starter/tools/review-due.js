@@ -0,0 +1,399 @@
+#!/usr/bin/env node
+
+/**
+ * ProvenanceCode: List decisions that are due for review
+ * Usage: node tools/review-due.js [--within <days>] [--owner <name>] [--format text|json|ics] [--output <file>]
+ */
+
+const fs = require('fs');
+const { loadYamlFile } = require('./lib/yaml');
+const { loadDecisionRecords, buildDecisionGraph } = require('./lib/decision-graph');
+
+// Configuration
+const DECISIONS_DIR = 'provenance/decisions';
+const CONFIG_PATH = 'provenance/config.yml';
+const POLICY_PATH = 'provenance/policies/require-decision-on-paths.yml';
+
+// Used when provenance/config.yml has no review section
+const DEFAULT_REVIEW = {
+  due_within_days: 30,
+  implement_within_days: 90,
+};
+
+// Decisions that are still in force; the rest are never due for review
+const ACTIVE_STATUSES = ['proposed', 'accepted', 'implemented'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const NO_OWNER = '(no owner)';
+
+// Colors
+const colors = {
+  reset: '\x1b[0m',
+  red: '\x1b[31m',
+  green: '\x1b[32m',
+  yellow: '\x1b[33m',
+  blue: '\x1b[34m',
+  dim: '\x1b[2m',
+};
+
+function colorize(text, color) {
+  return `${colors[color]}${text}${colors.reset}`;
+}
+
+// Icon and colour for each kind of finding, most urgent first
+const KINDS = {
+  'review-overdue': { icon: '⏰', color: 'red' },
+  'migration-stale': { icon: '🚧', color: 'red' },
+  'not-implemented': { icon: '⏳', color: 'yellow' },
+  'review-due': { icon: '📅', color: 'yellow' },
+  stale: { icon: '🕸️', color: 'yellow' },
+};
+
+function printUsage() {
+  console.log('Usage: node tools/review-due.js [options]');
+  console.log('');
+  console.log('Lists active decisions that need attention, grouped by metadata.owner:');
+  console.log('  - monitoring.reviewDate has passed, or falls within the next N days');
+  console.log('  - accepted, but not marked implemented after review.implement_within_days');
+  console.log('  - a dated implementation.migration step has passed since the last update');
+  console.log('  - not updated for validation.max_decision_age_days (path policy)');
+  console.log('');
+  console.log('Examples:');
+  console.log('  node tools/review-due.js');
+  console.log('  node tools/review-due.js --within 90 --owner "Platform Team"');
+  console.log('  node tools/review-due.js --format json > review.json');
+  console.log('  node tools/review-due.js --format ics --output reviews.ics');
+  console.log('');
+  console.log('Options:');
+  console.log('  --within <days>    Report reviews due within this many days (default: review.due_within_days)');
+  console.log('  --owner <name>     Only decisions whose metadata.owner matches (case-insensitive)');
+  console.log('  --date <date>      Report as of this date instead of today (YYYY-MM-DD)');
+  console.log('  --format <format>  Output format: text (default), json, ics');
+  console.log('  --output <file>    Write to a file instead of stdout');
+  console.log('  --help, -h         Show this help message');
+  console.log('');
+  console.log('The ics format is a calendar of every active decision\'s review date, due or not.');
+}
+
+// With --format json an error is a JSON object on stdout, so piped output stays parseable;
+// the ics calendar gets a plain message on stderr
+function fail(message, format) {
+  if (format === 'json') {
+    process.stdout.write(JSON.stringify({ error: message }, null, 2) + '\n');
+  } else if (format === 'ics') {
+    console.error(`Error: ${message}`);
+  } else {
+    console.error(colorize(`❌ ${message}`, 'red'));
+  }
+  process.exit(1);
+}
+
+function getOptionValue(args, name) {
+  const index = args.indexOf(name);
+  return index !== -1 ? args[index + 1] : undefined;
+}
+
+function parseDate(value) {
+  if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    return null;
+  }
+  const date = new Date(`${value}T00:00:00Z`);
+  return isNaN(date.getTime()) ? null : date;
+}
+
+function daysBetween(from, to) {
+  return Math.round((parseDate(to) - parseDate(from)) / DAY_MS);
+}
+
+function latest(dates) {
+  const valid = dates.filter(date => parseDate(date)).sort();
+  return valid.length > 0 ? valid[valid.length - 1] : null;
+}
+
+function loadSettings() {
+  const config = fs.existsSync(CONFIG_PATH) ? loadYamlFile(CONFIG_PATH) || {} : {};
+  const review = Object.assign({}, DEFAULT_REVIEW, config.review);
+  const policy = fs.existsSync(POLICY_PATH) ? loadYamlFile(POLICY_PATH) || {} : {};
+  const validation = policy.validation || {};
+  
+  return {
+    dueWithinDays: Number(review.due_within_days) || 0,
+    implementWithinDays: Number(review.implement_within_days) || 0,
+    maxAgeDays: Number(validation.max_decision_age_days) || 0,
+  };
+}
+
+// Last time anyone touched the record: lastUpdated, the newest updates[] entry or the decision date
+function lastTouched(data) {
+  const updates = Array.isArray(data.updates) ? data.updates : [];
+  return latest([data.lastUpdated, data.date, ...updates.map(update => update && update.date)]);
+}
+
+// When the decision was accepted: the newest approval, or the updates[] entry
+// decision-status.js writes ("Status changed to accepted"), else its date
+function acceptedOn(data) {
+  const approvals = data.approval && Array.isArray(data.approval.approvedBy) ? data.approval.approvedBy : [];
+  const updates = Array.isArray(data.updates) ? data.updates : [];
+  const statusChanges = updates.filter(update => update && [update.description]
+    .concat(Array.isArray(update.changes) ? update.changes : [])
+    .some(text => /\bto accepted\b/i.test(String(text))));
+  
+  return latest(approvals.map(approval => approval && approval.date).concat(statusChanges.map(update => update.date))) ||
+    (parseDate(data.date) ? data.date : null);
+}
+
+/**
+ * Everything about one decision that is due on the given date.
+ * Returns [{kind, date, message}], most urgent first.
+ */
+function findDueItems(data, asOf, settings) {
+  const items = [];
+  const monitoring = data.monitoring || {};
+  const touched = lastTouched(data);
+  
+  const reviewDate = parseDate(monitoring.reviewDate) ? monitoring.reviewDate : null;
+  if (reviewDate) {
+    const days = daysBetween(asOf, reviewDate);
+    if (days < 0) {
+      items.push({ kind: 'review-overdue', date: reviewDate, message: `Review overdue since ${reviewDate} (${-days} days)` });
+    } else if (days <= settings.dueWithinDays) {
+      items.push({ kind: 'review-due', date: reviewDate, message: `Review due ${reviewDate} (${days === 0 ? 'today' : `in ${days} days`})` });
+    }
+  }
+  
+  // Migration steps can carry a milestone date, e.g. "2026-03-01: switch reads to the new cluster"
+  const migration = (data.implementation && data.implementation.migration) || {};
+  for (const step of Array.isArray(migration.steps) ? migration.steps : []) {
+    const milestone = (/\b(\d{4}-\d{2}-\d{2})\b/.exec(String(step)) || [])[1];
+    if (parseDate(milestone) && milestone <= asOf && (!touched || touched < milestone)) {
+      items.push({ kind: 'migration-stale', date: milestone,
+        message: `Migration milestone ${milestone} passed without an update (last updated ${touched || 'never'}): ${step}` });
+    }
+  }
+  
+  if (data.status === 'accepted' && settings.implementWithinDays > 0) {
+    const accepted = acceptedOn(data);
+    const days = accepted ? daysBetween(accepted, asOf) : null;
+    if (days !== null && days > settings.implementWithinDays) {
+      items.push({ kind: 'not-implemented', date: accepted,
+        message: `Accepted ${accepted} (${days} days ago) and not yet implemented (limit ${settings.implementWithinDays} days)` });
+    }
+  }
+  
+  if (settings.maxAgeDays > 0 && touched) {
+    const days = daysBetween(touched, asOf);
+    if (days > settings.maxAgeDays) {
+      items.push({ kind: 'stale', date: touched, message: `Not updated since ${touched} (${days} days, max ${settings.maxAgeDays})` });
+    }
+  }
+  
+  const order = Object.keys(KINDS);
+  return items.sort((a, b) => order.indexOf(a.kind) - order.indexOf(b.kind));
+}
+
+function describe(node) {
+  const monitoring = node.data.monitoring || {};
+  return {
+    id: node.id,
+    title: node.title,
+    status: node.status,
+    owner: node.owner || null,
+    path: node.path,
+    reviewDate: parseDate(monitoring.reviewDate) ? monitoring.reviewDate : null,
+    successCriteria: Array.isArray(monitoring.successCriteria) ? monitoring.successCriteria : [],
+  };
+}
+
+/**
+ * Decisions with something due, grouped by owner:
+ * [{owner, decisions: [{id, title, status, owner, path, reviewDate, successCriteria, items}]}]
+ */
+function buildReport(nodes, asOf, settings) {
+  const owners = new Map();
+  for (const node of nodes) {
+    const items = findDueItems(node.data, asOf, settings);
+    if (items.length === 0) {
+      continue;
+    }
+    const owner = node.owner || NO_OWNER;
+    if (!owners.has(owner)) {
+      owners.set(owner, []);
+    }
+    owners.get(owner).push(Object.assign(describe(node), { items }));
+  }
+  
+  return Array.from(owners.keys())
+    .sort((a, b) => (a === NO_OWNER) - (b === NO_OWNER) || a.localeCompare(b))
+    .map(owner => ({ owner, decisions: owners.get(owner) }));
+}
+
+function renderText(report, asOf, settings) {
+  const lines = [];
+  const count = report.reduce((sum, group) => sum + group.decisions.length, 0);
+  lines.push(colorize(`📋 Decisions due for review as of ${asOf} (reviews within ${settings.dueWithinDays} days)`, 'blue'));
+  lines.push('');
+  
+  if (count === 0) {
+    lines.push(colorize('✅ Nothing is due', 'green'));
+    return lines.join('\n') + '\n';
+  }
+  
+  for (const group of report) {
+    lines.push(colorize(`👤 ${group.owner}`, 'blue'));
+    for (const decision of group.decisions) {
+      lines.push(`  ${colorize(decision.id, 'green')} - ${decision.title} (${colorize(decision.status || 'unknown', 'yellow')})`);
+      for (const item of decision.items) {
+        lines.push(colorize(`     ${KINDS[item.kind].icon}  ${item.message}`, KINDS[item.kind].color));
+      }
+      if (decision.successCriteria.length > 0 && decision.items.some(item => item.kind.startsWith('review-'))) {
+        lines.push(colorize('     Success criteria:', 'dim'));
+        decision.successCriteria.forEach(criterion => lines.push(colorize(`       - ${criterion}`, 'dim')));
+      }
+    }
+    lines.push('');
+  }
+  
+  lines.push(`${count} decision${count === 1 ? '' : 's'} need${count === 1 ? 's' : ''} attention`);
+  return lines.join('\n') + '\n';
+}
+
+function renderJson(report, asOf, settings) {
+  return JSON.stringify({
+    date: asOf,
+    dueWithinDays: settings.dueWithinDays,
+    implementWithinDays: settings.implementWithinDays,
+    maxAgeDays: settings.maxAgeDays,
+    owners: report,
+  }, null, 2) + '\n';
+}
+
+// RFC 5545 text value: escape, then fold lines longer than 75 octets
+function icsText(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\r?\n/g, '\\n');
+}
+
+function foldLine(line) {
+  const parts = [];
+  let current = '';
+  for (const char of line) {
+    if (Buffer.byteLength(current + char) > (parts.length === 0 ? 75 : 74)) {
+      parts.push(current);
+      current = '';
+    }
+    current += char;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+}
+
+function renderIcs(nodes, now) {
+  const stamp = now.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//ProvenanceCode//review-due//EN',
+    'CALSCALE:GREGORIAN',
+    'X-WR-CALNAME:Decision reviews',
+  ];
+  
+  for (const decision of nodes.map(describe).filter(item => item.reviewDate)) {
+    const start = decision.reviewDate.replace(/-/g, '');
+    const end = new Date(parseDate(decision.reviewDate).getTime() + DAY_MS).toISOString().split('T')[0].replace(/-/g, '');
+    const description = [
+      `Owner: ${decision.owner || NO_OWNER}`,
+      `Status: ${decision.status || 'unknown'}`,
+      `Record: ${decision.path}`,
+    ];
+    if (decision.successCriteria.length > 0) {
+      description.push('', 'Success criteria:', ...decision.successCriteria.map(criterion => `- ${criterion}`));
+    }
+    
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:review-${decision.id}@provenancecode`,
+      `DTSTAMP:${stamp}`,
+      `DTSTART;VALUE=DATE:${start}`,
+      `DTEND;VALUE=DATE:${end}`,
+      `SUMMARY:${icsText(`Review ${decision.id}: ${decision.title}`)}`,
+      `DESCRIPTION:${icsText(description.join('\n'))}`,
+      'CATEGORIES:Decision review',
+      'END:VEVENT'
+    );
+  }
+  
+  lines.push('END:VCALENDAR');
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+function main() {
+  const args = process.argv.slice(2);
+  
+  // Parse options
+  const options = {
+    help: args.includes('--help') || args.includes('-h'),
+    format: getOptionValue(args, '--format') || 'text',
+    within: getOptionValue(args, '--within'),
+    owner: getOptionValue(args, '--owner'),
+    date: getOptionValue(args, '--date'),
+    output: getOptionValue(args, '--output'),
+  };
+  
+  if (options.help) {
+    printUsage();
+    process.exit(0);
+  }
+  
+  if (!['text', 'json', 'ics'].includes(options.format)) {
+    console.error(colorize(`❌ Unknown format: ${options.format}`, 'red'));
+    process.exit(1);
+  }
+  
+  if (options.within !== undefined && !/^\d+$/.test(options.within)) {
+    fail(`--within must be a number of days: ${options.within}`, options.format);
+  }
+  
+  if (options.date !== undefined && !parseDate(options.date)) {
+    fail(`--date must be YYYY-MM-DD: ${options.date}`, options.format);
+  }
+  
+  if (!fs.existsSync(DECISIONS_DIR)) {
+    fail(`Decisions directory not found: ${DECISIONS_DIR}`, options.format);
+  }
+  
+  let settings;
+  try {
+    settings = loadSettings();
+  } catch (e) {
+    fail(e.message, options.format);
+  }
+  if (options.within !== undefined) {
+    settings.dueWithinDays = Number(options.within);
+  }
+  
+  const now = new Date();
+  const asOf = options.date || now.toISOString().split('T')[0];
+  const owner = options.owner ? options.owner.toLowerCase() : null;
+  const nodes = Array.from(buildDecisionGraph(loadDecisionRecords(DECISIONS_DIR)).nodes.values())
+    .filter(node => ACTIVE_STATUSES.includes(node.status))
+    .filter(node => !owner || String(node.owner || '').toLowerCase() === owner);
+  
+  const report = buildReport(nodes, asOf, settings);
+  let output;
+  if (options.format === 'ics') {
+    output = renderIcs(nodes, now);
+  } else if (options.format === 'json') {
+    output = renderJson(report, asOf, settings);
+  } else {
+    output = renderText(report, asOf, settings);
+  }
+  
+  if (options.output) {
+    fs.writeFileSync(options.output, output);
+    const count = options.format === 'ics' ? nodes.filter(node => describe(node).reviewDate).length : report.reduce((sum, group) => sum + group.decisions.length, 0);
+    console.error(colorize(`✅ Wrote ${count} decision${count === 1 ? '' : 's'} to ${options.output}`, 'green'));
+  } else {
+    process.stdout.write(output);
+  }
+}
+
+main();
@@ -0,0 +1,570 @@
+#!/usr/bin/env node
+
+/**
+ * ProvenanceCode: Score decision records against the quality rubric
+ * Usage: node tools/score-decision.js [decision-id] [--all] [--format text|markdown|json]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { loadYamlFile } = require('./lib/yaml');
+const { validateSchema } = require('./lib/json-schema');
+
+// Configuration
+const DECISIONS_DIR = 'provenance/decisions';
+const SCHEMA_PATH = 'provenance/schemas/decision.schema.json';
+const RUBRIC_PATH = 'provenance/policies/scoring-rubric.yml';
+
+// Colors (off with NO_COLOR or when stdout is not a terminal)
+const useColor = !process.env.NO_COLOR && Boolean(process.stdout.isTTY);
+const colors = {
+  reset: '\x1b[0m',
+  red: '\x1b[31m',
+  green: '\x1b[32m',
+  yellow: '\x1b[33m',
+  blue: '\x1b[34m',
+  dim: '\x1b[2m',
+};
+
+function colorize(text, color) {
+  return useColor ? `${colors[color]}${text}${colors.reset}` : text;
+}
+
+function printUsage() {
+  console.log('Usage: node tools/score-decision.js [decision-id] [options]');
+  console.log('');
+  console.log('Scores decision records against provenance/policies/scoring-rubric.yml.');
+  console.log('');
+  console.log('Examples:');
+  console.log('  node tools/score-decision.js 001-use-postgresql');
+  console.log('  node tools/score-decision.js --all');
+  console.log('  node tools/score-decision.js 002-jwt-auth --format markdown > score.md');
+  console.log('');
+  console.log('Options:');
+  console.log('  --all              Score all decisions');
+  console.log('  --format <format>  Output format: text (default), markdown, json');
+  console.log('  --rubric <path>    Use a different rubric file');
+  console.log('  --fail-on-warn     Also exit non-zero below the warning threshold');
+  console.log('  --help, -h         Show this help message');
+  console.log('');
+  console.log('Exit codes:');
+  console.log('  0  Score is at or above enforcement.block_merge_below_score');
+  console.log('  1  Score is below the block threshold, or a critical check failed');
+}
+
+// Content helpers
+
+function collectText(value) {
+  if (typeof value === 'string') {
+    return value;
+  }
+  if (Array.isArray(value)) {
+    return value.map(collectText).join(' ');
+  }
+  if (value && typeof value === 'object') {
+    return Object.values(value).map(collectText).join(' ');
+  }
+  return '';
+}
+
+function count(value) {
+  return Array.isArray(value) ? value.length : 0;
+}
+
+function hasContent(value) {
+  return collectText(value).trim().length > 0;
+}
+
+function stripMarkdown(markdown) {
+  return markdown
+    .replace(/<!--[\s\S]*?-->/g, ' ')
+    .replace(/```[\s\S]*?```/g, ' ')
+    .replace(/`[^`]*`/g, ' ')
+    .replace(/!?\[([^\]]*)\]\([^)]*\)/g, '$1')
+    .replace(/^\s{0,3}#{1,6}\s+.*$/gm, ' ')
+    .replace(/^\s*([-*+]|\d+\.)\s+/gm, '')
+    .replace(/[*_>|]/g, ' ');
+}
+
+function countSyllables(word) {
+  const cleaned = word.toLowerCase().replace(/[^a-z]/g, '');
+  if (cleaned.length <= 3) {
+    return 1;
+  }
+  
+  const trimmed = cleaned.replace(/(?:[^laeiouy]es|ed|[^laeiouy]e)$/, '').replace(/^y/, '');
+  const groups = trimmed.match(/[aeiouy]{1,2}/g);
+  return groups ? groups.length : 1;
+}
+
+// Flesch-Kincaid grade level of plain prose
+function fleschKincaidGrade(text) {
+  const words = text.split(/\s+/).filter(word => /[a-z]/i.test(word));
+  if (words.length === 0) {
+    return null;
+  }
+  
+  const sentences = Math.max(1, (text.match(/[.!?]+(\s|$)/g) || []).length);
+  const syllables = words.reduce((sum, word) => sum + countSyllables(word), 0);
+  
+  return 0.39 * (words.length / sentences) + 11.8 * (syllables / words.length) - 15.59;
+}
+
+function listFiles(dir, base = dir) {
+  if (!fs.existsSync(dir)) {
+    return [];
+  }
+  
+  const files = [];
+  for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+    const entryPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      files.push(...listFiles(entryPath, base));
+    } else {
+      files.push(path.relative(base, entryPath));
+    }
+  }
+  return files;
+}
+
+function loadDecision(decisionPath) {
+  const ctx = {
+    name: path.basename(decisionPath),
+    path: decisionPath,
+    json: null,
+    jsonError: null,
+    md: null,
+    schemaErrors: null,
+    // evidence/README.md ships with the template and is not evidence itself
+    evidenceFiles: listFiles(path.join(decisionPath, 'evidence')).filter(file => file !== 'README.md'),
+  };
+  
+  const jsonPath = path.join(decisionPath, 'decision.json');
+  if (fs.existsSync(jsonPath)) {
+    try {
+      ctx.json = JSON.parse(fs.readFileSync(jsonPath, 'utf8'));
+    } catch (e) {
+      ctx.jsonError = e.message;
+    }
+  }
+  
+  const mdPath = path.join(decisionPath, 'decision.md');
+  if (fs.existsSync(mdPath)) {
+    ctx.md = fs.readFileSync(mdPath, 'utf8');
+  }
+  
+  if (ctx.json && fs.existsSync(SCHEMA_PATH)) {
+    const schema = JSON.parse(fs.readFileSync(SCHEMA_PATH, 'utf8'));
+    ctx.schemaErrors = validateSchema(ctx.json, schema);
+  }
+  
+  return ctx;
+}
+
+function field(ctx, ...keys) {
+  let value = ctx.json;
+  for (const key of keys) {
+    if (!value || typeof value !== 'object') {
+      return undefined;
+    }
+    value = value[key];
+  }
+  return value;
+}
+
+// Section checks for scoring.completeness (required_sections/optional_sections)
+const SECTION_CHECKS = {
+  title: ctx => {
+    const title = field(ctx, 'title');
+    return typeof title === 'string' && title.length >= 5 && title.length <= 200;
+  },
+  status: ctx => ['proposed', 'accepted', 'implemented', 'deprecated', 'superseded', 'rejected']
+    .includes(field(ctx, 'status')),
+  date: ctx => /^\d{4}-\d{2}-\d{2}$/.test(field(ctx, 'date') || ''),
+  deciders: ctx => count(field(ctx, 'deciders')) > 0,
+  context: ctx => collectText(field(ctx, 'context')).length >= 100,
+  decision: ctx => collectText(field(ctx, 'decision')).length >= 100,
+  consequences: ctx => count(field(ctx, 'consequences', 'positive')) > 0 &&
+    count(field(ctx, 'consequences', 'negative')) > 0,
+  alternatives: ctx => count(field(ctx, 'alternatives')) > 0,
+  evidence: ctx => hasContent(field(ctx, 'evidence')) || ctx.evidenceFiles.length > 0,
+  related_decisions: ctx => hasContent(field(ctx, 'relatedDecisions')),
+  implementation: ctx => hasContent(field(ctx, 'implementation')),
+  monitoring: ctx => hasContent(field(ctx, 'monitoring')),
+};
+
+// Criteria checks for the other scoring categories (only automated ones)
+const CRITERIA_CHECKS = {
+  readability: (ctx, criterion) => {
+    const text = ctx.md ? stripMarkdown(ctx.md) : collectText([field(ctx, 'context'), field(ctx, 'decision')]);
+    const grade = fleschKincaidGrade(text);
+    return grade !== null && grade < (criterion.threshold || 12);
+  },
+  research_provided: ctx => count(field(ctx, 'evidence', 'research')) > 0,
+  poc_or_benchmark: ctx => hasContent(field(ctx, 'evidence', 'proofOfConcept')) ||
+    count(field(ctx, 'evidence', 'benchmarks')) > 0,
+  team_feedback: ctx => hasContent(field(ctx, 'evidence', 'feedback')),
+  external_validation: ctx => (field(ctx, 'evidence', 'research') || [])
+    .some(item => item && (item.type === 'external' || /^https?:\/\//.test(item.url || ''))),
+  positive_listed: (ctx, criterion) => count(field(ctx, 'consequences', 'positive')) >= (criterion.threshold || 1),
+  negative_listed: (ctx, criterion) => count(field(ctx, 'consequences', 'negative')) >= (criterion.threshold || 1),
+  risks_identified: ctx => count(field(ctx, 'consequences', 'risks')) > 0,
+  mitigation_strategies: ctx => {
+    const risks = field(ctx, 'consequences', 'risks') || [];
+    return risks.length > 0 && risks.every(risk => risk && hasContent(risk.mitigation));
+  },
+  success_criteria: ctx => count(field(ctx, 'monitoring', 'successCriteria')) > 0,
+  timeline: ctx => hasContent(field(ctx, 'decision', 'timeline')),
+};
+
+// Checks listed under automated_checks
+const AUTOMATED_CHECKS = {
+  valid_json_schema: ctx => ctx.json !== null && Array.isArray(ctx.schemaErrors) && ctx.schemaErrors.length === 0,
+  decision_md_exists: ctx => ctx.md !== null,
+  decision_json_exists: ctx => ctx.json !== null || ctx.jsonError !== null,
+  context_min_length: (ctx, spec) => collectText(field(ctx, 'context')).length >= (spec.threshold || 0),
+  decision_min_length: (ctx, spec) => collectText(field(ctx, 'decision')).length >= (spec.threshold || 0),
+  positive_consequences_count: (ctx, spec) => count(field(ctx, 'consequences', 'positive')) >= (spec.threshold || 1),
+  negative_consequences_count: (ctx, spec) => count(field(ctx, 'consequences', 'negative')) >= (spec.threshold || 1),
+  evidence_files_exist: ctx => ctx.evidenceFiles.length > 0,
+  research_links_count: (ctx, spec) => count(field(ctx, 'evidence', 'research')) >= (spec.threshold || 1),
+};
+
+// Values that recommendation conditions can refer to
+function computeMetrics(ctx) {
+  return {
+    alternatives_count: count(field(ctx, 'alternatives')),
+    evidence_count: count(field(ctx, 'evidence', 'research')) + count(field(ctx, 'evidence', 'benchmarks')) +
+      (hasContent(field(ctx, 'evidence', 'proofOfConcept')) ? 1 : 0) + ctx.evidenceFiles.length,
+    research_links_count: count(field(ctx, 'evidence', 'research')),
+    positive_consequences_count: count(field(ctx, 'consequences', 'positive')),
+    negative_consequences_count: count(field(ctx, 'consequences', 'negative')),
+    risks_count: count(field(ctx, 'consequences', 'risks')),
+    context_length: collectText(field(ctx, 'context')).length,
+    decision_length: collectText(field(ctx, 'decision')).length,
+    implementation_section_missing: !hasContent(field(ctx, 'implementation')),
+    success_criteria_missing: count(field(ctx, 'monitoring', 'successCriteria')) === 0,
+    monitoring_section_missing: !hasContent(field(ctx, 'monitoring')),
+  };
+}
+
+// Evaluate "metric <op> number" or a bare boolean metric name
+function evaluateCondition(condition, metrics) {
+  const text = String(condition).trim();
+  const comparison = text.match(/^([a-z_]+)\s*(==|!=|<=|>=|<|>)\s*(-?\d+(?:\.\d+)?)$/);
+  
+  if (comparison) {
+    const [, name, op, rawValue] = comparison;
+    if (!(name in metrics)) {
+      return false;
+    }
+    
+    const actual = Number(metrics[name]);
+    const expected = Number(rawValue);
+    switch (op) {
+      case '==': return actual === expected;
+      case '!=': return actual !== expected;
+      case '<': return actual < expected;
+      case '<=': return actual <= expected;
+      case '>': return actual > expected;
+      case '>=': return actual >= expected;
+    }
+  }
+  
+  return /^[a-z_]+$/.test(text) && metrics[text] === true;
+}
+
+function runCheck(checks, name, ctx, spec) {
+  if (!checks[name]) {
+    return null;
+  }
+  return Boolean(checks[name](ctx, spec));
+}
+
+function scoreDecision(ctx, rubric) {
+  const result = {
+    name: ctx.name,
+    score: 0,
+    categories: {},
+    manual: [],
+    unsupported: [],
+    criticalFailures: [],
+    recommendations: [],
+    weakSections: [],
+  };
+  
+  let weightedSum = 0;
+  let weightTotal = 0;
+  
+  for (const [categoryName, category] of Object.entries(rubric.categories || {})) {
+    const scoring = (rubric.scoring || {})[categoryName] || {};
+    const items = [];
+    
+    const addItem = (item, source, passed) => {
+      items.push({
+        name: item.name || item.check,
+        source,
+        points: Number(item.points) || 0,
+        passed,
+        check: source === 'automated_checks'
+          ? `automated check${item.threshold !== undefined ? ` (threshold ${item.threshold})` : ''}`
+          : item.check,
+        critical: item.critical === true,
+      });
+    };
+    
+    for (const source of ['required_sections', 'optional_sections', 'criteria']) {
+      for (const item of scoring[source] || []) {
+        if (item.automated === false) {
+          result.manual.push({ category: categoryName, name: item.name, points: item.points, check: item.check });
+          continue;
+        }
+        
+        const checks = source === 'criteria' ? CRITERIA_CHECKS : SECTION_CHECKS;
+        const passed = runCheck(checks, item.name, ctx, item);
+        if (passed === null) {
+          result.unsupported.push(item.name);
+        } else {
+          addItem(item, source, passed);
+        }
+      }
+    }
+    
+    for (const spec of rubric.automated_checks || []) {
+      if (spec.category !== categoryName) {
+        continue;
+      }
+      
+      const passed = runCheck(AUTOMATED_CHECKS, spec.check, ctx, spec);
+      if (passed === null) {
+        result.unsupported.push(spec.check);
+      } else {
+        addItem(spec, 'automated_checks', passed);
+      }
+    }
+    
+    const score = items.filter(item => item.passed).reduce((sum, item) => sum + item.points, 0);
+    const max = items.reduce((sum, item) => sum + item.points, 0);
+    const percent = max > 0 ? Math.round((score / max) * 100) : 0;
+    const weight = Number(category && category.weight) || 0;
+    
+    result.categories[categoryName] = { score, max, percent, weight, items };
+    
+    // Categories with nothing automatable do not drag the total down
+    if (max > 0) {
+      weightedSum += weight * (score / max);
+      weightTotal += weight;
+    }
+    
+    for (const item of items) {
+      if (!item.passed) {
+        result.weakSections.push(Object.assign({ category: categoryName }, item));
+        if (item.critical) {
+          result.criticalFailures.push(item.name);
+        }
+      }
+    }
+  }
+  
+  result.score = weightTotal > 0 ? Math.round((weightedSum / weightTotal) * 100) : 0;
+  
+  const thresholds = Object.values(rubric.thresholds || {})
+    .filter(threshold => typeof threshold.min_score === 'number')
+    .sort((a, b) => b.min_score - a.min_score);
+  const threshold = thresholds.find(candidate => result.score >= candidate.min_score) || {};
+  result.label = threshold.label || '';
+  result.emoji = threshold.emoji || '';
+  
+  const metrics = computeMetrics(ctx);
+  for (const [name, recommendation] of Object.entries(rubric.recommendations || {})) {
+    if (evaluateCondition(recommendation.condition, metrics)) {
+      result.recommendations.push({ name, message: recommendation.message, priority: recommendation.priority });
+    }
+  }
+  
+  const enforcement = rubric.enforcement || {};
+  const blockBelow = Number(enforcement.block_merge_below_score) || 0;
+  const warnBelow = Number(enforcement.warn_below_score || rubric.minimum_acceptable_score) || 0;
+  
+  result.blocked = result.score < blockBelow || result.criticalFailures.length > 0;
+  result.warning = !result.blocked && result.score < warnBelow;
+  result.thresholds = { block: blockBelow, warn: warnBelow };
+  
+  return result;
+}
+
+function renderTemplate(template, vars) {
+  return template.replace(/\{\{\s*([a-z0-9_]+)\s*\}\}/gi, (match, key) =>
+    key in vars ? String(vars[key]) : match
+  );
+}
+
+function renderReport(result, rubric) {
+  const vars = {
+    score: result.score,
+    emoji: result.emoji,
+    label: result.label,
+    decision: result.name,
+  };
+  
+  for (const [name, category] of Object.entries(result.categories)) {
+    vars[`${name}_score`] = category.score;
+    vars[`${name}_max`] = category.max;
+    vars[`${name}_percent`] = category.percent;
+  }
+  
+  const priorityOrder = { high: 0, medium: 1, low: 2 };
+  vars.recommendations = result.recommendations.length > 0
+    ? result.recommendations
+      .slice()
+      .sort((a, b) => (priorityOrder[a.priority] ?? 3) - (priorityOrder[b.priority] ?? 3))
+      .map(rec => `- ${rec.message}${rec.priority ? ` (${rec.priority} priority)` : ''}`)
+      .join('\n')
+    : '- None';
+  
+  vars.weak_sections = result.weakSections.length > 0
+    ? result.weakSections
+      .map(item => `- **${item.name}** (${item.category}, ${item.points} pts)${item.check ? `: ${item.check}` : ''}`)
+      .join('\n')
+    : '- None';
+  
+  const template = (rubric.enforcement && rubric.enforcement.score_comment_template) ||
+    '## 📊 Decision Quality Score: {{score}}/100 {{emoji}}\n';
+  
+  let report = renderTemplate(template, vars).trimEnd() + '\n';
+  
+  if (result.criticalFailures.length > 0) {
+    report += `\n❌ **Critical checks failed:** ${result.criticalFailures.join(', ')}\n`;
+  }
+  if (result.manual.length > 0) {
+    report += `\n_Manual review criteria not scored: ${result.manual.map(item => item.name).join(', ')}_\n`;
+  }
+  
+  return report;
+}
+
+function printResult(result) {
+  console.log(colorize(`\n📊 Scoring: ${result.name}`, 'blue'));
+  
+  const scoreColor = result.blocked ? 'red' : result.warning ? 'yellow' : 'green';
+  console.log(colorize(`  Score: ${result.score}/100 ${result.emoji} ${result.label}`, scoreColor));
+  
+  for (const [name, category] of Object.entries(result.categories)) {
+    const label = name.charAt(0).toUpperCase() + name.slice(1);
+    console.log(`  ${label.padEnd(15)} ${category.score}/${category.max} (${category.percent}%)`);
+  }
+  
+  if (result.criticalFailures.length > 0) {
+    console.log(colorize('  ❌ Critical checks failed:', 'red'));
+    result.criticalFailures.forEach(name => console.log(colorize(`     - ${name}`, 'red')));
+  }
+  
+  if (result.weakSections.length > 0) {
+    console.log(colorize('  ⚠️  Missing or weak:', 'yellow'));
+    result.weakSections.forEach(item => console.log(colorize(`     - ${item.name}${item.check ? `: ${item.check}` : ''}`, 'yellow')));
+  }
+  
+  if (result.recommendations.length > 0) {
+    console.log(colorize('  💡 Recommendations:', 'blue'));
+    result.recommendations.forEach(rec => console.log(`     - ${rec.message}`));
+  }
+  
+  if (result.unsupported.length > 0) {
+    console.log(colorize(`  ℹ️  Unsupported checks skipped: ${result.unsupported.join(', ')}`, 'dim'));
+  }
+  
+  if (result.blocked) {
+    console.log(colorize(`  ❌ Below merge threshold (${result.thresholds.block})`, 'red'));
+  } else if (result.warning) {
+    console.log(colorize(`  ⚠️  Below recommended score (${result.thresholds.warn})`, 'yellow'));
+  } else {
+    console.log(colorize('  ✅ Meets quality threshold', 'green'));
+  }
+}
+
+function getOptionValue(args, name) {
+  const index = args.indexOf(name);
+  return index !== -1 ? args[index + 1] : undefined;
+}
+
+function main() {
+  const args = process.argv.slice(2);
+  
+  // Parse options
+  const options = {
+    all: args.includes('--all'),
+    help: args.includes('--help') || args.includes('-h'),
+    failOnWarn: args.includes('--fail-on-warn'),
+    format: getOptionValue(args, '--format') || 'text',
+    rubric: getOptionValue(args, '--rubric') || RUBRIC_PATH,
+  };
+  
+  const optionValues = [options.format, options.rubric];
+  const decisionId = args.find(arg => !arg.startsWith('-') && !optionValues.includes(arg));
+  
+  if (options.help || (!decisionId && !options.all)) {
+    printUsage();
+    process.exit(options.help ? 0 : 1);
+  }
+  
+  if (!['text', 'markdown', 'json'].includes(options.format)) {
+    console.error(colorize(`❌ Unknown format: ${options.format}`, 'red'));
+    process.exit(1);
+  }
+  
+  if (!fs.existsSync(options.rubric)) {
+    console.error(colorize(`❌ Rubric not found: ${options.rubric}`, 'red'));
+    process.exit(1);
+  }
+  
+  let rubric;
+  try {
+    rubric = loadYamlFile(options.rubric);
+  } catch (e) {
+    console.error(colorize(`❌ Could not parse rubric: ${e.message}`, 'red'));
+    process.exit(1);
+  }
+  
+  if (rubric.enabled === false) {
+    console.log(colorize('ℹ️  Scoring rubric is disabled, skipping', 'dim'));
+    process.exit(0);
+  }
+  
+  let decisionPaths;
+  if (options.all) {
+    if (!fs.existsSync(DECISIONS_DIR)) {
+      console.error(colorize(`❌ Decisions directory not found: ${DECISIONS_DIR}`, 'red'));
+      process.exit(1);
+    }
+    decisionPaths = fs.readdirSync(DECISIONS_DIR, { withFileTypes: true })
+      .filter(dir => dir.isDirectory() && dir.name !== 'TEMPLATE')
+      .map(dir => path.join(DECISIONS_DIR, dir.name));
+  } else {
+    const decisionPath = path.join(DECISIONS_DIR, decisionId);
+    if (!fs.existsSync(decisionPath)) {
+      console.error(colorize(`❌ Decision not found: ${decisionId}`, 'red'));
+      process.exit(1);
+    }
+    decisionPaths = [decisionPath];
+  }
+  
+  const results = decisionPaths.map(decisionPath => scoreDecision(loadDecision(decisionPath), rubric));
+  
+  if (options.format === 'json') {
+    console.log(JSON.stringify(options.all ? results : results[0], null, 2));
+  } else if (options.format === 'markdown') {
+    const reports = results.map(result => {
+      const report = renderReport(result, rubric);
+      return results.length > 1 ? `# ${result.name}\n\n${report}` : report;
+    });
+    process.stdout.write(reports.join('\n'));
+  } else {
+    results.forEach(printResult);
+  }
+  
+  const blocked = results.some(result => result.blocked);
+  const warned = results.some(result => result.warning);
+  process.exit(blocked || (options.failOnWarn && warned) ? 1 : 0);
+}
+
+main();
@@ -0,0 +1,207 @@
+#!/usr/bin/env node
+
+/**
+ * ProvenanceCode: Seal decision records with SHA-256 content digests
+ * Usage: node tools/seal-decision.js [decision-id] [--all] [--check]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { sealDecision, verifySeal } = require('./lib/integrity');
+
+// Configuration
+const DECISIONS_DIR = 'provenance/decisions';
+
+// Colors
+const colors = {
+  reset: '\x1b[0m',
+  red: '\x1b[31m',
+  green: '\x1b[32m',
+  yellow: '\x1b[33m',
+  blue: '\x1b[34m',
+  dim: '\x1b[2m',
+};
+
+function colorize(text, color) {
+  return `${colors[color]}${text}${colors.reset}`;
+}
+
+function printUsage() {
+  console.log('Usage: node tools/seal-decision.js [decision-id] [options]');
+  console.log('');
+  console.log('Computes SHA-256 digests of decision.json, decision.md and every file under');
+  console.log('evidence/, and records them in decision.json (provenanceCode.hash and');
+  console.log('provenanceCode.sealed) and in c2pa.manifest.json.');
+  console.log('');
+  console.log('Examples:');
+  console.log('  node tools/seal-decision.js 001-use-postgresql');
+  console.log('  node tools/seal-decision.js --all');
+  console.log('  node tools/seal-decision.js --all --check');
+  console.log('');
+  console.log('Options:');
+  console.log('  --all          Seal all decisions');
+  console.log('  --check        Only verify existing seals; exit 1 if anything changed');
+  console.log('  --help, -h     Show this help message');
+  console.log('');
+  console.log('Re-seal after every intended change (e.g. after adding an updates[] entry).');
+}
+
+function findAssertion(manifest, label) {
+  if (!Array.isArray(manifest.assertions)) {
+    manifest.assertions = [];
+  }
+  let assertion = manifest.assertions.find(item => item && item.label === label);
+  if (!assertion) {
+    assertion = { label, data: {} };
+    manifest.assertions.push(assertion);
+  }
+  if (!assertion.data || typeof assertion.data !== 'object') {
+    assertion.data = {};
+  }
+  return assertion;
+}
+
+/**
+ * Write the seal into the C2PA manifest: the record hash in c2pa.hash.data,
+ * per-file digests in provenancecode.integrity, and evidence digests on the
+ * matching ingredients.
+ */
+function updateManifest(manifest, files, timestamp) {
+  const hashData = findAssertion(manifest, 'c2pa.hash.data');
+  const recordHash = files[0].hash;
+  hashData.data.name = 'sha256';
+  hashData.data.hash = recordHash.replace(/^sha256:/, '');
+  hashData.data.exclusions = [{ path: 'decision.json#/provenanceCode/hash' }];
+  
+  const integrity = findAssertion(manifest, 'provenancecode.integrity');
+  integrity.data.sealed = timestamp;
+  integrity.data.files = files.map(file => {
+    const entry = { name: file.name, hash: file.hash };
+    if (file.size !== undefined) {
+      entry.size = file.size;
+      entry.modified = file.modified;
+    }
+    return entry;
+  });
+  
+  const byName = new Map(files.map(file => [file.name, file]));
+  for (const ingredient of manifest.ingredients || []) {
+    const file = ingredient && byName.get(ingredient.document_id);
+    if (file) {
+      ingredient.hash = { algorithm: 'sha256', value: file.hash.replace(/^sha256:/, '') };
+    }
+  }
+  
+  return manifest;
+}
+
+function describeChanges(changes) {
+  return changes.map(change => `${change.file} ${change.change}`).join(', ');
+}
+
+function checkDecision(decisionPath) {
+  const name = path.basename(decisionPath);
+  const data = JSON.parse(fs.readFileSync(path.join(decisionPath, 'decision.json'), 'utf8'));
+  const seal = verifySeal(decisionPath, data);
+  
+  if (!seal.sealed) {
+    console.log(colorize(`⚠️  ${name}: not sealed`, 'yellow'));
+    return false;
+  }
+  if (seal.broken) {
+    console.log(colorize(`❌ ${name}: seal cannot be verified: ${seal.broken}`, 'red'));
+    return false;
+  }
+  if (seal.changes.length > 0) {
+    console.log(colorize(`❌ ${name}: changed since sealing on ${seal.date}: ${describeChanges(seal.changes)}`, 'red'));
+    return false;
+  }
+  console.log(colorize(`✅ ${name}: seal intact (sealed ${seal.date})`, 'green'));
+  return true;
+}
+
+function sealOne(decisionPath) {
+  const name = path.basename(decisionPath);
+  const jsonPath = path.join(decisionPath, 'decision.json');
+  const data = JSON.parse(fs.readFileSync(jsonPath, 'utf8'));
+  const timestamp = new Date().toISOString();
+  
+  const previous = verifySeal(decisionPath, data);
+  if (previous.sealed && !previous.broken && previous.changes.length === 0) {
+    console.log(colorize(`✅ ${name}: already sealed, nothing changed`, 'green'));
+    return true;
+  }
+  
+  const result = sealDecision(decisionPath, data, timestamp);
+  fs.writeFileSync(jsonPath, JSON.stringify(result.data, null, 2) + '\n');
+  
+  const manifestPath = path.join(decisionPath, 'c2pa.manifest.json');
+  if (fs.existsSync(manifestPath)) {
+    const manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+    fs.writeFileSync(manifestPath, JSON.stringify(updateManifest(manifest, result.files, timestamp), null, 2) + '\n');
+  }
+  
+  console.log(colorize(`🔒 ${name}: sealed ${result.files.length} files`, 'green') + colorize(` (${result.data.provenanceCode.hash})`, 'dim'));
+  if (previous.broken) {
+    console.log(colorize(`   Re-sealed; the previous seal could not be verified: ${previous.broken}`, 'dim'));
+  } else if (previous.sealed) {
+    console.log(colorize(`   Re-sealed; changed since last seal: ${describeChanges(previous.changes)}`, 'dim'));
+  }
+  return true;
+}
+
+function main() {
+  const args = process.argv.slice(2);
+  
+  // Parse options
+  const options = {
+    all: args.includes('--all'),
+    check: args.includes('--check'),
+    help: args.includes('--help') || args.includes('-h'),
+  };
+  
+  const decisionId = args.find(arg => !arg.startsWith('-'));
+  
+  if (options.help || (!decisionId && !options.all)) {
+    printUsage();
+    process.exit(options.help ? 0 : 1);
+  }
+  
+  let decisionPaths;
+  if (options.all) {
+    if (!fs.existsSync(DECISIONS_DIR)) {
+      console.error(colorize(`❌ Decisions directory not found: ${DECISIONS_DIR}`, 'red'));
+      process.exit(1);
+    }
+    decisionPaths = fs.readdirSync(DECISIONS_DIR, { withFileTypes: true })
+      .filter(dir => dir.isDirectory() && dir.name !== 'TEMPLATE')
+      .map(dir => path.join(DECISIONS_DIR, dir.name));
+  } else {
+    const decisionPath = path.join(DECISIONS_DIR, decisionId);
+    if (!fs.existsSync(decisionPath)) {
+      console.error(colorize(`❌ Decision not found: ${decisionId}`, 'red'));
+      process.exit(1);
+    }
+    decisionPaths = [decisionPath];
+  }
+  
+  let ok = true;
+  for (const decisionPath of decisionPaths) {
+    if (!fs.existsSync(path.join(decisionPath, 'decision.json'))) {
+      console.error(colorize(`❌ ${path.basename(decisionPath)}: decision.json not found`, 'red'));
+      ok = false;
+      continue;
+    }
+    
+    try {
+      ok = (options.check ? checkDecision(decisionPath) : sealOne(decisionPath)) && ok;
+    } catch (e) {
+      console.error(colorize(`❌ ${path.basename(decisionPath)}: ${e.message}`, 'red'));
+      ok = false;
+    }
+  }
+  
+  process.exit(ok ? 0 : 1);
+}
+
+main();
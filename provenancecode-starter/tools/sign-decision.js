@@ -0,0 +1,307 @@
+#!/usr/bin/env node
+
+/**
+ * ProvenanceCode: Sign and verify decision approvals (Ed25519)
+ * Usage: node tools/sign-decision.js <decision-id> [--key <file|key-id>]
+ *        node tools/sign-decision.js --generate-key --name <name> [--role <role>]
+ *        node tools/sign-decision.js [decision-id] [--all] --verify
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { verifySeal } = require('./lib/integrity');
+const {
+  sameName,
+  generateKeyPair,
+  loadTrustList,
+  signApproval,
+  findKeyForPrivateKey,
+  verifyApprovals,
+} = require('./lib/signing');
+
+// Configuration
+const DECISIONS_DIR = 'provenance/decisions';
+const KEYS_DIR = 'provenance/keys';
+const PRIVATE_KEYS_DIR = process.env.PROVENANCECODE_KEYS_DIR || path.join(os.homedir(), '.provenancecode', 'keys');
+
+// Colors
+const colors = {
+  reset: '\x1b[0m',
+  red: '\x1b[31m',
+  green: '\x1b[32m',
+  yellow: '\x1b[33m',
+  blue: '\x1b[34m',
+  dim: '\x1b[2m',
+};
+
+function colorize(text, color) {
+  return `${colors[color]}${text}${colors.reset}`;
+}
+
+function printUsage() {
+  console.log('Usage: node tools/sign-decision.js <decision-id> [options]');
+  console.log('');
+  console.log('Signs your approval of a sealed decision record with your Ed25519 key, and');
+  console.log(`verifies approval signatures against the trust list in ${KEYS_DIR}/.`);
+  console.log('');
+  console.log('Examples:');
+  console.log('  node tools/sign-decision.js --generate-key --name "John Doe" --role CTO');
+  console.log('  node tools/sign-decision.js 001-use-postgresql');
+  console.log('  node tools/sign-decision.js 001-use-postgresql --key ~/keys/john-doe.pem');
+  console.log('  node tools/sign-decision.js --all --verify');
+  console.log('');
+  console.log('Options:');
+  console.log('  --generate-key          Create a keypair and add the public key to the trust list');
+  console.log('  --name <name>           Approver name for --generate-key (as in approval.approvedBy)');
+  console.log('  --role <role>           Approver role for --generate-key');
+  console.log('  --key <file|key-id>     Private key to sign with (default: $PROVENANCECODE_KEY,');
+  console.log(`                          or the only key in ${PRIVATE_KEYS_DIR})`);
+  console.log('  --verify                Verify approval signatures instead of signing');
+  console.log('  --all                   With --verify, check all decisions');
+  console.log('  --help, -h              Show this help message');
+  console.log('');
+  console.log('Private keys stay on your machine; only provenance/keys/<key-id>.json is committed.');
+}
+
+function getOptionValue(args, name) {
+  const index = args.indexOf(name);
+  return index !== -1 ? args[index + 1] : undefined;
+}
+
+function readJson(filePath) {
+  return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
+function generateKey(options) {
+  if (!options.name) {
+    console.error(colorize('❌ --generate-key needs --name (your name as it appears in approval.approvedBy)', 'red'));
+    process.exit(1);
+  }
+  
+  const { entry, privateKeyPem } = generateKeyPair(options.name, options.role, new Date().toISOString().split('T')[0]);
+  const publicPath = path.join(KEYS_DIR, `${entry.keyId}.json`);
+  const privatePath = path.join(PRIVATE_KEYS_DIR, `${entry.keyId}.pem`);
+  
+  for (const existing of [publicPath, privatePath]) {
+    if (fs.existsSync(existing)) {
+      console.error(colorize(`❌ Key already exists: ${existing}`, 'red'));
+      process.exit(1);
+    }
+  }
+  
+  fs.mkdirSync(PRIVATE_KEYS_DIR, { recursive: true, mode: 0o700 });
+  fs.writeFileSync(privatePath, privateKeyPem, { mode: 0o600 });
+  fs.mkdirSync(KEYS_DIR, { recursive: true });
+  fs.writeFileSync(publicPath, JSON.stringify(entry, null, 2) + '\n');
+  
+  console.log(colorize(`🔑 Generated Ed25519 key for ${entry.name}`, 'green'));
+  console.log(colorize('  Private key:', 'blue'), privatePath, colorize('(keep it secret, never commit it)', 'dim'));
+  console.log(colorize('  Public key: ', 'blue'), publicPath);
+  console.log(colorize('  Fingerprint:', 'blue'), entry.fingerprint);
+  console.log('');
+  console.log('Next: commit the public key so others can verify your signatures:');
+  console.log(`  git add ${publicPath}`);
+}
+
+function resolvePrivateKey(keyOption) {
+  if (keyOption) {
+    if (fs.existsSync(keyOption)) {
+      return keyOption;
+    }
+    const named = path.join(PRIVATE_KEYS_DIR, `${keyOption}.pem`);
+    if (fs.existsSync(named)) {
+      return named;
+    }
+    throw new Error(`Private key not found: ${keyOption}`);
+  }
+  
+  const available = fs.existsSync(PRIVATE_KEYS_DIR)
+    ? fs.readdirSync(PRIVATE_KEYS_DIR).filter(name => name.endsWith('.pem'))
+    : [];
+  if (available.length === 1) {
+    return path.join(PRIVATE_KEYS_DIR, available[0]);
+  }
+  throw new Error(available.length === 0
+    ? 'No private key found. Create one with --generate-key, or pass --key'
+    : `Several keys in ${PRIVATE_KEYS_DIR}; choose one with --key`);
+}
+
+/**
+ * Add the signature to the approver's entry in the provenancecode.actors
+ * assertion, creating the assertion or the entry if needed.
+ */
+function storeSignature(manifest, approver, signature) {
+  if (!Array.isArray(manifest.assertions)) {
+    manifest.assertions = [];
+  }
+  let assertion = manifest.assertions.find(item => item && item.label === 'provenancecode.actors');
+  if (!assertion) {
+    assertion = { label: 'provenancecode.actors', data: {} };
+    manifest.assertions.push(assertion);
+  }
+  assertion.data = assertion.data && typeof assertion.data === 'object' ? assertion.data : {};
+  if (!Array.isArray(assertion.data.approvers)) {
+    assertion.data.approvers = [];
+  }
+  
+  let actor = assertion.data.approvers.find(item => item && sameName(item.name, approver.name));
+  if (!actor) {
+    actor = { name: approver.name, role: approver.role, date: approver.date };
+    assertion.data.approvers.push(actor);
+  }
+  actor.signature = signature;
+  return manifest;
+}
+
+function signDecision(decisionId, options) {
+  const decisionPath = path.join(DECISIONS_DIR, decisionId);
+  const jsonPath = path.join(decisionPath, 'decision.json');
+  const manifestPath = path.join(decisionPath, 'c2pa.manifest.json');
+  
+  if (!fs.existsSync(jsonPath)) {
+    throw new Error(`Decision not found: ${decisionId}`);
+  }
+  if (!fs.existsSync(manifestPath)) {
+    throw new Error(`${manifestPath} not found; signatures are stored in the C2PA manifest`);
+  }
+  
+  const { keys } = loadTrustList(KEYS_DIR);
+  const privateKeyPem = fs.readFileSync(resolvePrivateKey(options.key), 'utf8');
+  const key = findKeyForPrivateKey(keys, privateKeyPem);
+  if (!key) {
+    throw new Error(`The public half of this key is not in ${KEYS_DIR}/. Commit it before signing`);
+  }
+  if (key.revoked) {
+    throw new Error(`Key "${key.keyId}" was revoked on ${key.revoked}`);
+  }
+  
+  const data = readJson(jsonPath);
+  const seal = verifySeal(decisionPath, data);
+  if (!seal.sealed) {
+    throw new Error(`${decisionId} is not sealed. Run: node tools/seal-decision.js ${decisionId}`);
+  }
+  if (seal.broken) {
+    throw new Error(`The seal of ${decisionId} cannot be verified: ${seal.broken}`);
+  }
+  if (seal.changes.length > 0) {
+    throw new Error(`${decisionId} changed since it was sealed. Review the changes, then re-seal it`);
+  }
+  
+  const approvers = data.approval && Array.isArray(data.approval.approvedBy) ? data.approval.approvedBy : [];
+  const approver = approvers.find(item => item && sameName(item.name, key.name));
+  if (!approver) {
+    throw new Error(`${key.name} is not listed in approval.approvedBy of ${decisionId}`);
+  }
+  
+  const signature = signApproval(privateKeyPem, data.id, data.provenanceCode.hash, key.keyId, key.name, new Date().toISOString());
+  const manifest = storeSignature(readJson(manifestPath), approver, signature);
+  fs.writeFileSync(manifestPath, JSON.stringify(manifest, null, 2) + '\n');
+  
+  console.log(colorize(`✍️  ${decisionId}: approval by ${key.name} signed`, 'green') + colorize(` (key ${key.keyId}, ${data.provenanceCode.hash})`, 'dim'));
+}
+
+function verifyDecision(decisionPath, keys) {
+  const name = path.basename(decisionPath);
+  const data = readJson(path.join(decisionPath, 'decision.json'));
+  const manifestPath = path.join(decisionPath, 'c2pa.manifest.json');
+  const manifest = fs.existsSync(manifestPath) ? readJson(manifestPath) : null;
+  
+  console.log(colorize(`\n🔏 ${name}`, 'blue'));
+  
+  const seal = verifySeal(decisionPath, data);
+  if (!seal.sealed) {
+    console.log(colorize('  ⚠️  Not sealed; approvals cannot be signed yet', 'yellow'));
+    return false;
+  }
+  if (seal.broken) {
+    console.log(colorize(`  ❌ Seal cannot be verified: ${seal.broken}`, 'red'));
+    return false;
+  }
+  
+  const results = verifyApprovals(data, manifest, keys, seal);
+  if (results.length === 0) {
+    console.log(colorize('  ⚠️  No approvals listed in approval.approvedBy', 'yellow'));
+    return true;
+  }
+  
+  const icons = { valid: ['✅', 'green'], unsigned: ['⚠️ ', 'yellow'], stale: ['⚠️ ', 'yellow'] };
+  for (const result of results) {
+    const [icon, color] = icons[result.status] || ['❌', 'red'];
+    console.log(colorize(`  ${icon} ${result.message}`, color));
+  }
+  return results.every(result => result.status === 'valid');
+}
+
+function main() {
+  const args = process.argv.slice(2);
+  
+  // Parse options
+  const options = {
+    all: args.includes('--all'),
+    verify: args.includes('--verify'),
+    generateKey: args.includes('--generate-key'),
+    help: args.includes('--help') || args.includes('-h'),
+    name: getOptionValue(args, '--name'),
+    role: getOptionValue(args, '--role'),
+    key: getOptionValue(args, '--key') || process.env.PROVENANCECODE_KEY,
+  };
+  
+  const valueOptions = ['--name', '--role', '--key'];
+  const decisionId = args.find((arg, i) => !arg.startsWith('-') && !valueOptions.includes(args[i - 1]));
+  
+  if (options.help) {
+    printUsage();
+    process.exit(0);
+  }
+  
+  if (options.generateKey) {
+    generateKey(options);
+    process.exit(0);
+  }
+  
+  if (!decisionId && !(options.verify && options.all)) {
+    printUsage();
+    process.exit(1);
+  }
+  
+  if (options.verify) {
+    const { keys, errors } = loadTrustList(KEYS_DIR);
+    errors.forEach(error => console.error(colorize(`⚠️  ${KEYS_DIR}/${error}`, 'yellow')));
+    if (keys.size === 0) {
+      console.error(colorize(`❌ No trusted keys in ${KEYS_DIR}/`, 'red'));
+      process.exit(1);
+    }
+    
+    if (!fs.existsSync(DECISIONS_DIR)) {
+      console.error(colorize(`❌ Decisions directory not found: ${DECISIONS_DIR}`, 'red'));
+      process.exit(1);
+    }
+    
+    const decisionPaths = options.all
+      ? fs.readdirSync(DECISIONS_DIR, { withFileTypes: true })
+        .filter(dir => dir.isDirectory() && dir.name !== 'TEMPLATE')
+        .map(dir => path.join(DECISIONS_DIR, dir.name))
+      : [path.join(DECISIONS_DIR, decisionId)];
+    
+    let ok = true;
+    for (const decisionPath of decisionPaths) {
+      try {
+        ok = verifyDecision(decisionPath, keys) && ok;
+      } catch (e) {
+        console.error(colorize(`  ❌ ${e.message}`, 'red'));
+        ok = false;
+      }
+    }
+    process.exit(ok ? 0 : 1);
+  }
+  
+  try {
+    signDecision(decisionId, options);
+  } catch (e) {
+    console.error(colorize(`❌ ${e.message}`, 'red'));
+    process.exit(1);
+  }
+}
+
+main();
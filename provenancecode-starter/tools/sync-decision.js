@@ -0,0 +1,214 @@
+#!/usr/bin/env node
+
+/**
+ * ProvenanceCode: Keep decision.md and decision.json in sync
+ * Usage: node tools/sync-decision.js [decision-id] [--all] [--from md|json] [--dry-run]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const {
+  parseDecisionMarkdown,
+  compareDecision,
+  applyMarkdownToJson,
+  applyJsonToMarkdown,
+  renderDecisionMarkdown,
+} = require('./lib/decision-markdown');
+
+// Configuration
+const DECISIONS_DIR = 'provenance/decisions';
+
+// Colors
+const colors = {
+  reset: '\x1b[0m',
+  red: '\x1b[31m',
+  green: '\x1b[32m',
+  yellow: '\x1b[33m',
+  blue: '\x1b[34m',
+  dim: '\x1b[2m',
+};
+
+function colorize(text, color) {
+  return `${colors[color]}${text}${colors.reset}`;
+}
+
+function printUsage() {
+  console.log('Usage: node tools/sync-decision.js [decision-id] [options]');
+  console.log('');
+  console.log('Checks that decision.md and decision.json agree, or regenerates one from the other.');
+  console.log('Synced fields: title, status, date, deciders, last updated, the context problem');
+  console.log('statement and constraints, the decision summary (first paragraph under "## Decision"),');
+  console.log('consequences, alternatives, metadata (tags, affects, owner, stakeholders, review date)');
+  console.log('and approval. Other free-form prose in decision.md is never changed.');
+  console.log('');
+  console.log('Examples:');
+  console.log('  node tools/sync-decision.js 001-use-postgresql');
+  console.log('  node tools/sync-decision.js --all');
+  console.log('  node tools/sync-decision.js 001-use-postgresql --from md');
+  console.log('  node tools/sync-decision.js 001-use-postgresql --from json --dry-run');
+  console.log('');
+  console.log('Options:');
+  console.log('  --all            Process all decisions');
+  console.log('  --from md        Update decision.json from decision.md');
+  console.log('  --from json      Update decision.md from decision.json');
+  console.log('  --dry-run        Print the regenerated file instead of writing it');
+  console.log('  --help, -h       Show this help message');
+  console.log('');
+  console.log('Without --from, reports mismatches and exits 1 if any are found.');
+  console.log('--from md does not change the status; use tools/decision-status.js for that.');
+}
+
+function getOptionValue(args, name) {
+  const index = args.indexOf(name);
+  return index !== -1 ? args[index + 1] : undefined;
+}
+
+function readRecord(decisionPath) {
+  const mdPath = path.join(decisionPath, 'decision.md');
+  const jsonPath = path.join(decisionPath, 'decision.json');
+  return {
+    name: path.basename(decisionPath),
+    mdPath,
+    jsonPath,
+    markdown: fs.existsSync(mdPath) ? fs.readFileSync(mdPath, 'utf8') : null,
+    json: fs.existsSync(jsonPath) ? JSON.parse(fs.readFileSync(jsonPath, 'utf8')) : null,
+  };
+}
+
+function checkRecord(record) {
+  console.log(colorize(`\n🔄 Checking: ${record.name}`, 'blue'));
+  
+  if (record.markdown === null || record.json === null) {
+    const missing = record.markdown === null ? 'decision.md' : 'decision.json';
+    console.log(colorize(`  ❌ Missing ${missing}`, 'red'));
+    return false;
+  }
+  
+  const mismatches = compareDecision(record.markdown, record.json);
+  if (mismatches.length === 0) {
+    console.log(colorize('  ✅ decision.md and decision.json agree', 'green'));
+    return true;
+  }
+  
+  console.log(colorize(`  ❌ ${mismatches.length} mismatch${mismatches.length === 1 ? '' : 'es'}:`, 'red'));
+  mismatches.forEach(mismatch => console.log(colorize(`     - ${mismatch.field}: ${mismatch.message}`, 'red')));
+  return false;
+}
+
+function syncRecord(record, from, dryRun) {
+  const source = from === 'md' ? 'decision.md' : 'decision.json';
+  const target = from === 'md' ? record.jsonPath : record.mdPath;
+  
+  if ((from === 'md' ? record.markdown : record.json) === null) {
+    console.error(colorize(`❌ ${record.name}: ${source} not found`, 'red'));
+    return false;
+  }
+  
+  // Status changes go through decision-status.js, which checks the allowed
+  // transitions and records them in updates[]
+  if (from === 'md' && record.json !== null) {
+    const status = parseDecisionMarkdown(record.markdown).status;
+    if (status && status !== record.json.status) {
+      console.error(colorize(`❌ ${record.name}: decision.md has status "${status}", decision.json has "${record.json.status || 'none'}"`, 'red'));
+      console.error(`   Change the status with: node tools/decision-status.js ${record.name} ${status}`);
+      return false;
+    }
+  }
+  
+  let output;
+  if (from === 'md') {
+    const json = applyMarkdownToJson(record.markdown, record.json || { id: record.name });
+    output = JSON.stringify(json, null, 2) + '\n';
+  } else {
+    output = record.markdown === null
+      ? renderDecisionMarkdown(record.json)
+      : applyJsonToMarkdown(record.json, record.markdown);
+  }
+  
+  if (dryRun) {
+    process.stdout.write(output);
+    return true;
+  }
+  
+  const previous = fs.existsSync(target) ? fs.readFileSync(target, 'utf8') : null;
+  if (previous === output) {
+    console.log(colorize(`✅ ${record.name}: ${path.basename(target)} already up to date`, 'green'));
+    return true;
+  }
+  
+  fs.writeFileSync(target, output);
+  console.log(colorize(`✅ ${record.name}: ${previous === null ? 'created' : 'updated'} ${path.basename(target)} from ${source}`, 'green'));
+  return true;
+}
+
+function main() {
+  const args = process.argv.slice(2);
+  
+  // Parse options
+  const options = {
+    all: args.includes('--all'),
+    dryRun: args.includes('--dry-run'),
+    help: args.includes('--help') || args.includes('-h'),
+    from: getOptionValue(args, '--from'),
+  };
+  
+  const decisionId = args.find(arg => !arg.startsWith('-') && arg !== options.from);
+  
+  if (options.help || (!decisionId && !options.all)) {
+    printUsage();
+    process.exit(options.help ? 0 : 1);
+  }
+  
+  if (options.from !== undefined && !['md', 'json'].includes(options.from)) {
+    console.error(colorize(`❌ --from must be "md" or "json", got: ${options.from}`, 'red'));
+    process.exit(1);
+  }
+  
+  if (options.dryRun && options.all) {
+    console.error(colorize('❌ --dry-run works on a single decision', 'red'));
+    process.exit(1);
+  }
+  
+  let decisionPaths;
+  if (options.all) {
+    if (!fs.existsSync(DECISIONS_DIR)) {
+      console.error(colorize(`❌ Decisions directory not found: ${DECISIONS_DIR}`, 'red'));
+      process.exit(1);
+    }
+    decisionPaths = fs.readdirSync(DECISIONS_DIR, { withFileTypes: true })
+      .filter(dir => dir.isDirectory() && dir.name !== 'TEMPLATE')
+      .map(dir => path.join(DECISIONS_DIR, dir.name));
+  } else {
+    const decisionPath = path.join(DECISIONS_DIR, decisionId);
+    if (!fs.existsSync(decisionPath)) {
+      console.error(colorize(`❌ Decision not found: ${decisionId}`, 'red'));
+      process.exit(1);
+    }
+    decisionPaths = [decisionPath];
+  }
+  
+  let ok = true;
+  for (const decisionPath of decisionPaths) {
+    let record;
+    try {
+      record = readRecord(decisionPath);
+    } catch (e) {
+      console.error(colorize(`❌ ${path.basename(decisionPath)}: invalid JSON in decision.json: ${e.message}`, 'red'));
+      ok = false;
+      continue;
+    }
+    
+    const result = options.from ? syncRecord(record, options.from, options.dryRun) : checkRecord(record);
+    ok = ok && result;
+  }
+  
+  if (!options.from) {
+    console.log('\n' + (ok
+      ? colorize('✅ All checked decisions are in sync', 'green')
+      : colorize('❌ Out of sync. Fix by hand, or run with --from md / --from json', 'red')));
+  }
+  
+  process.exit(ok ? 0 : 1);
+}
+
+main();
@@ -0,0 +1,48 @@
+/**
+ * Tests for build-site.js
+ * Run: node --test tools/test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+const TOOL = path.join(__dirname, '..', 'build-site.js');
+
+// A repository with two decisions whose tags share slugs
+function repo() {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'pc-site-'));
+  const decisions = {
+    '001-use-cpp': ['C++', 'API', 'index'],
+    '002-use-csharp': ['C#', 'api'],
+  };
+  for (const [id, tags] of Object.entries(decisions)) {
+    const dir = path.join(root, 'provenance', 'decisions', id);
+    fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(path.join(dir, 'decision.json'), JSON.stringify({ id, title: `Decision ${id}`, status: 'accepted', metadata: { tags } }, null, 2));
+  }
+  return root;
+}
+
+test('tags that slugify alike get their own pages', () => {
+  const root = repo();
+  try {
+    const { status } = spawnSync(process.execPath, [TOOL, '--out', 'site'], { cwd: root, encoding: 'utf8' });
+    assert.strictEqual(status, 0);
+    
+    const tagsDir = path.join(root, 'site', 'tags');
+    assert.deepStrictEqual(fs.readdirSync(tagsDir).sort(), ['api-2.html', 'api.html', 'c-2.html', 'c.html', 'index-tag.html', 'index.html']);
+    assert.match(fs.readFileSync(path.join(tagsDir, 'c.html'), 'utf8'), /Tagged “C#”/);
+    assert.match(fs.readFileSync(path.join(tagsDir, 'c-2.html'), 'utf8'), /Tagged “C\+\+”/);
+    assert.match(fs.readFileSync(path.join(tagsDir, 'api-2.html'), 'utf8'), /002-use-csharp/);
+    
+    const page = fs.readFileSync(path.join(root, 'site', 'decisions', '001-use-cpp.html'), 'utf8');
+    assert.match(page, /href="\.\.\/tags\/c-2\.html">C\+\+<\/a>/);
+    assert.match(page, /href="\.\.\/tags\/api\.html">API<\/a>/);
+  } finally {
+    fs.rmSync(root, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,188 @@
+/**
+ * Tests for check-policy.js
+ * Run: node --test tools/test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync, execFileSync } = require('child_process');
+
+const TOOL = path.join(__dirname, '..', 'check-policy.js');
+
+const POLICY = [
+  'name: test-policy',
+  'enabled: true',
+  'protected_paths:',
+  '  - path: "src/api/**"',
+  '    reason: "API changes affect clients"',
+  '    exemptions:',
+  '      - "src/api/**/*.test.js"',
+  'decision_reference_patterns:',
+  '  - pattern: "#\\\\d{3}"',
+  '  - pattern: "\\\\[Decision\\\\s+\\\\d{3}\\\\]"',
+  'validation:',
+  '  verify_decision_exists: true',
+  '  required_status: [accepted, implemented]',
+  '  disallow_status: [deprecated, rejected, superseded]',
+  'exemptions:',
+  '  always_exempt:',
+  '    - "**/*.md"',
+  '  exempt_branches:',
+  '    - "dependabot/**"',
+  'enforcement:',
+  '  block_merge: true',
+  '  comment_template: |',
+  '    Decision required for:',
+  '    {{modified_paths}}',
+  '',
+  '    {{violations}}',
+].join('\n');
+
+// A git repository with the policy and three decisions
+function repo() {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'pc-policy-'));
+  fs.mkdirSync(path.join(root, 'provenance', 'policies'), { recursive: true });
+  fs.writeFileSync(path.join(root, 'provenance', 'policies', 'require-decision-on-paths.yml'), POLICY + '\n');
+  const decisions = {
+    '001-use-rest': { status: 'accepted' },
+    '002-use-soap': { status: 'superseded' },
+    '003-use-grpc': { status: 'proposed' },
+  };
+  for (const [id, data] of Object.entries(decisions)) {
+    const dir = path.join(root, 'provenance', 'decisions', id);
+    fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(path.join(dir, 'decision.json'), JSON.stringify(Object.assign({ id, title: id, date: '2026-01-01' }, data), null, 2));
+  }
+  return root;
+}
+
+function git(root, ...args) {
+  return execFileSync('git', ['-c', 'user.name=Test', '-c', 'user.email=test@example.com', ...args], { cwd: root, encoding: 'utf8' });
+}
+
+function check(root, args, input) {
+  const result = spawnSync(process.execPath, [TOOL, ...args], { cwd: root, encoding: 'utf8', input });
+  return { status: result.status, stdout: result.stdout, stderr: result.stderr };
+}
+
+function verdict(root, args, input) {
+  const result = check(root, args.concat('--format', 'json'), input);
+  return Object.assign(JSON.parse(result.stdout), { status: result.status });
+}
+
+test('protected changes need a referenced decision in an allowed status', () => {
+  const root = repo();
+  try {
+    const missing = verdict(root, ['src/api/users.js']);
+    assert.strictEqual(missing.status, 1);
+    assert.deepStrictEqual(missing.protectedChanges.map(change => change.path), ['src/api/**']);
+    assert.deepStrictEqual(missing.violations, ['No decision record referenced']);
+    
+    const accepted = verdict(root, ['src/api/users.js', '--body', 'Implements [Decision 001]']);
+    assert.strictEqual(accepted.status, 0);
+    assert.strictEqual(accepted.passed, true);
+    assert.deepStrictEqual(accepted.decisions.map(decision => [decision.id, decision.valid]), [['001-use-rest', true]]);
+    
+    const inactive = verdict(root, ['src/api/users.js', '--title', 'feat: move to SOAP (#002), see #003 and #009']);
+    assert.strictEqual(inactive.status, 1);
+    assert.deepStrictEqual(inactive.decisions.map(decision => decision.problems), [
+      ['002-use-soap has disallowed status "superseded"'],
+      ['003-use-grpc has status "proposed", expected accepted or implemented'],
+      ['Decision #009 not found in provenance/decisions'],
+    ]);
+  } finally {
+    fs.rmSync(root, { recursive: true, force: true });
+  }
+});
+
+test('exempt files, branches and unprotected paths need no decision', () => {
+  const root = repo();
+  try {
+    assert.strictEqual(verdict(root, ['src/api/users.test.js', 'src/api/README.md', 'src/web/app.js']).requiresDecision, false);
+    
+    const branch = verdict(root, ['src/api/users.js', '--branch', 'dependabot/npm/express']);
+    assert.strictEqual(branch.status, 0);
+    assert.strictEqual(branch.exemptReason, 'branch "dependabot/npm/express" is exempt');
+  } finally {
+    fs.rmSync(root, { recursive: true, force: true });
+  }
+});
+
+test('reads changed files from stdin and from a git range', () => {
+  const root = repo();
+  try {
+    const fromStdin = verdict(root, ['--files', '-'], 'src/api/users.js\r\nsrc/web/app.js\n\n');
+    assert.deepStrictEqual(fromStdin.changedFiles, ['src/api/users.js', 'src/web/app.js']);
+    
+    git(root, 'init', '-q');
+    git(root, 'add', '-A');
+    git(root, 'commit', '-q', '-m', 'Initial commit');
+    fs.mkdirSync(path.join(root, 'src', 'api'), { recursive: true });
+    fs.writeFileSync(path.join(root, 'src', 'api', 'users.js'), 'module.exports = {};\n');
+    git(root, 'add', '-A');
+    git(root, 'commit', '-q', '-m', 'feat: users endpoint (#001)');
+    
+    const fromGit = verdict(root, ['--diff', 'HEAD~1...HEAD']);
+    assert.deepStrictEqual(fromGit.changedFiles, ['src/api/users.js']);
+    assert.deepStrictEqual(fromGit.references, ['001']);
+    assert.strictEqual(fromGit.passed, true);
+  } finally {
+    fs.rmSync(root, { recursive: true, force: true });
+  }
+});
+
+test('renders the comment template for a violation', () => {
+  const root = repo();
+  try {
+    const { status, stdout } = check(root, ['src/api/users.js', '--format', 'markdown']);
+    
+    assert.strictEqual(status, 1);
+    assert.strictEqual(stdout, 'Decision required for:\n- `src/api/users.js` (src/api/**)\n\n- No decision record referenced\n');
+  } finally {
+    fs.rmSync(root, { recursive: true, force: true });
+  }
+});
+
+test('custom rules need a referenced decision that meets their requirements', () => {
+  const root = repo();
+  try {
+    const policyPath = path.join(root, 'provenance', 'policies', 'require-decision-on-paths.yml');
+    fs.appendFileSync(policyPath, [
+      'custom_rules:',
+      '  - name: migrations-need-rollback',
+      '    paths:',
+      '      - "db/migrations/**"',
+      '    requirements:',
+      '      decision_tags_must_include: [database]',
+      '      decision_must_have_section: migration',
+      '      evidence_must_include: ["*.sql"]',
+    ].join('\n') + '\n');
+    const decisionPath = path.join(root, 'provenance', 'decisions', '001-use-rest');
+    const data = JSON.parse(fs.readFileSync(path.join(decisionPath, 'decision.json'), 'utf8'));
+    data.metadata = { tags: ['database'] };
+    data.implementation = { migration: { steps: ['Add the column'] } };
+    fs.writeFileSync(path.join(decisionPath, 'decision.json'), JSON.stringify(data, null, 2));
+    
+    const failing = verdict(root, ['db/migrations/001.sql', '--body', '#001']);
+    assert.strictEqual(failing.status, 1);
+    assert.deepStrictEqual(failing.violations, ['Custom rule "migrations-need-rollback" failed']);
+    assert.deepStrictEqual(failing.customRules[0].failures, [{
+      decision: '001-use-rest',
+      reasons: ['implementation.migration is missing: rollback', 'evidence/ is missing: *.sql'],
+    }]);
+    
+    data.implementation.migration.rollback = 'Drop the column';
+    fs.writeFileSync(path.join(decisionPath, 'decision.json'), JSON.stringify(data, null, 2));
+    fs.mkdirSync(path.join(decisionPath, 'evidence'), { recursive: true });
+    fs.writeFileSync(path.join(decisionPath, 'evidence', 'dry-run.sql'), 'SELECT 1;\n');
+    
+    const passing = verdict(root, ['db/migrations/001.sql', '--body', '#001']);
+    assert.strictEqual(passing.status, 0);
+    assert.strictEqual(passing.customRules[0].satisfiedBy, '001-use-rest');
+  } finally {
+    fs.rmSync(root, { recursive: true, force: true });
+  }
+});
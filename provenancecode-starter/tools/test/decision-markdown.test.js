@@ -0,0 +1,114 @@
+/**
+ * Tests for lib/decision-markdown.js
+ * Run: node --test tools/test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { renderDecisionMarkdown, applyJsonToMarkdown, applyMarkdownToJson, compareDecision } = require('../lib/decision-markdown');
+
+const decision = {
+  title: 'Use PostgreSQL for order storage',
+  status: 'proposed',
+  date: '2026-03-01',
+  deciders: ['Jane Smith'],
+  context: {
+    problem: 'Orders are stored in flat files that cannot be queried',
+    constraints: ['Budget under $1,000 a month', 'The team knows SQL'],
+  },
+  decision: { summary: 'Store orders in PostgreSQL' },
+  consequences: {
+    positive: ['Ad-hoc queries'],
+    negative: ['One more service to run'],
+    risks: [
+      { description: 'Operational load', likelihood: 'medium', impact: 'high', mitigation: 'Use a managed service' },
+      { description: 'Vendor lock-in', likelihood: 'low', impact: 'low' },
+    ],
+  },
+};
+
+test('json -> md -> json keeps constraints and risks', () => {
+  const markdown = renderDecisionMarkdown(decision);
+  
+  assert.deepStrictEqual(compareDecision(markdown, decision), []);
+  
+  const json = applyMarkdownToJson(markdown, {});
+  assert.deepStrictEqual(json.context.constraints, decision.context.constraints);
+  assert.deepStrictEqual(json.consequences.risks, decision.consequences.risks);
+});
+
+test('syncing into decision.md without the subsections adds them', () => {
+  const markdown = [
+    '# Decision: Use PostgreSQL for order storage',
+    '',
+    '## Context',
+    '',
+    'Orders are stored in flat files.',
+    '',
+    '---',
+    '',
+    '## Consequences',
+    '',
+    '### Positive',
+    '',
+    '- Ad-hoc queries',
+    '',
+    '---',
+    '',
+  ].join('\n');
+  
+  assert.ok(compareDecision(markdown, decision).some(mismatch => mismatch.field === 'consequences.risks'));
+  
+  const synced = applyJsonToMarkdown(decision, markdown);
+  assert.match(synced, /### Constraints\n\n- Budget under \$1,000 a month\n- The team knows SQL/);
+  assert.match(synced, /- Operational load \(likelihood: medium, impact: high\)\. Mitigation: Use a managed service/);
+  assert.deepStrictEqual(compareDecision(synced, decision), []);
+});
+
+test('md -> json keeps JSON-only properties of a listed risk', () => {
+  const json = { consequences: { risks: [{ description: 'Vendor lock-in', likelihood: 'low', impact: 'low', owner: 'Platform Team' }] } };
+  const markdown = '# Decision: X\n\n## Consequences\n\n### Risks\n\n- Vendor lock-in (likelihood: medium, impact: low)\n';
+  
+  assert.deepStrictEqual(applyMarkdownToJson(markdown, json).consequences.risks, [
+    { description: 'Vendor lock-in', likelihood: 'medium', impact: 'low', owner: 'Platform Team' },
+  ]);
+});
+
+test('the problem statement and decision summary are synced and checked', () => {
+  const markdown = [
+    '# Decision: Use PostgreSQL for order storage',
+    '',
+    '## Context',
+    '',
+    'Orders are kept in spreadsheets.',
+    '',
+    '### Constraints',
+    '',
+    '- Budget under $1,000 a month',
+    '- The team knows SQL',
+    '',
+    '---',
+    '',
+    '## Decision',
+    '',
+    'Store orders in MySQL',
+    '',
+    'Run it on the managed offering.',
+    '',
+    '---',
+    '',
+  ].join('\n');
+  
+  const mismatches = compareDecision(markdown, decision).map(mismatch => mismatch.field);
+  assert.ok(mismatches.includes('context.problem'));
+  assert.ok(mismatches.includes('decision.summary'));
+  
+  const json = applyMarkdownToJson(markdown, decision);
+  assert.strictEqual(json.context.problem, 'Orders are kept in spreadsheets.');
+  assert.deepStrictEqual(json.decision, { summary: 'Store orders in MySQL' });
+  
+  const synced = applyJsonToMarkdown(decision, markdown);
+  assert.match(synced, /## Context\n\nOrders are stored in flat files that cannot be queried\n\n### Constraints/);
+  assert.match(synced, /## Decision\n\nStore orders in PostgreSQL\n\nRun it on the managed offering\.\n/);
+  assert.ok(!compareDecision(synced, decision).some(mismatch => ['context.problem', 'decision.summary'].includes(mismatch.field)));
+});
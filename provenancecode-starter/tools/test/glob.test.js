@@ -0,0 +1,40 @@
+/**
+ * Tests for lib/glob.js
+ * Run: node --test tools/test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { matchesGlob, matchesAny } = require('../lib/glob');
+
+function assertMatches(pattern, matching, other) {
+  matching.forEach(file => assert.ok(matchesGlob(file, pattern), `${pattern} should match ${file}`));
+  other.forEach(file => assert.ok(!matchesGlob(file, pattern), `${pattern} should not match ${file}`));
+}
+
+test('** spans directories', () => {
+  assertMatches('src/**/*.js', ['src/a.js', 'src/x/y/a.js'], ['src/a.ts', 'lib/a.js']);
+  assertMatches('src/core/**', ['src/core', 'src/core/a/b.js'], ['src/corex/a.js', 'src']);
+  assertMatches('infrastructure/**.md', ['infrastructure/a/b.md', 'infrastructure/a.md'], ['infrastructure/a.tf']);
+  assertMatches('**/README*', ['README.md', 'docs/README.md'], ['docs/readme.md']);
+});
+
+test('*, ? and character classes stay within one directory', () => {
+  assertMatches('src/*.js', ['src/a.js'], ['src/a/b.js']);
+  assertMatches('src/a?.js', ['src/ab.js'], ['src/a/.js', 'src/abc.js']);
+  assertMatches('v[0-9].js', ['v1.js'], ['va.js']);
+  assertMatches('v[!0-9].js', ['va.js'], ['v1.js']);
+});
+
+test('braces list alternatives and other characters are literal', () => {
+  assertMatches('*.{js,ts}', ['a.js', 'a.ts'], ['a.py']);
+  assertMatches('a+b.js', ['a+b.js'], ['aab.js']);
+  assertMatches('src/(x).js', ['src/(x).js'], ['src/x.js']);
+});
+
+test('paths are normalised before matching', () => {
+  assert.ok(matchesGlob('./src/a.js', 'src/*.js'));
+  assert.ok(matchesGlob('src\\a.js', 'src/*.js'));
+  assert.ok(matchesAny('src/a.js', ['lib/**', 'src/**']));
+  assert.ok(!matchesAny('src/a.js', undefined));
+});
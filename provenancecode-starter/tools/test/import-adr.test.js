@@ -0,0 +1,147 @@
+/**
+ * Tests for importAdrs in lib/provenancecode.js
+ * Run: node --test tools/test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { importAdrs, validateDecisions } = require('../lib/provenancecode');
+
+const ADRS = {
+  '0001-use-postgresql.md': [
+    '# 1. Use PostgreSQL',
+    '',
+    'Date: 2026-01-10',
+    '',
+    '## Status',
+    '',
+    'Superseded by [3. Use CockroachDB](0003-use-cockroachdb.md)',
+    '',
+    '## Context',
+    '',
+    'Orders are stored in flat files that cannot be queried or backed up consistently.',
+    '',
+    '## Decision',
+    '',
+    'Store orders in PostgreSQL.',
+    '',
+    '## Consequences',
+    '',
+    'One more service to run.',
+  ],
+  '0002-use-rest.md': [
+    '# 2. Use REST',
+    '',
+    'Date: 2026-01-12',
+    '',
+    '## Status',
+    '',
+    'Accepted',
+    '',
+    'Amended by [4. Version the API](0004-version-the-api.md)',
+    '',
+    '## Context',
+    '',
+    'Clients need a way to read and create orders over HTTP from several languages.',
+    '',
+    '## Decision',
+    '',
+    'Expose orders through a REST API.',
+    '',
+    '## Consequences',
+    '',
+    'Every client speaks HTTP already.',
+  ],
+  '0003-use-cockroachdb.md': [
+    '# 3. Use CockroachDB',
+    '',
+    'Date: 2026-02-01',
+    '',
+    '## Status',
+    '',
+    'Accepted',
+    '',
+    '## Context',
+    '',
+    'Orders must be written in two regions, which a single PostgreSQL primary cannot do.',
+    '',
+    '## Decision',
+    '',
+    'Store orders in CockroachDB.',
+    '',
+    '## Consequences',
+    '',
+    'Multi-region writes.',
+  ],
+  '0004-version-the-api.md': [
+    '# 4. Version the API',
+    '',
+    'Date: 2026-02-03',
+    '',
+    '## Status',
+    '',
+    'Accepted',
+    '',
+    '## Context',
+    '',
+    'Breaking changes to the order API must not break clients that have not upgraded.',
+    '',
+    '## Decision',
+    '',
+    'Prefix every route with /v1.',
+    '',
+    '## Consequences',
+    '',
+    'Old clients keep working.',
+  ],
+};
+
+// A repository with the starter's provenance/ folder and the ADRs in docs/adr
+function repoWithAdrs() {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'pc-import-'));
+  fs.cpSync(path.join(__dirname, '..', '..', 'provenance'), path.join(root, 'provenance'), { recursive: true });
+  const adrDir = path.join(root, 'docs', 'adr');
+  fs.mkdirSync(adrDir, { recursive: true });
+  for (const [name, lines] of Object.entries(ADRS)) {
+    fs.writeFileSync(path.join(adrDir, name), lines.join('\n') + '\n');
+  }
+  return { root, adrDir };
+}
+
+test('links named by one ADR are recorded on both records', () => {
+  const { root, adrDir } = repoWithAdrs();
+  try {
+    const imports = importAdrs([adrDir], { root, deciders: 'Jane Smith', now: new Date('2026-03-01T00:00:00Z') });
+    const byId = new Map(imports.map(item => [item.id, item.data]));
+    
+    assert.strictEqual(byId.get('001-use-postgresql').status, 'superseded');
+    assert.strictEqual(byId.get('001-use-postgresql').relatedDecisions.supersededBy, '003-use-cockroachdb');
+    assert.deepStrictEqual(byId.get('003-use-cockroachdb').relatedDecisions.supersedes, ['001-use-postgresql']);
+    assert.deepStrictEqual(byId.get('004-version-the-api').relatedDecisions.dependsOn, ['002-use-rest']);
+    
+    const graph = validateDecisions({ root }).graph;
+    assert.deepStrictEqual(graph.errors.map(finding => `${finding.ruleId} ${finding.message}`), []);
+  } finally {
+    fs.rmSync(root, { recursive: true, force: true });
+  }
+});
+
+test('the updates entry names the ADR by its path in the repository', () => {
+  const { root, adrDir } = repoWithAdrs();
+  const outside = fs.mkdtempSync(path.join(os.tmpdir(), 'pc-adr-'));
+  try {
+    fs.copyFileSync(path.join(adrDir, '0004-version-the-api.md'), path.join(outside, '0005-version-the-api.md'));
+    const imports = importAdrs([path.join(adrDir, '0002-use-rest.md'), path.join(outside, '0005-version-the-api.md')], { root, dryRun: true });
+    
+    assert.deepStrictEqual(imports.map(item => item.data.updates[0].description), [
+      'Imported from docs/adr/0002-use-rest.md (nygard ADR)',
+      'Imported from 0005-version-the-api.md (nygard ADR)',
+    ]);
+  } finally {
+    fs.rmSync(root, { recursive: true, force: true });
+    fs.rmSync(outside, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,40 @@
+/**
+ * Tests for lib/json-schema.js
+ * Run: node --test tools/test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { validateSchema } = require('../lib/json-schema');
+
+test('resolves local $ref in nested schemas without $id', () => {
+  const schema = {
+    definitions: { x: { type: 'string' } },
+    properties: { a: { properties: { b: { $ref: '#/definitions/x' } } } },
+  };
+  
+  assert.deepStrictEqual(validateSchema({ a: { b: 'text' } }, schema), []);
+  
+  const errors = validateSchema({ a: { b: 1 } }, schema);
+  assert.strictEqual(errors.length, 1);
+  assert.strictEqual(errors[0].path, '/a/b');
+  assert.strictEqual(errors[0].keyword, 'type');
+});
+
+test('resolves a recursive $ref to the root without $id', () => {
+  const schema = { type: 'object', properties: { child: { $ref: '#' } } };
+  
+  assert.deepStrictEqual(validateSchema({ child: { child: {} } }, schema), []);
+  assert.strictEqual(validateSchema({ child: { child: 3 } }, schema)[0].path, '/child/child');
+});
+
+test('resolves plain-name fragments against $id', () => {
+  const schema = {
+    $id: 'https://example.com/schema.json',
+    definitions: { name: { $id: '#name', type: 'string' } },
+    properties: { title: { $ref: '#name' } },
+  };
+  
+  assert.deepStrictEqual(validateSchema({ title: 'ok' }, schema), []);
+  assert.strictEqual(validateSchema({ title: 5 }, schema)[0].keyword, 'type');
+});
@@ -0,0 +1,65 @@
+/**
+ * Tests for new-decision.js
+ * Run: node --test tools/test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+const TOOL = path.join(__dirname, '..', 'new-decision.js');
+const TEMPLATE = path.join(__dirname, '..', '..', 'provenance', 'decisions', 'TEMPLATE');
+
+// A repository with the decision template and no decisions yet
+function repo() {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'pc-new-'));
+  fs.cpSync(TEMPLATE, path.join(root, 'provenance', 'decisions', 'TEMPLATE'), { recursive: true });
+  return root;
+}
+
+function create(root, fields) {
+  fs.writeFileSync(path.join(root, 'draft.json'), JSON.stringify(fields));
+  const result = spawnSync(process.execPath, [TOOL, 'use-postgresql', '--from-json', 'draft.json'], { cwd: root, encoding: 'utf8' });
+  return { status: result.status, stdout: result.stdout, stderr: result.stderr };
+}
+
+test('--from-json merges a partial decision.json into the new record', () => {
+  const root = repo();
+  try {
+    const { status } = create(root, { title: 'Use PostgreSQL', decision: { summary: 'We will use PostgreSQL.' }, metadata: { tags: ['database'] } });
+    assert.strictEqual(status, 0);
+    
+    const [id] = fs.readdirSync(path.join(root, 'provenance', 'decisions')).filter(name => name !== 'TEMPLATE');
+    const data = JSON.parse(fs.readFileSync(path.join(root, 'provenance', 'decisions', id, 'decision.json'), 'utf8'));
+    assert.strictEqual(data.title, 'Use PostgreSQL');
+    assert.strictEqual(data.decision.summary, 'We will use PostgreSQL.');
+    assert.deepStrictEqual(data.metadata.tags, ['database']);
+  } finally {
+    fs.rmSync(root, { recursive: true, force: true });
+  }
+});
+
+test('--from-json rejects null or non-object sections without creating anything', () => {
+  const root = repo();
+  try {
+    const cases = [
+      [{ decision: null }, /Invalid draft\.json: "decision" must be an object, not null/],
+      [{ metadata: 'database' }, /"metadata" must be an object, not a string/],
+      [{ context: ['problem'] }, /"context" must be an object, not an array/],
+      [null, /Invalid draft\.json: Decision fields must be a JSON object, not null/],
+      [[], /Decision fields must be a JSON object, not an array/],
+    ];
+    for (const [fields, message] of cases) {
+      const { status, stderr } = create(root, fields);
+      assert.strictEqual(status, 1);
+      assert.match(stderr, message);
+      assert.ok(!stderr.includes('TypeError'), stderr);
+    }
+    assert.deepStrictEqual(fs.readdirSync(path.join(root, 'provenance', 'decisions')), ['TEMPLATE']);
+  } finally {
+    fs.rmSync(root, { recursive: true, force: true });
+  }
+});
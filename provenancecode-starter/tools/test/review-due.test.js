@@ -0,0 +1,154 @@
+/**
+ * Tests for review-due.js
+ * Run: node --test tools/test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+const TOOL = path.join(__dirname, '..', 'review-due.js');
+const TODAY = '2026-06-01';
+
+// A repository with one decision per case, reviewed as of TODAY
+function repo() {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'pc-review-'));
+  const decisions = {
+    '001-overdue': {
+      status: 'implemented',
+      date: '2026-01-01',
+      metadata: { owner: 'Platform Team' },
+      monitoring: { reviewDate: '2026-05-01', successCriteria: ['p99 under 200ms'] },
+    },
+    '002-due-soon': {
+      status: 'implemented',
+      date: '2026-01-01',
+      metadata: { owner: 'Data Team' },
+      monitoring: { reviewDate: '2026-06-15' },
+    },
+    '003-not-implemented': {
+      status: 'accepted',
+      date: '2026-01-01',
+      approval: { approvedBy: [{ name: 'Jane Smith', date: '2026-01-10' }] },
+      metadata: { owner: 'Platform Team' },
+    },
+    '004-migration': {
+      status: 'implemented',
+      date: '2026-04-01',
+      implementation: { migration: { steps: ['2026-05-15: switch reads to the new cluster', '2026-09-01: retire the old cluster'] } },
+    },
+    '005-deprecated': {
+      status: 'deprecated',
+      date: '2025-01-01',
+      monitoring: { reviewDate: '2025-06-01' },
+    },
+    '006-later': {
+      status: 'implemented',
+      date: '2026-05-01',
+      monitoring: { reviewDate: '2026-12-01' },
+    },
+  };
+  for (const [id, data] of Object.entries(decisions)) {
+    const dir = path.join(root, 'provenance', 'decisions', id);
+    fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(path.join(dir, 'decision.json'), JSON.stringify(Object.assign({ id, title: `Decision ${id}` }, data), null, 2));
+  }
+  return root;
+}
+
+function review(root, ...args) {
+  const result = spawnSync(process.execPath, [TOOL, '--date', TODAY, ...args], { cwd: root, encoding: 'utf8' });
+  return { status: result.status, stdout: result.stdout, stderr: result.stderr };
+}
+
+function kindsById(report) {
+  const kinds = {};
+  for (const group of report.owners) {
+    group.decisions.forEach(decision => { kinds[decision.id] = decision.items.map(item => item.kind); });
+  }
+  return kinds;
+}
+
+test('reports due reviews, unimplemented decisions and stale migrations, grouped by owner', () => {
+  const root = repo();
+  try {
+    const { status, stdout } = review(root, '--format', 'json');
+    const report = JSON.parse(stdout);
+    
+    assert.strictEqual(status, 0);
+    assert.strictEqual(report.date, TODAY);
+    assert.strictEqual(report.dueWithinDays, 30);
+    assert.deepStrictEqual(report.owners.map(group => group.owner), ['Data Team', 'Platform Team', '(no owner)']);
+    assert.deepStrictEqual(kindsById(report), {
+      '002-due-soon': ['review-due'],
+      '001-overdue': ['review-overdue'],
+      '003-not-implemented': ['not-implemented'],
+      '004-migration': ['migration-stale'],
+    });
+    
+    const overdue = report.owners[1].decisions[0];
+    assert.deepStrictEqual(overdue.successCriteria, ['p99 under 200ms']);
+    assert.strictEqual(overdue.items[0].message, 'Review overdue since 2026-05-01 (31 days)');
+  } finally {
+    fs.rmSync(root, { recursive: true, force: true });
+  }
+});
+
+test('--within, --owner and the config review settings narrow the report', () => {
+  const root = repo();
+  try {
+    assert.deepStrictEqual(Object.keys(kindsById(JSON.parse(review(root, '--format', 'json', '--within', '200').stdout))),
+      ['002-due-soon', '001-overdue', '003-not-implemented', '004-migration', '006-later']);
+    
+    const platform = JSON.parse(review(root, '--format', 'json', '--owner', 'platform team').stdout);
+    assert.deepStrictEqual(Object.keys(kindsById(platform)), ['001-overdue', '003-not-implemented']);
+    
+    fs.writeFileSync(path.join(root, 'provenance', 'config.yml'), 'review:\n  due_within_days: 7\n  implement_within_days: 365\n');
+    assert.deepStrictEqual(Object.keys(kindsById(JSON.parse(review(root, '--format', 'json').stdout))),
+      ['001-overdue', '004-migration']);
+  } finally {
+    fs.rmSync(root, { recursive: true, force: true });
+  }
+});
+
+test('flags records older than the policy maximum age', () => {
+  const root = repo();
+  try {
+    fs.mkdirSync(path.join(root, 'provenance', 'policies'), { recursive: true });
+    fs.writeFileSync(path.join(root, 'provenance', 'policies', 'require-decision-on-paths.yml'), 'validation:\n  max_decision_age_days: 100\n');
+    
+    const report = JSON.parse(review(root, '--format', 'json').stdout);
+    assert.strictEqual(report.maxAgeDays, 100);
+    assert.deepStrictEqual(kindsById(report)['002-due-soon'], ['review-due', 'stale']);
+  } finally {
+    fs.rmSync(root, { recursive: true, force: true });
+  }
+});
+
+test('exports every active review date as an iCalendar event', () => {
+  const root = repo();
+  try {
+    const { status, stdout } = review(root, '--format', 'ics');
+    
+    assert.strictEqual(status, 0);
+    assert.match(stdout, /^BEGIN:VCALENDAR\r\n/);
+    assert.deepStrictEqual(stdout.match(/UID:review-[^@]+/g), ['UID:review-001-overdue', 'UID:review-002-due-soon', 'UID:review-006-later']);
+    assert.match(stdout, /DTSTART;VALUE=DATE:20260615\r\nDTEND;VALUE=DATE:20260616\r\n/);
+    assert.match(stdout, /Success criteria:\\n- p99 under 200ms/);
+  } finally {
+    fs.rmSync(root, { recursive: true, force: true });
+  }
+});
+
+test('rejects bad options', () => {
+  const root = repo();
+  try {
+    assert.match(review(root, '--format', 'xml').stderr, /Unknown format: xml/);
+    assert.match(review(root, '--within', 'soon').stderr, /--within must be a number of days/);
+  } finally {
+    fs.rmSync(root, { recursive: true, force: true });
+  }
+});
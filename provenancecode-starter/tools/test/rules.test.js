@@ -0,0 +1,85 @@
+/**
+ * Tests for lib/rules.js
+ * Run: node --test tools/test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { RULES, loadLintConfig } = require('../lib/rules');
+const { validateDecision } = require('../lib/provenancecode');
+
+// Rules that guard record integrity or the links between records
+const UNSUPPRESSIBLE = [
+  'PC001', 'PC003', 'PC005', 'PC018', 'PC021', 'PC027', 'PC029', 'PC030', 'PC031', 'PC032',
+  'PC034', 'PC038', 'PC039', 'PC040', 'PC041', 'PC043', 'PC048', 'PC049', 'PC050',
+];
+
+// A repository with one record ignoring the given rules
+function recordIgnoring(ignore) {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'pc-rules-'));
+  const decisionPath = path.join(root, 'provenance', 'decisions', '001-test');
+  fs.mkdirSync(decisionPath, { recursive: true });
+  fs.writeFileSync(path.join(decisionPath, 'decision.json'), JSON.stringify({
+    id: '001-test',
+    title: 'Test record',
+    status: 'proposed',
+    date: '2026-01-01',
+    lint: { ignore: ignore, reason: 'Testing' },
+  }, null, 2));
+  return root;
+}
+
+function lintIgnoreFindings(result) {
+  return result.errors.concat(result.warnings).filter(finding => finding.ruleId === 'PC036');
+}
+
+test('the integrity rules are marked unsuppressible', () => {
+  assert.deepStrictEqual(RULES.filter(rule => rule.suppressible === false).map(rule => rule.id), UNSUPPRESSIBLE);
+});
+
+test('lint.ignore of an unsuppressible rule is reported as PC036', () => {
+  const root = recordIgnoring(UNSUPPRESSIBLE);
+  try {
+    const findings = lintIgnoreFindings(validateDecision('001-test', { root }));
+    
+    assert.strictEqual(findings.length, UNSUPPRESSIBLE.length);
+    UNSUPPRESSIBLE.forEach((id, index) => assert.match(findings[index].message, new RegExp(`${id} .* cannot be suppressed$`)));
+  } finally {
+    fs.rmSync(root, { recursive: true, force: true });
+  }
+});
+
+test('lint.ignore only takes advisory rules', () => {
+  const root = recordIgnoring(['no-alternatives', 'PC017', 'PC999']);
+  try {
+    const result = validateDecision('001-test', { root });
+    const findings = lintIgnoreFindings(result);
+    
+    assert.deepStrictEqual(findings.map(finding => finding.message), [
+      'lint.ignore: PC017 markdown-out-of-sync cannot be suppressed per record; set its severity in provenance/config.yml',
+      'lint.ignore: unknown rule "PC999"',
+    ]);
+    assert.ok(result.suppressed.some(finding => finding.ruleId === 'PC015'));
+  } finally {
+    fs.rmSync(root, { recursive: true, force: true });
+  }
+});
+
+test('config.yml cannot switch an unsuppressible rule off', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pc-config-'));
+  const configPath = path.join(dir, 'config.yml');
+  try {
+    for (const id of UNSUPPRESSIBLE) {
+      fs.writeFileSync(configPath, `lint:\n  rules:\n    ${id}: off\n`);
+      assert.throws(() => loadLintConfig(configPath, true), /cannot be switched off/);
+    }
+    
+    fs.writeFileSync(configPath, 'lint:\n  rules:\n    PC017: off\n');
+    assert.strictEqual(loadLintConfig(configPath, true).severities.get('markdown-out-of-sync'), 'off');
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,145 @@
+/**
+ * Tests for score-decision.js
+ * Run: node --test tools/test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+const TOOL = path.join(__dirname, '..', 'score-decision.js');
+
+const RUBRIC = [
+  'enabled: true',
+  'categories:',
+  '  completeness:',
+  '    weight: 1',
+  'scoring:',
+  '  completeness:',
+  '    required_sections:',
+  '      - name: title',
+  '        points: 5',
+  '      - name: deciders',
+  '        points: 5',
+  '    optional_sections:',
+  '      - name: alternatives',
+  '        points: 5',
+  '      - name: context_clear',
+  '        points: 5',
+  '        automated: false',
+  'thresholds:',
+  '  good:',
+  '    min_score: 60',
+  '    label: Good',
+  '    emoji: "✅"',
+  '  poor:',
+  '    min_score: 0',
+  '    label: Poor',
+  '    emoji: "❌"',
+  'recommendations:',
+  '  add_alternatives:',
+  '    condition: "alternatives_count == 0"',
+  '    message: Document the alternatives you considered',
+  '    priority: high',
+  'enforcement:',
+  '  block_merge_below_score: 50',
+  '  warn_below_score: 70',
+  '  score_comment_template: |',
+  '    ## Score for {{decision}}: {{score}}/100 {{emoji}}',
+  '',
+  '    {{recommendations}}',
+].join('\n');
+
+// A repository with a rubric and two decisions
+function repo() {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'pc-score-'));
+  fs.writeFileSync(path.join(root, 'rubric.yml'), RUBRIC + '\n');
+  const decisions = {
+    '001-complete': { title: 'Use PostgreSQL', deciders: ['Jane Smith'] },
+    '002-sparse': { title: 'Use Redis' },
+  };
+  for (const [id, data] of Object.entries(decisions)) {
+    const dir = path.join(root, 'provenance', 'decisions', id);
+    fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(path.join(dir, 'decision.json'), JSON.stringify(Object.assign({ id }, data), null, 2));
+  }
+  return root;
+}
+
+function score(root, ...args) {
+  const result = spawnSync(process.execPath, [TOOL, ...args, '--rubric', 'rubric.yml'], { cwd: root, encoding: 'utf8' });
+  return { status: result.status, stdout: result.stdout, stderr: result.stderr };
+}
+
+test('scores automated checks and leaves manual criteria out', () => {
+  const root = repo();
+  try {
+    const { status, stdout } = score(root, '001-complete', '--format', 'json');
+    const result = JSON.parse(stdout);
+    
+    assert.strictEqual(status, 0);
+    assert.strictEqual(result.score, 67);
+    assert.strictEqual(result.label, 'Good');
+    assert.deepStrictEqual(result.categories.completeness.items.map(item => [item.name, item.passed]), [
+      ['title', true],
+      ['deciders', true],
+      ['alternatives', false],
+    ]);
+    assert.deepStrictEqual(result.manual.map(item => item.name), ['context_clear']);
+    assert.deepStrictEqual(result.recommendations.map(item => item.name), ['add_alternatives']);
+    assert.strictEqual(result.blocked, false);
+    assert.strictEqual(result.warning, true);
+  } finally {
+    fs.rmSync(root, { recursive: true, force: true });
+  }
+});
+
+test('exits 1 below the block threshold, and with --fail-on-warn below the warning threshold', () => {
+  const root = repo();
+  try {
+    const sparse = score(root, '002-sparse', '--format', 'json');
+    assert.strictEqual(sparse.status, 1);
+    assert.strictEqual(JSON.parse(sparse.stdout).blocked, true);
+    
+    assert.strictEqual(score(root, '001-complete', '--fail-on-warn').status, 1);
+  } finally {
+    fs.rmSync(root, { recursive: true, force: true });
+  }
+});
+
+test('renders the markdown comment template for every decision with --all', () => {
+  const root = repo();
+  try {
+    const { stdout } = score(root, '--all', '--format', 'markdown');
+    
+    assert.match(stdout, /# 001-complete\n\n## Score for 001-complete: 67\/100 ✅\n\n- Document the alternatives you considered \(high priority\)/);
+    assert.match(stdout, /## Score for 002-sparse: 33\/100 ❌/);
+  } finally {
+    fs.rmSync(root, { recursive: true, force: true });
+  }
+});
+
+test('prints plain text when stdout is not a terminal', () => {
+  const root = repo();
+  try {
+    const { stdout } = score(root, '001-complete');
+    
+    assert.match(stdout, /Score: 67\/100 ✅ Good/);
+    assert.ok(!stdout.includes('\x1b['), 'no ANSI escapes in piped output');
+  } finally {
+    fs.rmSync(root, { recursive: true, force: true });
+  }
+});
+
+test('fails on an unknown decision or format', () => {
+  const root = repo();
+  try {
+    assert.match(score(root, '009-missing').stderr, /Decision not found: 009-missing/);
+    assert.match(score(root, '001-complete', '--format', 'html').stderr, /Unknown format: html/);
+  } finally {
+    fs.rmSync(root, { recursive: true, force: true });
+  }
+});
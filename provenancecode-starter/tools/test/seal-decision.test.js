@@ -0,0 +1,152 @@
+/**
+ * Tests for seal-decision.js and lib/integrity.js
+ * Run: node --test tools/test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { canonicalJson, digestDecisionJson, verifySeal } = require('../lib/integrity');
+const { validateDecision } = require('../lib/provenancecode');
+
+const TOOL = path.join(__dirname, '..', 'seal-decision.js');
+
+// A repository with one decision, its markdown, an evidence file and a C2PA manifest
+function repo() {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'pc-seal-'));
+  const decisionPath = path.join(root, 'provenance', 'decisions', '001-use-postgresql');
+  fs.mkdirSync(path.join(decisionPath, 'evidence'), { recursive: true });
+  fs.writeFileSync(path.join(decisionPath, 'decision.json'), JSON.stringify({
+    id: '001-use-postgresql',
+    title: 'Use PostgreSQL',
+    status: 'accepted',
+    updates: [],
+  }, null, 2));
+  fs.writeFileSync(path.join(decisionPath, 'decision.md'), '# Decision: Use PostgreSQL\r\n');
+  fs.writeFileSync(path.join(decisionPath, 'evidence', 'benchmark.csv'), 'tps\n1200\n');
+  fs.writeFileSync(path.join(decisionPath, 'c2pa.manifest.json'), JSON.stringify({ assertions: [] }, null, 2));
+  return { root, decisionPath };
+}
+
+function seal(root, ...args) {
+  const result = spawnSync(process.execPath, [TOOL, ...args], { cwd: root, encoding: 'utf8' });
+  return { status: result.status, stdout: result.stdout, stderr: result.stderr };
+}
+
+function readJson(filePath) {
+  return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
+test('canonical JSON sorts keys and the record hash leaves out the hash itself', () => {
+  assert.strictEqual(canonicalJson({ b: [1, { d: 2, c: undefined }], a: 'x' }), '{"a":"x","b":[1,{"d":2}]}');
+  
+  const data = { id: 'x', provenanceCode: { version: '1.0' } };
+  const hash = digestDecisionJson(data);
+  assert.match(hash, /^sha256:[0-9a-f]{64}$/);
+  assert.strictEqual(digestDecisionJson({ provenanceCode: { hash, version: '1.0' }, id: 'x' }), hash);
+});
+
+test('seals decision.json, decision.md and the evidence files', () => {
+  const { root, decisionPath } = repo();
+  try {
+    const { status, stdout } = seal(root, '001-use-postgresql');
+    assert.strictEqual(status, 0);
+    assert.match(stdout, /sealed 3 files/);
+    
+    const data = readJson(path.join(decisionPath, 'decision.json'));
+    assert.strictEqual(data.provenanceCode.hash, digestDecisionJson(data));
+    assert.deepStrictEqual(Object.keys(data.provenanceCode.sealed.files), ['decision.md', 'evidence/benchmark.csv']);
+    assert.strictEqual(data.provenanceCode.sealed.updates, 0);
+    
+    const manifest = readJson(path.join(decisionPath, 'c2pa.manifest.json'));
+    const hashData = manifest.assertions.find(assertion => assertion.label === 'c2pa.hash.data');
+    assert.strictEqual(`sha256:${hashData.data.hash}`, data.provenanceCode.hash);
+    
+    assert.match(seal(root, '001-use-postgresql').stdout, /already sealed, nothing changed/);
+  } finally {
+    fs.rmSync(root, { recursive: true, force: true });
+  }
+});
+
+test('--check reports every change since sealing', () => {
+  const { root, decisionPath } = repo();
+  try {
+    seal(root, '001-use-postgresql');
+    const intact = seal(root, '--all', '--check');
+    assert.strictEqual(intact.status, 0);
+    assert.match(intact.stdout, /seal intact/);
+    
+    // Line endings alone do not break the seal
+    fs.writeFileSync(path.join(decisionPath, 'decision.md'), '# Decision: Use PostgreSQL\n');
+    assert.strictEqual(seal(root, '001-use-postgresql', '--check').status, 0);
+    
+    const data = readJson(path.join(decisionPath, 'decision.json'));
+    data.title = 'Use MySQL';
+    fs.writeFileSync(path.join(decisionPath, 'decision.json'), JSON.stringify(data, null, 2));
+    fs.writeFileSync(path.join(decisionPath, 'evidence', 'benchmark.csv'), 'tps\n900\n');
+    fs.writeFileSync(path.join(decisionPath, 'evidence', 'notes.md'), 'Notes\n');
+    
+    assert.deepStrictEqual(verifySeal(decisionPath, data).changes, [
+      { file: 'decision.json', change: 'modified' },
+      { file: 'evidence/benchmark.csv', change: 'modified' },
+      { file: 'evidence/notes.md', change: 'added' },
+    ]);
+    const changed = seal(root, '001-use-postgresql', '--check');
+    assert.strictEqual(changed.status, 1);
+    assert.match(changed.stdout, /changed since sealing on .*: decision\.json modified, evidence\/benchmark\.csv modified, evidence\/notes\.md added/);
+    
+    assert.match(seal(root, '001-use-postgresql').stdout, /Re-sealed; changed since last seal/);
+    assert.strictEqual(seal(root, '001-use-postgresql', '--check').status, 0);
+  } finally {
+    fs.rmSync(root, { recursive: true, force: true });
+  }
+});
+
+test('an unsealed record fails --check', () => {
+  const { root } = repo();
+  try {
+    const { status, stdout } = seal(root, '001-use-postgresql', '--check');
+    assert.strictEqual(status, 1);
+    assert.match(stdout, /001-use-postgresql: not sealed/);
+  } finally {
+    fs.rmSync(root, { recursive: true, force: true });
+  }
+});
+
+test('a sealed record stays sealed when its hash is removed or replaced', () => {
+  const { root, decisionPath } = repo();
+  const jsonPath = path.join(decisionPath, 'decision.json');
+  try {
+    seal(root, '001-use-postgresql');
+    const sealed = readJson(jsonPath);
+    
+    const data = readJson(jsonPath);
+    data.title = 'Use MySQL';
+    delete data.provenanceCode.hash;
+    fs.writeFileSync(jsonPath, JSON.stringify(data, null, 2));
+    assert.strictEqual(verifySeal(decisionPath, data).broken, 'provenanceCode.hash is missing, but the record has provenanceCode.sealed, a c2pa.hash.data digest');
+    
+    const missing = seal(root, '001-use-postgresql', '--check');
+    assert.strictEqual(missing.status, 1);
+    assert.match(missing.stdout, /seal cannot be verified: provenanceCode\.hash is missing/);
+    
+    const result = validateDecision('001-use-postgresql', { root });
+    assert.ok(result.errors.some(finding => finding.ruleId === 'PC050'));
+    assert.ok(result.errors.some(finding => finding.ruleId === 'PC018'));
+    
+    // A hash recomputed by hand no longer matches the manifest
+    data.provenanceCode.hash = digestDecisionJson(data);
+    fs.writeFileSync(jsonPath, JSON.stringify(data, null, 2));
+    assert.strictEqual(verifySeal(decisionPath, data).broken, 'provenanceCode.hash does not match the c2pa.hash.data digest in c2pa.manifest.json');
+    assert.ok(validateDecision('001-use-postgresql', { root }).errors.some(finding => finding.ruleId === 'PC050'));
+    
+    assert.match(seal(root, '001-use-postgresql').stdout, /Re-sealed; the previous seal could not be verified/);
+    assert.strictEqual(seal(root, '001-use-postgresql', '--check').status, 0);
+    assert.notStrictEqual(readJson(jsonPath).provenanceCode.hash, sealed.provenanceCode.hash);
+  } finally {
+    fs.rmSync(root, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,149 @@
+/**
+ * Tests for sign-decision.js and lib/signing.js
+ * Run: node --test tools/test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { validateDecision } = require('../lib/provenancecode');
+
+const SIGN = path.join(__dirname, '..', 'sign-decision.js');
+const SEAL = path.join(__dirname, '..', 'seal-decision.js');
+const DECISION = '001-use-postgresql';
+
+// A repository with one decision approved by the given names, and a private key directory
+function repo(approvers) {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'pc-sign-'));
+  const decisionPath = path.join(root, 'provenance', 'decisions', DECISION);
+  fs.mkdirSync(decisionPath, { recursive: true });
+  fs.writeFileSync(path.join(decisionPath, 'decision.json'), JSON.stringify({
+    id: DECISION,
+    title: 'Use PostgreSQL',
+    status: 'accepted',
+    approval: { approvedBy: approvers.map(name => ({ name, date: '2026-01-10' })) },
+    updates: [],
+  }, null, 2));
+  fs.writeFileSync(path.join(decisionPath, 'decision.md'), '# Decision: Use PostgreSQL\n');
+  fs.writeFileSync(path.join(decisionPath, 'c2pa.manifest.json'), JSON.stringify({ assertions: [] }, null, 2));
+  return { root, decisionPath, keysDir: path.join(root, 'private-keys') };
+}
+
+function run(tool, repository, ...args) {
+  const env = Object.assign({}, process.env, { PROVENANCECODE_KEYS_DIR: repository.keysDir });
+  delete env.PROVENANCECODE_KEY;
+  const result = spawnSync(process.execPath, [tool, ...args], { cwd: repository.root, encoding: 'utf8', env });
+  return { status: result.status, stdout: result.stdout, stderr: result.stderr };
+}
+
+function editJson(filePath, edit) {
+  const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  edit(data);
+  fs.writeFileSync(filePath, JSON.stringify(data, null, 2));
+}
+
+test('--generate-key adds the public key to the trust list and keeps the private key outside the repo', () => {
+  const repository = repo(['Jane Smith']);
+  try {
+    const { status } = run(SIGN, repository, '--generate-key', '--name', 'Jane Smith', '--role', 'CTO');
+    assert.strictEqual(status, 0);
+    
+    const entry = JSON.parse(fs.readFileSync(path.join(repository.root, 'provenance', 'keys', 'jane-smith.json'), 'utf8'));
+    assert.strictEqual(entry.name, 'Jane Smith');
+    assert.strictEqual(entry.algorithm, 'ed25519');
+    assert.match(entry.fingerprint, /^sha256:[0-9a-f]{64}$/);
+    assert.strictEqual(fs.statSync(path.join(repository.keysDir, 'jane-smith.pem')).mode & 0o777, 0o600);
+    
+    assert.match(run(SIGN, repository, '--generate-key', '--name', 'Jane Smith').stderr, /Key already exists/);
+  } finally {
+    fs.rmSync(repository.root, { recursive: true, force: true });
+  }
+});
+
+test('signs a sealed record and verifies the signature', () => {
+  const repository = repo(['Jane Smith']);
+  try {
+    run(SIGN, repository, '--generate-key', '--name', 'Jane Smith');
+    assert.match(run(SIGN, repository, DECISION).stderr, /is not sealed/);
+    
+    run(SEAL, repository, DECISION);
+    const signed = run(SIGN, repository, DECISION);
+    assert.strictEqual(signed.status, 0);
+    assert.match(signed.stdout, /approval by Jane Smith signed/);
+    
+    const verified = run(SIGN, repository, '--all', '--verify');
+    assert.strictEqual(verified.status, 0);
+    assert.match(verified.stdout, /Approval by Jane Smith verified \(key jane-smith\)/);
+  } finally {
+    fs.rmSync(repository.root, { recursive: true, force: true });
+  }
+});
+
+test('reports unsigned, stale and tampered approvals', () => {
+  const repository = repo(['Jane Smith', 'John Doe']);
+  const manifestPath = path.join(repository.decisionPath, 'c2pa.manifest.json');
+  try {
+    run(SIGN, repository, '--generate-key', '--name', 'Jane Smith');
+    run(SEAL, repository, DECISION);
+    run(SIGN, repository, DECISION);
+    
+    const unsigned = run(SIGN, repository, DECISION, '--verify');
+    assert.strictEqual(unsigned.status, 1);
+    assert.match(unsigned.stdout, /Approval by John Doe is not signed/);
+    
+    // An intended change, re-sealed: the signature covers the earlier seal
+    editJson(path.join(repository.decisionPath, 'decision.json'), data => data.updates.push({ date: '2026-02-01', author: 'Jane Smith', description: 'Clarified scope' }));
+    run(SEAL, repository, DECISION);
+    assert.match(run(SIGN, repository, DECISION, '--verify').stdout, /Approval by Jane Smith was signed for an earlier seal/);
+    
+    run(SIGN, repository, DECISION);
+    editJson(manifestPath, manifest => {
+      const approver = manifest.assertions.find(item => item.label === 'provenancecode.actors').data.approvers[0];
+      approver.signature.signed = '2020-01-01T00:00:00.000Z';
+    });
+    assert.match(run(SIGN, repository, DECISION, '--verify').stdout, /Approval by Jane Smith has a signature that does not verify/);
+  } finally {
+    fs.rmSync(repository.root, { recursive: true, force: true });
+  }
+});
+
+test('editing a signed record makes its signatures stale', () => {
+  const repository = repo(['Jane Smith']);
+  const jsonPath = path.join(repository.decisionPath, 'decision.json');
+  try {
+    run(SIGN, repository, '--generate-key', '--name', 'Jane Smith');
+    run(SEAL, repository, DECISION);
+    run(SIGN, repository, DECISION);
+    assert.strictEqual(validateDecision(DECISION, { root: repository.root }).errors.filter(finding => finding.ruleId === 'PC049').length, 0);
+    
+    // Edited in place, without re-sealing
+    editJson(jsonPath, data => { data.title = 'Use MySQL'; });
+    const edited = run(SIGN, repository, DECISION, '--verify');
+    assert.strictEqual(edited.status, 1);
+    assert.match(edited.stdout, /Approval by Jane Smith was signed before the record changed \(decision\.json modified\)/);
+    assert.ok(validateDecision(DECISION, { root: repository.root }).errors.some(finding => finding.ruleId === 'PC049'));
+    
+    editJson(jsonPath, data => { data.title = 'Use PostgreSQL'; });
+    fs.writeFileSync(path.join(repository.decisionPath, 'decision.md'), '# Decision: Use MySQL\n');
+    assert.match(run(SIGN, repository, DECISION, '--verify').stdout, /signed before the record changed \(decision\.md modified\)/);
+  } finally {
+    fs.rmSync(repository.root, { recursive: true, force: true });
+  }
+});
+
+test('only approvers listed on the record can sign it', () => {
+  const repository = repo(['John Doe']);
+  try {
+    run(SIGN, repository, '--generate-key', '--name', 'Jane Smith');
+    run(SEAL, repository, DECISION);
+    
+    const { status, stderr } = run(SIGN, repository, DECISION);
+    assert.strictEqual(status, 1);
+    assert.match(stderr, /Jane Smith is not listed in approval\.approvedBy/);
+  } finally {
+    fs.rmSync(repository.root, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,67 @@
+/**
+ * Tests for sync-decision.js
+ * Run: node --test tools/test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { renderDecisionMarkdown } = require('../lib/decision-markdown');
+
+const TOOL = path.join(__dirname, '..', 'sync-decision.js');
+const DECISION = '001-use-postgresql';
+
+// A repository with one proposed decision whose decision.md matches decision.json
+function repo() {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'pc-sync-'));
+  const decisionPath = path.join(root, 'provenance', 'decisions', DECISION);
+  const data = { id: DECISION, title: 'Use PostgreSQL', status: 'proposed', date: '2026-03-01', updates: [] };
+  fs.mkdirSync(decisionPath, { recursive: true });
+  fs.writeFileSync(path.join(decisionPath, 'decision.json'), JSON.stringify(data, null, 2) + '\n');
+  fs.writeFileSync(path.join(decisionPath, 'decision.md'), renderDecisionMarkdown(data));
+  return { root, decisionPath };
+}
+
+function sync(root, ...args) {
+  const result = spawnSync(process.execPath, [TOOL, ...args], { cwd: root, encoding: 'utf8' });
+  return { status: result.status, stdout: result.stdout, stderr: result.stderr };
+}
+
+test('--from md copies edited fields into decision.json', () => {
+  const { root, decisionPath } = repo();
+  const mdPath = path.join(decisionPath, 'decision.md');
+  try {
+    assert.strictEqual(sync(root, DECISION).status, 0);
+    
+    fs.writeFileSync(mdPath, fs.readFileSync(mdPath, 'utf8').replace('# Decision: Use PostgreSQL', '# Decision: Use PostgreSQL 16'));
+    assert.match(sync(root, DECISION).stdout, /title: decision\.md has "Use PostgreSQL 16", decision\.json has "Use PostgreSQL"/);
+    
+    const { status, stdout } = sync(root, DECISION, '--from', 'md');
+    assert.strictEqual(status, 0);
+    assert.match(stdout, /updated decision\.json from decision\.md/);
+    assert.strictEqual(JSON.parse(fs.readFileSync(path.join(decisionPath, 'decision.json'), 'utf8')).title, 'Use PostgreSQL 16');
+  } finally {
+    fs.rmSync(root, { recursive: true, force: true });
+  }
+});
+
+test('--from md refuses a status change and points to decision-status.js', () => {
+  const { root, decisionPath } = repo();
+  const mdPath = path.join(decisionPath, 'decision.md');
+  const jsonPath = path.join(decisionPath, 'decision.json');
+  try {
+    const before = fs.readFileSync(jsonPath, 'utf8');
+    fs.writeFileSync(mdPath, fs.readFileSync(mdPath, 'utf8').replace(/^proposed$/m, 'implemented'));
+    
+    const { status, stderr } = sync(root, DECISION, '--from', 'md');
+    assert.strictEqual(status, 1);
+    assert.match(stderr, /decision\.md has status "implemented", decision\.json has "proposed"/);
+    assert.match(stderr, /node tools\/decision-status\.js 001-use-postgresql implemented/);
+    assert.strictEqual(fs.readFileSync(jsonPath, 'utf8'), before);
+  } finally {
+    fs.rmSync(root, { recursive: true, force: true });
+  }
+});
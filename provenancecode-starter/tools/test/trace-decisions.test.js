@@ -0,0 +1,138 @@
+/**
+ * Tests for trace-decisions.js
+ * Run: node --test tools/test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync, execFileSync } = require('child_process');
+
+const TOOL = path.join(__dirname, '..', 'trace-decisions.js');
+
+const DECISIONS = {
+  '001-use-postgresql': { status: 'accepted', implementation: { components: ['src/db/**', 'Database team'] } },
+  '002-use-memcached': { status: 'superseded', relatedDecisions: { supersededBy: '003-use-redis' } },
+  '003-use-redis': { status: 'accepted', implementation: { components: ['src/cache/'] } },
+};
+
+const FILES = {
+  'src/db/pool.js': '// @decision 001-use-postgresql\nconst pool = {};\n',
+  'src/db/query.js': '/**\n * Parameterised queries, see Decision #001-use-postgresql\n */\nconst query = "decision 002-use-memcached";\n',
+  'src/db/migrate.js': '// Fixes #002, see decision 003 and https://example.com/decisions/#001\nmodule.exports = {};\n',
+  'src/cache/client.py': '# Cache client, see decision 002-use-memcached\nclient = None\n',
+  'src/api/handler.js': '// See provenance/decisions/009-missing\nmodule.exports = {};\n',
+  'src/api/routes.js': 'module.exports = [];\n',
+  'docs/notes.md': '@decision 002-use-memcached is not a comment here\n',
+};
+
+// A git repository with three decisions, source files referencing them and a path policy
+function repo() {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'pc-trace-'));
+  for (const [id, data] of Object.entries(DECISIONS)) {
+    const dir = path.join(root, 'provenance', 'decisions', id);
+    fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(path.join(dir, 'decision.json'), JSON.stringify(Object.assign({ id, title: `Decision ${id}` }, data), null, 2));
+  }
+  fs.mkdirSync(path.join(root, 'provenance', 'policies'), { recursive: true });
+  fs.writeFileSync(path.join(root, 'provenance', 'policies', 'require-decision-on-paths.yml'), [
+    'enabled: true',
+    'protected_paths:',
+    '  - path: "src/api/**"',
+    '    reason: Public API',
+    'decision_reference_patterns:',
+    '  - pattern: "#\\\\d{3}"',
+  ].join('\n') + '\n');
+  for (const [file, content] of Object.entries(FILES)) {
+    fs.mkdirSync(path.dirname(path.join(root, file)), { recursive: true });
+    fs.writeFileSync(path.join(root, file), content);
+  }
+  execFileSync('git', ['init', '-q'], { cwd: root });
+  execFileSync('git', ['add', '-A'], { cwd: root });
+  return root;
+}
+
+function trace(root, ...args) {
+  const result = spawnSync(process.execPath, [TOOL, ...args], { cwd: root, encoding: 'utf8' });
+  return { status: result.status, stdout: result.stdout, stderr: result.stderr };
+}
+
+test('maps decision ids in comments to decisions and reports stale ones', () => {
+  const root = repo();
+  try {
+    const { status, stdout } = trace(root, '--format', 'json');
+    const result = JSON.parse(stdout);
+    
+    assert.strictEqual(status, 1);
+    assert.strictEqual(result.scanned, 6);
+    assert.deepStrictEqual(result.decisions.map(item => [item.id, item.references.map(ref => `${ref.file}:${ref.line}`)]), [
+      ['001-use-postgresql', ['src/db/pool.js:1', 'src/db/query.js:2']],
+      ['002-use-memcached', ['src/cache/client.py:1']],
+    ]);
+    assert.deepStrictEqual(result.stale.map(item => [item.file, item.message]), [
+      ['src/api/handler.js', 'no decision matches "009-missing"'],
+      ['src/cache/client.py', '002-use-memcached is superseded; follow 003-use-redis instead'],
+    ]);
+  } finally {
+    fs.rmSync(root, { recursive: true, force: true });
+  }
+});
+
+test('reports uncovered components and unreferenced protected files as warnings', () => {
+  const root = repo();
+  try {
+    const result = JSON.parse(trace(root, '--format', 'json').stdout);
+    
+    assert.deepStrictEqual(result.uncovered, [
+      { decision: '003-use-redis', status: 'accepted', components: [{ component: 'src/cache/', files: 1 }] },
+    ]);
+    assert.deepStrictEqual(result.unreferenced, [
+      { path: 'src/api/**', reason: 'Public API', files: ['src/api/handler.js', 'src/api/routes.js'], total: 2 },
+    ]);
+    
+    // Without stale references the warnings only fail with --strict
+    fs.writeFileSync(path.join(root, 'src/api/handler.js'), 'module.exports = {};\n');
+    fs.writeFileSync(path.join(root, 'src/cache/client.py'), '# Cache client, see decision 003-use-redis\nclient = None\n');
+    assert.strictEqual(trace(root).status, 0);
+    assert.strictEqual(trace(root, '--strict').status, 1);
+  } finally {
+    fs.rmSync(root, { recursive: true, force: true });
+  }
+});
+
+test('scans untracked files unless .gitignore excludes them', () => {
+  const root = repo();
+  try {
+    fs.writeFileSync(path.join(root, '.gitignore'), 'generated/\n');
+    fs.writeFileSync(path.join(root, 'src/cache/store.js'), '// @decision 003-use-redis\n');
+    fs.mkdirSync(path.join(root, 'generated'));
+    fs.writeFileSync(path.join(root, 'generated/old.js'), '// @decision 009-missing\n');
+    
+    const { stdout } = trace(root, '--decision', '003', '--format', 'json');
+    assert.deepStrictEqual(JSON.parse(stdout).references, [
+      { file: 'src/cache/store.js', line: 1, match: '@decision 003-use-redis' },
+    ]);
+    assert.ok(!JSON.parse(trace(root, '--format', 'json').stdout).stale.some(item => item.file.startsWith('generated/')));
+  } finally {
+    fs.rmSync(root, { recursive: true, force: true });
+  }
+});
+
+test('--decision lists the references to one decision', () => {
+  const root = repo();
+  try {
+    const { status, stdout } = trace(root, '--decision', '001', '--format', 'json');
+    
+    assert.strictEqual(status, 0);
+    assert.deepStrictEqual(JSON.parse(stdout).references, [
+      { file: 'src/db/pool.js', line: 1, match: '@decision 001-use-postgresql' },
+      { file: 'src/db/query.js', line: 2, match: 'Decision #001-use-postgresql' },
+    ]);
+    assert.match(trace(root, '--decision', '003').stdout, /No code in 6 scanned files references 003-use-redis/);
+    assert.match(trace(root, '--decision', '042').stderr, /Decision not found: 042/);
+  } finally {
+    fs.rmSync(root, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,83 @@
+/**
+ * Tests for lib/yaml.js
+ * Run: node --test tools/test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseYaml, YamlError } = require('../lib/yaml');
+
+test('parses mappings, sequences and scalars', () => {
+  const yaml = [
+    '# Rubric',
+    'name: decision-quality  # trailing comment',
+    'enabled: true',
+    'weight: 0.35',
+    'points: 5',
+    'empty:',
+    'list:',
+    '  - one',
+    '  - name: two',
+    '    points: 2',
+    'nested:',
+    '  deeper:',
+    '    key: value',
+  ].join('\n');
+  
+  assert.deepStrictEqual(parseYaml(yaml), {
+    name: 'decision-quality',
+    enabled: true,
+    weight: 0.35,
+    points: 5,
+    empty: null,
+    list: ['one', { name: 'two', points: 2 }],
+    nested: { deeper: { key: 'value' } },
+  });
+});
+
+test('parses quoted scalars, flow collections and block scalars', () => {
+  const yaml = [
+    'hash: "a # b"',
+    "single: 'it''s'",
+    'pattern: "#\\\\d{3}"',
+    'flow: [a, "b, c", 3]',
+    'map: {x: 1, y: [1, 2]}',
+    'literal: |',
+    '  line 1',
+    '  line 2',
+    'folded: >',
+    '  a',
+    '  b',
+  ].join('\n');
+  
+  assert.deepStrictEqual(parseYaml(yaml), {
+    hash: 'a # b',
+    single: "it's",
+    pattern: '#\\d{3}',
+    flow: ['a', 'b, c', 3],
+    map: { x: 1, y: [1, 2] },
+    literal: 'line 1\nline 2\n',
+    folded: 'a b\n',
+  });
+});
+
+test('quotes inside plain scalars do not hide comments', () => {
+  const yaml = [
+    "note: it's fine # comment",
+    "it's: don't 'quote' me  # comment",
+    "escaped: 'it''s # not a comment'",
+    "list: [it's, 'a # b']",
+  ].join('\n');
+  
+  assert.deepStrictEqual(parseYaml(yaml), {
+    note: "it's fine",
+    "it's": "don't 'quote' me",
+    escaped: "it's # not a comment",
+    list: ["it's", 'a # b'],
+  });
+});
+
+test('reports malformed input with its line number', () => {
+  assert.throws(() => parseYaml('a: 1\n  b: 2\n'), error => error instanceof YamlError && error.line === 2);
+  assert.throws(() => parseYaml('a: [1, 2\n'), /Unterminated flow sequence/);
+});
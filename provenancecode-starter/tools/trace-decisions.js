@@ -0,0 +1,476 @@
+#!/usr/bin/env node
+
+/**
+ * ProvenanceCode: Trace decision references in source code
+ * Usage: node tools/trace-decisions.js [--decision <id>] [--format text|json] [--strict]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { loadYamlFile } = require('./lib/yaml');
+const { matchesGlob, matchesAny, normalizePath } = require('./lib/glob');
+const { loadDecisionRecords, buildDecisionGraph } = require('./lib/decision-graph');
+
+// Configuration
+const DECISIONS_DIR = 'provenance/decisions';
+const CONFIG_PATH = 'provenance/config.yml';
+const POLICY_PATH = 'provenance/policies/require-decision-on-paths.yml';
+
+// Used when provenance/config.yml has no trace section
+const DEFAULT_TRACE = {
+  use_policy_patterns: true,
+  patterns: [
+    '@decision\\s+([a-z0-9-]+)',
+    'provenance/decisions/([a-z0-9-]+)',
+    '\\b[Dd]ecision:?\\s+#?(\\d[a-z0-9]*-[a-z0-9-]+)',
+  ],
+  comments: {},
+  exclude: ['node_modules/**', 'vendor/**', 'dist/**', 'build/**', 'provenance/**', 'tools/**'],
+};
+
+// A decision id, <prefix>-<slug> in any numbering scheme: "004-jwt-auth"
+// counts, an issue number such as "#123" does not
+const DECISION_ID_RE = /^\d[a-z0-9]*(?:-[a-z0-9]+)+$/;
+
+// Decisions that code may still follow
+const ACTIVE_STATUSES = ['proposed', 'accepted', 'implemented'];
+
+// Decisions whose implementation.components should carry a reference
+const IMPLEMENTED_STATUSES = ['accepted', 'implemented'];
+
+// Files larger than this are not scanned
+const MAX_FILE_BYTES = 1024 * 1024;
+
+// Comment markers per file extension (or file name). "*" only counts at the
+// start of a line, as inside a /** ... */ block.
+const C_STYLE = ['//', '/*', '*'];
+const HASH = ['#'];
+const MARKUP = ['<!--'];
+const BUILTIN_COMMENTS = {
+  '.js': C_STYLE, '.mjs': C_STYLE, '.cjs': C_STYLE, '.jsx': C_STYLE, '.ts': C_STYLE, '.tsx': C_STYLE,
+  '.java': C_STYLE, '.kt': C_STYLE, '.kts': C_STYLE, '.scala': C_STYLE, '.groovy': C_STYLE,
+  '.go': C_STYLE, '.rs': C_STYLE, '.swift': C_STYLE, '.dart': C_STYLE, '.proto': C_STYLE,
+  '.c': C_STYLE, '.h': C_STYLE, '.cc': C_STYLE, '.cpp': C_STYLE, '.hpp': C_STYLE, '.cs': C_STYLE,
+  '.php': C_STYLE.concat(HASH), '.css': ['/*', '*'], '.scss': C_STYLE, '.less': C_STYLE,
+  '.py': HASH, '.rb': HASH, '.sh': HASH, '.bash': HASH, '.zsh': HASH, '.ps1': HASH, '.pl': HASH, '.r': HASH,
+  '.yml': HASH, '.yaml': HASH, '.toml': HASH, '.tf': HASH.concat(C_STYLE), '.hcl': HASH.concat(C_STYLE),
+  '.ini': [';', '#'], '.conf': HASH, '.env': HASH, 'Dockerfile': HASH, 'Makefile': HASH,
+  '.sql': ['--', '/*', '*'], '.lua': ['--'], '.hs': ['--'],
+  '.html': MARKUP, '.xml': MARKUP, '.svg': MARKUP, '.vue': C_STYLE.concat(MARKUP), '.svelte': C_STYLE.concat(MARKUP),
+};
+
+// Markers that open a comment running until the closing marker
+const BLOCK_COMMENTS = { '/*': '*/', '<!--': '-->' };
+
+// Colors
+const colors = {
+  reset: '\x1b[0m',
+  red: '\x1b[31m',
+  green: '\x1b[32m',
+  yellow: '\x1b[33m',
+  blue: '\x1b[34m',
+  dim: '\x1b[2m',
+};
+
+function colorize(text, color) {
+  return `${colors[color]}${text}${colors.reset}`;
+}
+
+function printUsage() {
+  console.log('Usage: node tools/trace-decisions.js [options]');
+  console.log('');
+  console.log('Scans code comments in the repository for decision references and reports:');
+  console.log('  - references to decisions that do not exist, or are superseded, deprecated or rejected');
+  console.log('  - accepted decisions whose implementation.components have no referencing code');
+  console.log('  - files under protected paths (path policy) with no decision reference');
+  console.log('Tracked files are scanned, and so are untracked files that .gitignore does not exclude.');
+  console.log('');
+  console.log('References are found with the path policy\'s decision_reference_patterns and');
+  console.log('trace.patterns in provenance/config.yml, e.g. "// @decision 004-jwt-auth".');
+  console.log('Only full decision ids count: "#123" or "decision 004" alone is not a reference.');
+  console.log('');
+  console.log('Examples:');
+  console.log('  node tools/trace-decisions.js');
+  console.log('  node tools/trace-decisions.js --decision 004');
+  console.log('  node tools/trace-decisions.js --format json > trace.json');
+  console.log('');
+  console.log('Options:');
+  console.log('  --decision <id>    List every reference to one decision');
+  console.log('  --format <format>  Output format: text (default), json');
+  console.log('  --strict           Exit with status 1 on warnings as well as errors');
+  console.log('  --help, -h         Show this help message');
+  console.log('');
+  console.log('Exits with status 1 when code references a missing or inactive decision.');
+}
+
+function getOptionValue(args, name) {
+  const index = args.indexOf(name);
+  return index !== -1 ? args[index + 1] : undefined;
+}
+
+function loadSettings() {
+  const config = fs.existsSync(CONFIG_PATH) ? loadYamlFile(CONFIG_PATH) || {} : {};
+  const trace = Object.assign({}, DEFAULT_TRACE, config.trace);
+  const policy = fs.existsSync(POLICY_PATH) ? loadYamlFile(POLICY_PATH) || {} : {};
+  
+  const sources = (trace.use_policy_patterns !== false ? policy.decision_reference_patterns || [] : [])
+    .map(entry => (typeof entry === 'string' ? entry : entry && entry.pattern))
+    .concat(trace.patterns || [])
+    .filter(Boolean);
+  const patterns = sources.map(source => {
+    try {
+      return new RegExp(source, 'g');
+    } catch (e) {
+      throw new Error(`Invalid decision reference pattern ${source}: ${e.message}`);
+    }
+  });
+  
+  return {
+    patterns,
+    comments: Object.assign({}, BUILTIN_COMMENTS, trace.comments),
+    exclude: (trace.exclude || []).concat((policy.exemptions || {}).always_exempt || []),
+    protectedPaths: policy.enabled === false ? [] : policy.protected_paths || [],
+  };
+}
+
+// Tracked files and untracked ones that .gitignore does not exclude, or every
+// file below the current directory outside git
+function listFiles() {
+  try {
+    return execFileSync('git', ['ls-files', '-z', '--cached', '--others', '--exclude-standard'], { encoding: 'utf8', stdio: ['ignore', 'pipe', 'ignore'], maxBuffer: 64 * 1024 * 1024 })
+      .split('\0').filter(Boolean).map(normalizePath).sort();
+  } catch (e) {
+    const files = [];
+    const walk = dir => {
+      for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+        const entryPath = dir === '.' ? entry.name : `${dir}/${entry.name}`;
+        if (entry.isDirectory() && !['.git', 'node_modules'].includes(entry.name)) {
+          walk(entryPath);
+        } else if (entry.isFile()) {
+          files.push(entryPath);
+        }
+      }
+    };
+    walk('.');
+    return files.sort();
+  }
+}
+
+// Where the comment on a line starts: {index, marker}, or null
+function findCommentStart(line, markers) {
+  let found = null;
+  for (const marker of markers) {
+    if (marker === '*') {
+      const index = line.length - line.trimStart().length;
+      if (line.trimStart().startsWith('*') && (!found || index < found.index)) {
+        found = { index, marker };
+      }
+      continue;
+    }
+    for (let index = line.indexOf(marker); index !== -1; index = line.indexOf(marker, index + 1)) {
+      if (index === 0 || /\s/.test(line[index - 1])) {
+        if (!found || index < found.index) {
+          found = { index, marker };
+        }
+        break;
+      }
+    }
+  }
+  return found;
+}
+
+// The comment text on each line of a file: [{line, text}]
+function extractComments(content, markers) {
+  const comments = [];
+  let closing = null;
+  
+  content.split(/\r?\n/).forEach((line, index) => {
+    if (closing) {
+      comments.push({ line: index + 1, text: line });
+      if (line.includes(closing)) {
+        closing = null;
+      }
+      return;
+    }
+    const start = findCommentStart(line, markers);
+    if (!start) {
+      return;
+    }
+    const text = line.slice(start.index);
+    comments.push({ line: index + 1, text });
+    const close = BLOCK_COMMENTS[start.marker];
+    if (close && !text.includes(close, start.marker.length)) {
+      closing = close;
+    }
+  });
+  
+  return comments;
+}
+
+// Decision references in one piece of text: the first capture group, else the
+// whole match, when it is a decision id
+function findReferences(text, patterns) {
+  const references = [];
+  for (const pattern of patterns) {
+    pattern.lastIndex = 0;
+    for (const match of text.matchAll(pattern)) {
+      const reference = (match[1] || match[0]).trim().replace(/^#/, '');
+      if (DECISION_ID_RE.test(reference) && !references.some(item => item.reference === reference)) {
+        references.push({ reference, match: match[0].trim() });
+      }
+    }
+  }
+  return references;
+}
+
+/**
+ * Every decision reference in the scanned files:
+ * [{file, line, reference, match, decision (id or null)}]
+ */
+function scanFiles(files, settings, graph) {
+  const references = [];
+  let scanned = 0;
+  
+  for (const file of files) {
+    const markers = settings.comments[path.extname(file).toLowerCase()] || settings.comments[path.basename(file)];
+    if (!markers || matchesAny(file, settings.exclude)) {
+      continue;
+    }
+    let content;
+    try {
+      if (fs.statSync(file).size > MAX_FILE_BYTES) {
+        continue;
+      }
+      content = fs.readFileSync(file, 'utf8');
+    } catch (e) {
+      // Deleted but still in the index, or unreadable
+      continue;
+    }
+    if (content.includes('\0')) {
+      continue;
+    }
+    scanned++;
+    
+    for (const comment of extractComments(content, markers)) {
+      // "@decision 004-x" can also match "decision 004"; keep one reference per decision and line
+      const decisions = new Set();
+      for (const found of findReferences(comment.text, settings.patterns)) {
+        const decision = graph.resolve(found.reference);
+        if (decision && decisions.has(decision)) {
+          continue;
+        }
+        decisions.add(decision);
+        references.push(Object.assign({ file, line: comment.line, decision }, found));
+      }
+    }
+  }
+  
+  return { scanned, references };
+}
+
+// Files an implementation.components entry names; entries that are not paths ("Auth service") name none
+function componentFiles(component, files) {
+  const pattern = normalizePath(String(component).trim()).replace(/^\.\//, '').replace(/\/$/, '');
+  if (!pattern || !/[/.*]/.test(pattern)) {
+    return [];
+  }
+  if (/[*?[{]/.test(pattern)) {
+    return files.filter(file => matchesGlob(file, pattern));
+  }
+  return files.filter(file => file === pattern || file.startsWith(`${pattern}/`));
+}
+
+function buildTrace(graph, files, settings) {
+  const { scanned, references } = scanFiles(files, settings, graph);
+  
+  const byDecision = new Map();
+  for (const reference of references.filter(item => item.decision)) {
+    if (!byDecision.has(reference.decision)) {
+      byDecision.set(reference.decision, []);
+    }
+    byDecision.get(reference.decision).push(reference);
+  }
+  
+  // References to decisions that are missing or no longer in force
+  const stale = [];
+  for (const reference of references) {
+    const node = reference.decision ? graph.nodes.get(reference.decision) : null;
+    if (!node) {
+      stale.push(Object.assign({ status: null, message: `no decision matches "${reference.reference}"` }, reference));
+    } else if (!ACTIVE_STATUSES.includes(node.status)) {
+      const successor = (node.data.relatedDecisions || {}).supersededBy;
+      const resolved = successor ? graph.resolve(successor) || successor : null;
+      stale.push(Object.assign({ status: node.status, message: `${node.id} is ${node.status || 'without a status'}${resolved ? `; follow ${resolved} instead` : ''}` }, reference));
+    }
+  }
+  
+  // Accepted decisions none of whose component files mention them
+  const uncovered = [];
+  for (const node of graph.nodes.values()) {
+    if (!IMPLEMENTED_STATUSES.includes(node.status)) {
+      continue;
+    }
+    const components = ((node.data.implementation || {}).components || []).filter(item => typeof item === 'string');
+    const componentMatches = components.map(component => ({ component, files: componentFiles(component, files) }))
+      .filter(item => item.files.length > 0);
+    if (componentMatches.length === 0) {
+      continue;
+    }
+    const referencing = new Set((byDecision.get(node.id) || []).map(item => item.file));
+    if (!componentMatches.some(item => item.files.some(file => referencing.has(file)))) {
+      uncovered.push({
+        decision: node.id,
+        status: node.status,
+        components: componentMatches.map(item => ({ component: item.component, files: item.files.length })),
+      });
+    }
+  }
+  
+  // Protected files without a reference to any existing decision
+  const referencedFiles = new Set(references.filter(item => item.decision).map(item => item.file));
+  const unreferenced = [];
+  for (const rule of settings.protectedPaths) {
+    if (!rule || !rule.path) {
+      continue;
+    }
+    const ruleFiles = files.filter(file => matchesGlob(file, rule.path) && !matchesAny(file, rule.exemptions) && !matchesAny(file, settings.exclude));
+    const missing = ruleFiles.filter(file => !referencedFiles.has(file));
+    if (missing.length > 0) {
+      unreferenced.push({ path: rule.path, reason: rule.reason || '', files: missing, total: ruleFiles.length });
+    }
+  }
+  
+  const decisions = Array.from(byDecision.keys()).sort().map(id => {
+    const node = graph.nodes.get(id);
+    return {
+      id,
+      title: node.title,
+      status: node.status,
+      references: byDecision.get(id).map(item => ({ file: item.file, line: item.line, match: item.match })),
+    };
+  });
+  
+  return { scanned, references: references.length, decisions, stale, uncovered, unreferenced };
+}
+
+function printDecision(trace, id, graph) {
+  const node = graph.nodes.get(id);
+  const entry = trace.decisions.find(item => item.id === id);
+  console.log(colorize(`🔎 ${id} - ${node.title} (${node.status || 'unknown'})`, 'blue'));
+  console.log('');
+  if (!entry) {
+    console.log(colorize(`No code in ${trace.scanned} scanned files references ${id}`, 'yellow'));
+    return;
+  }
+  entry.references.forEach(item => console.log(`  ${colorize(`${item.file}:${item.line}`, 'green')}  ${colorize(item.match, 'dim')}`));
+  const files = new Set(entry.references.map(item => item.file)).size;
+  console.log('');
+  console.log(`${entry.references.length} reference${entry.references.length === 1 ? '' : 's'} in ${files} file${files === 1 ? '' : 's'}`);
+}
+
+function printTrace(trace) {
+  console.log(colorize(`🔎 Scanned ${trace.scanned} files: ${trace.references} decision references`, 'blue'));
+  console.log('');
+  
+  for (const decision of trace.decisions) {
+    const files = new Set(decision.references.map(item => item.file)).size;
+    console.log(`  ${colorize(decision.id, 'green')} (${colorize(decision.status || 'unknown', 'yellow')}): ${decision.references.length} in ${files} file${files === 1 ? '' : 's'}`);
+  }
+  if (trace.decisions.length > 0) {
+    console.log('');
+  }
+  
+  if (trace.stale.length > 0) {
+    console.log(colorize('❌ Code referencing missing or inactive decisions:', 'red'));
+    trace.stale.forEach(item => console.log(colorize(`   - ${item.file}:${item.line} (${item.match}): ${item.message}`, 'red')));
+    console.log('');
+  }
+  
+  if (trace.uncovered.length > 0) {
+    console.log(colorize('⚠️  Accepted decisions with no reference in their components:', 'yellow'));
+    for (const item of trace.uncovered) {
+      const components = item.components.map(entry => `${entry.component} (${entry.files} file${entry.files === 1 ? '' : 's'})`).join(', ');
+      console.log(colorize(`   - ${item.decision}: ${components}`, 'yellow'));
+    }
+    console.log('');
+  }
+  
+  if (trace.unreferenced.length > 0) {
+    console.log(colorize('⚠️  Protected paths with files that reference no decision:', 'yellow'));
+    for (const item of trace.unreferenced) {
+      console.log(colorize(`   - ${item.path}: ${item.files.length} of ${item.total} files${item.reason ? ` (${item.reason})` : ''}`, 'yellow'));
+      item.files.forEach(file => console.log(colorize(`       ${file}`, 'dim')));
+    }
+    console.log('');
+  }
+  
+  if (trace.stale.length === 0 && trace.uncovered.length === 0 && trace.unreferenced.length === 0) {
+    console.log(colorize('✅ Every reference points at a decision in force', 'green'));
+  }
+}
+
+function main() {
+  const args = process.argv.slice(2);
+  
+  // Parse options
+  const options = {
+    help: args.includes('--help') || args.includes('-h'),
+    strict: args.includes('--strict'),
+    format: getOptionValue(args, '--format') || 'text',
+    decision: getOptionValue(args, '--decision'),
+  };
+  
+  if (options.help) {
+    printUsage();
+    process.exit(0);
+  }
+  
+  if (!['text', 'json'].includes(options.format)) {
+    console.error(colorize(`❌ Unknown format: ${options.format}`, 'red'));
+    process.exit(1);
+  }
+  
+  if (!fs.existsSync(DECISIONS_DIR)) {
+    console.error(colorize(`❌ Decisions directory not found: ${DECISIONS_DIR}`, 'red'));
+    process.exit(1);
+  }
+  
+  let settings;
+  try {
+    settings = loadSettings();
+  } catch (e) {
+    console.error(colorize(`❌ ${e.message}`, 'red'));
+    process.exit(1);
+  }
+  
+  const graph = buildDecisionGraph(loadDecisionRecords(DECISIONS_DIR));
+  const decisionId = options.decision !== undefined ? graph.resolve(options.decision) : null;
+  if (options.decision !== undefined && !decisionId) {
+    console.error(colorize(`❌ Decision not found: ${options.decision}`, 'red'));
+    process.exit(1);
+  }
+  
+  const trace = buildTrace(graph, listFiles(), settings);
+  
+  if (decisionId) {
+    if (options.format === 'json') {
+      const entry = trace.decisions.find(item => item.id === decisionId);
+      console.log(JSON.stringify(entry || { id: decisionId, references: [] }, null, 2));
+    } else {
+      printDecision(trace, decisionId, graph);
+    }
+    process.exit(0);
+  }
+  
+  if (options.format === 'json') {
+    console.log(JSON.stringify(trace, null, 2));
+  } else {
+    printTrace(trace);
+  }
+  
+  const warnings = trace.uncovered.length + trace.unreferenced.length;
+  process.exit(trace.stale.length > 0 || (options.strict && warnings > 0) ? 1 : 0);
+}
+
+main();
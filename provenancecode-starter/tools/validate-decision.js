@@ -2,17 +2,18 @@
 
 /**
  * ProvenanceCode: Validate decision records
- * Usage: node tools/validate-decision.js [decision-id] [--all]
+ * Usage: node tools/validate-decision.js [decision-id] [--all] [--format text|json|junit|sarif] [--strict]
  */
 
-const fs = require('fs');
-const path = require('path');
+const { loadConfig, validateDecision, validateDecisions } = require('./lib/provenancecode');
+const { formatJson, formatJunit, formatSarif } = require('./lib/report-formats');
 
 // Configuration
-const DECISIONS_DIR = 'provenance/decisions';
-const SCHEMA_PATH = 'provenance/schemas/decision.schema.json';
+const CONFIG_PATH = 'provenance/config.yml';
+const FORMATS = { json: formatJson, junit: formatJunit, sarif: formatSarif };
 
-// Colors
+// Colors (off with NO_COLOR or when stdout is not a terminal)
+const useColor = !process.env.NO_COLOR && Boolean(process.stdout.isTTY);
 const colors = {
   reset: '\x1b[0m',
   red: '\x1b[31m',
@@ -23,7 +24,7 @@ const colors = {
 };
 
 function colorize(text, color) {
-  return `${colors[color]}${text}${colors.reset}`;
+  return useColor ? `${colors[color]}${text}${colors.reset}` : text;
 }
 
 function printUsage() {
@@ -35,243 +36,61 @@ function printUsage() {
   console.log('  node tools/validate-decision.js 001-use-postgresql');
   console.log('  node tools/validate-decision.js --all');
   console.log('  node tools/validate-decision.js 002-jwt-auth --verbose');
+  console.log('  node tools/validate-decision.js --all --format sarif > decisions.sarif');
   console.log('');
   console.log('Options:');
-  console.log('  --all          Validate all decisions');
-  console.log('  --verbose, -v  Show detailed output');
-  console.log('  --help, -h     Show this help message');
+  console.log('  --all              Validate all decisions and the links between them');
+  console.log('  --format <format>  Output format: text (default), json, junit, sarif');
+  console.log('  --strict           Treat warnings as errors');
+  console.log(`  --config <file>    Lint configuration (default: ${CONFIG_PATH})`);
+  console.log('  --verbose, -v      Show detailed output (text format)');
+  console.log('  --help, -h         Show this help message');
+  console.log('');
+  console.log('Each finding has a rule ID (e.g. PC014 no-negative-consequences); see docs/decision-records.md.');
+  console.log(`Rules can be tuned in ${CONFIG_PATH} and suppressed per record with "lint" in decision.json.`);
+  console.log('Set NO_COLOR to disable colors.');
 }
 
-// Simple JSON schema validator
-function validateSchema(data, schema) {
-  const errors = [];
-  
-  // Check required fields
-  if (schema.required) {
-    for (const field of schema.required) {
-      if (!(field in data)) {
-        errors.push(`Missing required field: ${field}`);
-      }
-    }
-  }
-  
-  // Check properties
-  if (schema.properties) {
-    for (const [key, propSchema] of Object.entries(schema.properties)) {
-      if (key in data) {
-        const value = data[key];
-        
-        // Type check
-        if (propSchema.type) {
-          const types = Array.isArray(propSchema.type) ? propSchema.type : [propSchema.type];
-          const actualType = Array.isArray(value) ? 'array' : value === null ? 'null' : typeof value;
-          
-          if (!types.includes(actualType)) {
-            errors.push(`Field ${key}: expected type ${types.join(' or ')}, got ${actualType}`);
-          }
-        }
-        
-        // Enum check
-        if (propSchema.enum && !propSchema.enum.includes(value)) {
-          errors.push(`Field ${key}: must be one of ${propSchema.enum.join(', ')}`);
-        }
-        
-        // String checks
-        if (propSchema.type === 'string' && typeof value === 'string') {
-          if (propSchema.minLength && value.length < propSchema.minLength) {
-            errors.push(`Field ${key}: minimum length is ${propSchema.minLength}`);
-          }
-          if (propSchema.maxLength && value.length > propSchema.maxLength) {
-            errors.push(`Field ${key}: maximum length is ${propSchema.maxLength}`);
-          }
-          if (propSchema.pattern) {
-            const regex = new RegExp(propSchema.pattern);
-            if (!regex.test(value)) {
-              errors.push(`Field ${key}: does not match pattern ${propSchema.pattern}`);
-            }
-          }
-        }
-        
-        // Array checks
-        if (propSchema.type === 'array' && Array.isArray(value)) {
-          if (propSchema.minItems && value.length < propSchema.minItems) {
-            errors.push(`Field ${key}: minimum ${propSchema.minItems} items required`);
-          }
-        }
-        
-        // Object checks (recursive)
-        if (propSchema.type === 'object' && typeof value === 'object' && value !== null) {
-          const nestedErrors = validateSchema(value, propSchema);
-          errors.push(...nestedErrors.map(e => `${key}.${e}`));
-        }
-      }
-    }
+// With --format json an error is a JSON object on stdout, so piped output stays parseable;
+// junit and sarif reports get a plain message on stderr
+function fail(message, format) {
+  if (format === 'json') {
+    process.stdout.write(JSON.stringify({ error: message }, null, 2) + '\n');
+  } else if (FORMATS[format]) {
+    console.error(`Error: ${message}`);
+  } else {
+    console.error(colorize(`❌ ${message}`, 'red'));
   }
-  
-  return errors;
+  process.exit(1);
 }
 
-function validateDecisionRecord(decisionPath, verbose = false) {
-  const decisionName = path.basename(decisionPath);
-  const results = {
-    name: decisionName,
-    valid: true,
-    errors: [],
-    warnings: [],
-    info: [],
-  };
-  
-  console.log(colorize(`\n📋 Validating: ${decisionName}`, 'blue'));
-  
-  // Check required files
-  const requiredFiles = ['decision.md', 'decision.json'];
-  const optionalFiles = ['prov.jsonld', 'c2pa.manifest.json'];
-  
-  for (const file of requiredFiles) {
-    const filePath = path.join(decisionPath, file);
-    if (!fs.existsSync(filePath)) {
-      results.errors.push(`Missing required file: ${file}`);
-      results.valid = false;
-    } else if (verbose) {
-      results.info.push(`Found required file: ${file}`);
-    }
-  }
-  
-  for (const file of optionalFiles) {
-    const filePath = path.join(decisionPath, file);
-    if (!fs.existsSync(filePath)) {
-      results.warnings.push(`Missing optional file: ${file}`);
-    } else if (verbose) {
-      results.info.push(`Found optional file: ${file}`);
-    }
-  }
-  
-  // Validate decision.json
-  const decisionJsonPath = path.join(decisionPath, 'decision.json');
-  if (fs.existsSync(decisionJsonPath)) {
-    try {
-      const decisionData = JSON.parse(fs.readFileSync(decisionJsonPath, 'utf8'));
-      
-      // Load schema if available
-      if (fs.existsSync(SCHEMA_PATH)) {
-        const schema = JSON.parse(fs.readFileSync(SCHEMA_PATH, 'utf8'));
-        const schemaErrors = validateSchema(decisionData, schema);
-        
-        if (schemaErrors.length > 0) {
-          results.errors.push(...schemaErrors);
-          results.valid = false;
-        } else if (verbose) {
-          results.info.push('Schema validation passed');
-        }
-      } else {
-        results.warnings.push('Schema file not found, skipping schema validation');
-      }
-      
-      // Check for common issues
-      if (!decisionData.title || decisionData.title.length < 5) {
-        results.errors.push('Title is missing or too short');
-        results.valid = false;
-      }
-      
-      if (!decisionData.status) {
-        results.errors.push('Status is missing');
-        results.valid = false;
-      }
-      
-      if (!decisionData.date) {
-        results.errors.push('Date is missing');
-        results.valid = false;
-      }
-      
-      // Check context
-      if (!decisionData.context || !decisionData.context.problem) {
-        results.warnings.push('Context or problem description is missing');
-      } else if (decisionData.context.problem.length < 50) {
-        results.warnings.push('Problem description is very short (< 50 characters)');
-      }
-      
-      // Check decision
-      if (!decisionData.decision || !decisionData.decision.summary) {
-        results.warnings.push('Decision summary is missing');
-      }
-      
-      // Check consequences
-      if (!decisionData.consequences) {
-        results.errors.push('Consequences section is missing');
-        results.valid = false;
-      } else {
-        if (!decisionData.consequences.positive || decisionData.consequences.positive.length === 0) {
-          results.warnings.push('No positive consequences listed');
-        }
-        
-        if (!decisionData.consequences.negative || decisionData.consequences.negative.length === 0) {
-          results.warnings.push('No negative consequences listed (be honest about trade-offs!)');
-        }
-      }
-      
-      // Check for alternatives
-      if (!decisionData.alternatives || decisionData.alternatives.length === 0) {
-        results.warnings.push('No alternatives considered (recommended to document)');
-      }
-      
-      // Check for evidence
-      if (!decisionData.evidence) {
-        results.warnings.push('No evidence provided (recommended for important decisions)');
-      }
-      
-    } catch (e) {
-      results.errors.push(`Invalid JSON in decision.json: ${e.message}`);
-      results.valid = false;
-    }
-  }
-  
-  // Validate prov.jsonld
-  const provJsonldPath = path.join(decisionPath, 'prov.jsonld');
-  if (fs.existsSync(provJsonldPath)) {
-    try {
-      const provData = JSON.parse(fs.readFileSync(provJsonldPath, 'utf8'));
-      
-      if (!provData['@context']) {
-        results.warnings.push('prov.jsonld missing @context');
-      }
-      
-      if (verbose) {
-        results.info.push('prov.jsonld is valid JSON-LD');
-      }
-    } catch (e) {
-      results.errors.push(`Invalid JSON in prov.jsonld: ${e.message}`);
-      results.valid = false;
-    }
-  }
-  
-  // Validate c2pa.manifest.json
-  const c2paManifestPath = path.join(decisionPath, 'c2pa.manifest.json');
-  if (fs.existsSync(c2paManifestPath)) {
-    try {
-      JSON.parse(fs.readFileSync(c2paManifestPath, 'utf8'));
-      if (verbose) {
-        results.info.push('c2pa.manifest.json is valid JSON');
-      }
-    } catch (e) {
-      results.errors.push(`Invalid JSON in c2pa.manifest.json: ${e.message}`);
-      results.valid = false;
-    }
-  }
+function getOptionValue(args, name) {
+  const index = args.indexOf(name);
+  return index !== -1 ? args[index + 1] : undefined;
+}
+
+function printFindings(findings, color) {
+  findings.forEach(finding => console.log(colorize(`     - ${finding.message}`, color) + colorize(` [${finding.ruleId}]`, 'dim')));
+}
+
+function printRecordResult(results, verbose = false) {
+  console.log(colorize(`\n📋 Validating: ${results.name}`, 'blue'));
   
-  // Print results
   if (results.errors.length > 0) {
     console.log(colorize('  ❌ Errors:', 'red'));
-    results.errors.forEach(err => console.log(colorize(`     - ${err}`, 'red')));
+    printFindings(results.errors, 'red');
   }
   
   if (results.warnings.length > 0) {
     console.log(colorize('  ⚠️  Warnings:', 'yellow'));
-    results.warnings.forEach(warn => console.log(colorize(`     - ${warn}`, 'yellow')));
+    printFindings(results.warnings, 'yellow');
   }
   
   if (verbose && results.info.length > 0) {
     console.log(colorize('  ℹ️  Info:', 'dim'));
     results.info.forEach(info => console.log(colorize(`     - ${info}`, 'dim')));
+  } else if (results.suppressed.length > 0) {
+    console.log(colorize(`  ℹ️  ${results.suppressed.length} finding(s) suppressed by lint.ignore (--verbose to list)`, 'dim'));
   }
   
   if (results.valid && results.warnings.length === 0) {
@@ -281,41 +100,68 @@ function validateDecisionRecord(decisionPath, verbose = false) {
   } else {
     console.log(colorize('  ❌ Validation failed', 'red'));
   }
+}
+
+function printGraphResult(graph, verbose = false) {
+  console.log(colorize('\n🔗 Validating decision graph', 'blue'));
+  
+  if (graph.errors.length > 0) {
+    console.log(colorize('  ❌ Errors:', 'red'));
+    printFindings(graph.errors, 'red');
+  }
+  
+  if (graph.warnings.length > 0) {
+    console.log(colorize('  ⚠️  Warnings:', 'yellow'));
+    printFindings(graph.warnings, 'yellow');
+  }
   
-  return results;
+  if (verbose) {
+    console.log(colorize(`  ℹ️  ${graph.decisions} decisions, ${graph.links} links`, 'dim'));
+  }
+  
+  if (graph.errors.length === 0 && graph.warnings.length === 0) {
+    console.log(colorize('  ✅ All links are consistent', 'green'));
+  }
 }
 
-function validateAll(verbose = false) {
-  console.log(colorize('🔍 Validating all decision records...', 'blue'));
+function validateAll(options) {
+  const text = options.format === 'text';
+  if (text) {
+    console.log(colorize('🔍 Validating all decision records...', 'blue'));
+  }
   
-  if (!fs.existsSync(DECISIONS_DIR)) {
-    console.error(colorize(`❌ Decisions directory not found: ${DECISIONS_DIR}`, 'red'));
-    process.exit(1);
+  let report;
+  try {
+    report = validateDecisions(options);
+  } catch (e) {
+    fail(e.message, options.format);
   }
   
-  const dirs = fs.readdirSync(DECISIONS_DIR, { withFileTypes: true });
-  const results = [];
+  const results = report.records;
+  const graph = report.graph;
+  const invalid = results.filter(r => !r.valid).length;
+  const failed = !report.valid;
   
-  for (const dir of dirs) {
-    if (dir.isDirectory() && dir.name !== 'TEMPLATE') {
-      const decisionPath = path.join(DECISIONS_DIR, dir.name);
-      const result = validateDecisionRecord(decisionPath, verbose);
-      results.push(result);
-    }
+  if (!text) {
+    process.stdout.write(FORMATS[options.format]({ records: results, graph }));
+    process.exit(failed ? 1 : 0);
   }
   
+  results.forEach(result => printRecordResult(result, options.verbose));
+  printGraphResult(graph, options.verbose);
+  
   // Summary
   console.log(colorize('\n📊 Summary:', 'blue'));
   const valid = results.filter(r => r.valid).length;
-  const invalid = results.filter(r => !r.valid).length;
-  const totalWarnings = results.reduce((sum, r) => sum + r.warnings.length, 0);
+  const totalWarnings = results.reduce((sum, r) => sum + r.warnings.length, 0) + graph.warnings.length;
   
   console.log(`  Total decisions: ${results.length}`);
   console.log(colorize(`  ✅ Valid: ${valid}`, valid > 0 ? 'green' : 'dim'));
   console.log(colorize(`  ❌ Invalid: ${invalid}`, invalid > 0 ? 'red' : 'dim'));
+  console.log(colorize(`  🔗 Graph errors: ${graph.errors.length}`, graph.errors.length > 0 ? 'red' : 'dim'));
   console.log(colorize(`  ⚠️  Warnings: ${totalWarnings}`, totalWarnings > 0 ? 'yellow' : 'dim'));
   
-  if (invalid > 0) {
+  if (failed) {
     console.log('\n' + colorize('❌ Some decisions failed validation', 'red'));
     process.exit(1);
   } else if (totalWarnings > 0) {
@@ -335,27 +181,48 @@ function main() {
     all: args.includes('--all'),
     verbose: args.includes('--verbose') || args.includes('-v'),
     help: args.includes('--help') || args.includes('-h'),
+    format: getOptionValue(args, '--format') || 'text',
+    strict: args.includes('--strict'),
+    configPath: getOptionValue(args, '--config'),
   };
   
-  const decisionId = args.find(arg => !arg.startsWith('--') && !arg.startsWith('-'));
+  const valueOptions = ['--format', '--config'];
+  const decisionId = args.find((arg, i) => !arg.startsWith('-') && !valueOptions.includes(args[i - 1]));
   
   if (options.help || (args.length === 0 && !options.all)) {
     printUsage();
     process.exit(0);
   }
   
+  if (options.format !== 'text' && !FORMATS[options.format]) {
+    console.error(colorize(`❌ Unknown format: ${options.format} (use text, ${Object.keys(FORMATS).join(', ')})`, 'red'));
+    process.exit(1);
+  }
+  
+  try {
+    options.config = loadConfig(options);
+  } catch (e) {
+    fail(e.message, options.format);
+  }
+  
   if (options.all) {
-    validateAll(options.verbose);
+    validateAll(options);
   } else if (decisionId) {
-    const decisionPath = path.join(DECISIONS_DIR, decisionId);
-    
-    if (!fs.existsSync(decisionPath)) {
-      console.error(colorize(`❌ Decision not found: ${decisionId}`, 'red'));
-      process.exit(1);
+    let result;
+    try {
+      result = validateDecision(decisionId, options);
+    } catch (e) {
+      fail(e.message, options.format);
     }
     
-    const result = validateDecisionRecord(decisionPath, options.verbose);
+    if (options.format === 'text') {
+      printRecordResult(result, options.verbose);
+    } else {
+      process.stdout.write(FORMATS[options.format]({ records: [result], graph: null }));
+    }
     process.exit(result.valid ? 0 : 1);
+  } else if (options.format !== 'text') {
+    fail('No decision given: pass a decision id or --all', options.format);
   } else {
     printUsage();
     process.exit(1);
@@ -363,4 +230,3 @@ function main() {
 }
 
 main();
-